@@ -0,0 +1,75 @@
+using SpeechApp.Services.Interfaces;
+
+namespace SpeechApp.Models;
+
+/// <summary>
+/// A chapter marker in synthesized audio
+/// </summary>
+public class AudioChapter
+{
+    public const string IntroductionTitle = "Introduction";
+
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Index of the first synthesized chunk in the chapter
+    /// </summary>
+    public int StartChunk { get; set; }
+
+    /// <summary>
+    /// Index after the last synthesized chunk in the chapter
+    /// </summary>
+    public int EndChunk { get; set; }
+
+    /// <summary>
+    /// Sample offset of the chapter start in the merged audio, filled in by the merger
+    /// </summary>
+    public long StartSample { get; set; }
+
+    /// <summary>
+    /// Sample offset of the chapter end in the merged audio, filled in by the merger
+    /// </summary>
+    public long EndSample { get; set; }
+
+    /// <summary>
+    /// Start of the chapter in seconds
+    /// </summary>
+    public double StartTime { get; set; }
+
+    /// <summary>
+    /// End of the chapter in seconds, or null when it runs to the end of the audio
+    /// </summary>
+    public double? EndTime { get; set; }
+
+    /// <summary>
+    /// Groups chapter-aligned chunks into chapters covering consecutive chunk ranges.
+    /// Positions are left at zero until the merged audio is available.
+    /// </summary>
+    public static List<AudioChapter> FromChunks(IReadOnlyList<TextChunk> chunks, IReadOnlyList<Chapter> chapters)
+    {
+        var result = new List<AudioChapter>();
+
+        string GetTitle(int? chapterNumber)
+        {
+            var chapter = chapters.FirstOrDefault(c => c.Number == chapterNumber);
+            if (chapter == null)
+            {
+                return IntroductionTitle;
+            }
+
+            return string.IsNullOrWhiteSpace(chapter.Title) ? $"Chapter {chapter.Number}" : chapter.Title.Trim();
+        }
+
+        for (int i = 0; i < chunks.Count; i++)
+        {
+            if (i == 0 || chunks[i].ChapterNumber != chunks[i - 1].ChapterNumber)
+            {
+                result.Add(new AudioChapter { Title = GetTitle(chunks[i].ChapterNumber), StartChunk = i });
+            }
+
+            result[^1].EndChunk = i + 1;
+        }
+
+        return result;
+    }
+}
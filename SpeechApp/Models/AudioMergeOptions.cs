@@ -0,0 +1,104 @@
+namespace SpeechApp.Models;
+
+public class AudioMergeOptions
+{
+    /// <summary>
+    /// Preference key the user's audio output settings are stored under
+    /// </summary>
+    public const string PreferenceKey = "audio_merge_options";
+
+    public const string LoudnessOff = "off";
+    public const string LoudnessPerChunk = "chunk";
+    public const string LoudnessProgram = "program";
+
+    public const double PodcastLufs = -16;
+    public const double BroadcastLufs = -23;
+
+    public string Format { get; set; } = "mp3";
+
+    /// <summary>
+    /// Sample rate chunks are resampled to before merging (0 picks the highest rate among the chunks)
+    /// </summary>
+    public int SampleRate { get; set; }
+
+    /// <summary>
+    /// Channel count chunks are mixed to before merging: 1, 2, or 0 for the most channels among the chunks
+    /// </summary>
+    public int Channels { get; set; }
+
+    /// <summary>
+    /// Constant MP3 bitrate in kbit/s (ignored when UseVbr is set)
+    /// </summary>
+    public int Bitrate { get; set; } = 128;
+
+    public bool UseVbr { get; set; }
+
+    /// <summary>
+    /// LAME VBR quality from 0 (best) to 9 (smallest)
+    /// </summary>
+    public int VbrQuality { get; set; } = 4;
+
+    /// <summary>
+    /// Opus bitrate in kbit/s used when converting to Ogg or WebM
+    /// </summary>
+    public int OpusBitrate { get; set; } = 48;
+
+    /// <summary>
+    /// AAC bitrate in kbit/s used for M4B audiobooks
+    /// </summary>
+    public int AacBitrate { get; set; } = 64;
+
+    /// <summary>
+    /// Silence inserted between merged chunks in milliseconds
+    /// </summary>
+    public int ChunkSilenceMs { get; set; }
+
+    /// <summary>
+    /// Silence inserted where a chunk starts a new paragraph, in milliseconds
+    /// </summary>
+    public int ParagraphSilenceMs { get; set; }
+
+    /// <summary>
+    /// Silence inserted where a chunk starts a new chapter, in milliseconds
+    /// </summary>
+    public int ChapterSilenceMs { get; set; }
+
+    /// <summary>
+    /// Length of the equal-power fades at each join in milliseconds (0 disables them).
+    /// Chunks joined without silence are crossfaded; with silence each side fades to it.
+    /// </summary>
+    public int CrossfadeMs { get; set; }
+
+    /// <summary>
+    /// Trim leading and trailing silence from each chunk before merging
+    /// </summary>
+    public bool TrimSilence { get; set; }
+
+    /// <summary>
+    /// Level in dBFS below which audio counts as silence when trimming
+    /// </summary>
+    public double SilenceThresholdDb { get; set; } = -50;
+
+    /// <summary>
+    /// Loudness normalization: "off", "chunk" to bring every chunk to the target before joining,
+    /// or "program" to bring the whole merged audio to it
+    /// </summary>
+    public string LoudnessMode { get; set; } = LoudnessOff;
+
+    /// <summary>
+    /// Integrated loudness target in LUFS (-16 for podcasts, -23 for EBU R128 broadcast)
+    /// </summary>
+    public double TargetLufs { get; set; } = PodcastLufs;
+
+    /// <summary>
+    /// True peak ceiling in dBTP enforced by the limiter after normalization
+    /// </summary>
+    public double TruePeakCeilingDb { get; set; } = -1;
+
+    public bool NormalizesLoudness() => !string.IsNullOrEmpty(LoudnessMode) && LoudnessMode != LoudnessOff;
+
+    /// <summary>
+    /// True when even a single chunk goes through the merger: it is resampled, remixed, trimmed or normalized
+    /// </summary>
+    public bool ProcessesAudio() => SampleRate > 0 || Channels > 0 || TrimSilence || NormalizesLoudness();
+}
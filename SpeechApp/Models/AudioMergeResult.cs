@@ -0,0 +1,68 @@
+namespace SpeechApp.Models;
+
+public class AudioMergeResult
+{
+    public byte[] AudioData { get; set; } = Array.Empty<byte>();
+    public string Format { get; set; } = "wav";
+    public string MimeType { get; set; } = "audio/wav";
+
+    /// <summary>
+    /// Blob URL of the merged audio from an incremental merge, which leaves AudioData empty
+    /// </summary>
+    public string? AudioUrl { get; set; }
+
+    /// <summary>
+    /// Size of the merged audio in bytes, reported by incremental merges
+    /// </summary>
+    public long Size { get; set; }
+
+    /// <summary>
+    /// Sample rate the chunks were merged at
+    /// </summary>
+    public int SampleRate { get; set; }
+
+    /// <summary>
+    /// Channel count the chunks were merged to
+    /// </summary>
+    public int NumberOfChannels { get; set; }
+
+    /// <summary>
+    /// Total duration of the merged audio in seconds
+    /// </summary>
+    public double Duration { get; set; }
+
+    /// <summary>
+    /// Duration of each input chunk in seconds, in merge order
+    /// </summary>
+    public List<double> ChunkDurations { get; set; } = new();
+
+    /// <summary>
+    /// Start of each input chunk in the merged audio in seconds, after pauses and crossfades
+    /// </summary>
+    public List<double> ChunkStartTimes { get; set; } = new();
+
+    /// <summary>
+    /// Seconds of leading silence trimmed from each input chunk, to map times within a chunk into the merged audio
+    /// </summary>
+    public List<double> ChunkTrimStarts { get; set; } = new();
+
+    /// <summary>
+    /// Chapters passed to the merge, with their sample offsets and times in the merged audio
+    /// </summary>
+    public List<AudioChapter> Chapters { get; set; } = new();
+
+    /// <summary>
+    /// Integrated loudness of the merged audio in LUFS, measured when loudness normalization is on
+    /// </summary>
+    public double? IntegratedLufs { get; set; }
+
+    /// <summary>
+    /// True peak of the merged audio in dBTP, measured when loudness normalization is on
+    /// </summary>
+    public double? TruePeakDbtp { get; set; }
+
+    /// <summary>
+    /// Why the audio is not in the requested format (MP3 encoding unavailable, so WAV was produced)
+    /// </summary>
+    public string? Warning { get; set; }
+}
@@ -0,0 +1,71 @@
+namespace SpeechApp.Models;
+
+/// <summary>
+/// Metadata written into downloaded MP3 files as ID3v2.4 frames
+/// </summary>
+public class AudioTags
+{
+    public const string TitleKey = "title";
+    public const string ArtistKey = "artist";
+    public const string AlbumKey = "album";
+    public const string TrackKey = "track";
+    public const string YearKey = "year";
+    public const string CommentKey = "comment";
+    public const string CoverArtKey = "coverArt";
+    public const string CoverArtMimeTypeKey = "coverArtMimeType";
+
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// Narrator, i.e. the voice the audio was synthesized with
+    /// </summary>
+    public string? Artist { get; set; }
+
+    /// <summary>
+    /// Source document title
+    /// </summary>
+    public string? Album { get; set; }
+
+    /// <summary>
+    /// Chapter number when a single chapter was synthesized
+    /// </summary>
+    public int? Track { get; set; }
+
+    public int? Year { get; set; }
+
+    public string? Comment { get; set; }
+
+    public byte[]? CoverArt { get; set; }
+    public string? CoverArtMimeType { get; set; }
+
+    /// <summary>
+    /// Converts to the key/value form used by IAudioService.AddId3TagsAsync
+    /// </summary>
+    public Dictionary<string, string> ToDictionary()
+    {
+        var tags = new Dictionary<string, string>();
+
+        void Add(string key, string? value)
+        {
+            if (!string.IsNullOrWhiteSpace(value))
+            {
+                tags[key] = value.Trim();
+            }
+        }
+
+        Add(TitleKey, Title);
+        Add(ArtistKey, Artist);
+        Add(AlbumKey, Album);
+        Add(TrackKey, Track?.ToString());
+        Add(YearKey, Year?.ToString());
+        Add(CommentKey, Comment);
+
+        if (CoverArt is { Length: > 0 })
+        {
+            tags[CoverArtKey] = Convert.ToBase64String(CoverArt);
+            tags[CoverArtMimeTypeKey] = CoverArtMimeType ?? "image/jpeg";
+        }
+
+        return tags;
+    }
+}
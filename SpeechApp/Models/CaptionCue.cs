@@ -0,0 +1,11 @@
+namespace SpeechApp.Models;
+
+/// <summary>
+/// One subtitle cue: up to a few short lines shown from Start to End (seconds)
+/// </summary>
+public class CaptionCue
+{
+    public double Start { get; set; }
+    public double End { get; set; }
+    public List<string> Lines { get; set; } = new();
+}
@@ -0,0 +1,32 @@
+namespace SpeechApp.Models;
+
+/// <summary>
+/// Readability limits for generated captions, defaulting to common broadcast subtitle guidelines
+/// </summary>
+public class CaptionOptions
+{
+    /// <summary>
+    /// Characters per line
+    /// </summary>
+    public int MaxLineLength { get; set; } = 42;
+
+    /// <summary>
+    /// Lines per cue
+    /// </summary>
+    public int MaxLines { get; set; } = 2;
+
+    /// <summary>
+    /// Longest time a cue stays on screen, in seconds
+    /// </summary>
+    public double MaxDuration { get; set; } = 7.0;
+
+    /// <summary>
+    /// Shortest time a cue stays on screen, in seconds, where the next cue leaves room
+    /// </summary>
+    public double MinDuration { get; set; } = 1.0;
+
+    /// <summary>
+    /// A silence at least this long (seconds) between words starts a new cue
+    /// </summary>
+    public double MaxGap { get; set; } = 0.5;
+}
@@ -38,6 +38,33 @@ public class ElevenLabsSynthesisRequest
     public ElevenLabsVoiceSettings? VoiceSettings { get; set; }
 }
 
+/// <summary>
+/// Response of the with-timestamps endpoint
+/// </summary>
+public class ElevenLabsTimestampedResponse
+{
+    [JsonPropertyName("audio_base64")]
+    public string? AudioBase64 { get; set; }
+
+    [JsonPropertyName("alignment")]
+    public ElevenLabsAlignment? Alignment { get; set; }
+}
+
+/// <summary>
+/// Start and end time of each character of the request text
+/// </summary>
+public class ElevenLabsAlignment
+{
+    [JsonPropertyName("characters")]
+    public List<string> Characters { get; set; } = new();
+
+    [JsonPropertyName("character_start_times_seconds")]
+    public List<double> CharacterStartTimesSeconds { get; set; } = new();
+
+    [JsonPropertyName("character_end_times_seconds")]
+    public List<double> CharacterEndTimesSeconds { get; set; } = new();
+}
+
 public class ElevenLabsVoiceSettings
 {
     [JsonPropertyName("stability")]
@@ -20,6 +20,12 @@ public class GoogleSynthesisRequest
     public required GoogleSynthesisInput Input { get; set; }
     public required GoogleVoiceSelection Voice { get; set; }
     public required GoogleAudioConfig AudioConfig { get; set; }
+
+    /// <summary>
+    /// ["SSML_MARK"] to get the time of each SSML mark back (v1beta1)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public List<string>? EnableTimePointing { get; set; }
 }
 
 public class GoogleSynthesisInput
@@ -57,4 +63,11 @@ public class GoogleAudioConfig
 public class GoogleSynthesisResponse
 {
     public required string AudioContent { get; set; }
+    public List<GoogleTimepoint>? Timepoints { get; set; }
+}
+
+public class GoogleTimepoint
+{
+    public string? MarkName { get; set; }
+    public double TimeSeconds { get; set; }
 }
@@ -1,3 +1,5 @@
+using System.Text.Json.Serialization;
+
 namespace SpeechApp.Models.Providers;
 
 public class PollyVoice
@@ -19,6 +21,30 @@ public class PollySynthesisRequest
     public required string Text { get; set; }
     public string? TextType { get; set; }
     public required string VoiceId { get; set; }
+
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public List<string>? SpeechMarkTypes { get; set; }
+}
+
+/// <summary>
+/// One line of a speech marks response; Start and End are byte offsets into the UTF-8 text
+/// </summary>
+public class PollySpeechMark
+{
+    [JsonPropertyName("time")]
+    public int Time { get; set; }
+
+    [JsonPropertyName("type")]
+    public string? Type { get; set; }
+
+    [JsonPropertyName("start")]
+    public int Start { get; set; }
+
+    [JsonPropertyName("end")]
+    public int End { get; set; }
+
+    [JsonPropertyName("value")]
+    public string? Value { get; set; }
 }
 
 public class PollyDescribeVoicesResponse
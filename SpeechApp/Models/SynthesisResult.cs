@@ -8,4 +8,9 @@ public class SynthesisResult
     public int CharactersProcessed { get; set; }
     public decimal Cost { get; set; }
     public TimeSpan Duration { get; set; }
+
+    /// <summary>
+    /// Word or sentence timings within the synthesized text, when requested and the provider reports them
+    /// </summary>
+    public List<TextTiming>? Timings { get; set; }
 }
@@ -0,0 +1,32 @@
+using System.Text.Json.Serialization;
+
+namespace SpeechApp.Models;
+
+/// <summary>
+/// A piece of text sized for a single synthesis request
+/// </summary>
+public class TextChunk
+{
+    public string Text { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of the chapter the chunk belongs to, or null for text before the first chapter
+    /// </summary>
+    public int? ChapterNumber { get; set; }
+
+    /// <summary>
+    /// Kind of break between the previous chunk and this one
+    /// </summary>
+    public TextChunkBoundary Boundary { get; set; } = TextChunkBoundary.Sentence;
+}
+
+/// <summary>
+/// Break between two chunks, used to choose the pause inserted when their audio is merged
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum TextChunkBoundary
+{
+    Sentence,
+    Paragraph,
+    Chapter
+}
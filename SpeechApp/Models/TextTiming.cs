@@ -0,0 +1,24 @@
+namespace SpeechApp.Models;
+
+/// <summary>
+/// When a span of the synthesized text is spoken, for read-along highlighting
+/// </summary>
+public class TextTiming
+{
+    /// <summary>
+    /// Character offset of the span in the synthesized text
+    /// </summary>
+    public int Start { get; set; }
+
+    public int Length { get; set; }
+
+    /// <summary>
+    /// Time the span starts being spoken, in seconds from the start of the audio
+    /// </summary>
+    public double Time { get; set; }
+
+    /// <summary>
+    /// Time the span ends, when known (the end of a chunk); otherwise it runs until the next span starts
+    /// </summary>
+    public double? End { get; set; }
+}
@@ -8,5 +8,10 @@ public class VoiceConfig
     public double Pitch { get; set; } = 0.0;
     public double Volume { get; set; } = 1.0;
     public string? OutputFormat { get; set; } = "mp3";
+
+    /// <summary>
+    /// Ask the provider for word timings (SynthesisResult.Timings) for read-along highlighting
+    /// </summary>
+    public bool IncludeTimings { get; set; }
     public Dictionary<string, object>? ProviderSpecificOptions { get; set; }
 }
@@ -54,6 +54,8 @@ builder.Services.AddScoped<ITTSProviderManager, TTSProviderManager>();
 // Text and Audio Services
 builder.Services.AddScoped<ITextChunkingService, TextChunkingService>();
 builder.Services.AddScoped<IAudioService, AudioMergingService>();
+builder.Services.AddScoped<StreamingPlaybackService>();
+builder.Services.AddScoped<ReadAlongService>();
 
 // File Processing Services
 builder.Services.AddScoped<PdfProcessingService>();
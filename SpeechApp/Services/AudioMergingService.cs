@@ -1,4 +1,5 @@
 using Microsoft.JSInterop;
+using SpeechApp.Models;
 using SpeechApp.Services.Interfaces;
 
 namespace SpeechApp.Services;
@@ -7,9 +8,15 @@ public class AudioMergingService : IAudioService
 {
     private readonly IJSRuntime _jsRuntime;
 
-#pragma warning disable CS0067 // Event is declared but never used - reserved for future progress tracking
+    /// <summary>
+    /// Output formats the browser-side converter can produce
+    /// </summary>
+    public static readonly IReadOnlyList<string> SupportedFormats = new[] { "mp3", "wav", "ogg", "webm", "flac" };
+
     public event Action<int, int>? OnMergeProgress;
-#pragma warning restore CS0067
+
+    // Chunk count announced to BeginMergeAsync, by merge id
+    private readonly Dictionary<string, int> _expectedChunks = new();
 
     public AudioMergingService(IJSRuntime jsRuntime)
     {
@@ -17,27 +24,77 @@ public class AudioMergingService : IAudioService
     }
 
     public async Task<byte[]> MergeAudioChunksAsync(List<byte[]> chunks, string format = "mp3")
+    {
+        var result = await MergeAudioChunksAsync(chunks, new AudioMergeOptions { Format = format });
+        return result.AudioData;
+    }
+
+    public Task<AudioMergeResult> MergeAudioChunksAsync(List<byte[]> chunks, AudioMergeOptions options)
+    {
+        return MergeAudioChunksAsync(chunks, options, new List<AudioChapter>());
+    }
+
+    public async Task<AudioMergeResult> MergeAudioChunksAsync(List<byte[]> chunks, AudioMergeOptions options, List<AudioChapter> chapters,
+        List<TextChunkBoundary>? boundaries = null, CancellationToken cancellationToken = default)
     {
         if (chunks == null || chunks.Count == 0)
         {
             throw new ArgumentException("No audio chunks to merge", nameof(chunks));
         }
 
-        if (chunks.Count == 1)
+        // A single chunk already in the requested format needs no re-encoding (or chapter frames, resampling,
+        // trimming or normalization). It is still decoded for its duration, which read-along and captions rely on
+        // like a merged result
+        if (chunks.Count == 1 && chapters.Count == 0 && !options.ProcessesAudio() && DetectFormat(chunks[0]) == options.Format)
         {
-            return chunks[0];
+            try
+            {
+                var info = await _jsRuntime.InvokeAsync<AudioInfo>("audioMerger.getAudioInfo", cancellationToken, chunks[0]);
+                return new AudioMergeResult
+                {
+                    AudioData = chunks[0],
+                    Format = options.Format,
+                    MimeType = GetMimeType(options.Format),
+                    SampleRate = info.SampleRate,
+                    NumberOfChannels = info.NumberOfChannels,
+                    Duration = info.Duration,
+                    ChunkDurations = new List<double> { info.Duration },
+                    ChunkStartTimes = new List<double> { 0 },
+                    ChunkTrimStarts = new List<double> { 0 }
+                };
+            }
+            catch (JSException ex)
+            {
+                throw new InvalidOperationException($"Audio merging failed: {ex.Message}", ex);
+            }
         }
 
-        try
+        var jobId = Guid.NewGuid().ToString();
+        using var progressCallback = DotNetObjectReference.Create(new MergeProgressCallback((current, total) =>
         {
-            // Convert chunks to base64 for JS interop
-            var base64Chunks = chunks.Select(chunk => Convert.ToBase64String(chunk)).ToList();
+            OnMergeProgress?.Invoke(current, total);
+        }));
 
-            // Call JavaScript audio merger
-            var mergedBase64 = await _jsRuntime.InvokeAsync<string>("audioMerger.mergeAudioChunks", base64Chunks.ToArray());
+        try
+        {
+            // Chunks go over as binary (Uint8Array in JS), and audioData comes back the same way
+            return await InvokeMergeAsync<AudioMergeResult>("audioMerger.mergeAudioChunks", cancellationToken,
+                () => _jsRuntime.InvokeVoidAsync("audioMerger.cancelMerge", jobId).AsTask(),
+                chunks, options, chapters, boundaries, progressCallback, jobId);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            throw new InvalidOperationException($"Audio merging failed: {ex.Message}", ex);
+        }
+    }
 
-            // Convert back to bytes
-            return Convert.FromBase64String(mergedBase64);
+    public async Task<string> BeginMergeAsync(AudioMergeOptions options, List<AudioChapter> chapters, int expectedChunks = 0)
+    {
+        try
+        {
+            var mergeId = await _jsRuntime.InvokeAsync<string>("audioMerger.beginMerge", options, chapters);
+            _expectedChunks[mergeId] = expectedChunks;
+            return mergeId;
         }
         catch (Exception ex)
         {
@@ -45,28 +102,286 @@ public class AudioMergingService : IAudioService
         }
     }
 
+    public async Task AppendChunkAsync(string mergeId, byte[] chunk, TextChunkBoundary boundary = TextChunkBoundary.Sentence,
+        CancellationToken cancellationToken = default)
+    {
+        if (chunk == null || chunk.Length == 0)
+        {
+            throw new ArgumentException("No audio data to merge", nameof(chunk));
+        }
+
+        try
+        {
+            var appended = await InvokeMergeAsync<AppendChunkResult>("audioMerger.appendChunk", cancellationToken,
+                () => AbortMergeAsync(mergeId), mergeId, chunk, boundary);
+
+            var merged = appended.ChunkIndex + 1;
+            OnMergeProgress?.Invoke(merged, Math.Max(merged, _expectedChunks.GetValueOrDefault(mergeId)));
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            throw new InvalidOperationException($"Audio merging failed: {ex.Message}", ex);
+        }
+    }
+
+    public async Task<AudioMergeResult> FinalizeMergeAsync(string mergeId, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var result = await InvokeMergeAsync<AudioMergeResult>("audioMerger.finalize", cancellationToken,
+                () => AbortMergeAsync(mergeId), mergeId);
+            _expectedChunks.Remove(mergeId);
+            return result;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            throw new InvalidOperationException($"Audio merging failed: {ex.Message}", ex);
+        }
+    }
+
+    public async Task AbortMergeAsync(string mergeId)
+    {
+        _expectedChunks.Remove(mergeId);
+        await _jsRuntime.InvokeVoidAsync("audioMerger.abortMerge", mergeId);
+    }
+
+    // Cancelling a merge call also stops the work in the browser, which the JS interop call alone would not
+    private async Task<T> InvokeMergeAsync<T>(string identifier, CancellationToken cancellationToken,
+        Func<Task> cancelInBrowser, params object?[] args)
+    {
+        await using var registration = cancellationToken.Register(() => _ = cancelInBrowser());
+
+        try
+        {
+            return await _jsRuntime.InvokeAsync<T>(identifier, cancellationToken, args);
+        }
+        catch (JSException) when (cancellationToken.IsCancellationRequested)
+        {
+            throw new OperationCanceledException(cancellationToken);
+        }
+    }
+
+    public async Task ReleaseMergedAudioAsync(string audioUrl)
+    {
+        await _jsRuntime.InvokeVoidAsync("audioMerger.releaseMerge", audioUrl);
+    }
+
+    public async Task<string> ConvertMergedAudioAsync(string audioUrl, string toFormat, AudioMergeOptions options,
+        List<AudioChapter> chapters, AudioTags tags)
+    {
+        toFormat = toFormat.ToLowerInvariant();
+        if (toFormat != "m4b" && !SupportedFormats.Contains(toFormat))
+        {
+            throw new ArgumentException($"Unsupported output format: {toFormat}", nameof(toFormat));
+        }
+
+        try
+        {
+            return await _jsRuntime.InvokeAsync<string>("audioMerger.convertAudioUrl", audioUrl, toFormat,
+                toFormat == "m4b" ? CreateAudiobookRequest(chapters, tags, options) : options);
+        }
+        catch (Exception ex)
+        {
+            throw new InvalidOperationException($"Audio conversion failed: {ex.Message}", ex);
+        }
+    }
+
     public Task<byte[]> ConvertAudioFormatAsync(byte[] audioData, string fromFormat, string toFormat)
     {
-        // Format conversion would require additional libraries
-        // For now, just return the original data
-        // TODO: Implement format conversion using FFmpeg.wasm or similar
-        return Task.FromResult(audioData);
+        return ConvertAudioFormatAsync(audioData, fromFormat, toFormat, new AudioMergeOptions());
+    }
+
+    public async Task<byte[]> ConvertAudioFormatAsync(byte[] audioData, string fromFormat, string toFormat, AudioMergeOptions options)
+    {
+        if (audioData == null || audioData.Length == 0)
+        {
+            throw new ArgumentException("No audio data to convert", nameof(audioData));
+        }
+
+        toFormat = toFormat.ToLowerInvariant();
+        if (!SupportedFormats.Contains(toFormat))
+        {
+            throw new ArgumentException($"Unsupported output format: {toFormat}", nameof(toFormat));
+        }
+
+        if (string.Equals(fromFormat, toFormat, StringComparison.OrdinalIgnoreCase))
+        {
+            return audioData;
+        }
+
+        try
+        {
+            var result = await _jsRuntime.InvokeAsync<ConversionResult>("audioConverter.convert", audioData, toFormat, options);
+            return result.AudioData;
+        }
+        catch (Exception ex)
+        {
+            throw new InvalidOperationException($"Audio conversion failed: {ex.Message}", ex);
+        }
     }
 
     public Task<byte[]> AddId3TagsAsync(byte[] mp3Data, Dictionary<string, string> tags)
     {
-        // ID3 tag implementation would require a library
-        // For now, just return the original data
-        // TODO: Implement ID3 tagging
-        return Task.FromResult(mp3Data);
+        return AddId3TagsAsync(mp3Data, tags, new List<AudioChapter>());
     }
 
+    public async Task<byte[]> AddId3TagsAsync(byte[] mp3Data, Dictionary<string, string> tags, List<AudioChapter> chapters)
+    {
+        if (DetectFormat(mp3Data) != "mp3")
+        {
+            throw new ArgumentException("ID3 tags can only be added to MP3 audio", nameof(mp3Data));
+        }
+
+        try
+        {
+            return await _jsRuntime.InvokeAsync<byte[]>("id3Tags.writeTags", mp3Data, tags, chapters);
+        }
+        catch (Exception ex)
+        {
+            throw new InvalidOperationException($"Adding ID3 tags failed: {ex.Message}", ex);
+        }
+    }
+
+    public async Task<Dictionary<string, string>> ReadId3TagsAsync(byte[] mp3Data)
+    {
+        return await _jsRuntime.InvokeAsync<Dictionary<string, string>?>("id3Tags.readTags", mp3Data)
+               ?? new Dictionary<string, string>();
+    }
+
+    public async Task<byte[]> CreateAudiobookAsync(byte[] audioData, List<AudioChapter> chapters, AudioTags tags, AudioMergeOptions options)
+    {
+        if (audioData == null || audioData.Length == 0)
+        {
+            throw new ArgumentException("No audio data for the audiobook", nameof(audioData));
+        }
+
+        try
+        {
+            var result = await _jsRuntime.InvokeAsync<ConversionResult>("m4bMuxer.createAudiobook", audioData,
+                CreateAudiobookRequest(chapters, tags, options));
+            return result.AudioData;
+        }
+        catch (Exception ex)
+        {
+            throw new InvalidOperationException($"Audiobook creation failed: {ex.Message}", ex);
+        }
+    }
+
+    // Options of m4bMuxer.createAudiobook
+    private static object CreateAudiobookRequest(List<AudioChapter> chapters, AudioTags tags, AudioMergeOptions options) => new
+    {
+        chapters,
+        tags = tags.ToDictionary(),
+        aacBitrate = options.AacBitrate,
+        bitrate = options.Bitrate,
+        useVbr = options.UseVbr,
+        vbrQuality = options.VbrQuality
+    };
+
     /// <summary>
     /// Triggers a download of audio data in the browser
     /// </summary>
     public async Task DownloadAudioAsync(byte[] audioData, string filename, string mimeType = "audio/mpeg")
     {
-        var base64 = Convert.ToBase64String(audioData);
-        await _jsRuntime.InvokeVoidAsync("audioMerger.downloadAudio", base64, filename, mimeType);
+        await _jsRuntime.InvokeVoidAsync("audioMerger.downloadAudio", audioData, filename, mimeType);
+    }
+
+    /// <summary>
+    /// Downloads merged audio from its Blob URL without loading it into .NET memory.
+    /// Tags (and chapters) are written as an ID3v2.4 tag, so pass them only for MP3.
+    /// </summary>
+    public async Task DownloadAudioUrlAsync(string audioUrl, string filename, string mimeType,
+        Dictionary<string, string>? tags = null, List<AudioChapter>? chapters = null)
+    {
+        await _jsRuntime.InvokeVoidAsync("audioMerger.downloadAudioUrl", audioUrl, filename, mimeType, tags, chapters);
+    }
+
+    /// <summary>
+    /// Detects the container format of encoded audio from its leading bytes
+    /// </summary>
+    public static string? DetectFormat(byte[] audioData)
+    {
+        if (audioData.Length >= 12 &&
+            audioData[0] == 'R' && audioData[1] == 'I' && audioData[2] == 'F' && audioData[3] == 'F' &&
+            audioData[8] == 'W' && audioData[9] == 'A' && audioData[10] == 'V' && audioData[11] == 'E')
+        {
+            return "wav";
+        }
+
+        // ID3v2 tag or a bare MPEG audio frame sync
+        if ((audioData.Length >= 3 && audioData[0] == 'I' && audioData[1] == 'D' && audioData[2] == '3') ||
+            (audioData.Length >= 2 && audioData[0] == 0xFF && (audioData[1] & 0xE0) == 0xE0))
+        {
+            return "mp3";
+        }
+
+        if (audioData.Length >= 4 &&
+            audioData[0] == 'O' && audioData[1] == 'g' && audioData[2] == 'g' && audioData[3] == 'S')
+        {
+            return "ogg";
+        }
+
+        // EBML header (WebM/Matroska)
+        if (audioData.Length >= 4 &&
+            audioData[0] == 0x1A && audioData[1] == 0x45 && audioData[2] == 0xDF && audioData[3] == 0xA3)
+        {
+            return "webm";
+        }
+
+        if (audioData.Length >= 4 &&
+            audioData[0] == 'f' && audioData[1] == 'L' && audioData[2] == 'a' && audioData[3] == 'C')
+        {
+            return "flac";
+        }
+
+        return null;
+    }
+
+    public static string GetMimeType(string format) => format switch
+    {
+        "mp3" => "audio/mpeg",
+        "wav" => "audio/wav",
+        "ogg" => "audio/ogg",
+        "webm" => "audio/webm",
+        "flac" => "audio/flac",
+        "m4b" => "audio/mp4",
+        _ => "application/octet-stream"
+    };
+
+    // Receives progress from audioMerger.mergeAudioChunks
+    public class MergeProgressCallback
+    {
+        private readonly Action<int, int> _onProgress;
+
+        public MergeProgressCallback(Action<int, int> onProgress)
+        {
+            _onProgress = onProgress;
+        }
+
+        [JSInvokable]
+        public void Invoke(int current, int total)
+        {
+            _onProgress?.Invoke(current, total);
+        }
+    }
+
+    private class AppendChunkResult
+    {
+        public int ChunkIndex { get; set; }
+        public double Duration { get; set; }
+    }
+
+    private class AudioInfo
+    {
+        public double Duration { get; set; }
+        public int SampleRate { get; set; }
+        public int NumberOfChannels { get; set; }
+    }
+
+    private class ConversionResult
+    {
+        public byte[] AudioData { get; set; } = Array.Empty<byte>();
+        public string Format { get; set; } = string.Empty;
+        public string MimeType { get; set; } = string.Empty;
     }
 }
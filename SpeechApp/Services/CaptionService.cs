@@ -0,0 +1,208 @@
+using System.Text;
+using SpeechApp.Models;
+
+namespace SpeechApp.Services;
+
+/// <summary>
+/// Builds SRT and WebVTT captions from the read-along timeline of synthesized text
+/// </summary>
+public static class CaptionService
+{
+    private static readonly char[] SentenceEnders = { '.', '!', '?', '…' };
+
+    /// <summary>
+    /// Splits the text into cues within the line, line count and duration limits. Spans covering several words
+    /// (sentences, or whole chunks for voices without word timings) share their time between the words by length.
+    /// Cues also break after each sentence and at pauses.
+    /// </summary>
+    /// <param name="text">Text the timeline refers to</param>
+    /// <param name="timeline">Spans of the text with their times, from ReadAlongService.BuildTimeline</param>
+    /// <param name="totalDuration">Length of the audio in seconds, where the last span ends</param>
+    public static List<CaptionCue> BuildCues(string text, IReadOnlyList<TextTiming> timeline, double totalDuration,
+        CaptionOptions? options = null)
+    {
+        options ??= new CaptionOptions();
+
+        var cues = new List<CaptionCue>();
+        var words = new List<(string Text, double Start, double End)>();
+
+        void AddCue()
+        {
+            if (words.Count == 0)
+            {
+                return;
+            }
+
+            cues.Add(new CaptionCue
+            {
+                Start = words[0].Start,
+                End = words[^1].End,
+                Lines = WrapLines(string.Join(' ', words.Select(word => word.Text)), options.MaxLineLength)
+            });
+            words.Clear();
+        }
+
+        foreach (var word in GetWordTimes(text, timeline, totalDuration))
+        {
+            if (words.Count > 0)
+            {
+                var previous = words[^1];
+                var candidate = string.Join(' ', words.Select(w => w.Text).Append(word.Text));
+                var previousEnd = previous.Text.TrimEnd('"', '\'', ')', '”', '’');
+                if ((previousEnd.Length > 0 && SentenceEnders.Contains(previousEnd[^1])) ||
+                    word.Start - previous.End >= options.MaxGap ||
+                    word.End - words[0].Start > options.MaxDuration ||
+                    WrapLines(candidate, options.MaxLineLength).Count > options.MaxLines)
+                {
+                    AddCue();
+                }
+            }
+
+            words.Add(word);
+        }
+
+        AddCue();
+
+        // Keep each cue between the minimum and maximum duration without overlapping the next one
+        for (int i = 0; i < cues.Count; i++)
+        {
+            var cue = cues[i];
+            var limit = i + 1 < cues.Count ? cues[i + 1].Start : Math.Max(totalDuration, cue.Start + options.MinDuration);
+
+            cue.End = Math.Min(cue.End, cue.Start + options.MaxDuration);
+            if (cue.End - cue.Start < options.MinDuration)
+            {
+                cue.End = cue.Start + options.MinDuration;
+            }
+            cue.End = Math.Max(cue.Start, Math.Min(cue.End, limit));
+        }
+
+        return cues;
+    }
+
+    public static string ToSrt(IReadOnlyList<CaptionCue> cues)
+    {
+        var srt = new StringBuilder();
+
+        for (int i = 0; i < cues.Count; i++)
+        {
+            srt.Append(i + 1).Append('\n');
+            srt.Append(FormatTime(cues[i].Start, ',')).Append(" --> ").Append(FormatTime(cues[i].End, ',')).Append('\n');
+            foreach (var line in cues[i].Lines)
+            {
+                srt.Append(line).Append('\n');
+            }
+            srt.Append('\n');
+        }
+
+        return srt.ToString();
+    }
+
+    public static string ToWebVtt(IReadOnlyList<CaptionCue> cues)
+    {
+        var vtt = new StringBuilder("WEBVTT\n\n");
+
+        foreach (var cue in cues)
+        {
+            vtt.Append(FormatTime(cue.Start, '.')).Append(" --> ").Append(FormatTime(cue.End, '.')).Append('\n');
+            foreach (var line in cue.Lines)
+            {
+                // Cue text is markup in WebVTT
+                vtt.Append(line.Replace("&", "&amp;").Replace("<", "&lt;").Replace(">", "&gt;")).Append('\n');
+            }
+            vtt.Append('\n');
+        }
+
+        return vtt.ToString();
+    }
+
+    /// <summary>
+    /// Lines of at most maxLineLength characters (longer single words get a line of their own).
+    /// Two-line text is split where the lines come out closest in length.
+    /// </summary>
+    public static List<string> WrapLines(string text, int maxLineLength)
+    {
+        var words = text.Split(' ', StringSplitOptions.RemoveEmptyEntries);
+        var lines = new List<string>();
+        var line = new StringBuilder();
+
+        foreach (var word in words)
+        {
+            if (line.Length > 0 && line.Length + 1 + word.Length > maxLineLength)
+            {
+                lines.Add(line.ToString());
+                line.Clear();
+            }
+
+            if (line.Length > 0)
+            {
+                line.Append(' ');
+            }
+            line.Append(word);
+        }
+
+        if (line.Length > 0)
+        {
+            lines.Add(line.ToString());
+        }
+
+        if (lines.Count == 2)
+        {
+            var joined = string.Join(' ', words);
+            string[]? best = null;
+
+            for (int split = joined.IndexOf(' '); split >= 0; split = joined.IndexOf(' ', split + 1))
+            {
+                var first = joined[..split];
+                var second = joined[(split + 1)..];
+                if (first.Length <= maxLineLength && second.Length <= maxLineLength &&
+                    (best == null || Math.Abs(first.Length - second.Length) < Math.Abs(best[0].Length - best[1].Length)))
+                {
+                    best = new[] { first, second };
+                }
+            }
+
+            if (best != null)
+            {
+                return best.ToList();
+            }
+        }
+
+        return lines;
+    }
+
+    // Each word of the timeline with its start and end time
+    private static IEnumerable<(string Text, double Start, double End)> GetWordTimes(string text, IReadOnlyList<TextTiming> timeline,
+        double totalDuration)
+    {
+        var spans = timeline
+            .Where(timing => timing.Length > 0 && timing.Start >= 0 && timing.Start < text.Length)
+            .OrderBy(timing => timing.Time)
+            .ToList();
+
+        for (int i = 0; i < spans.Count; i++)
+        {
+            var span = spans[i];
+            var next = i + 1 < spans.Count ? spans[i + 1].Time : Math.Max(totalDuration, span.Time);
+            var end = Math.Max(span.Time, span.End.HasValue ? Math.Min(span.End.Value, next) : next);
+
+            var spanText = text.Substring(span.Start, Math.Min(span.Length, text.Length - span.Start));
+            var spanWords = TextTimingHelper.FindWords(spanText);
+            var weight = spanWords.Sum(word => word.Length + 1);
+            var time = span.Time;
+
+            foreach (var (start, length) in spanWords)
+            {
+                var duration = (end - span.Time) * (length + 1) / weight;
+                yield return (spanText.Substring(start, length), time, time + duration);
+                time += duration;
+            }
+        }
+    }
+
+    private static string FormatTime(double seconds, char millisecondSeparator)
+    {
+        var time = TimeSpan.FromMilliseconds(Math.Round(Math.Max(0, seconds) * 1000));
+        return $"{(int)time.TotalHours:00}:{time.Minutes:00}:{time.Seconds:00}{millisecondSeparator}{time.Milliseconds:000}";
+    }
+}
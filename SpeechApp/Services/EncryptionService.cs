@@ -36,11 +36,11 @@ public class EncryptionService : IEncryptionService
         if (string.IsNullOrEmpty(_salt))
         {
             // First time setup - generate new salt
-            _salt = await _jsRuntime.InvokeAsync<string>("cryptoHelper.generateSalt");
+            _salt = await GenerateSaltAsync();
             await _localStorage.SetItemAsStringAsync(SALT_KEY, _salt);
 
             // Hash and store password for future validation
-            var passwordHash = await _jsRuntime.InvokeAsync<string>("cryptoHelper.hashPassword", masterPassword, _salt);
+            var passwordHash = await HashPasswordAsync(masterPassword, _salt);
             await _localStorage.SetItemAsStringAsync(PASSWORD_HASH_KEY, passwordHash);
         }
         else
@@ -73,7 +73,8 @@ public class EncryptionService : IEncryptionService
         {
             // Convert salt from base64 to byte array for JS
             var saltBytes = Convert.FromBase64String(_salt);
-            return await _jsRuntime.InvokeAsync<string>("cryptoHelper.encrypt", plaintext, masterPassword, saltBytes);
+            var encrypted = await _jsRuntime.InvokeAsync<byte[]>("cryptoHelper.encrypt", plaintext, masterPassword, saltBytes);
+            return Convert.ToBase64String(encrypted);
         }
         catch (Exception ex)
         {
@@ -98,7 +99,8 @@ public class EncryptionService : IEncryptionService
         {
             // Convert salt from base64 to byte array for JS
             var saltBytes = Convert.FromBase64String(_salt);
-            return await _jsRuntime.InvokeAsync<string>("cryptoHelper.decrypt", ciphertext, masterPassword, saltBytes);
+            var encrypted = Convert.FromBase64String(ciphertext);
+            return await _jsRuntime.InvokeAsync<string>("cryptoHelper.decrypt", encrypted, masterPassword, saltBytes);
         }
         catch (Exception ex)
         {
@@ -123,7 +125,7 @@ public class EncryptionService : IEncryptionService
             return false;
         }
 
-        var computedHash = await _jsRuntime.InvokeAsync<string>("cryptoHelper.hashPassword", password, _salt);
+        var computedHash = await HashPasswordAsync(password, _salt);
         return storedHash == computedHash;
     }
 
@@ -142,10 +144,10 @@ public class EncryptionService : IEncryptionService
         }
 
         // Generate new salt
-        var newSalt = await _jsRuntime.InvokeAsync<string>("cryptoHelper.generateSalt");
+        var newSalt = await GenerateSaltAsync();
 
         // Hash new password
-        var newPasswordHash = await _jsRuntime.InvokeAsync<string>("cryptoHelper.hashPassword", newPassword, newSalt);
+        var newPasswordHash = await HashPasswordAsync(newPassword, newSalt);
 
         // TODO: Re-encrypt all stored API keys with new password
         // This requires getting all encrypted keys, decrypting with old password,
@@ -159,4 +161,15 @@ public class EncryptionService : IEncryptionService
         _salt = newSalt;
         _appState.SetMasterPassword(newPassword);
     }
+
+    // Salt and hash come back from JS as bytes and are kept in local storage as base64
+    private async Task<string> GenerateSaltAsync()
+    {
+        return Convert.ToBase64String(await _jsRuntime.InvokeAsync<byte[]>("cryptoHelper.generateSalt"));
+    }
+
+    private async Task<string> HashPasswordAsync(string password, string salt)
+    {
+        return Convert.ToBase64String(await _jsRuntime.InvokeAsync<byte[]>("cryptoHelper.hashPassword", password, salt));
+    }
 }
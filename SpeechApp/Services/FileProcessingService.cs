@@ -21,16 +21,21 @@ public class FileProcessingService : IFileProcessingService
     }
 
     public async Task<FileProcessingResult> ProcessFileAsync(IBrowserFile file, bool enableOCR = false, CancellationToken cancellationToken = default)
+    {
+        return await ProcessFileAsync(file, new FileProcessingOptions { EnableOcr = enableOCR }, cancellationToken);
+    }
+
+    public async Task<FileProcessingResult> ProcessFileAsync(IBrowserFile file, FileProcessingOptions options, CancellationToken cancellationToken = default)
     {
         var extension = Path.GetExtension(file.Name).ToLowerInvariant();
 
         if (extension == ".pdf")
         {
-            return await _pdfProcessor.ProcessFileAsync(file, enableOCR, cancellationToken);
+            return await _pdfProcessor.ProcessFileAsync(file, options, cancellationToken);
         }
         else
         {
-            return await _textProcessor.ProcessFileAsync(file, enableOCR, cancellationToken);
+            return await _textProcessor.ProcessFileAsync(file, options, cancellationToken);
         }
     }
 
@@ -1,3 +1,5 @@
+using SpeechApp.Models;
+
 namespace SpeechApp.Services.Interfaces;
 
 public interface IAudioService
@@ -7,18 +9,94 @@ public interface IAudioService
     /// </summary>
     Task<byte[]> MergeAudioChunksAsync(List<byte[]> chunks, string format = "mp3");
 
+    /// <summary>
+    /// Merges multiple audio chunks and reports the encoded format and chunk durations
+    /// </summary>
+    Task<AudioMergeResult> MergeAudioChunksAsync(List<byte[]> chunks, AudioMergeOptions options);
+
+    /// <summary>
+    /// Merges multiple audio chunks and locates the given chapters (chunk ranges) in the merged audio.
+    /// MP3 output carries the chapters as ID3v2 CHAP/CTOC frames. Boundaries give the break before each
+    /// chunk and select the paragraph or chapter pause from the options.
+    /// Raises OnMergeProgress as chunks are decoded; cancelling stops the merge in the browser.
+    /// </summary>
+    Task<AudioMergeResult> MergeAudioChunksAsync(List<byte[]> chunks, AudioMergeOptions options, List<AudioChapter> chapters,
+        List<TextChunkBoundary>? boundaries = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Starts an incremental merge. Chunks added with AppendChunkAsync are encoded as they arrive and kept in
+    /// browser storage, so a long document is never held in memory as a whole.
+    /// </summary>
+    /// <param name="expectedChunks">Number of chunks that will be appended, the total reported by OnMergeProgress</param>
+    /// <returns>Merge id for AppendChunkAsync, FinalizeMergeAsync and AbortMergeAsync</returns>
+    Task<string> BeginMergeAsync(AudioMergeOptions options, List<AudioChapter> chapters, int expectedChunks = 0);
+
+    /// <summary>
+    /// Adds the next chunk to an incremental merge; the boundary is the break before the chunk.
+    /// Raises OnMergeProgress once the chunk is merged; cancelling aborts the whole merge.
+    /// </summary>
+    Task AppendChunkAsync(string mergeId, byte[] chunk, TextChunkBoundary boundary = TextChunkBoundary.Sentence,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Finishes an incremental merge. The result carries a Blob URL (AudioUrl) instead of AudioData;
+    /// release it with ReleaseMergedAudioAsync once the audio is no longer needed. Cancelling aborts the merge.
+    /// </summary>
+    Task<AudioMergeResult> FinalizeMergeAsync(string mergeId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Abandons an incremental merge and deletes what it has stored
+    /// </summary>
+    Task AbortMergeAsync(string mergeId);
+
+    /// <summary>
+    /// Revokes a Blob URL from FinalizeMergeAsync (deleting the stored audio behind it) or ConvertMergedAudioAsync
+    /// </summary>
+    Task ReleaseMergedAudioAsync(string audioUrl);
+
+    /// <summary>
+    /// Converts the audio behind a Blob URL from FinalizeMergeAsync in the browser, to a format of
+    /// ConvertAudioFormatAsync or to an "m4b" audiobook with the chapters and tags. The audio never passes
+    /// through .NET; the result is another Blob URL, to release with ReleaseMergedAudioAsync.
+    /// </summary>
+    Task<string> ConvertMergedAudioAsync(string audioUrl, string toFormat, AudioMergeOptions options,
+        List<AudioChapter> chapters, AudioTags tags);
+
     /// <summary>
     /// Converts audio from one format to another
     /// </summary>
     Task<byte[]> ConvertAudioFormatAsync(byte[] audioData, string fromFormat, string toFormat);
 
     /// <summary>
-    /// Adds ID3 tags to MP3 file
+    /// Converts audio from one format to another using the given encoder settings
+    /// </summary>
+    Task<byte[]> ConvertAudioFormatAsync(byte[] audioData, string fromFormat, string toFormat, AudioMergeOptions options);
+
+    /// <summary>
+    /// Adds ID3v2.4 tags to MP3 file, replacing any existing ID3v2 tag.
+    /// Keys are the AudioTags key constants (title, artist, album, track, year, comment, coverArt, coverArtMimeType).
     /// </summary>
     Task<byte[]> AddId3TagsAsync(byte[] mp3Data, Dictionary<string, string> tags);
 
     /// <summary>
-    /// Event raised when merge progress changes
+    /// Adds ID3v2.4 tags plus CHAP/CTOC chapter frames built from the chapters' start and end times
+    /// </summary>
+    Task<byte[]> AddId3TagsAsync(byte[] mp3Data, Dictionary<string, string> tags, List<AudioChapter> chapters);
+
+    /// <summary>
+    /// Reads ID3v2.3/2.4 tags from MP3 file using the same keys as AddId3TagsAsync
+    /// </summary>
+    Task<Dictionary<string, string>> ReadId3TagsAsync(byte[] mp3Data);
+
+    /// <summary>
+    /// Creates an M4B audiobook with chapter markers, metadata and cover art.
+    /// Audio is encoded to AAC where the browser supports it, otherwise stored as MP3 in the MP4 container.
+    /// </summary>
+    Task<byte[]> CreateAudiobookAsync(byte[] audioData, List<AudioChapter> chapters, AudioTags tags, AudioMergeOptions options);
+
+    /// <summary>
+    /// Event raised when merge progress changes, with the steps done and the total:
+    /// chunks merged so far for an incremental merge, decoded chunks plus the final encode for MergeAudioChunksAsync
     /// </summary>
     event Action<int, int>? OnMergeProgress;
 }
@@ -5,10 +5,16 @@ namespace SpeechApp.Services.Interfaces;
 public interface IFileProcessingService
 {
     /// <summary>
-    /// Processes an uploaded file and extracts text with metadata
+    /// Processes an uploaded file and extracts text with metadata. With enableOCR, the text of scanned PDF pages
+    /// is recognized in the browser and merged into the extracted text.
     /// </summary>
     Task<FileProcessingResult> ProcessFileAsync(IBrowserFile file, bool enableOCR = false, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Processes an uploaded file with PDF options such as the pages to extract; other files ignore them
+    /// </summary>
+    Task<FileProcessingResult> ProcessFileAsync(IBrowserFile file, FileProcessingOptions options, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Validates file size and type
     /// </summary>
@@ -25,6 +31,25 @@ public interface IFileProcessingService
     event Action<int>? OnProgress;
 }
 
+public class FileProcessingOptions
+{
+    /// <summary>
+    /// Recognize the text of scanned PDF pages with OCR
+    /// </summary>
+    public bool EnableOcr { get; set; }
+
+    /// <summary>
+    /// PDF pages to extract, e.g. "12-48, 60" ("70-" runs to the last page); all pages when empty
+    /// </summary>
+    public string? PageRanges { get; set; }
+
+    /// <summary>
+    /// Look for images on each PDF page to tell scanned pages. Turning it off reads large documents faster;
+    /// scanned pages are then told by their lack of text.
+    /// </summary>
+    public bool ScanImages { get; set; } = true;
+}
+
 public class FileProcessingResult
 {
     public bool Success { get; set; }
@@ -33,6 +58,37 @@ public class FileProcessingResult
     public FileMetadata? Metadata { get; set; }
     public List<Chapter>? Chapters { get; set; }
     public bool IsScanned { get; set; }
+
+    /// <summary>
+    /// Running headers, footers and page numbers left out of the extracted text, in document order
+    /// </summary>
+    public List<RemovedLine>? RemovedLines { get; set; }
+
+    /// <summary>
+    /// Number of scanned pages whose text was recognized with OCR
+    /// </summary>
+    public int OcrPageCount { get; set; }
+
+    /// <summary>
+    /// Why OCR stopped, when it failed; the pages recognized until then are kept
+    /// </summary>
+    public string? OcrErrorMessage { get; set; }
+}
+
+public class RemovedLine
+{
+    public int Page { get; set; }
+    public string Text { get; set; } = string.Empty;
+
+    /// <summary>
+    /// "header" or "footer"
+    /// </summary>
+    public string Position { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Where the line was in the extracted text: the start of its page's text for headers, the end for footers
+    /// </summary>
+    public int Offset { get; set; }
 }
 
 public class FileMetadata
@@ -40,6 +96,11 @@ public class FileMetadata
     public string? Title { get; set; }
     public string? Author { get; set; }
     public int PageCount { get; set; }
+
+    /// <summary>
+    /// The PDF pages extracted (e.g. "12-48"), when not all of them
+    /// </summary>
+    public string? SelectedPages { get; set; }
     public long FileSizeBytes { get; set; }
     public string? FileType { get; set; }
     public DateTime ProcessedDate { get; set; }
@@ -53,4 +114,16 @@ public class Chapter
     public int StartPosition { get; set; }
     public int EndPosition { get; set; }
     public string? Preview { get; set; }
+
+    // Nesting in the document's outline, 1 for top-level chapters; a chapter's range includes those nested in it
+    public int Level { get; set; } = 1;
+}
+
+/// <summary>
+/// A PDF opened in the browser for rendering page thumbnails
+/// </summary>
+public class PdfDocumentInfo
+{
+    public int DocumentId { get; set; }
+    public int PageCount { get; set; }
 }
@@ -1,3 +1,5 @@
+using SpeechApp.Models;
+
 namespace SpeechApp.Services.Interfaces;
 
 public interface ITextChunkingService
@@ -7,6 +9,18 @@ public interface ITextChunkingService
     /// </summary>
     List<string> ChunkText(string text, int maxChunkSize, bool respectSentences = true);
 
+    /// <summary>
+    /// Splits text like ChunkText and records whether each chunk follows a sentence or a paragraph break
+    /// </summary>
+    List<TextChunk> ChunkTextWithBoundaries(string text, int maxChunkSize);
+
+    /// <summary>
+    /// Splits text into chunks that never span a chapter boundary, so each chapter starts on a new chunk.
+    /// Text before the first chapter is chunked with a null chapter number, and the first chunk
+    /// of each chapter is marked with a chapter boundary.
+    /// </summary>
+    List<TextChunk> ChunkTextByChapters(string text, IReadOnlyList<Chapter> chapters, int maxChunkSize);
+
     /// <summary>
     /// Estimates the number of chunks for a given text and provider
     /// </summary>
@@ -1,3 +1,5 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Components.Forms;
 using Microsoft.JSInterop;
 using SpeechApp.Models;
 using SpeechApp.Services.Interfaces;
@@ -14,6 +16,66 @@ public class PiperVoiceInfo
     public string Gender { get; set; } = string.Empty;
     public string Quality { get; set; } = string.Empty;
     public long SizeBytes { get; set; }
+    public bool Imported { get; set; }
+}
+
+// Outcome of importing a voice model from local files
+public class PiperImportResult
+{
+    public bool Success { get; set; }
+    public PiperVoiceInfo? Voice { get; set; }
+    public string? ErrorMessage { get; set; }
+}
+
+// DTO for a speaker of a multi-speaker Piper model
+public class PiperSpeaker
+{
+    public string Name { get; set; } = string.Empty;
+    public int Id { get; set; }
+}
+
+// DTO for the inference defaults in a Piper model's .onnx.json
+public class PiperInferenceDefaults
+{
+    public double NoiseScale { get; set; }
+    public double NoiseW { get; set; }
+}
+
+// Voice and inference settings passed to piperTTS.synthesize; unset values use the model's defaults
+public class PiperSynthesisSettings
+{
+    public string ModelId { get; set; } = string.Empty;
+    public double Speed { get; set; } = 1.0;
+    public double? LengthScale { get; set; }
+    public double? NoiseScale { get; set; }
+    public double? NoiseW { get; set; }
+    public int? SpeakerId { get; set; }
+    public double? SentenceSilence { get; set; }
+}
+
+// DTO for piperTTS.getDiagnostics
+public class PiperDiagnostics
+{
+    public bool RuntimeAvailable { get; set; }
+    public string VoiceRepository { get; set; } = string.Empty;
+    public bool WorkerSupported { get; set; }
+    public bool WebAssemblySupported { get; set; }
+    public bool SimdSupported { get; set; }
+    public bool FileSystemSupported { get; set; }
+    public int CpuCores { get; set; }
+    public double DeviceMemoryGb { get; set; }
+    public long StorageUsage { get; set; }
+    public long StorageQuota { get; set; }
+    public List<string> DownloadedModels { get; set; } = new();
+    public PiperError? LastError { get; set; }
+}
+
+// A failed synthesis as reported by piperTTS
+public class PiperError
+{
+    public string Code { get; set; } = string.Empty;
+    public string Message { get; set; } = string.Empty;
+    public DateTime? Time { get; set; }
 }
 
 public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
@@ -21,10 +83,44 @@ public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
     private readonly IJSRuntime _jsRuntime;
     private readonly IStorageService _storageService;
     private List<OfflineVoiceModel>? _downloadedModels;
+    private bool _voiceRepositoryApplied;
 
     private const string PROVIDER_ID = "piper";
     private const int MAX_CHARACTERS = 5000;
     private const string STORAGE_KEY = "piper_downloaded_models";
+    private const string VOICE_REPOSITORY_KEY = "piper_voice_repository";
+    private const long MAX_IMPORT_MODEL_SIZE = 300 * 1024 * 1024; // 300 MB
+    private const long MAX_IMPORT_CONFIG_SIZE = 1024 * 1024; // 1 MB
+
+    // VoiceConfig.ProviderSpecificOptions keys for the inference settings
+    public const string OPTION_LENGTH_SCALE = "length_scale";
+    public const string OPTION_NOISE_SCALE = "noise_scale";
+    public const string OPTION_NOISE_W = "noise_w";
+    public const string OPTION_SPEAKER_ID = "speaker_id";
+    public const string OPTION_SENTENCE_SILENCE = "sentence_silence";
+
+    // Error codes piperTTS.synthesize fails with; its error messages start with the code
+    public const string ERROR_UNSUPPORTED_BROWSER = "UNSUPPORTED_BROWSER";
+    public const string ERROR_LIBRARY_NOT_LOADED = "LIBRARY_NOT_LOADED";
+    public const string ERROR_MODEL_MISSING = "MODEL_MISSING";
+    public const string ERROR_INFERENCE_FAILED = "INFERENCE_FAILED";
+    public const string ERROR_OUT_OF_MEMORY = "OUT_OF_MEMORY";
+
+    private static readonly Dictionary<string, string> ErrorDescriptions = new()
+    {
+        [ERROR_UNSUPPORTED_BROWSER] = "This browser cannot run Piper voices.",
+        [ERROR_LIBRARY_NOT_LOADED] = "The Piper speech engine could not be loaded or failed its integrity check. Reload the page; if it persists, reinstall the app.",
+        [ERROR_MODEL_MISSING] = "This voice model is not downloaded. Download it from the Offline Mode page.",
+        [ERROR_INFERENCE_FAILED] = "Piper could not synthesize this text.",
+        [ERROR_OUT_OF_MEMORY] = "The browser ran out of memory running this voice. Try a lower quality voice, shorter text or closing other tabs."
+    };
+
+    private static readonly Regex ErrorCodePattern = new(@"^(?<code>[A-Z_]+): (?<detail>[^\r\n]*)", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Raised after each sentence of a synthesis with (sentences done, sentence count)
+    /// </summary>
+    public event Action<int, int>? OnSynthesisProgress;
 
     public PiperTTSService(IJSRuntime jsRuntime, IStorageService storageService)
     {
@@ -140,17 +236,38 @@ public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
 
         var startTime = DateTime.UtcNow;
 
+        var jobId = Guid.NewGuid().ToString();
+        using var progressCallback = DotNetObjectReference.Create(new SynthesisProgressCallback((current, total) =>
+        {
+            OnSynthesisProgress?.Invoke(current, total);
+        }));
+
         try
         {
-            // Call JavaScript interop for Piper WASM
-            var audioBase64 = await _jsRuntime.InvokeAsync<string>(
-                "piperTTS.synthesize",
-                cancellationToken,
-                text,
-                config.VoiceId
-            );
+            // Inference runs in a worker in the browser; cancelling stops it before the next sentence,
+            // which the JS interop call alone would not
+            await using var registration = cancellationToken.Register(() =>
+                _ = _jsRuntime.InvokeVoidAsync("piperTTS.cancelSynthesis", jobId).AsTask());
+
+            byte[] audioData;
+            try
+            {
+                // Call JavaScript interop for Piper WASM (the WAV comes back as binary)
+                audioData = await _jsRuntime.InvokeAsync<byte[]>(
+                    "piperTTS.synthesize",
+                    cancellationToken,
+                    text,
+                    GetSynthesisSettings(config),
+                    progressCallback,
+                    jobId
+                );
+            }
+            catch (JSException) when (cancellationToken.IsCancellationRequested)
+            {
+                throw new OperationCanceledException(cancellationToken);
+            }
 
-            if (string.IsNullOrEmpty(audioBase64))
+            if (audioData == null || audioData.Length == 0)
             {
                 return new SynthesisResult
                 {
@@ -159,7 +276,6 @@ public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
                 };
             }
 
-            var audioData = Convert.FromBase64String(audioBase64);
             var duration = DateTime.UtcNow - startTime;
 
             return new SynthesisResult
@@ -171,7 +287,15 @@ public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
                 Duration = duration
             };
         }
-        catch (Exception ex)
+        catch (JSException ex)
+        {
+            return new SynthesisResult
+            {
+                Success = false,
+                ErrorMessage = DescribeError(ex.Message)
+            };
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
         {
             return new SynthesisResult
             {
@@ -181,12 +305,127 @@ public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
         }
     }
 
+    /// <summary>
+    /// Browser support, storage and the last synthesis failure, for troubleshooting offline synthesis
+    /// </summary>
+    public async Task<PiperDiagnostics> GetDiagnosticsAsync()
+    {
+        return await _jsRuntime.InvokeAsync<PiperDiagnostics>("piperTTS.getDiagnostics");
+    }
+
+    /// <summary>
+    /// Why this browser cannot run Piper voices (e.g. no WebAssembly SIMD), or null when it can
+    /// </summary>
+    public async Task<string?> GetUnsupportedReasonAsync()
+    {
+        return await _jsRuntime.InvokeAsync<string?>("piperTTS.getUnsupportedReason");
+    }
+
+    /// <summary>
+    /// User-facing message for a piperTTS error message, keeping its code and detail for support
+    /// </summary>
+    public static string DescribeError(string message)
+    {
+        var match = ErrorCodePattern.Match(message);
+        if (match.Success && ErrorDescriptions.TryGetValue(match.Groups["code"].Value, out var description))
+        {
+            return $"{description} ({match.Groups["code"].Value}: {match.Groups["detail"].Value})";
+        }
+
+        return $"Piper TTS synthesis failed: {message}";
+    }
+
     public int GetMaxCharacterLimit() => MAX_CHARACTERS;
 
+    /// <summary>
+    /// Base URL voices are downloaded from, or null for the default (the Hugging Face mirror of piper-voices)
+    /// </summary>
+    public async Task<string?> GetVoiceRepositoryAsync()
+    {
+        return await _storageService.GetPreferenceAsync<string>(VOICE_REPOSITORY_KEY);
+    }
+
+    /// <summary>
+    /// Downloads voices from another repository with the piper-voices layout: an internal mirror, or a folder
+    /// served with the app (e.g. "voices/" for wwwroot/voices). Null or empty restores the default.
+    /// </summary>
+    public async Task SetVoiceRepositoryAsync(string? url)
+    {
+        url = string.IsNullOrWhiteSpace(url) ? null : url.Trim();
+        await _storageService.SetPreferenceAsync(VOICE_REPOSITORY_KEY, url);
+        await _jsRuntime.InvokeVoidAsync("piperTTS.setVoiceRepository", url);
+        _voiceRepositoryApplied = true;
+    }
+
+    // piperTTS starts with the default repository; apply the saved one before the first voice list or download
+    private async Task EnsureVoiceRepositoryAsync()
+    {
+        if (_voiceRepositoryApplied)
+        {
+            return;
+        }
+
+        await _jsRuntime.InvokeVoidAsync("piperTTS.setVoiceRepository", await GetVoiceRepositoryAsync());
+        _voiceRepositoryApplied = true;
+    }
+
+    /// <summary>
+    /// Speakers of a downloaded multi-speaker model (from its speaker_id_map); empty for single-speaker models
+    /// </summary>
+    public async Task<List<PiperSpeaker>> GetSpeakersAsync(string modelId)
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<List<PiperSpeaker>>("piperTTS.getSpeakers", modelId) ?? new List<PiperSpeaker>();
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error loading Piper speakers: {ex.Message}");
+            return new List<PiperSpeaker>();
+        }
+    }
+
+    /// <summary>
+    /// Noise scales a downloaded model is synthesized with unless they are overridden; null if it cannot be read
+    /// </summary>
+    public async Task<PiperInferenceDefaults?> GetInferenceDefaultsAsync(string modelId)
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<PiperInferenceDefaults?>("piperTTS.getInferenceDefaults", modelId);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error loading Piper inference defaults: {ex.Message}");
+            return null;
+        }
+    }
+
+    // Speed shortens or lengthens phonemes (Piper's length scale); pitch and volume have no Piper equivalent
+    private static PiperSynthesisSettings GetSynthesisSettings(VoiceConfig config)
+    {
+        var options = config.ProviderSpecificOptions;
+        double? GetDouble(string key) =>
+            options != null && options.TryGetValue(key, out var value) && value != null ? Convert.ToDouble(value) : null;
+
+        return new PiperSynthesisSettings
+        {
+            ModelId = config.VoiceId,
+            Speed = config.Speed > 0 ? config.Speed : 1.0,
+            LengthScale = GetDouble(OPTION_LENGTH_SCALE),
+            NoiseScale = GetDouble(OPTION_NOISE_SCALE),
+            NoiseW = GetDouble(OPTION_NOISE_W),
+            SpeakerId = GetDouble(OPTION_SPEAKER_ID) is double speakerId ? (int)speakerId : null,
+            SentenceSilence = GetDouble(OPTION_SENTENCE_SILENCE)
+        };
+    }
+
     public async Task<bool> DownloadModelAsync(string modelId, Action<int>? progress = null, CancellationToken cancellationToken = default)
     {
         try
         {
+            await EnsureVoiceRepositoryAsync();
+
             // Create progress callback for JavaScript
             var progressCallback = DotNetObjectReference.Create(new ProgressCallback(prog =>
             {
@@ -232,6 +471,51 @@ public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
         }
     }
 
+    /// <summary>
+    /// Imports a voice that is not in the voice repository (e.g. custom-trained) from its .onnx model and
+    /// .onnx.json config. The files are checked to be a Piper voice this runtime can run; the voice is then
+    /// listed with the downloaded ones, under the model file's name.
+    /// </summary>
+    public async Task<PiperImportResult> ImportModelAsync(IBrowserFile modelFile, IBrowserFile configFile)
+    {
+        if (modelFile.Size > MAX_IMPORT_MODEL_SIZE)
+        {
+            return new PiperImportResult
+            {
+                Success = false,
+                ErrorMessage = $"The model exceeds the maximum size of {MAX_IMPORT_MODEL_SIZE / (1024 * 1024)} MB"
+            };
+        }
+
+        try
+        {
+            // The files are streamed to JS and written to browser storage there, not copied into .NET
+            using var modelStream = new DotNetStreamReference(modelFile.OpenReadStream(MAX_IMPORT_MODEL_SIZE));
+            using var configStream = new DotNetStreamReference(configFile.OpenReadStream(MAX_IMPORT_CONFIG_SIZE));
+
+            var voice = await _jsRuntime.InvokeAsync<PiperVoiceInfo>(
+                "piperTTS.importModel",
+                modelStream,
+                configStream,
+                modelFile.Name
+            );
+
+            _downloadedModels = null;
+            await _storageService.SetPreferenceAsync("piper_models_updated", DateTime.UtcNow.Ticks.ToString());
+
+            return new PiperImportResult { Success = true, Voice = voice };
+        }
+        catch (JSException ex)
+        {
+            // The message is followed by the JS stack
+            return new PiperImportResult { Success = false, ErrorMessage = ex.Message.Split('\n')[0] };
+        }
+        catch (Exception ex)
+        {
+            return new PiperImportResult { Success = false, ErrorMessage = $"Could not import the model: {ex.Message}" };
+        }
+    }
+
     public async Task<bool> RemoveModelAsync(string modelId)
     {
         try
@@ -259,9 +543,11 @@ public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
 
     public async Task<List<OfflineVoiceModel>> GetAvailableModelsAsync()
     {
-        // Fetch available voices from the Piper library dynamically
+        // Fetch available voices from the voice repository dynamically
         try
         {
+            await EnsureVoiceRepositoryAsync();
+
             var voices = await _jsRuntime.InvokeAsync<List<PiperVoiceInfo>>("piperTTS.getAvailableVoices");
 
             if (voices == null || voices.Count == 0)
@@ -277,7 +563,8 @@ public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
                 Quality = v.Quality,
                 SizeBytes = v.SizeBytes,
                 Provider = PROVIDER_ID,
-                Description = $"{v.Name} - {v.Quality} quality"
+                Description = v.Imported ? $"{v.Name} - imported, {v.Quality} quality" : $"{v.Name} - {v.Quality} quality",
+                Metadata = new Dictionary<string, object> { ["Imported"] = v.Imported }
             }).ToList();
         }
         catch (Exception ex)
@@ -499,4 +786,21 @@ public class PiperTTSService : ITTSProvider, IOfflineTTSProvider
             _onProgress?.Invoke(progress);
         }
     }
+
+    // Progress of a synthesis, called from JavaScript after each sentence
+    public class SynthesisProgressCallback
+    {
+        private readonly Action<int, int> _onProgress;
+
+        public SynthesisProgressCallback(Action<int, int> onProgress)
+        {
+            _onProgress = onProgress;
+        }
+
+        [JSInvokable]
+        public void Invoke(int current, int total)
+        {
+            _onProgress?.Invoke(current, total);
+        }
+    }
 }
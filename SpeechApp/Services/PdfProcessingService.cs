@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Components.Forms;
 using Microsoft.JSInterop;
 using SpeechApp.Services.Interfaces;
 using System.Text.Json;
+using System.Text.RegularExpressions;
 
 namespace SpeechApp.Services;
 
@@ -18,7 +19,12 @@ public class PdfProcessingService : IFileProcessingService
         _jsRuntime = jsRuntime;
     }
 
-    public async Task<FileProcessingResult> ProcessFileAsync(IBrowserFile file, bool enableOCR = false, CancellationToken cancellationToken = default)
+    public Task<FileProcessingResult> ProcessFileAsync(IBrowserFile file, bool enableOCR = false, CancellationToken cancellationToken = default)
+    {
+        return ProcessFileAsync(file, new FileProcessingOptions { EnableOcr = enableOCR }, cancellationToken);
+    }
+
+    public async Task<FileProcessingResult> ProcessFileAsync(IBrowserFile file, FileProcessingOptions options, CancellationToken cancellationToken = default)
     {
         try
         {
@@ -34,33 +40,16 @@ public class PdfProcessingService : IFileProcessingService
                 };
             }
 
-            OnProgress?.Invoke(10);
-
-            // Read file bytes
-            byte[] fileBytes;
-            try
-            {
-                using var stream = file.OpenReadStream(MAX_FILE_SIZE, cancellationToken);
-                using var memoryStream = new MemoryStream();
-                await stream.CopyToAsync(memoryStream, cancellationToken);
-                fileBytes = memoryStream.ToArray();
-            }
-            catch (Exception ex) when (ex.Message.Contains("_blazorFilesById") ||
-                                       ex.Message.Contains("exceeded the maximum") ||
-                                       ex.Message.Contains("size limit"))
+            // Checked before the file is read, so a typo is reported as such
+            if (!ValidatePageRanges(options.PageRanges, out errorMessage))
             {
                 return new FileProcessingResult
                 {
                     Success = false,
-                    ErrorMessage = $"Unable to read file. This may be due to file size exceeding {MAX_FILE_SIZE / (1024 * 1024)} MB or browser limitations. Please try with a smaller file or try uploading again."
+                    ErrorMessage = errorMessage
                 };
             }
 
-            OnProgress?.Invoke(20);
-
-            // Convert to base64 for JavaScript
-            var base64Data = Convert.ToBase64String(fileBytes);
-
             OnProgress?.Invoke(25);
 
             // Create progress callback for JavaScript
@@ -70,18 +59,49 @@ public class PdfProcessingService : IFileProcessingService
                 OnProgress?.Invoke(adjustedProgress);
             }));
 
-            // Extract text using PDF.js
-            var result = await _jsRuntime.InvokeAsync<PdfExtractionResult>(
-                "pdfHelper.extractText",
-                cancellationToken,
-                base64Data,
-                progressCallback
-            );
+            // Extract text using PDF.js; the file is streamed to JS as binary rather than copied into .NET first.
+            // Cancelling also stops the extraction (and OCR) in the browser, which the JS interop call alone would not.
+            var jobId = Guid.NewGuid().ToString();
+            await using var registration = cancellationToken.Register(() =>
+                _ = _jsRuntime.InvokeVoidAsync("pdfHelper.cancelExtraction", jobId).AsTask());
 
-            progressCallback.Dispose();
+            PdfExtractionResult result;
+            try
+            {
+                using var fileStream = new DotNetStreamReference(file.OpenReadStream(MAX_FILE_SIZE, cancellationToken));
+                result = await _jsRuntime.InvokeAsync<PdfExtractionResult>(
+                    "pdfHelper.extractText",
+                    cancellationToken,
+                    fileStream,
+                    progressCallback,
+                    new
+                    {
+                        ocr = options.EnableOcr,
+                        pages = ParseRanges(options.PageRanges)?.Select(range => new { start = range.Start, end = range.End }),
+                        scanImages = options.ScanImages
+                    },
+                    jobId
+                );
+            }
+            catch (Exception ex) when (ex.Message.Contains("_blazorFilesById") ||
+                                       ex.Message.Contains("exceeded the maximum") ||
+                                       ex.Message.Contains("size limit"))
+            {
+                return new FileProcessingResult
+                {
+                    Success = false,
+                    ErrorMessage = $"Unable to read file. This may be due to file size exceeding {MAX_FILE_SIZE / (1024 * 1024)} MB or browser limitations. Please try with a smaller file or try uploading again."
+                };
+            }
+            finally
+            {
+                progressCallback.Dispose();
+            }
 
             OnProgress?.Invoke(90);
 
+            cancellationToken.ThrowIfCancellationRequested();
+
             if (!result.Success)
             {
                 return new FileProcessingResult
@@ -91,8 +111,8 @@ public class PdfProcessingService : IFileProcessingService
                 };
             }
 
-            // Get metadata
-            var metadata = await GetPdfMetadataAsync(base64Data, cancellationToken);
+            // Document info comes back with the extraction result
+            var metadata = result.Metadata;
 
             OnProgress?.Invoke(95);
 
@@ -103,7 +123,8 @@ public class PdfProcessingService : IFileProcessingService
                 Title = c.Title ?? string.Empty,
                 StartPosition = c.StartPosition,
                 EndPosition = c.EndPosition,
-                Preview = c.Preview
+                Preview = c.Preview,
+                Level = Math.Max(1, c.Level)
             }).ToList();
 
             OnProgress?.Invoke(100);
@@ -114,6 +135,9 @@ public class PdfProcessingService : IFileProcessingService
                 ExtractedText = result.Text,
                 IsScanned = result.IsScanned,
                 Chapters = chapters,
+                RemovedLines = result.RemovedLines,
+                OcrPageCount = result.OcrPageCount,
+                OcrErrorMessage = result.OcrError,
                 Metadata = new FileMetadata
                 {
                     Title = metadata?.Title ?? Path.GetFileNameWithoutExtension(file.Name),
@@ -121,11 +145,12 @@ public class PdfProcessingService : IFileProcessingService
                     FileSizeBytes = file.Size,
                     FileType = ".pdf",
                     ProcessedDate = DateTime.UtcNow,
-                    PageCount = result.Metadata?.PageCount ?? 0
+                    PageCount = metadata?.PageCount ?? 0,
+                    SelectedPages = result.SelectedPages?.Count > 0 ? FormatPageRanges(result.SelectedPages) : null
                 }
             };
         }
-        catch (Exception ex)
+        catch (Exception ex) when (ex is not OperationCanceledException)
         {
             return new FileProcessingResult
             {
@@ -157,43 +182,195 @@ public class PdfProcessingService : IFileProcessingService
         return true;
     }
 
-    public async Task<bool> IsScannedPdfAsync(IBrowserFile file)
+    /// <summary>
+    /// Puts removed header/footer lines back into the result's text, each as its own paragraph where it was
+    /// removed, and moves the chapter positions and the offsets of the lines still removed after them.
+    /// The restored lines are taken off RemovedLines.
+    /// </summary>
+    public static void RestoreRemovedLines(FileProcessingResult result, IReadOnlyCollection<RemovedLine> lines)
     {
-        try
+        var text = result.ExtractedText ?? string.Empty;
+        var removed = result.RemovedLines ?? new List<RemovedLine>();
+
+        // From the end, so earlier offsets stay valid; lines at the same offset keep their order
+        foreach (var line in lines.OrderByDescending(l => l.Offset).ThenByDescending(l => removed.IndexOf(l)))
         {
-            using var stream = file.OpenReadStream(MAX_FILE_SIZE);
-            using var memoryStream = new MemoryStream();
-            await stream.CopyToAsync(memoryStream);
-            var fileBytes = memoryStream.ToArray();
-            var base64Data = Convert.ToBase64String(fileBytes);
+            var offset = Math.Clamp(line.Offset, 0, text.Length);
+            var insert = (offset > 0 && text[offset - 1] != '\n' ? "\n\n" : string.Empty) +
+                         line.Text +
+                         (offset < text.Length && text[offset] != '\n' ? "\n\n" : string.Empty);
+            text = text.Insert(offset, insert);
 
-            var result = await _jsRuntime.InvokeAsync<PdfExtractionResult>(
-                "pdfHelper.extractText",
-                base64Data,
-                null
-            );
+            foreach (var chapter in result.Chapters ?? new List<Chapter>())
+            {
+                if (chapter.StartPosition >= offset) chapter.StartPosition += insert.Length;
+                if (chapter.EndPosition >= offset) chapter.EndPosition += insert.Length;
+            }
 
-            return result.IsScanned;
+            // Lines still left out after this one move with the text
+            var index = removed.IndexOf(line);
+            foreach (var other in removed.Where(l => !lines.Contains(l)))
+            {
+                if (other.Offset > offset || (other.Offset == offset && removed.IndexOf(other) > index))
+                {
+                    other.Offset += insert.Length;
+                }
+            }
+
+            removed.Remove(line);
         }
-        catch
+
+        result.ExtractedText = text;
+    }
+
+    /// <summary>
+    /// Page numbers in order, each once, from ranges like "12-48, 60, 70-" (a range without an end runs to the
+    /// last page); all pages when empty. Pages past the end are left out. Null when the ranges are not valid or
+    /// select no page.
+    /// </summary>
+    public static List<int>? ParsePageRanges(string? ranges, int pageCount)
+    {
+        if (string.IsNullOrWhiteSpace(ranges))
         {
-            return false;
+            return Enumerable.Range(1, pageCount).ToList();
+        }
+
+        var parsed = ParseRanges(ranges);
+        if (parsed == null)
+        {
+            return null;
+        }
+
+        var selected = new SortedSet<int>();
+        foreach (var (start, end) in parsed)
+        {
+            for (int page = start; page <= Math.Min(end ?? pageCount, pageCount); page++)
+            {
+                selected.Add(page);
+            }
+        }
+
+        return selected.Count > 0 ? selected.ToList() : null;
+    }
+
+    /// <summary>
+    /// Checks the syntax of page ranges like "12-48, 60, 70-"; empty ranges (all pages) are valid. Whether the
+    /// pages exist is only known once the document is open.
+    /// </summary>
+    public static bool ValidatePageRanges(string? ranges, out string? errorMessage)
+    {
+        errorMessage = null;
+        if (string.IsNullOrWhiteSpace(ranges) || ParseRanges(ranges) != null)
+        {
+            return true;
+        }
+
+        errorMessage = $"Invalid PDF pages \"{ranges.Trim()}\"; enter pages and ranges like 12-48, 60";
+        return false;
+    }
+
+    // The first and last page of each range, the last null when the range runs to the end of the document.
+    // Null for empty ranges and ranges that are not valid.
+    private static List<(int Start, int? End)>? ParseRanges(string? ranges)
+    {
+        if (string.IsNullOrWhiteSpace(ranges))
+        {
+            return null;
+        }
+
+        var parsed = new List<(int Start, int? End)>();
+        foreach (var part in ranges.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+        {
+            var match = Regex.Match(part, @"^(\d+)\s*(?:([-–])\s*(\d*))?$");
+            if (!match.Success || !int.TryParse(match.Groups[1].Value, out var start))
+            {
+                return null;
+            }
+
+            int? end = start;
+            if (match.Groups[3].Value.Length > 0)
+            {
+                if (!int.TryParse(match.Groups[3].Value, out var parsedEnd))
+                {
+                    return null;
+                }
+                end = parsedEnd;
+            }
+            else if (match.Groups[2].Success)
+            {
+                end = null;
+            }
+
+            if (start < 1 || end < start)
+            {
+                return null;
+            }
+
+            parsed.Add((start, end));
         }
+
+        return parsed.Count > 0 ? parsed : null;
+    }
+
+    /// <summary>
+    /// Page numbers as ranges: 1, 2, 3, 7 → "1-3, 7"
+    /// </summary>
+    public static string FormatPageRanges(IEnumerable<int> pages)
+    {
+        var ranges = new List<(int Start, int End)>();
+        foreach (var page in pages.Distinct().OrderBy(page => page))
+        {
+            if (ranges.Count > 0 && page == ranges[^1].End + 1)
+            {
+                ranges[^1] = (ranges[^1].Start, page);
+            }
+            else
+            {
+                ranges.Add((page, page));
+            }
+        }
+
+        return string.Join(", ", ranges.Select(range => range.Start == range.End ? $"{range.Start}" : $"{range.Start}-{range.End}"));
+    }
+
+    /// <summary>
+    /// Opens the PDF in the browser to render page thumbnails from, until CloseDocumentAsync
+    /// </summary>
+    public async Task<PdfDocumentInfo> OpenDocumentAsync(IBrowserFile file, CancellationToken cancellationToken = default)
+    {
+        using var fileStream = new DotNetStreamReference(file.OpenReadStream(MAX_FILE_SIZE, cancellationToken));
+        return await _jsRuntime.InvokeAsync<PdfDocumentInfo>("pdfHelper.openDocument", cancellationToken, fileStream);
     }
 
-    private async Task<PdfMetadata?> GetPdfMetadataAsync(string base64Data, CancellationToken cancellationToken = default)
+    /// <summary>
+    /// Renders a page of an open document as a JPEG data URL, width pixels wide
+    /// </summary>
+    public async Task<string> RenderThumbnailAsync(int documentId, int pageNumber, int width, CancellationToken cancellationToken = default)
+    {
+        return await _jsRuntime.InvokeAsync<string>("pdfHelper.renderThumbnail", cancellationToken, documentId, pageNumber, width);
+    }
+
+    public async Task CloseDocumentAsync(int documentId)
+    {
+        await _jsRuntime.InvokeVoidAsync("pdfHelper.closeDocument", documentId);
+    }
+
+    public async Task<bool> IsScannedPdfAsync(IBrowserFile file)
     {
         try
         {
-            return await _jsRuntime.InvokeAsync<PdfMetadata?>(
-                "pdfHelper.getMetadata",
-                cancellationToken,
-                base64Data
+            using var fileStream = new DotNetStreamReference(file.OpenReadStream(MAX_FILE_SIZE));
+            var result = await _jsRuntime.InvokeAsync<PdfExtractionResult>(
+                "pdfHelper.extractText",
+                fileStream,
+                null
             );
+
+            return result.IsScanned;
         }
         catch
         {
-            return null;
+            return false;
         }
     }
 
@@ -222,6 +399,10 @@ public class PdfProcessingService : IFileProcessingService
         public string? ErrorMessage { get; set; }
         public bool IsScanned { get; set; }
         public List<JsChapter>? Chapters { get; set; }
+        public List<RemovedLine>? RemovedLines { get; set; }
+        public List<int>? SelectedPages { get; set; }
+        public int OcrPageCount { get; set; }
+        public string? OcrError { get; set; }
         public PdfExtractionMetadata? Metadata { get; set; }
     }
 
@@ -232,6 +413,7 @@ public class PdfProcessingService : IFileProcessingService
         public int StartPosition { get; set; }
         public int EndPosition { get; set; }
         public string? Preview { get; set; }
+        public int Level { get; set; }
     }
 
     private class PdfExtractionMetadata
@@ -239,10 +421,6 @@ public class PdfProcessingService : IFileProcessingService
         public int PageCount { get; set; }
         public int ImageCount { get; set; }
         public int TextItemCount { get; set; }
-    }
-
-    private class PdfMetadata
-    {
         public string? Title { get; set; }
         public string? Author { get; set; }
         public string? Subject { get; set; }
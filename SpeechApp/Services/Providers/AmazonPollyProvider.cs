@@ -95,18 +95,7 @@ public class AmazonPollyProvider : ITTSProvider
                 VoiceId = config.VoiceId
             };
 
-            var url = $"https://polly.{_region}.amazonaws.com/v1/speech";
-            var jsonPayload = JsonSerializer.Serialize(requestBody);
-            var payloadBytes = Encoding.UTF8.GetBytes(jsonPayload);
-
-            var httpRequest = new HttpRequestMessage(HttpMethod.Post, url);
-            httpRequest.Content = new ByteArrayContent(payloadBytes);
-            httpRequest.Content.Headers.ContentType = new System.Net.Http.Headers.MediaTypeHeaderValue("application/json");
-
-            // Sign request with AWS Signature V4
-            AwsSignatureV4.SignRequest(httpRequest, _accessKeyId, _secretAccessKey, _region ?? DEFAULT_REGION, "polly", payloadBytes);
-
-            var response = await _httpClient.SendAsync(httpRequest, cancellationToken);
+            var response = await SendSpeechRequestAsync(requestBody, cancellationToken);
 
             if (!response.IsSuccessStatusCode)
             {
@@ -119,17 +108,33 @@ public class AmazonPollyProvider : ITTSProvider
             }
 
             var audioData = await response.Content.ReadAsByteArrayAsync(cancellationToken);
+
+            // Speech marks come from a second request for the same text, which Polly bills again
+            List<TextTiming>? timings = null;
+            if (config.IncludeTimings)
+            {
+                requestBody.OutputFormat = "json";
+                requestBody.SpeechMarkTypes = new List<string> { "word" };
+                timings = await GetSpeechMarksAsync(requestBody, cancellationToken);
+            }
+
             var duration = DateTime.UtcNow - startTime;
+            var cost = CalculateCost(text.Length, config);
 
             return new SynthesisResult
             {
                 Success = true,
                 AudioData = audioData,
                 CharactersProcessed = text.Length,
-                Cost = CalculateCost(text.Length, config),
-                Duration = duration
+                Cost = timings != null ? cost * 2 : cost,
+                Duration = duration,
+                Timings = timings
             };
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            throw;
+        }
         catch (HttpRequestException ex)
         {
             return new SynthesisResult
@@ -148,6 +153,49 @@ public class AmazonPollyProvider : ITTSProvider
         }
     }
 
+    private async Task<HttpResponseMessage> SendSpeechRequestAsync(PollySynthesisRequest requestBody, CancellationToken cancellationToken)
+    {
+        var url = $"https://polly.{_region}.amazonaws.com/v1/speech";
+        var jsonPayload = JsonSerializer.Serialize(requestBody);
+        var payloadBytes = Encoding.UTF8.GetBytes(jsonPayload);
+
+        var httpRequest = new HttpRequestMessage(HttpMethod.Post, url);
+        httpRequest.Content = new ByteArrayContent(payloadBytes);
+        httpRequest.Content.Headers.ContentType = new System.Net.Http.Headers.MediaTypeHeaderValue("application/json");
+
+        // Sign request with AWS Signature V4
+        AwsSignatureV4.SignRequest(httpRequest, _accessKeyId!, _secretAccessKey!, _region ?? DEFAULT_REGION, "polly", payloadBytes);
+
+        return await _httpClient.SendAsync(httpRequest, cancellationToken);
+    }
+
+    // Speech marks are newline-delimited JSON; the audio is still usable without them, so failures return null
+    private async Task<List<TextTiming>?> GetSpeechMarksAsync(PollySynthesisRequest requestBody, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var response = await SendSpeechRequestAsync(requestBody, cancellationToken);
+            if (!response.IsSuccessStatusCode)
+            {
+                return null;
+            }
+
+            var content = await response.Content.ReadAsStringAsync(cancellationToken);
+            var marks = content
+                .Split('\n', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Select(line => JsonSerializer.Deserialize<PollySpeechMark>(line))
+                .Where(mark => mark != null && mark.Type == "word")
+                .Select(mark => (mark!.Start, mark.End, mark.Time / 1000.0));
+
+            return TextTimingHelper.FromUtf8Ranges(requestBody.Text, marks);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            Console.WriteLine($"Error fetching Polly speech marks: {ex.Message}");
+            return null;
+        }
+    }
+
     public async Task<List<Voice>> GetVoicesAsync(bool bypassCache = false, CancellationToken cancellationToken = default)
     {
         // Check cache first
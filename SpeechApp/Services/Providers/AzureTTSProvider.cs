@@ -1,6 +1,7 @@
 using System.Net.Http.Json;
 using System.Text;
 using System.Xml.Linq;
+using Microsoft.JSInterop;
 using SpeechApp.Models;
 using SpeechApp.Models.Providers;
 using SpeechApp.Services.Interfaces;
@@ -11,6 +12,7 @@ public class AzureTTSProvider : ITTSProvider
 {
     private readonly HttpClient _httpClient;
     private readonly IStorageService _storageService;
+    private readonly IJSRuntime _jsRuntime;
     private string? _apiKey;
     private string? _region;
     private List<Voice>? _cachedVoices;
@@ -20,11 +22,13 @@ public class AzureTTSProvider : ITTSProvider
     private const int MAX_CHARACTERS = 3000;
     private const decimal COST_PER_CHAR = 0.000016m; // Neural voices
     private const int CACHE_DURATION_DAYS = 14;
+    private const string OUTPUT_FORMAT = "audio-16khz-128kbitrate-mono-mp3";
 
-    public AzureTTSProvider(HttpClient httpClient, IStorageService storageService)
+    public AzureTTSProvider(HttpClient httpClient, IStorageService storageService, IJSRuntime jsRuntime)
     {
         _httpClient = httpClient;
         _storageService = storageService;
+        _jsRuntime = jsRuntime;
         _region = "eastus"; // Default region
     }
 
@@ -83,11 +87,30 @@ public class AzureTTSProvider : ITTSProvider
             // Build SSML
             var ssml = BuildSSML(text, config.VoiceId, config.Speed, config.Pitch);
 
+            // Word boundaries are only sent over the WebSocket protocol; the REST endpoint is used when it fails
+            if (config.IncludeTimings)
+            {
+                var streamed = await SynthesizeWithWordBoundariesAsync(ssml, cancellationToken);
+                if (streamed != null && streamed.AudioData.Length > 0)
+                {
+                    return new SynthesisResult
+                    {
+                        Success = true,
+                        AudioData = streamed.AudioData,
+                        CharactersProcessed = text.Length,
+                        Cost = CalculateCost(text.Length, config),
+                        Duration = DateTime.UtcNow - startTime,
+                        Timings = TextTimingHelper.FromSpokenWords(text,
+                            streamed.WordBoundaries.Select(boundary => (boundary.Text, boundary.Time)))
+                    };
+                }
+            }
+
             var url = $"https://{_region}.tts.speech.microsoft.com/cognitiveservices/v1";
 
             var httpRequest = new HttpRequestMessage(HttpMethod.Post, url);
             httpRequest.Headers.Add("Ocp-Apim-Subscription-Key", _apiKey);
-            httpRequest.Headers.Add("X-Microsoft-OutputFormat", "audio-16khz-128kbitrate-mono-mp3");
+            httpRequest.Headers.Add("X-Microsoft-OutputFormat", OUTPUT_FORMAT);
             httpRequest.Content = new StringContent(ssml, Encoding.UTF8, "application/ssml+xml");
 
             var response = await _httpClient.SendAsync(httpRequest, cancellationToken);
@@ -114,6 +137,10 @@ public class AzureTTSProvider : ITTSProvider
                 Duration = duration
             };
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            throw;
+        }
         catch (HttpRequestException ex)
         {
             return new SynthesisResult
@@ -244,6 +271,40 @@ public class AzureTTSProvider : ITTSProvider
         _region = region;
     }
 
+    private async Task<AzureStreamedSynthesis?> SynthesizeWithWordBoundariesAsync(string ssml, CancellationToken cancellationToken)
+    {
+        var jobId = Guid.NewGuid().ToString();
+
+        // Cancelling also closes the WebSocket in the browser, which the JS interop call alone would not
+        await using var registration = cancellationToken.Register(() =>
+            _ = _jsRuntime.InvokeVoidAsync("azureSpeech.cancel", jobId).AsTask());
+
+        try
+        {
+            return await _jsRuntime.InvokeAsync<AzureStreamedSynthesis>("azureSpeech.synthesize", cancellationToken,
+                _region, _apiKey, ssml, OUTPUT_FORMAT, jobId);
+        }
+        catch (JSException ex)
+        {
+            // A cancelled synthesis fails in JS too; it must not go on to a second request over REST
+            cancellationToken.ThrowIfCancellationRequested();
+            Console.WriteLine($"Azure word boundary synthesis failed, using REST: {ex.Message}");
+            return null;
+        }
+    }
+
+    private class AzureStreamedSynthesis
+    {
+        public byte[] AudioData { get; set; } = Array.Empty<byte>();
+        public List<AzureWordBoundary> WordBoundaries { get; set; } = new();
+    }
+
+    private class AzureWordBoundary
+    {
+        public string Text { get; set; } = string.Empty;
+        public double Time { get; set; }
+    }
+
     private string BuildSSML(string text, string voiceName, double speed, double pitch)
     {
         var prosodyRate = speed.ToString("F2", System.Globalization.CultureInfo.InvariantCulture);
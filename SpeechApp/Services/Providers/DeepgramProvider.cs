@@ -115,6 +115,10 @@ public class DeepgramProvider : ITTSProvider
                 Duration = duration
             };
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            throw;
+        }
         catch (HttpRequestException ex)
         {
             return new SynthesisResult
@@ -105,7 +105,10 @@ public class ElevenLabsProvider : ITTSProvider
                 }
             }
 
-            var url = $"{BASE_URL}/text-to-speech/{config.VoiceId}";
+            // The with-timestamps endpoint returns the audio as base64 along with the time of every character
+            var url = config.IncludeTimings
+                ? $"{BASE_URL}/text-to-speech/{config.VoiceId}/with-timestamps"
+                : $"{BASE_URL}/text-to-speech/{config.VoiceId}";
 
             var httpRequest = new HttpRequestMessage(HttpMethod.Post, url);
             httpRequest.Headers.Add("xi-api-key", _apiKey);
@@ -123,7 +126,34 @@ public class ElevenLabsProvider : ITTSProvider
                 };
             }
 
-            var audioData = await response.Content.ReadAsByteArrayAsync(cancellationToken);
+            byte[] audioData;
+            List<TextTiming>? timings = null;
+
+            if (config.IncludeTimings)
+            {
+                var timestamped = await response.Content.ReadFromJsonAsync<ElevenLabsTimestampedResponse>(cancellationToken: cancellationToken);
+                if (string.IsNullOrEmpty(timestamped?.AudioBase64))
+                {
+                    return new SynthesisResult
+                    {
+                        Success = false,
+                        ErrorMessage = "No audio data received from ElevenLabs"
+                    };
+                }
+
+                audioData = Convert.FromBase64String(timestamped.AudioBase64);
+
+                // Alignment has one entry per character of the request text
+                if (timestamped.Alignment?.Characters.Count == text.Length)
+                {
+                    timings = TextTimingHelper.FromCharacterTimes(text, timestamped.Alignment.CharacterStartTimesSeconds);
+                }
+            }
+            else
+            {
+                audioData = await response.Content.ReadAsByteArrayAsync(cancellationToken);
+            }
+
             var duration = DateTime.UtcNow - startTime;
 
             return new SynthesisResult
@@ -132,9 +162,14 @@ public class ElevenLabsProvider : ITTSProvider
                 AudioData = audioData,
                 CharactersProcessed = text.Length,
                 Cost = CalculateCost(text.Length, config),
-                Duration = duration
+                Duration = duration,
+                Timings = timings
             };
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            throw;
+        }
         catch (HttpRequestException ex)
         {
             return new SynthesisResult
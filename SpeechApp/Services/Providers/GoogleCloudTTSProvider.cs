@@ -1,5 +1,7 @@
 using System.Net.Http.Json;
+using System.Text;
 using System.Text.Json;
+using System.Text.RegularExpressions;
 using SpeechApp.Models;
 using SpeechApp.Models.Providers;
 using SpeechApp.Services.Interfaces;
@@ -18,6 +20,7 @@ public class GoogleCloudTTSProvider : ITTSProvider
     private const string BASE_URL = "https://texttospeech.googleapis.com/v1";
     private const string BASE_URL_BETA = "https://texttospeech.googleapis.com/v1beta1";
     private const int MAX_CHARACTERS = 5000;
+    private const int MAX_INPUT_BYTES = 5000;
     private const decimal COST_PER_CHAR_NEURAL = 0.000016m;
     private const decimal COST_PER_CHAR_STANDARD = 0.000004m;
     private const int CACHE_DURATION_DAYS = 14;
@@ -111,9 +114,28 @@ public class GoogleCloudTTSProvider : ITTSProvider
                 }
             };
 
+            // Read-along timings come from SSML marks placed before each word (or sentence, to stay within the input limit)
+            var marked = config.IncludeTimings ? BuildMarkedSsml(text) : null;
+            if (marked != null)
+            {
+                request.Input = new GoogleSynthesisInput { Ssml = marked.Value.Ssml };
+                request.EnableTimePointing = new List<string> { "SSML_MARK" };
+            }
+
             var url = $"{apiBaseUrl}/text:synthesize?key={_apiKey}";
             var response = await _httpClient.PostAsJsonAsync(url, request, cancellationToken);
 
+            // Some voices (e.g. Chirp 3 HD) do not accept SSML; synthesize the plain text without timings instead.
+            // Other bad requests (an unknown voice, text too long) fail as they are rather than being billed twice.
+            if (marked != null && response.StatusCode == System.Net.HttpStatusCode.BadRequest &&
+                IsSsmlUnsupportedError(await response.Content.ReadAsStringAsync(cancellationToken)))
+            {
+                marked = null;
+                request.Input = new GoogleSynthesisInput { Text = text };
+                request.EnableTimePointing = null;
+                response = await _httpClient.PostAsJsonAsync(url, request, cancellationToken);
+            }
+
             if (!response.IsSuccessStatusCode)
             {
                 var errorContent = await response.Content.ReadAsStringAsync(cancellationToken);
@@ -138,15 +160,35 @@ public class GoogleCloudTTSProvider : ITTSProvider
             var audioData = Convert.FromBase64String(result.AudioContent);
             var duration = DateTime.UtcNow - startTime;
 
+            List<TextTiming>? timings = null;
+            if (marked != null && result.Timepoints != null)
+            {
+                var spans = marked.Value.Spans;
+                timings = result.Timepoints
+                    .Where(point => int.TryParse(point.MarkName, out var index) && index >= 0 && index < spans.Count)
+                    .Select(point =>
+                    {
+                        var span = spans[int.Parse(point.MarkName!)];
+                        return new TextTiming { Start = span.Start, Length = span.Length, Time = point.TimeSeconds };
+                    })
+                    .OrderBy(timing => timing.Time)
+                    .ToList();
+            }
+
             return new SynthesisResult
             {
                 Success = true,
                 AudioData = audioData,
                 CharactersProcessed = text.Length,
                 Cost = CalculateCost(text.Length, config),
-                Duration = duration
+                Duration = duration,
+                Timings = timings
             };
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            throw;
+        }
         catch (HttpRequestException ex)
         {
             return new SynthesisResult
@@ -266,6 +308,53 @@ public class GoogleCloudTTSProvider : ITTSProvider
         _apiKey = apiKey;
     }
 
+    /// <summary>
+    /// SSML with a mark named after the index of each span before that span of the text, and the spans.
+    /// Words are marked when the SSML fits the input limit, otherwise sentences; null when neither fits.
+    /// </summary>
+    private static (string Ssml, List<(int Start, int Length)> Spans)? BuildMarkedSsml(string text)
+    {
+        var sentences = new List<(int Start, int Length)>();
+        foreach (Match match in Regex.Matches(text, @"\S(?:.*?(?:[.!?]+(?=\s|$)|$))", RegexOptions.Singleline))
+        {
+            sentences.Add((match.Index, match.Length));
+        }
+
+        foreach (var spans in new[] { TextTimingHelper.FindWords(text), sentences })
+        {
+            var ssml = new StringBuilder("<speak>");
+            var position = 0;
+
+            for (int i = 0; i < spans.Count; i++)
+            {
+                ssml.Append(System.Security.SecurityElement.Escape(text[position..spans[i].Start]));
+                ssml.Append($"<mark name=\"{i}\"/>");
+                position = spans[i].Start;
+            }
+
+            ssml.Append(System.Security.SecurityElement.Escape(text[position..]));
+            ssml.Append("</speak>");
+
+            var result = ssml.ToString();
+            if (Encoding.UTF8.GetByteCount(result) <= MAX_INPUT_BYTES)
+            {
+                return (result, spans);
+            }
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Whether an error response rejects the SSML input or its marks (as voices without SSML support do),
+    /// e.g. "This voice does not support SSML input"
+    /// </summary>
+    private static bool IsSsmlUnsupportedError(string errorContent)
+    {
+        return Regex.IsMatch(errorContent, @"ssml|\bmarks?\b|time[ _]?point", RegexOptions.IgnoreCase) &&
+               Regex.IsMatch(errorContent, @"not (?:be )?supported|does not support|unsupported|not allowed", RegexOptions.IgnoreCase);
+    }
+
     private string GetLanguageName(string languageCode)
     {
         var languageNames = new Dictionary<string, string>
@@ -0,0 +1,136 @@
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+using SpeechApp.Models;
+
+namespace SpeechApp.Services;
+
+/// <summary>
+/// Maps provider timings onto the input text and drives the read-along highlight (readAlong in JS)
+/// </summary>
+public class ReadAlongService
+{
+    private readonly IJSRuntime _jsRuntime;
+
+    public ReadAlongService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <summary>
+    /// Builds the timeline of the whole text from per-chunk timings. Times are placed with each chunk's start
+    /// in the merged audio, less the silence trimmed from its start; chunks without timings
+    /// (e.g. Piper, Deepgram) become a single span from the chunk's start. With chunk durations,
+    /// the last span of each chunk ends with the chunk.
+    /// </summary>
+    /// <param name="text">Text that was chunked and synthesized</param>
+    /// <param name="chunkTexts">Text of each chunk; whitespace may differ from the text</param>
+    /// <param name="chunkTimings">Timings within each chunk, or null</param>
+    /// <param name="chunkStartTimes">Start of each chunk in the audio in seconds</param>
+    /// <param name="chunkTrimStarts">Seconds trimmed from the start of each chunk, if any</param>
+    /// <param name="chunkDurations">Duration of each chunk in the audio in seconds, if known</param>
+    public static List<TextTiming> BuildTimeline(string text, IReadOnlyList<string> chunkTexts,
+        IReadOnlyList<List<TextTiming>?> chunkTimings, IReadOnlyList<double> chunkStartTimes,
+        IReadOnlyList<double>? chunkTrimStarts = null, IReadOnlyList<double>? chunkDurations = null)
+    {
+        var timeline = new List<TextTiming>();
+        var position = 0;
+
+        for (int i = 0; i < chunkTexts.Count; i++)
+        {
+            var chunk = chunkTexts[i];
+            var map = MapChunk(text, chunk, ref position);
+            if (chunk.Length == 0)
+            {
+                continue;
+            }
+
+            var startTime = i < chunkStartTimes.Count ? chunkStartTimes[i] : chunkStartTimes.LastOrDefault();
+            var trimStart = chunkTrimStarts != null && i < chunkTrimStarts.Count ? chunkTrimStarts[i] : 0;
+            var timings = i < chunkTimings.Count && chunkTimings[i]?.Count > 0
+                ? chunkTimings[i]!
+                : new List<TextTiming> { new() { Start = 0, Length = chunk.Length, Time = 0 } };
+
+            TextTiming? last = null;
+            foreach (var timing in timings.OrderBy(timing => timing.Time))
+            {
+                if (timing.Length <= 0 || timing.Start < 0 || timing.Start + timing.Length > chunk.Length)
+                {
+                    continue;
+                }
+
+                var start = map[timing.Start];
+                last = new TextTiming
+                {
+                    Start = start,
+                    Length = Math.Max(1, map[timing.Start + timing.Length - 1] + 1 - start),
+                    Time = startTime + Math.Max(0, timing.Time - trimStart)
+                };
+                timeline.Add(last);
+            }
+
+            if (last != null && chunkDurations != null && i < chunkDurations.Count)
+            {
+                last.End = Math.Max(last.Time, startTime + chunkDurations[i]);
+            }
+        }
+
+        return timeline.OrderBy(timing => timing.Time).ToList();
+    }
+
+    /// <summary>
+    /// Starts highlighting the textarea inside the container while the audio element plays
+    /// </summary>
+    /// <returns>Session id for DetachAsync, or null when the container has no textarea</returns>
+    public async Task<int?> AttachAsync(ElementReference audio, ElementReference container, string text, List<TextTiming> timeline)
+    {
+        return await _jsRuntime.InvokeAsync<int?>("readAlong.attach", audio, container, text, timeline);
+    }
+
+    public async Task DetachAsync(int sessionId)
+    {
+        await _jsRuntime.InvokeVoidAsync("readAlong.detach", sessionId);
+    }
+
+    /// <summary>
+    /// Duration of the audio loaded in the element in seconds, or 0 before its metadata has loaded
+    /// </summary>
+    public async Task<double> GetAudioDurationAsync(ElementReference audio)
+    {
+        return await _jsRuntime.InvokeAsync<double>("readAlong.getDuration", audio);
+    }
+
+    // Offset in the text of each character of the chunk, found by matching non-whitespace characters in order
+    // from position, which is moved past the chunk; chunking only changes whitespace
+    private static int[] MapChunk(string text, string chunk, ref int position)
+    {
+        var map = new int[chunk.Length];
+
+        for (int c = 0; c < chunk.Length; c++)
+        {
+            if (char.IsWhiteSpace(chunk[c]))
+            {
+                map[c] = Math.Min(position, Math.Max(0, text.Length - 1));
+                continue;
+            }
+
+            var next = position;
+            while (next < text.Length && char.IsWhiteSpace(text[next]))
+            {
+                next++;
+            }
+
+            if (next < text.Length && text[next] == chunk[c])
+            {
+                position = next + 1;
+                map[c] = next;
+            }
+            else
+            {
+                // Should not happen; keep the spans in place rather than searching ahead
+                map[c] = Math.Min(next, Math.Max(0, text.Length - 1));
+            }
+        }
+
+        return map;
+    }
+}
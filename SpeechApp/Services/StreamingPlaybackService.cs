@@ -0,0 +1,97 @@
+using Microsoft.JSInterop;
+
+namespace SpeechApp.Services;
+
+/// <summary>
+/// Plays synthesized chunks as they arrive, before the merged audio is ready (streamPlayer in JS)
+/// </summary>
+public class StreamingPlaybackService
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly Dictionary<int, DotNetObjectReference<PlaybackEndedCallback>> _callbacks = new();
+
+    public StreamingPlaybackService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <summary>
+    /// Creates a player and returns its id; onEnded runs once every chunk has played after FinishAsync
+    /// </summary>
+    public async Task<int> StartAsync(Action? onEnded = null)
+    {
+        var callback = DotNetObjectReference.Create(new PlaybackEndedCallback(() => onEnded?.Invoke()));
+
+        try
+        {
+            var playerId = await _jsRuntime.InvokeAsync<int>("streamPlayer.create", callback);
+            _callbacks[playerId] = callback;
+            return playerId;
+        }
+        catch (Exception ex)
+        {
+            callback.Dispose();
+            throw new InvalidOperationException($"Streaming playback failed: {ex.Message}", ex);
+        }
+    }
+
+    /// <summary>
+    /// Queues a synthesized chunk to play gaplessly after the previous ones
+    /// </summary>
+    public async Task EnqueueAsync(int playerId, byte[] audioData)
+    {
+        await _jsRuntime.InvokeVoidAsync("streamPlayer.enqueue", playerId, audioData);
+    }
+
+    /// <summary>
+    /// Marks the last chunk as queued
+    /// </summary>
+    public async Task FinishAsync(int playerId)
+    {
+        await _jsRuntime.InvokeVoidAsync("streamPlayer.finish", playerId);
+    }
+
+    public async Task PauseAsync(int playerId)
+    {
+        await _jsRuntime.InvokeVoidAsync("streamPlayer.pause", playerId);
+    }
+
+    public async Task ResumeAsync(int playerId)
+    {
+        await _jsRuntime.InvokeVoidAsync("streamPlayer.resume", playerId);
+    }
+
+    /// <summary>
+    /// Stops playback and releases the player
+    /// </summary>
+    public async Task StopAsync(int playerId)
+    {
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("streamPlayer.stop", playerId);
+        }
+        finally
+        {
+            if (_callbacks.Remove(playerId, out var callback))
+            {
+                callback.Dispose();
+            }
+        }
+    }
+
+    public class PlaybackEndedCallback
+    {
+        private readonly Action _onEnded;
+
+        public PlaybackEndedCallback(Action onEnded)
+        {
+            _onEnded = onEnded;
+        }
+
+        [JSInvokable]
+        public void Invoke()
+        {
+            _onEnded?.Invoke();
+        }
+    }
+}
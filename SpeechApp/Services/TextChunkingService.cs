@@ -1,3 +1,4 @@
+using SpeechApp.Models;
 using SpeechApp.Services.Interfaces;
 using System.Text.RegularExpressions;
 
@@ -25,7 +26,87 @@ public class TextChunkingService : ITextChunkingService
             return SimpleChunk(text, maxChunkSize);
         }
 
-        return SmartChunk(text, maxChunkSize);
+        return SmartChunk(text, maxChunkSize).Select(chunk => chunk.Text).ToList();
+    }
+
+    public List<TextChunk> ChunkTextWithBoundaries(string text, int maxChunkSize)
+    {
+        if (string.IsNullOrWhiteSpace(text))
+        {
+            return new List<TextChunk>();
+        }
+
+        if (text.Length <= maxChunkSize)
+        {
+            return new List<TextChunk> { new() { Text = text } };
+        }
+
+        var chunks = new List<TextChunk>();
+        var previousEndsParagraph = false;
+
+        foreach (var (chunkText, endsParagraph) in SmartChunk(text, maxChunkSize))
+        {
+            if (string.IsNullOrWhiteSpace(chunkText))
+            {
+                previousEndsParagraph |= endsParagraph;
+                continue;
+            }
+
+            chunks.Add(new TextChunk
+            {
+                Text = chunkText,
+                Boundary = previousEndsParagraph ? TextChunkBoundary.Paragraph : TextChunkBoundary.Sentence
+            });
+            previousEndsParagraph = endsParagraph;
+        }
+
+        return chunks;
+    }
+
+    public List<TextChunk> ChunkTextByChapters(string text, IReadOnlyList<Chapter> chapters, int maxChunkSize)
+    {
+        var chunks = new List<TextChunk>();
+        if (string.IsNullOrWhiteSpace(text))
+        {
+            return chunks;
+        }
+
+        // Chapters run from their start to the next chapter's start
+        var ordered = chapters
+            .Where(c => c.StartPosition >= 0 && c.StartPosition < text.Length)
+            .OrderBy(c => c.StartPosition)
+            .ToList();
+
+        void AddSegment(int start, int end, int? chapterNumber)
+        {
+            if (end <= start)
+            {
+                return;
+            }
+
+            var segmentChunks = ChunkTextWithBoundaries(text[start..end], maxChunkSize);
+
+            if (segmentChunks.Count > 0 && chunks.Count > 0)
+            {
+                segmentChunks[0].Boundary = TextChunkBoundary.Chapter;
+            }
+
+            foreach (var chunk in segmentChunks)
+            {
+                chunk.ChapterNumber = chapterNumber;
+                chunks.Add(chunk);
+            }
+        }
+
+        AddSegment(0, ordered.Count > 0 ? ordered[0].StartPosition : text.Length, null);
+
+        for (int i = 0; i < ordered.Count; i++)
+        {
+            var end = i + 1 < ordered.Count ? ordered[i + 1].StartPosition : text.Length;
+            AddSegment(ordered[i].StartPosition, end, ordered[i].Number);
+        }
+
+        return chunks;
     }
 
     public int EstimateChunkCount(string text, int maxChunkSize)
@@ -61,9 +142,10 @@ public class TextChunkingService : ITextChunkingService
         return chunks;
     }
 
-    private List<string> SmartChunk(string text, int maxChunkSize)
+    // Each chunk is returned with whether it ends at a paragraph break
+    private List<(string Text, bool EndsParagraph)> SmartChunk(string text, int maxChunkSize)
     {
-        var chunks = new List<string>();
+        var chunks = new List<(string Text, bool EndsParagraph)>();
 
         // First split by paragraphs
         var paragraphs = text.Split(ParagraphSeparators, StringSplitOptions.None);
@@ -88,7 +170,7 @@ public class TextChunkingService : ITextChunkingService
                 // Save current chunk if not empty
                 if (currentChunk.Length > 0)
                 {
-                    chunks.Add(currentChunk.ToString().TrimEnd());
+                    chunks.Add((currentChunk.ToString().TrimEnd(), true));
                     currentChunk.Clear();
                 }
 
@@ -102,17 +184,17 @@ public class TextChunkingService : ITextChunkingService
                     {
                         if (currentChunk.Length > 0)
                         {
-                            chunks.Add(currentChunk.ToString().TrimEnd());
+                            chunks.Add((currentChunk.ToString().TrimEnd(), false));
                             currentChunk.Clear();
                         }
 
                         // Force split long sentence
-                        chunks.AddRange(SimpleChunk(sentence, maxChunkSize));
+                        chunks.AddRange(SimpleChunk(sentence, maxChunkSize).Select(part => (part, false)));
                     }
                     else if (currentChunk.Length + sentence.Length + 1 > maxChunkSize)
                     {
                         // Current chunk would be too large, save it and start new one
-                        chunks.Add(currentChunk.ToString().TrimEnd());
+                        chunks.Add((currentChunk.ToString().TrimEnd(), false));
                         currentChunk.Clear();
                         currentChunk.Append(sentence);
                         currentChunk.Append(' ');
@@ -128,7 +210,7 @@ public class TextChunkingService : ITextChunkingService
             else if (currentChunk.Length + paragraph.Length + 2 > maxChunkSize)
             {
                 // Adding this paragraph would exceed limit, save current chunk
-                chunks.Add(currentChunk.ToString().TrimEnd());
+                chunks.Add((currentChunk.ToString().TrimEnd(), true));
                 currentChunk.Clear();
                 currentChunk.AppendLine(paragraph);
             }
@@ -142,7 +224,7 @@ public class TextChunkingService : ITextChunkingService
         // Add final chunk if not empty
         if (currentChunk.Length > 0)
         {
-            chunks.Add(currentChunk.ToString().TrimEnd());
+            chunks.Add((currentChunk.ToString().TrimEnd(), true));
         }
 
         return chunks;
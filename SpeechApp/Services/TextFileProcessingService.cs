@@ -11,6 +11,11 @@ public class TextFileProcessingService : IFileProcessingService
 
     public event Action<int>? OnProgress;
 
+    public Task<FileProcessingResult> ProcessFileAsync(IBrowserFile file, FileProcessingOptions options, CancellationToken cancellationToken = default)
+    {
+        return ProcessFileAsync(file, options.EnableOcr, cancellationToken);
+    }
+
     public async Task<FileProcessingResult> ProcessFileAsync(IBrowserFile file, bool enableOCR = false, CancellationToken cancellationToken = default)
     {
         try
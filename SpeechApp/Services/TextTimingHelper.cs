@@ -0,0 +1,102 @@
+using System.Text;
+using SpeechApp.Models;
+
+namespace SpeechApp.Services;
+
+/// <summary>
+/// Turns the timing data each provider reports into word timings over the synthesized text
+/// </summary>
+public static class TextTimingHelper
+{
+    /// <summary>
+    /// Start and length of each run of non-whitespace characters
+    /// </summary>
+    public static List<(int Start, int Length)> FindWords(string text)
+    {
+        var words = new List<(int Start, int Length)>();
+        var start = -1;
+
+        for (int i = 0; i <= text.Length; i++)
+        {
+            var isSpace = i == text.Length || char.IsWhiteSpace(text[i]);
+            if (!isSpace && start < 0)
+            {
+                start = i;
+            }
+            else if (isSpace && start >= 0)
+            {
+                words.Add((start, i - start));
+                start = -1;
+            }
+        }
+
+        return words;
+    }
+
+    /// <summary>
+    /// Word timings from a start time per character of the text (ElevenLabs alignment)
+    /// </summary>
+    public static List<TextTiming> FromCharacterTimes(string text, IReadOnlyList<double> characterStartTimes)
+    {
+        return FindWords(text)
+            .Where(word => word.Start < characterStartTimes.Count)
+            .Select(word => new TextTiming
+            {
+                Start = word.Start,
+                Length = word.Length,
+                Time = characterStartTimes[word.Start]
+            })
+            .ToList();
+    }
+
+    /// <summary>
+    /// Word timings from spoken words in order (Azure word boundaries), each found in the text after the previous one.
+    /// Words that cannot be found, e.g. because the voice expanded a number, are skipped.
+    /// </summary>
+    public static List<TextTiming> FromSpokenWords(string text, IEnumerable<(string Word, double Time)> spokenWords)
+    {
+        var timings = new List<TextTiming>();
+        var position = 0;
+
+        foreach (var (word, time) in spokenWords)
+        {
+            if (string.IsNullOrWhiteSpace(word))
+            {
+                continue;
+            }
+
+            var index = text.IndexOf(word, position, StringComparison.OrdinalIgnoreCase);
+            if (index < 0)
+            {
+                continue;
+            }
+
+            timings.Add(new TextTiming { Start = index, Length = word.Length, Time = time });
+            position = index + word.Length;
+        }
+
+        return timings;
+    }
+
+    /// <summary>
+    /// Word timings from UTF-8 byte ranges of the text (Polly speech marks)
+    /// </summary>
+    public static List<TextTiming> FromUtf8Ranges(string text, IEnumerable<(int StartByte, int EndByte, double Time)> ranges)
+    {
+        var bytes = Encoding.UTF8.GetBytes(text);
+        int ToCharIndex(int byteOffset) => Encoding.UTF8.GetCharCount(bytes, 0, Math.Clamp(byteOffset, 0, bytes.Length));
+
+        return ranges
+            .Select(range =>
+            {
+                var start = ToCharIndex(range.StartByte);
+                return new TextTiming
+                {
+                    Start = start,
+                    Length = Math.Max(0, ToCharIndex(range.EndByte) - start),
+                    Time = range.Time
+                };
+            })
+            .ToList();
+    }
+}
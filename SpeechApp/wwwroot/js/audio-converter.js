@@ -0,0 +1,703 @@
+/**
+ * Audio Converter
+ *
+ * Client-side transcoding between WAV, MP3, Ogg/Opus, WebM/Opus and FLAC.
+ * Input is decoded with the Web Audio API. Opus is encoded with WebCodecs
+ * AudioEncoder where available, otherwise with libopus compiled to
+ * WebAssembly (opus-recorder, vendored in js/lib). Ogg and WebM containers
+ * are written here; MP3 and WAV reuse audioMerger, FLAC runs in a worker.
+ */
+
+window.audioConverter = {
+    formats: {
+        wav: { mimeType: 'audio/wav', label: 'WAV' },
+        mp3: { mimeType: 'audio/mpeg', label: 'MP3' },
+        ogg: { mimeType: 'audio/ogg', label: 'Ogg (Opus)' },
+        webm: { mimeType: 'audio/webm', label: 'WebM (Opus)' },
+        flac: { mimeType: 'audio/flac', label: 'FLAC' }
+    },
+
+    // Opus always runs at 48 kHz; granule positions and timestamps count 48 kHz samples
+    opusSampleRate: 48000,
+    defaultOpusBitrate: 48,
+    defaultOpusPreSkip: 312,
+
+    webCodecsOpusSupport: null,
+    crcTable: null,
+
+    /**
+     * Convert encoded audio to another format
+     * @param {Uint8Array} audioData - Source audio (any format the browser can decode)
+     * @param {string} toFormat - Target format: wav, mp3, ogg, webm or flac
+     * @param {Object} options - { bitrate, useVbr, vbrQuality } for MP3, { opusBitrate } (kbps) for Opus
+     * @returns {Promise<Object>} { audioData: Uint8Array, format, mimeType, duration }
+     */
+    async convert(audioData, toFormat, options = {}) {
+        const format = (toFormat || '').toLowerCase();
+        if (!this.formats[format]) {
+            throw new Error(`Unsupported output format: ${toFormat}`);
+        }
+
+        try {
+            const audioBuffer = await this.decode(await window.audioMerger.readBytes(audioData));
+            const bytes = await this.encode(audioBuffer, format, options || {});
+
+            return {
+                audioData: bytes,
+                format: format,
+                mimeType: this.formats[format].mimeType,
+                duration: audioBuffer.duration
+            };
+        } catch (error) {
+            console.error('Audio conversion error:', error);
+            throw error;
+        }
+    },
+
+    async decode(bytes) {
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        try {
+            return await audioContext.decodeAudioData(bytes.buffer);
+        } finally {
+            await audioContext.close();
+        }
+    },
+
+    async encode(audioBuffer, format, options) {
+        switch (format) {
+            case 'wav': {
+                const wavBlob = await window.audioMerger.bufferToWave(audioBuffer);
+                return new Uint8Array(await wavBlob.arrayBuffer());
+            }
+            case 'mp3':
+                return window.audioMerger.encodeMp3(audioBuffer, options);
+            case 'flac':
+                return this.encodeFlac(audioBuffer);
+            case 'ogg':
+                return this.writeOggOpus(await this.encodeOpus(audioBuffer, options));
+            case 'webm':
+                return this.writeWebmOpus(await this.encodeOpus(audioBuffer, options));
+        }
+    },
+
+    resample(audioBuffer, sampleRate, numberOfChannels) {
+        return window.audioMerger.resampleBuffer(audioBuffer, sampleRate, numberOfChannels);
+    },
+
+    getChannels(audioBuffer, maxChannels) {
+        const channels = [];
+        for (let channel = 0; channel < Math.min(audioBuffer.numberOfChannels, maxChannels); channel++) {
+            channels.push(audioBuffer.getChannelData(channel).slice());
+        }
+        return channels;
+    },
+
+    // Run a one-shot request on a dedicated worker
+    runWorker(url, request, transfer) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(url);
+
+            worker.onmessage = (event) => {
+                worker.terminate();
+                if (event.data.error) {
+                    reject(new Error(event.data.error));
+                } else {
+                    resolve(event.data.data);
+                }
+            };
+
+            worker.onerror = (event) => {
+                worker.terminate();
+                reject(new Error(event.message || `Worker ${url} failed`));
+            };
+
+            worker.postMessage({ id: 0, ...request }, transfer);
+        });
+    },
+
+    encodeFlac(audioBuffer) {
+        const channels = this.getChannels(audioBuffer, 8);
+        return this.runWorker(
+            'js/workers/flac-encoder-worker.js',
+            { channels: channels, sampleRate: audioBuffer.sampleRate },
+            channels.map(channel => channel.buffer));
+    },
+
+    // ========================================
+    // Opus encoding
+    // ========================================
+
+    /**
+     * Encode to raw Opus packets
+     * @returns {Promise<Object>} { packets: Uint8Array[], preSkip, channels, inputSampleRate, totalSamples }
+     */
+    async encodeOpus(audioBuffer, options) {
+        const channels = Math.min(audioBuffer.numberOfChannels, 2);
+        const bitrate = (Number(options.opusBitrate) || this.defaultOpusBitrate) * 1000;
+
+        if (await this.isWebCodecsOpusSupported(channels, bitrate)) {
+            try {
+                return await this.encodeOpusWebCodecs(audioBuffer, channels, bitrate);
+            } catch (error) {
+                console.warn('WebCodecs Opus encoding failed, using WebAssembly encoder:', error.message);
+            }
+        }
+
+        const oggBytes = await this.encodeOpusWasm(audioBuffer, channels, bitrate);
+        const stream = this.readOggOpus(oggBytes);
+        stream.totalSamples = Math.round(audioBuffer.duration * this.opusSampleRate);
+        return stream;
+    },
+
+    async isWebCodecsOpusSupported(channels, bitrate) {
+        if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') {
+            return false;
+        }
+
+        if (this.webCodecsOpusSupport === null) {
+            try {
+                const support = await AudioEncoder.isConfigSupported(
+                    this.getWebCodecsOpusConfig(channels, bitrate));
+                this.webCodecsOpusSupport = support.supported === true;
+            } catch {
+                this.webCodecsOpusSupport = false;
+            }
+        }
+
+        return this.webCodecsOpusSupport;
+    },
+
+    getWebCodecsOpusConfig(channels, bitrate) {
+        return {
+            codec: 'opus',
+            sampleRate: this.opusSampleRate,
+            numberOfChannels: channels,
+            bitrate: bitrate
+        };
+    },
+
+    async encodeOpusWebCodecs(audioBuffer, channels, bitrate) {
+        const resampled = await this.resample(audioBuffer, this.opusSampleRate, channels);
+        const encoded = await this.encodeWebCodecs(resampled, this.getWebCodecsOpusConfig(channels, bitrate));
+        let preSkip = this.defaultOpusPreSkip;
+
+        // Some implementations describe the stream with an OpusHead carrying the real pre-skip
+        const head = encoded.description;
+        if (head && head.length >= 19 && String.fromCharCode(...head.subarray(0, 8)) === 'OpusHead') {
+            preSkip = head[10] | (head[11] << 8);
+        }
+
+        return {
+            packets: encoded.packets,
+            preSkip: preSkip,
+            channels: channels,
+            inputSampleRate: audioBuffer.sampleRate,
+            totalSamples: resampled.length
+        };
+    },
+
+    /**
+     * Encode an AudioBuffer with a WebCodecs AudioEncoder
+     * @param {AudioBuffer} audioBuffer - PCM already at the config's sample rate and channel count
+     * @param {Object} config - AudioEncoder configuration
+     * @returns {Promise<Object>} { packets: Uint8Array[], description: Uint8Array|null }
+     */
+    async encodeWebCodecs(audioBuffer, config) {
+        const packets = [];
+        const channels = config.numberOfChannels;
+        let description = null;
+        let encoderError = null;
+
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                const packet = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(packet);
+                packets.push(packet);
+
+                const decoderDescription = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+                if (decoderDescription && !description) {
+                    description = ArrayBuffer.isView(decoderDescription)
+                        ? new Uint8Array(decoderDescription.buffer, decoderDescription.byteOffset, decoderDescription.byteLength).slice()
+                        : new Uint8Array(decoderDescription).slice();
+                }
+            },
+            error: (error) => {
+                encoderError = error;
+            }
+        });
+
+        encoder.configure(config);
+
+        const blockSize = config.sampleRate;
+        for (let start = 0; start < audioBuffer.length && !encoderError; start += blockSize) {
+            const frames = Math.min(blockSize, audioBuffer.length - start);
+            const planar = new Float32Array(frames * channels);
+            for (let channel = 0; channel < channels; channel++) {
+                planar.set(audioBuffer.getChannelData(channel).subarray(start, start + frames), channel * frames);
+            }
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: config.sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round(start * 1000000 / config.sampleRate),
+                data: planar
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+
+        await encoder.flush();
+        encoder.close();
+
+        if (encoderError) {
+            throw encoderError;
+        }
+
+        return { packets, description };
+    },
+
+    // libopus via opus-recorder's encoder worker; produces a complete Ogg Opus stream
+    encodeOpusWasm(audioBuffer, channels, bitrate) {
+        // The encoder drops its final lookahead; pad with silence that the end granule trims off again
+        const padding = Math.ceil(audioBuffer.sampleRate / 10);
+        const pcm = this.getChannels(audioBuffer, channels).map(channel => {
+            const padded = new Float32Array(channel.length + padding);
+            padded.set(channel);
+            return padded;
+        });
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('js/lib/opus-recorder/encoderWorker.min.js');
+            const pages = [];
+
+            worker.onmessage = (event) => {
+                const message = event.data.message;
+
+                if (message === 'ready') {
+                    worker.postMessage({ command: 'getHeaderPages' });
+
+                    const blockSize = 4096;
+                    for (let start = 0; start < pcm[0].length; start += blockSize) {
+                        worker.postMessage({
+                            command: 'encode',
+                            buffers: pcm.map(channel => channel.subarray(start, start + blockSize))
+                        });
+                    }
+
+                    worker.postMessage({ command: 'done' });
+                } else if (message === 'page') {
+                    pages.push(event.data.page);
+                } else if (message === 'done') {
+                    worker.terminate();
+                    resolve(this.concatBytes(pages));
+                }
+            };
+
+            worker.onerror = (event) => {
+                worker.terminate();
+                reject(new Error(event.message || 'Opus encoder worker failed'));
+            };
+
+            worker.postMessage({
+                command: 'init',
+                encoderSampleRate: this.opusSampleRate,
+                originalSampleRate: audioBuffer.sampleRate,
+                numberOfChannels: channels,
+                encoderBitRate: bitrate
+            });
+        });
+    },
+
+    // Number of 48 kHz samples in an Opus packet, from its TOC byte (RFC 6716 section 3.1)
+    getOpusPacketSamples(packet) {
+        const config = packet[0] >> 3;
+        let frameSize;
+        if (config < 12) {
+            frameSize = [480, 960, 1920, 2880][config & 0x03]; // SILK
+        } else if (config < 16) {
+            frameSize = [480, 960][config & 0x01]; // Hybrid
+        } else {
+            frameSize = [120, 240, 480, 960][config & 0x03]; // CELT
+        }
+
+        const code = packet[0] & 0x03;
+        const frameCount = code === 0 ? 1 : code === 3 ? (packet[1] & 0x3F) : 2;
+        return frameSize * frameCount;
+    },
+
+    createOpusHead(stream) {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set(this.stringToBytes('OpusHead'), 0);
+        head[8] = 1; // version
+        head[9] = stream.channels;
+        view.setUint16(10, stream.preSkip, true);
+        view.setUint32(12, stream.inputSampleRate, true);
+        view.setInt16(16, 0, true); // output gain
+        head[18] = 0; // mono/stereo channel mapping
+        return head;
+    },
+
+    createOpusTags() {
+        const vendor = this.stringToBytes('Stitch');
+        const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+        const view = new DataView(tags.buffer);
+        tags.set(this.stringToBytes('OpusTags'), 0);
+        view.setUint32(8, vendor.length, true);
+        tags.set(vendor, 12);
+        view.setUint32(12 + vendor.length, 0, true); // no user comments
+        return tags;
+    },
+
+    // ========================================
+    // Ogg container (RFC 3533, RFC 7845)
+    // ========================================
+
+    writeOggOpus(stream) {
+        const serial = Math.floor(Math.random() * 0xFFFFFFFF);
+        const pages = [];
+        let sequence = 0;
+
+        pages.push(this.createOggPage([this.createOpusHead(stream)], 0, serial, sequence++, 0x02));
+        pages.push(this.createOggPage([this.createOpusTags()], 0, serial, sequence++, 0x00));
+
+        // The final granule position trims encoder padding from the end of the stream
+        const endGranule = stream.preSkip + stream.totalSamples;
+        let granule = 0;
+        let pagePackets = [];
+        let pageSegments = 0;
+
+        for (let i = 0; i < stream.packets.length; i++) {
+            const packet = stream.packets[i];
+            const segments = Math.floor(packet.length / 255) + 1;
+
+            if (pagePackets.length > 0 && pageSegments + segments > 255) {
+                pages.push(this.createOggPage(pagePackets, Math.min(granule, endGranule), serial, sequence++, 0x00));
+                pagePackets = [];
+                pageSegments = 0;
+            }
+
+            pagePackets.push(packet);
+            pageSegments += segments;
+            granule += this.getOpusPacketSamples(packet);
+        }
+
+        pages.push(this.createOggPage(pagePackets, Math.min(granule, endGranule), serial, sequence++, 0x04));
+
+        return this.concatBytes(pages);
+    },
+
+    createOggPage(packets, granule, serial, sequence, headerType) {
+        const lacing = [];
+        for (const packet of packets) {
+            let remaining = packet.length;
+            while (remaining >= 255) {
+                lacing.push(255);
+                remaining -= 255;
+            }
+            lacing.push(remaining);
+        }
+
+        const headerLength = 27 + lacing.length;
+        const dataLength = packets.reduce((sum, packet) => sum + packet.length, 0);
+        const page = new Uint8Array(headerLength + dataLength);
+        const view = new DataView(page.buffer);
+
+        page.set(this.stringToBytes('OggS'), 0);
+        page[4] = 0; // stream structure version
+        page[5] = headerType;
+        view.setUint32(6, granule % 0x100000000, true);
+        view.setUint32(10, Math.floor(granule / 0x100000000), true);
+        view.setUint32(14, serial, true);
+        view.setUint32(18, sequence, true);
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+
+        let offset = headerLength;
+        for (const packet of packets) {
+            page.set(packet, offset);
+            offset += packet.length;
+        }
+
+        view.setUint32(22, this.crc32(page), true);
+        return page;
+    },
+
+    // Read an Ogg Opus stream back into packets
+    readOggOpus(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const packets = [];
+        let partial = [];
+        let offset = 0;
+
+        while (offset + 27 <= bytes.length) {
+            if (view.getUint32(offset) !== 0x4F676753) { // "OggS"
+                throw new Error('Invalid Ogg page');
+            }
+
+            const segmentCount = bytes[offset + 26];
+            let dataOffset = offset + 27 + segmentCount;
+
+            for (let i = 0; i < segmentCount; i++) {
+                const size = bytes[offset + 27 + i];
+                partial.push(bytes.subarray(dataOffset, dataOffset + size));
+                dataOffset += size;
+
+                if (size < 255) {
+                    packets.push(this.concatBytes(partial));
+                    partial = [];
+                }
+            }
+
+            offset = dataOffset;
+        }
+
+        const head = packets[0];
+        if (!head || String.fromCharCode(...head.subarray(0, 8)) !== 'OpusHead') {
+            throw new Error('Not an Ogg Opus stream');
+        }
+
+        const headView = new DataView(head.buffer, head.byteOffset, head.byteLength);
+
+        return {
+            packets: packets.slice(2),
+            channels: head[9],
+            preSkip: headView.getUint16(10, true),
+            inputSampleRate: headView.getUint32(12, true)
+        };
+    },
+
+    crc32(bytes) {
+        // Ogg uses the unreflected CRC-32 with polynomial 0x04C11DB7
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let crc = i << 24;
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = (crc & 0x80000000) ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+                }
+                this.crcTable[i] = crc >>> 0;
+            }
+        }
+
+        let crc = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ((crc << 8) ^ this.crcTable[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+        }
+        return crc;
+    },
+
+    // ========================================
+    // WebM container (Matroska subset)
+    // ========================================
+
+    ebmlIds: {
+        ebml: 0x1A45DFA3,
+        segment: 0x18538067,
+        seekHead: 0x114D9B74,
+        info: 0x1549A966,
+        tracks: 0x1654AE6B,
+        cluster: 0x1F43B675,
+        cues: 0x1C53BB6B
+    },
+
+    // Start a new cluster every few seconds; SimpleBlock timecodes are 16-bit relative milliseconds
+    webmClusterDurationMs: 5000,
+
+    writeWebmOpus(stream) {
+        const ids = this.ebmlIds;
+        const samplesPerMs = this.opusSampleRate / 1000;
+
+        const header = this.ebmlMaster(ids.ebml, [
+            this.ebmlUint(0x4286, 1),      // EBMLVersion
+            this.ebmlUint(0x42F7, 1),      // EBMLReadVersion
+            this.ebmlUint(0x42F2, 4),      // EBMLMaxIDLength
+            this.ebmlUint(0x42F3, 8),      // EBMLMaxSizeLength
+            this.ebmlString(0x4282, 'webm'),
+            this.ebmlUint(0x4287, 4),      // DocTypeVersion
+            this.ebmlUint(0x4285, 2)       // DocTypeReadVersion
+        ]);
+
+        const info = this.ebmlMaster(ids.info, [
+            this.ebmlUint(0x2AD7B1, 1000000), // TimestampScale: 1 ms
+            this.ebmlString(0x4D80, 'Stitch'),
+            this.ebmlString(0x5741, 'Stitch'),
+            this.ebmlFloat(0x4489, stream.totalSamples / samplesPerMs)
+        ]);
+
+        const tracks = this.ebmlMaster(ids.tracks, [
+            this.ebmlMaster(0xAE, [
+                this.ebmlUint(0xD7, 1),    // TrackNumber
+                this.ebmlUint(0x73C5, 1),  // TrackUID
+                this.ebmlUint(0x83, 2),    // TrackType: audio
+                this.ebmlString(0x86, 'A_OPUS'),
+                this.ebmlElement(0x63A2, this.createOpusHead(stream)),
+                this.ebmlUint(0x56AA, Math.round(stream.preSkip * 1000000000 / this.opusSampleRate)), // CodecDelay (ns)
+                this.ebmlUint(0x56BB, 80000000), // SeekPreRoll: 80 ms
+                this.ebmlMaster(0xE1, [
+                    this.ebmlFloat(0xB5, this.opusSampleRate),
+                    this.ebmlUint(0x9F, stream.channels)
+                ])
+            ])
+        ]);
+
+        // Group packets into clusters
+        const clusters = [];
+        let clusterTime = 0;
+        let blocks = [];
+        let samplePosition = 0;
+
+        for (const packet of stream.packets) {
+            const time = Math.round(samplePosition / samplesPerMs);
+            if (blocks.length > 0 && time - clusterTime >= this.webmClusterDurationMs) {
+                clusters.push({ time: clusterTime, element: this.createWebmCluster(clusterTime, blocks) });
+                blocks = [];
+            }
+            if (blocks.length === 0) {
+                clusterTime = time;
+            }
+
+            blocks.push({ packet, relativeTime: time - clusterTime });
+            samplePosition += this.getOpusPacketSamples(packet);
+        }
+
+        if (blocks.length > 0) {
+            clusters.push({ time: clusterTime, element: this.createWebmCluster(clusterTime, blocks) });
+        }
+
+        // Positions are relative to the start of the Segment payload; the SeekHead has a fixed size
+        const seekHeadLength = this.createWebmSeekHead(0, 0, 0).length;
+        const infoPosition = seekHeadLength;
+        const tracksPosition = infoPosition + info.length;
+
+        let position = tracksPosition + tracks.length;
+        const cuePoints = [];
+        for (const cluster of clusters) {
+            cuePoints.push(this.ebmlMaster(0xBB, [
+                this.ebmlUint(0xB3, cluster.time),  // CueTime
+                this.ebmlMaster(0xB7, [
+                    this.ebmlUint(0xF7, 1),         // CueTrack
+                    this.ebmlUint(0xF1, position)   // CueClusterPosition
+                ])
+            ]));
+            position += cluster.element.length;
+        }
+
+        const cues = this.ebmlMaster(ids.cues, cuePoints);
+        const seekHead = this.createWebmSeekHead(infoPosition, tracksPosition, position);
+
+        const segment = this.ebmlMaster(ids.segment, [
+            seekHead,
+            info,
+            tracks,
+            ...clusters.map(cluster => cluster.element),
+            cues
+        ]);
+
+        return this.concatBytes([header, segment]);
+    },
+
+    createWebmSeekHead(infoPosition, tracksPosition, cuesPosition) {
+        const ids = this.ebmlIds;
+        const seek = (id, position) => this.ebmlMaster(0x4DBB, [
+            this.ebmlElement(0x53AB, this.ebmlIdBytes(id)),
+            this.ebmlUint(0x53AC, position, 8)
+        ]);
+
+        return this.ebmlMaster(ids.seekHead, [
+            seek(ids.info, infoPosition),
+            seek(ids.tracks, tracksPosition),
+            seek(ids.cues, cuesPosition)
+        ]);
+    },
+
+    createWebmCluster(clusterTime, blocks) {
+        const children = [this.ebmlUint(0xE7, clusterTime)]; // Cluster Timestamp
+
+        for (const block of blocks) {
+            const data = new Uint8Array(4 + block.packet.length);
+            data[0] = 0x81; // track number 1 as a 1-byte vint
+            data[1] = (block.relativeTime >> 8) & 0xFF;
+            data[2] = block.relativeTime & 0xFF;
+            data[3] = 0x80; // keyframe
+            data.set(block.packet, 4);
+            children.push(this.ebmlElement(0xA3, data)); // SimpleBlock
+        }
+
+        return this.ebmlMaster(this.ebmlIds.cluster, children);
+    },
+
+    ebmlIdBytes(id) {
+        const bytes = [];
+        for (let value = id; value > 0; value = Math.floor(value / 256)) {
+            bytes.unshift(value & 0xFF);
+        }
+        return new Uint8Array(bytes);
+    },
+
+    ebmlSize(size) {
+        let length = 1;
+        while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+            length++;
+        }
+
+        const bytes = new Uint8Array(length);
+        let value = size;
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        bytes[0] |= 0x80 >> (length - 1);
+        return bytes;
+    },
+
+    ebmlElement(id, data) {
+        return this.concatBytes([this.ebmlIdBytes(id), this.ebmlSize(data.length), data]);
+    },
+
+    ebmlMaster(id, children) {
+        return this.ebmlElement(id, this.concatBytes(children));
+    },
+
+    ebmlUint(id, value, width) {
+        const bytes = [];
+        for (let remaining = value; remaining > 0; remaining = Math.floor(remaining / 256)) {
+            bytes.unshift(remaining % 256);
+        }
+        while (bytes.length < (width || 1)) {
+            bytes.unshift(0);
+        }
+        return this.ebmlElement(id, new Uint8Array(bytes));
+    },
+
+    ebmlFloat(id, value) {
+        const data = new Uint8Array(8);
+        new DataView(data.buffer).setFloat64(0, value);
+        return this.ebmlElement(id, data);
+    },
+
+    ebmlString(id, value) {
+        return this.ebmlElement(id, this.stringToBytes(value));
+    },
+
+    // ========================================
+    // Helpers
+    // ========================================
+
+    stringToBytes(value) {
+        return new TextEncoder().encode(value);
+    },
+
+    concatBytes(parts) {
+        const totalLength = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(totalLength);
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+};
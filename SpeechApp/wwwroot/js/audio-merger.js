@@ -1,72 +1,1299 @@
 // Audio merging using Web Audio API
 
 window.audioMerger = {
+    // Valid LAME constant bitrates in kbit/s
+    mp3Bitrates: [8, 16, 24, 32, 40, 48, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    defaultMp3Bitrate: 128,
+
+    // Silence trimming: analysis window, kept margin around speech, and default threshold
+    silenceWindowMs: 10,
+    silenceMarginMs: 40,
+    defaultSilenceThresholdDb: -50,
+
+    mp3Worker: null,
+    mp3WorkerUrl: 'js/workers/mp3-encoder-worker.js',
+    mp3RequestId: 0,
+    mp3Requests: new Map(),
+
+    // Merging runs in a worker (workers/audio-merge-worker.js) so long merges do not freeze the page. The worker
+    // runs this same object; the page keeps only decoding, since workers have no Web Audio.
+    mergeWorker: null,
+    mergeWorkerUrl: 'js/workers/audio-merge-worker.js',
+    mergeRequestId: 0,
+    mergeRequests: new Map(),
+
+    // Abort controllers of running batch merges, by the job id the caller passed
+    mergeJobs: new Map(),
+
+    // Incremental merges in progress, and the stored files behind each finished merge's Blob URL
+    mergeSessions: new Map(),
+    mergeSessionId: 0,
+    mergeFiles: new Map(),
+
+    // Device sample rate, the fallback when no chunk reveals its own (the page tells the worker)
+    defaultSampleRate: null,
+
+    // Program loudness is applied on a second pass over the spooled PCM, read back in blocks of this length
+    spoolBlockSeconds: 10,
+
     // Merge multiple audio chunks into a single file
-    async mergeAudioChunks(base64Chunks) {
+    // chunks: Uint8Array per chunk (a .NET byte[][] arrives as binary, not base64)
+    // options: { format: 'mp3' | 'wav', bitrate, useVbr, vbrQuality, sampleRate, channels (0 = automatic),
+    //            chunkSilenceMs, paragraphSilenceMs, chapterSilenceMs, crossfadeMs, trimSilence, silenceThresholdDb,
+    //            loudnessMode: 'off' | 'chunk' | 'program', targetLufs, truePeakCeilingDb }
+    // chapters: optional [{ title, startChunk, endChunk }] chunk ranges (end exclusive); the result then
+    // carries their sample offsets and times, and MP3 output gets ID3v2 CHAP/CTOC frames
+    // boundaries: optional 'sentence' | 'paragraph' | 'chapter' per chunk, the break before it
+    // progressCallback: optional .NET object whose Invoke(current, total) is called as chunks are processed
+    // jobId: optional id for cancelMerge
+    async mergeAudioChunks(chunks, options = {}, chapters = null, boundaries = null, progressCallback = null, jobId = null) {
+        const controller = new AbortController();
+        if (jobId) {
+            this.mergeJobs.set(jobId, controller);
+        }
+
         try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const buffers = [];
+            const chunkBytes = [];
+            for (const chunk of chunks) {
+                chunkBytes.push(await this.readBytes(chunk));
+            }
+
+            return await this.runMergeJob('mergeChunks', [chunkBytes, options, chapters, boundaries], {
+                signal: controller.signal,
+                onProgress: progressCallback
+                    ? (current, total) => progressCallback.invokeMethodAsync('Invoke', current, total)
+                    : null,
+                transfer: this.getTransferables(chunkBytes)
+            });
+        } catch (error) {
+            this.logMergeError(error);
+            throw error;
+        } finally {
+            if (jobId) {
+                this.mergeJobs.delete(jobId);
+            }
+        }
+    },
+
+    // Duration and format of one encoded chunk, for a single chunk returned without merging
+    // data: Uint8Array (a .NET byte[]) or a DotNetStreamReference
+    async getAudioInfo(data) {
+        try {
+            const bytes = await this.readBytes(data);
+            const buffer = await this.decodeAudio(bytes, this.detectSampleRate(bytes) || this.getDefaultSampleRate());
+            return { duration: buffer.duration, sampleRate: buffer.sampleRate, numberOfChannels: buffer.numberOfChannels };
+        } catch (error) {
+            this.logMergeError(error);
+            throw error;
+        }
+    },
+
+    // Stop a merge started with a job id; it rejects with an AbortError
+    cancelMerge(jobId) {
+        const controller = this.mergeJobs.get(jobId);
+        if (controller) {
+            controller.abort(new DOMException('Merge cancelled', 'AbortError'));
+        }
+    },
+
+    // Incremental merging: beginMerge, then appendChunk for each chunk as it is synthesized, then finalize.
+    // Chunks are encoded as they arrive and written to disk-backed storage (audioStore), so only the chunk
+    // being processed is held in memory; the result is a Blob URL instead of the audio bytes.
+    // Takes the same options and chapters as mergeAudioChunks. With automatic sample rate or channels the
+    // first chunk decides, since later chunks are not known yet.
+    async beginMerge(options = {}, chapters = null) {
+        try {
+            // Stored files still behind a Blob URL must survive the cleanup of leftovers
+            const keep = [...this.mergeFiles.values()].flat();
+            return await this.runMergeJob('openMerge', [options, chapters, keep]);
+        } catch (error) {
+            this.logMergeError(error);
+            throw error;
+        }
+    },
+
+    // Add the next chunk to a merge
+    // boundary: 'sentence' | 'paragraph' | 'chapter', the break before this chunk
+    // Returns { chunkIndex, duration }
+    async appendChunk(mergeId, chunk, boundary = 'sentence') {
+        try {
+            const bytes = await this.readBytes(chunk);
+            return await this.runMergeJob('addChunk', [mergeId, bytes, boundary], { transfer: this.getTransferables([bytes]) });
+        } catch (error) {
+            this.logMergeError(error);
+            throw error;
+        }
+    },
+
+    // Finish a merge; returns the same fields as mergeAudioChunks with audioUrl (a Blob URL) and size in place
+    // of audioData. Call releaseMerge(audioUrl) once the audio is no longer needed.
+    async finalize(mergeId) {
+        try {
+            const { blob, outputName, ...result } = await this.runMergeJob('completeMerge', [mergeId]);
+
+            const url = URL.createObjectURL(blob);
+            this.mergeFiles.set(url, [outputName]);
+
+            return { audioUrl: url, size: blob.size, ...result };
+        } catch (error) {
+            this.logMergeError(error);
+            throw error;
+        }
+    },
+
+    // Abandon a merge and delete what it has written so far; a running appendChunk or finalize is stopped
+    async abortMerge(mergeId) {
+        await this.runMergeJob('discardMerge', [mergeId]);
+    },
+
+    // Revoke a Blob URL returned by finalize (deleting its stored audio) or by convertAudioUrl
+    async releaseMerge(url) {
+        URL.revokeObjectURL(url);
+
+        const names = this.mergeFiles.get(url);
+        if (!names) return;
 
-            // Decode all chunks
-            for (const base64 of base64Chunks) {
-                const binaryString = atob(base64);
-                const bytes = new Uint8Array(binaryString.length);
-                for (let i = 0; i < binaryString.length; i++) {
-                    bytes[i] = binaryString.charCodeAt(i);
+        this.mergeFiles.delete(url);
+        await this.runMergeJob('removeStoredFiles', [names]);
+    },
+
+    // True on the page when the merge worker can be used; false inside the worker itself
+    usesMergeWorker() {
+        return typeof document !== 'undefined' && typeof Worker !== 'undefined';
+    },
+
+    // Run one of the merge methods below in the worker, or right here inside the worker (or without worker support).
+    // job: { signal, onProgress(current, total), transfer }
+    async runMergeJob(method, args, job = {}) {
+        const signal = job.signal || new AbortController().signal;
+
+        if (!this.usesMergeWorker()) {
+            return this[method](...args, { signal: signal, onProgress: job.onProgress || null });
+        }
+
+        return this.postToMergeWorker(method, args, job.transfer || [], signal, job.onProgress);
+    },
+
+    getMergeWorker() {
+        if (!this.mergeWorker) {
+            this.mergeWorker = new Worker(this.mergeWorkerUrl);
+            this.mergeWorker.postMessage({ defaultSampleRate: this.getDefaultSampleRate() });
+
+            this.mergeWorker.onmessage = async (event) => {
+                const { id, call } = event.data;
+
+                // The worker asking the page to decode or resample
+                if (call) {
+                    await this.answerMergeWorker(event.data);
+                    return;
                 }
 
-                const audioBuffer = await audioContext.decodeAudioData(bytes.buffer);
-                buffers.push(audioBuffer);
+                const pending = this.mergeRequests.get(id);
+                if (!pending) return;
+
+                if (event.data.progress) {
+                    if (pending.onProgress) {
+                        pending.onProgress(...event.data.progress);
+                    }
+                    return;
+                }
+
+                this.mergeRequests.delete(id);
+                pending.settled();
+                if (event.data.error) {
+                    pending.reject(event.data.aborted
+                        ? new DOMException(event.data.error, 'AbortError')
+                        : new Error(event.data.error));
+                } else {
+                    pending.resolve(event.data.result);
+                }
+            };
+
+            this.mergeWorker.onerror = (event) => {
+                // A worker-level error fails every pending request (and loses open merges); recreate on next use
+                const error = new Error(event.message || 'Audio merge worker failed');
+                for (const pending of this.mergeRequests.values()) {
+                    pending.settled();
+                    pending.reject(error);
+                }
+                this.mergeRequests.clear();
+                this.mergeWorker.terminate();
+                this.mergeWorker = null;
+            };
+        }
+
+        return this.mergeWorker;
+    },
+
+    postToMergeWorker(method, args, transfer, signal, onProgress) {
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(signal.reason);
+                return;
             }
 
-            // Calculate total length
-            const totalLength = buffers.reduce((sum, buffer) => sum + buffer.length, 0);
-            const sampleRate = buffers[0].sampleRate;
-            const numberOfChannels = buffers[0].numberOfChannels;
+            const id = ++this.mergeRequestId;
+            const worker = this.getMergeWorker();
 
-            // Create merged buffer
-            const mergedBuffer = audioContext.createBuffer(
-                numberOfChannels,
-                totalLength,
-                sampleRate
-            );
+            const cancel = () => worker.postMessage({ id, action: 'cancel' });
+            signal.addEventListener('abort', cancel);
 
-            // Copy data from all buffers
-            let offset = 0;
-            for (const buffer of buffers) {
-                for (let channel = 0; channel < numberOfChannels; channel++) {
-                    const channelData = buffer.getChannelData(channel);
-                    mergedBuffer.copyToChannel(channelData, channel, offset);
+            this.mergeRequests.set(id, {
+                resolve,
+                reject,
+                onProgress,
+                settled: () => signal.removeEventListener('abort', cancel)
+            });
+            worker.postMessage({ id, action: 'call', method, args }, transfer);
+        });
+    },
+
+    // Web Audio work requested by the merge worker; decoded audio goes back as { sampleRate, channels }
+    async answerMergeWorker({ call, method, args }) {
+        try {
+            let buffer;
+            if (method === 'decodeAudio') {
+                buffer = await this.decodeAudio(args[0], args[1]);
+            } else if (method === 'renderResampled') {
+                buffer = await this.renderResampled(this.createPcmBuffer(args[0].channels, args[0].sampleRate), args[1], args[2]);
+            } else {
+                throw new Error(`Unknown page call: ${method}`);
+            }
+
+            // AudioBuffer data cannot be transferred, so send copies
+            const channels = this.getChannels(buffer).map(data => data.slice());
+            this.mergeWorker.postMessage({ call, result: { sampleRate: buffer.sampleRate, channels } },
+                channels.map(data => data.buffer));
+        } catch (error) {
+            this.mergeWorker.postMessage({ call, error: error.message });
+        }
+    },
+
+    // Cancelling is not worth an error in the console
+    logMergeError(error) {
+        if (error.name !== 'AbortError') {
+            console.error('Audio merging error:', error);
+        }
+    },
+
+    // Buffers of the given typed arrays that can be moved to the worker instead of copied
+    getTransferables(arrays) {
+        const buffers = [];
+        for (const array of arrays) {
+            if (array.byteOffset === 0 && array.byteLength === array.buffer.byteLength && !buffers.includes(array.buffer)) {
+                buffers.push(array.buffer);
+            }
+        }
+        return buffers;
+    },
+
+    // The merge methods, run in the merge worker. Their last argument is { signal, onProgress } from runMergeJob.
+    async mergeChunks(chunkBytes, options, chapters, boundaries, job = {}) {
+        let format = (options.format || 'wav').toLowerCase();
+
+        // Progress steps: one per decoded chunk, then the encode
+        const reportProgress = (current) => {
+            if (job.onProgress) job.onProgress(current, chunkBytes.length + 1);
+        };
+
+        // Same-format MP3 chunks are joined frame-by-frame, skipping the decode/re-encode round trip,
+        // unless pauses, fades, trimming or loudness normalization need the decoded samples
+        if (format === 'mp3' && !this.hasJoinProcessing(options)) {
+            const joined = window.mp3Frames.join(chunkBytes);
+            if (joined && this.matchesTargetFormat(options, joined.sampleRate, joined.numberOfChannels)) {
+                const chunkStarts = [0];
+                for (const samples of joined.chunkSamples) {
+                    chunkStarts.push(chunkStarts[chunkStarts.length - 1] + samples);
                 }
-                offset += buffer.length;
+
+                const chapterMarks = this.locateChapters(chapters, chunkStarts, joined.sampleRate);
+                reportProgress(chunkBytes.length + 1);
+                return {
+                    audioData: this.addChapterFrames(joined.data, chapterMarks),
+                    format: 'mp3',
+                    mimeType: 'audio/mpeg',
+                    duration: joined.duration,
+                    chunkDurations: joined.chunkDurations,
+                    chunkStartTimes: chunkStarts.slice(0, -1).map(start => start / joined.sampleRate),
+                    chunkTrimStarts: joined.chunkDurations.map(() => 0),
+                    chapters: chapterMarks,
+                    sampleRate: joined.sampleRate,
+                    numberOfChannels: joined.numberOfChannels
+                };
+            }
+        }
+
+        // Chunks from different providers can differ in sample rate and channel count; bring them all
+        // to one target format so none plays at the wrong speed or loses channels
+        const sampleRate = this.chooseSampleRate(chunkBytes, options);
+        const buffers = [];
+
+        // Decode all chunks
+        for (const bytes of chunkBytes) {
+            this.throwIfAborted(job);
+            buffers.push(await this.decodeAudio(bytes, sampleRate));
+            reportProgress(buffers.length);
+        }
+
+        const numberOfChannels = Number(options.channels) > 0
+            ? Math.min(Number(options.channels), 2)
+            : Math.max(...buffers.map(buffer => buffer.numberOfChannels));
+
+        for (let i = 0; i < buffers.length; i++) {
+            this.throwIfAborted(job);
+            buffers[i] = await this.resampleBuffer(buffers[i], sampleRate, numberOfChannels);
+        }
+
+        // Providers deliver very different levels; per-chunk mode evens them out before joining
+        const loudnessMode = this.getLoudnessMode(options);
+        if (loudnessMode === 'chunk') {
+            for (const buffer of buffers) {
+                const channels = this.getChannels(buffer);
+                const measured = window.loudness.measureIntegratedLoudness(channels, sampleRate);
+                window.loudness.applyTargetGain(channels, measured, this.getTargetLufs(options));
+            }
+        }
+
+        // Place the chunks (after trimming) with pauses or crossfades between them
+        const layout = this.layoutChunks(buffers, options, boundaries);
+
+        // Create merged buffer
+        const mergedBuffer = this.createPcmBuffer(
+            Array.from({ length: numberOfChannels }, () => new Float32Array(Math.max(1, layout.length))),
+            sampleRate
+        );
+
+        this.renderChunks(mergedBuffer, layout.segments);
+
+        // Program mode normalizes the whole merge; either way the limiter catches peaks pushed
+        // over the ceiling by the gain or by crossfades
+        let loudness = null;
+        if (loudnessMode !== 'off') {
+            const channels = this.getChannels(mergedBuffer);
+            const ceiling = this.getTruePeakCeiling(options);
+            if (loudnessMode === 'program') {
+                window.loudness.normalize(channels, sampleRate, this.getTargetLufs(options), ceiling);
+            } else {
+                window.loudness.limit(channels, sampleRate, ceiling);
+            }
+            loudness = window.loudness.measure(channels, sampleRate);
+        }
+
+        this.throwIfAborted(job);
+
+        // Encode to the requested format, falling back to WAV if MP3 encoding is unavailable
+        let bytes = null;
+        let warning = null;
+
+        if (format === 'mp3') {
+            try {
+                bytes = await this.encodeMp3(mergedBuffer, options);
+            } catch (encodeError) {
+                warning = this.getMp3FallbackWarning(encodeError);
+                format = 'wav';
             }
+        } else {
+            format = 'wav';
+        }
 
-            // Convert to WAV (since we can't directly export MP3 in browser without additional libraries)
+        if (!bytes) {
             const wavBlob = await this.bufferToWave(mergedBuffer);
-            const arrayBuffer = await wavBlob.arrayBuffer();
-            const bytes = new Uint8Array(arrayBuffer);
+            bytes = new Uint8Array(await wavBlob.arrayBuffer());
+        }
+
+        const chunkStarts = layout.segments.map(segment => segment.offset).concat(layout.length);
+        const chapterMarks = this.locateChapters(chapters, chunkStarts, sampleRate);
+        if (format === 'mp3') {
+            bytes = this.addChapterFrames(bytes, chapterMarks);
+        }
+        reportProgress(chunkBytes.length + 1);
+
+        return {
+            audioData: bytes,
+            format: format,
+            mimeType: format === 'mp3' ? 'audio/mpeg' : 'audio/wav',
+            duration: mergedBuffer.duration,
+            chunkDurations: layout.segments.map(segment => (segment.end - segment.start) / sampleRate),
+            chunkStartTimes: layout.segments.map(segment => segment.offset / sampleRate),
+            chunkTrimStarts: layout.segments.map(segment => segment.start / sampleRate),
+            chapters: chapterMarks,
+            sampleRate: sampleRate,
+            numberOfChannels: numberOfChannels,
+            integratedLufs: loudness ? this.finiteOrNull(loudness.integratedLufs) : null,
+            truePeakDbtp: loudness ? this.finiteOrNull(loudness.truePeakDbtp) : null,
+            warning: warning
+        };
+    },
+
+    // Shown to the user when MP3 output was asked for but WAV was produced
+    getMp3FallbackWarning(encodeError) {
+        console.warn('MP3 encoding failed, falling back to WAV:', encodeError.message);
+        return `MP3 encoding is unavailable (${encodeError.message}); the audio was saved as WAV instead`;
+    },
+
+    // keep: stored files that are still in use elsewhere (unreleased results)
+    async openMerge(options, chapters, keep = []) {
+        const id = `merge-${Date.now()}-${++this.mergeSessionId}`;
+
+        // Anything not belonging to a live merge or an unreleased result is left over from an earlier visit
+        const inUse = [...this.mergeFiles.values()].flat().concat(keep);
+        for (const session of this.mergeSessions.values()) {
+            inUse.push(session.outputName, session.spoolName);
+        }
+        await window.audioStore.clear(inUse);
 
-            // Convert to base64
-            let binary = '';
-            for (let i = 0; i < bytes.byteLength; i++) {
-                binary += String.fromCharCode(bytes[i]);
+        const session = {
+            id: id,
+            options: options,
+            chapters: chapters,
+            format: (options.format || 'wav').toLowerCase() === 'mp3' ? 'mp3' : 'wav',
+            loudnessMode: this.getLoudnessMode(options),
+            // 'frames' (MP3 frames copied as-is) or 'pcm' (decoded and re-encoded), decided by the first chunk
+            mode: null,
+            sampleRate: 0,
+            numberOfChannels: 0,
+            outputName: `${id}.audio`,
+            output: await window.audioStore.createFile(`${id}.audio`),
+            spoolName: `${id}.pcm`,
+            spool: null,
+            index: window.mp3Frames.createStreamIndex(),
+            // LAME delay and padding of the first and latest chunk in 'frames' mode, for the output LAME tag
+            firstLame: null,
+            lastLame: null,
+            encoderStarted: false,
+            // Why the output is not in the requested format, for the result
+            warning: null,
+            chunkStarts: [],
+            chunkDurations: [],
+            chunkTrimStarts: [],
+            // Output length in samples up to the end of the last chunk, including its held-back tail
+            length: 0,
+            // Unfaded end of the last chunk, held back until the next chunk decides how it is joined
+            tail: null,
+            // Aborted by discardMerge; the step in progress (appendChunk or finalize) stops at its next check
+            controller: new AbortController(),
+            running: null
+        };
+
+        this.mergeSessions.set(id, session);
+        return id;
+    },
+
+    async addChunk(mergeId, bytes, boundary) {
+        const session = this.getMergeSession(mergeId);
+
+        return this.runSessionStep(session, async () => {
+            if (!session.mode) {
+                await this.startMergeOutput(session, bytes);
             }
 
-            await audioContext.close();
+            if (session.mode === 'frames') {
+                await this.appendFrames(session, bytes);
+            } else {
+                await this.appendDecoded(session, bytes, boundary);
+            }
+
+            return {
+                chunkIndex: session.chunkStarts.length - 1,
+                duration: session.chunkDurations[session.chunkDurations.length - 1]
+            };
+        });
+    },
+
+    // Returns the finalize fields with the stored Blob and its file name in place of the URL
+    async completeMerge(mergeId) {
+        const session = this.getMergeSession(mergeId);
+        if (session.chunkStarts.length === 0) {
+            throw new Error('No audio chunks to merge');
+        }
+
+        return this.runSessionStep(session, async () => {
+            if (session.mode === 'pcm') {
+                if (session.tail) {
+                    await this.writeMergePcm(session, session.tail.channels);
+                    session.tail = null;
+                }
+
+                if (session.loudnessMode === 'program') {
+                    await this.renderProgramLoudness(session);
+                } else if (session.limiter) {
+                    await this.encodeMergePcm(session, session.limiter.flush());
+                }
+
+                if (session.encoderStarted) {
+                    session.encoderStarted = false;
+                    const tail = await this.postToMp3Worker({ stream: session.id, action: 'end' });
+                    await this.writeMergeOutput(session, tail);
+                }
+            }
+
+            const body = await session.output.close();
+            this.mergeSessions.delete(mergeId);
+
+            const sampleRate = session.sampleRate;
+            const chunkStarts = session.chunkStarts.concat(session.length);
+            const chapterMarks = this.locateChapters(session.chapters, chunkStarts, sampleRate);
+
+            const parts = [];
+            if (session.format === 'mp3') {
+                if (chapterMarks.length > 0) {
+                    parts.push(this.createChapterTag(chapterMarks));
+                }
+                const header = session.index.createHeader(
+                    window.mp3Frames.joinLameGaps(session.firstLame, session.lastLame));
+                if (header) {
+                    parts.push(header);
+                }
+            } else {
+                const header = new DataView(new ArrayBuffer(44));
+                this.writeWaveHeader(header, body.size, sampleRate, session.numberOfChannels);
+                parts.push(header);
+            }
+            parts.push(body);
+
+            const mimeType = session.format === 'mp3' ? 'audio/mpeg' : 'audio/wav';
+            const loudness = session.outputMeter ? session.outputMeter.getResult() : null;
+
+            return {
+                blob: new Blob(parts, { type: mimeType }),
+                outputName: session.outputName,
+                format: session.format,
+                mimeType: mimeType,
+                duration: session.length / sampleRate,
+                chunkDurations: session.chunkDurations,
+                chunkStartTimes: session.chunkStarts.map(start => start / sampleRate),
+                chunkTrimStarts: session.chunkTrimStarts,
+                chapters: chapterMarks,
+                sampleRate: sampleRate,
+                numberOfChannels: session.numberOfChannels,
+                integratedLufs: loudness ? this.finiteOrNull(loudness.integratedLufs) : null,
+                truePeakDbtp: loudness ? this.finiteOrNull(loudness.truePeakDbtp) : null,
+                warning: session.warning
+            };
+        });
+    },
 
-            return btoa(binary);
+    async discardMerge(mergeId) {
+        const session = this.mergeSessions.get(mergeId);
+        if (!session) return;
+
+        this.mergeSessions.delete(mergeId);
+        session.controller.abort(new DOMException('Merge cancelled', 'AbortError'));
+        try {
+            // Let a running step reach its next check before its files go away
+            if (session.running) {
+                await session.running.catch(() => {});
+            }
+            if (session.encoderStarted) {
+                await this.postToMp3Worker({ stream: session.id, action: 'end' });
+            }
+            await session.output.abort();
+            if (session.spool) {
+                await session.spool.abort();
+            }
         } catch (error) {
-            console.error('Audio merging error:', error);
-            throw error;
+            console.warn('Cleaning up aborted merge failed:', error.message);
+        }
+    },
+
+    async removeStoredFiles(names) {
+        for (const name of names) {
+            await window.audioStore.remove(name);
+        }
+    },
+
+    getMergeSession(mergeId) {
+        const session = this.mergeSessions.get(mergeId);
+        if (!session) {
+            throw new Error(`Unknown merge: ${mergeId}`);
+        }
+        return session;
+    },
+
+    // Steps of one merge run one at a time and stop once the merge is discarded
+    runSessionStep(session, step) {
+        const run = (session.running || Promise.resolve())
+            .catch(() => {})
+            .then(() => {
+                session.controller.signal.throwIfAborted();
+                return step();
+            });
+
+        session.running = run;
+        return run;
+    },
+
+    throwIfAborted(job) {
+        if (job && job.signal) {
+            job.signal.throwIfAborted();
+        }
+    },
+
+    // The first chunk fixes the output format: same-format MP3 is copied frame-by-frame when nothing needs
+    // the decoded samples, otherwise everything is decoded to a common sample rate
+    async startMergeOutput(session, bytes) {
+        const options = session.options;
+
+        if (session.format === 'mp3' && !this.hasJoinProcessing(options)) {
+            const parsed = window.mp3Frames.parseFrames(bytes);
+            if (parsed && parsed.header.layer === 3 &&
+                this.matchesTargetFormat(options, parsed.header.sampleRate, parsed.header.channels)) {
+                session.mode = 'frames';
+                session.frameFormat = parsed.header;
+                session.sampleRate = parsed.header.sampleRate;
+                session.numberOfChannels = parsed.header.channels;
+                return;
+            }
+        }
+
+        session.mode = 'pcm';
+        session.sampleRate = this.chooseSampleRate([bytes], options);
+
+        if (session.loudnessMode !== 'off') {
+            session.limiter = window.loudness.createLimiter(session.sampleRate, this.getTruePeakCeiling(options));
+            session.outputMeter = window.loudness.createMeter(session.sampleRate);
+        }
+
+        // Program loudness is only known once every chunk is in, so PCM is spooled and encoded in finalize
+        if (session.loudnessMode === 'program') {
+            session.programMeter = window.loudness.createMeter(session.sampleRate);
+            session.spool = await window.audioStore.createFile(session.spoolName);
+        }
+    },
+
+    async appendFrames(session, bytes) {
+        const format = session.frameFormat;
+        let parsed = window.mp3Frames.parseFrames(bytes);
+        let source = bytes;
+
+        // A chunk in another format (e.g. from a different voice) is re-encoded to match
+        if (!parsed || parsed.header.layer !== 3 || parsed.header.version !== format.version ||
+            parsed.header.sampleRate !== format.sampleRate || parsed.header.channels !== format.channels) {
+            const decoded = await this.decodeAudio(bytes, session.sampleRate);
+            const audioBuffer = await this.resampleBuffer(decoded, session.sampleRate, session.numberOfChannels);
+            const channels = this.getChannels(audioBuffer).map(data => data.slice());
+            source = await this.postToMp3Worker({
+                channels: channels,
+                sampleRate: session.sampleRate,
+                ...this.getMp3Settings(session.options)
+            }, channels.map(channel => channel.buffer));
+            parsed = window.mp3Frames.parseFrames(source);
+        }
+
+        const sampleCount = parsed ? parsed.sampleCount : 0;
+        const lame = parsed ? parsed.lame : null;
+        if (session.chunkStarts.length === 0) {
+            session.firstLame = lame;
+        }
+        session.lastLame = lame;
+
+        if (parsed) {
+            for (const frame of parsed.frames) {
+                await this.writeMergeOutput(session, source.subarray(frame.offset, frame.offset + frame.length));
+            }
+        }
+
+        session.chunkStarts.push(session.length);
+        session.chunkDurations.push(sampleCount / session.sampleRate);
+        session.chunkTrimStarts.push(0);
+        session.length += sampleCount;
+    },
+
+    // Decode a chunk and join it to the previous one the way layoutChunks/renderChunks do, writing out
+    // everything except the end of this chunk, which waits for the next join
+    async appendDecoded(session, bytes, boundary) {
+        const options = session.options;
+        const sampleRate = session.sampleRate;
+
+        const decoded = await this.decodeAudio(bytes, sampleRate);
+        session.controller.signal.throwIfAborted();
+        if (!session.numberOfChannels) {
+            session.numberOfChannels = Number(options.channels) > 0
+                ? Math.min(Number(options.channels), 2)
+                : decoded.numberOfChannels;
+        }
+
+        const audioBuffer = await this.resampleBuffer(decoded, sampleRate, session.numberOfChannels);
+        const channels = this.getChannels(audioBuffer);
+
+        if (session.loudnessMode === 'chunk') {
+            const measured = window.loudness.measureIntegratedLoudness(channels, sampleRate);
+            window.loudness.applyTargetGain(channels, measured, this.getTargetLufs(options));
+        }
+
+        const thresholdDb = Number.isFinite(options.silenceThresholdDb) ? options.silenceThresholdDb : this.defaultSilenceThresholdDb;
+        const range = options.trimSilence
+            ? this.findAudibleRange(audioBuffer, Math.pow(10, thresholdDb / 20))
+            : { start: 0, end: audioBuffer.length };
+        const chunk = channels.map(data => data.subarray(range.start, range.end));
+        const length = range.end - range.start;
+
+        const toSamples = (ms) => Math.max(0, Math.round((Number(ms) || 0) * sampleRate / 1000));
+        const crossfade = toSamples(options.crossfadeMs);
+        let offset = 0;
+        let fade = 0;
+
+        if (session.tail) {
+            const tail = session.tail;
+            const pauses = {
+                paragraph: toSamples(options.paragraphSilenceMs),
+                chapter: toSamples(options.chapterSilenceMs)
+            };
+            const pause = Math.max(toSamples(options.chunkSilenceMs), pauses[String(boundary || 'sentence').toLowerCase()] || 0);
+
+            // Fades never take more than half of either chunk; the tail already holds at most half of the previous one
+            fade = Math.min(tail.length, Math.floor(length / 2));
+            await this.writeMergePcm(session, tail.channels.map(data => data.subarray(0, tail.length - fade)));
+
+            const fadeOut = tail.channels.map(data => data.slice(tail.length - fade));
+            const fadeIn = chunk.map(data => data.slice(0, fade));
+            for (let i = 0; i < fade; i++) {
+                const outGain = Math.cos((i + 0.5) / fade * Math.PI / 2);
+                const inGain = Math.sin((i + 0.5) / fade * Math.PI / 2);
+                for (let channel = 0; channel < chunk.length; channel++) {
+                    fadeOut[channel][i] *= outGain;
+                    fadeIn[channel][i] *= inGain;
+                }
+            }
+
+            // Without a pause the fades overlap into a crossfade; with one, each side fades to silence
+            if (pause > 0) {
+                await this.writeMergePcm(session, fadeOut);
+                await this.writeMergePcm(session, chunk.map(() => new Float32Array(pause)));
+                await this.writeMergePcm(session, fadeIn);
+                offset = session.length + pause;
+            } else {
+                for (let channel = 0; channel < chunk.length; channel++) {
+                    for (let i = 0; i < fade; i++) {
+                        fadeIn[channel][i] += fadeOut[channel][i];
+                    }
+                }
+                await this.writeMergePcm(session, fadeIn);
+                offset = session.length - fade;
+            }
+        }
+
+        const hold = Math.min(crossfade, Math.floor(length / 2));
+        await this.writeMergePcm(session, chunk.map(data => data.subarray(fade, length - hold)));
+        session.tail = { channels: chunk.map(data => data.slice(length - hold)), length: hold };
+
+        session.chunkStarts.push(offset);
+        session.chunkDurations.push(length / sampleRate);
+        session.chunkTrimStarts.push(range.start / sampleRate);
+        session.length = offset + length;
+    },
+
+    // Joined PCM goes to the encoder, through the limiter when loudness is normalized, or to the spool
+    // when the whole program has to be measured first
+    async writeMergePcm(session, channels) {
+        if (channels.length === 0 || channels[0].length === 0) return;
+
+        if (session.loudnessMode === 'program') {
+            session.programMeter.push(channels);
+            const interleaved = this.interleaveChannels(channels);
+            await session.spool.write(new Uint8Array(interleaved.buffer, interleaved.byteOffset, interleaved.byteLength));
+        } else {
+            await this.encodeMergePcm(session, session.limiter ? session.limiter.process(channels) : channels);
+        }
+    },
+
+    // Second pass for program loudness: read the spooled PCM back, apply the gain and limit
+    async renderProgramLoudness(session) {
+        const spooled = await session.spool.close();
+        session.spool = null;
+
+        const measured = session.programMeter.getResult().integratedLufs;
+        const gain = Number.isFinite(measured) ? Math.pow(10, (this.getTargetLufs(session.options) - measured) / 20) : 1;
+        const channelCount = session.numberOfChannels;
+        const blockBytes = Math.round(session.sampleRate * this.spoolBlockSeconds) * channelCount * 4;
+
+        for (let start = 0; start < spooled.size; start += blockBytes) {
+            session.controller.signal.throwIfAborted();
+            const interleaved = new Float32Array(await spooled.slice(start, start + blockBytes).arrayBuffer());
+            const frameCount = interleaved.length / channelCount;
+            const channels = [];
+            for (let channel = 0; channel < channelCount; channel++) {
+                const data = new Float32Array(frameCount);
+                for (let i = 0; i < frameCount; i++) {
+                    data[i] = interleaved[i * channelCount + channel] * gain;
+                }
+                channels.push(data);
+            }
+            await this.encodeMergePcm(session, session.limiter.process(channels));
+        }
+
+        await this.encodeMergePcm(session, session.limiter.flush());
+        await window.audioStore.remove(session.spoolName);
+    },
+
+    async encodeMergePcm(session, channels) {
+        if (channels.length === 0 || channels[0].length === 0) return;
+
+        if (session.outputMeter) {
+            session.outputMeter.push(channels);
+        }
+
+        if (session.format === 'mp3') {
+            // The encoder starts with the first audio; if it cannot load, fall back to WAV like mergeAudioChunks
+            if (!session.encoderStarted) {
+                try {
+                    await this.postToMp3Worker({
+                        stream: session.id,
+                        action: 'begin',
+                        channelCount: Math.min(session.numberOfChannels, 2),
+                        sampleRate: session.sampleRate,
+                        ...this.getMp3Settings(session.options)
+                    });
+                    session.encoderStarted = true;
+                } catch (encodeError) {
+                    session.warning = this.getMp3FallbackWarning(encodeError);
+                    session.format = 'wav';
+                }
+            }
+
+            if (session.encoderStarted) {
+                const copies = channels.slice(0, 2).map(data => data.slice());
+                const encoded = await this.postToMp3Worker({ stream: session.id, action: 'encode', channels: copies },
+                    copies.map(data => data.buffer));
+                await this.writeMergeOutput(session, encoded);
+                return;
+            }
+        }
+
+        const interleaved = this.interleaveChannels(channels);
+        const bytes = new Uint8Array(interleaved.length * 2);
+        this.floatTo16BitPCM(new DataView(bytes.buffer), 0, interleaved);
+        await session.output.write(bytes);
+    },
+
+    async writeMergeOutput(session, bytes) {
+        if (bytes.length === 0) return;
+
+        await session.output.write(bytes);
+        session.index.push(bytes);
+    },
+
+    matchesTargetFormat(options, sampleRate, numberOfChannels) {
+        return (!(Number(options.sampleRate) > 0) || Number(options.sampleRate) === sampleRate) &&
+            (!(Number(options.channels) > 0) || Number(options.channels) === numberOfChannels);
+    },
+
+    // The configured sample rate, or the highest native rate among the chunks (at most 48 kHz, which MP3 can hold)
+    chooseSampleRate(chunkBytes, options) {
+        if (Number(options.sampleRate) > 0) {
+            return Number(options.sampleRate);
+        }
+
+        const nativeRates = chunkBytes.map(bytes => this.detectSampleRate(bytes)).filter(rate => rate > 0);
+        return nativeRates.length > 0 ? Math.min(Math.max(...nativeRates), 48000) : this.getDefaultSampleRate();
+    },
+
+    getDefaultSampleRate() {
+        if (!this.defaultSampleRate) {
+            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.defaultSampleRate = audioContext.sampleRate;
+            audioContext.close();
+        }
+        return this.defaultSampleRate;
+    },
+
+    // Decode to an AudioBuffer at the given sample rate. decodeAudioData resamples to the context rate, and an
+    // OfflineAudioContext (unlike AudioContext) takes any rate and needs no audio device. The merge worker has
+    // no Web Audio and asks the page for this (see answerMergeWorker).
+    async decodeAudio(bytes, sampleRate) {
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContextClass(1, 1, sampleRate);
+
+        // decodeAudioData detaches the buffer it is given
+        return context.decodeAudioData(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    },
+
+    // Minimal stand-in for an AudioBuffer, which workers lack: planar Float32Array channels at a sample rate
+    createPcmBuffer(channels, sampleRate) {
+        return {
+            sampleRate: sampleRate,
+            numberOfChannels: channels.length,
+            length: channels[0].length,
+            duration: channels[0].length / sampleRate,
+            getChannelData: (channel) => channels[channel]
+        };
+    },
+
+    // Native sample rate from the container header (WAV, MP3, FLAC, Ogg), or null if unknown
+    detectSampleRate(bytes) {
+        const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WAVE') {
+            let offset = 12;
+            while (offset + 8 <= bytes.length) {
+                const size = view.getUint32(offset + 4, true);
+                if (ascii(offset, 4) === 'fmt ' && offset + 16 <= bytes.length) {
+                    return view.getUint32(offset + 12, true);
+                }
+                offset += 8 + size + (size & 1);
+            }
+            return null;
+        }
+
+        if (bytes.length >= 21 && ascii(0, 4) === 'fLaC') {
+            // STREAMINFO: 20-bit sample rate after the block sizes and frame sizes
+            return (bytes[18] << 12) | (bytes[19] << 4) | (bytes[20] >> 4);
+        }
+
+        if (bytes.length >= 44 && ascii(0, 4) === 'OggS') {
+            if (ascii(28, 8) === 'OpusHead') return 48000;
+            if (ascii(29, 6) === 'vorbis') return view.getUint32(40, true);
+            return null;
+        }
+
+        // ID3 tag or MPEG frame sync
+        if ((bytes.length >= 3 && ascii(0, 3) === 'ID3') || (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0)) {
+            const mp3 = window.mp3Frames.parseFrames(bytes);
+            return mp3 ? mp3.header.sampleRate : null;
+        }
+
+        return null;
+    },
+
+    // Resample and up/down-mix where the format differs
+    async resampleBuffer(audioBuffer, sampleRate, numberOfChannels) {
+        if (audioBuffer.sampleRate === sampleRate && audioBuffer.numberOfChannels === numberOfChannels) {
+            return audioBuffer;
+        }
+
+        return this.renderResampled(audioBuffer, sampleRate, numberOfChannels);
+    },
+
+    // Render through an OfflineAudioContext (speaker mixing rules); page only, like decodeAudio
+    async renderResampled(buffer, sampleRate, numberOfChannels) {
+        let audioBuffer = buffer;
+        if (!(buffer instanceof AudioBuffer)) {
+            audioBuffer = new AudioBuffer({ length: buffer.length, numberOfChannels: buffer.numberOfChannels, sampleRate: buffer.sampleRate });
+            this.getChannels(buffer).forEach((data, channel) => audioBuffer.copyToChannel(data, channel));
+        }
+
+        const length = Math.max(1, Math.ceil(audioBuffer.duration * sampleRate));
+        const offlineContext = new OfflineAudioContext(numberOfChannels, length, sampleRate);
+        const source = offlineContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(offlineContext.destination);
+        source.start();
+
+        return offlineContext.startRendering();
+    },
+
+    hasJoinProcessing(options) {
+        return !!options.trimSilence ||
+            options.crossfadeMs > 0 ||
+            options.chunkSilenceMs > 0 ||
+            options.paragraphSilenceMs > 0 ||
+            options.chapterSilenceMs > 0 ||
+            this.getLoudnessMode(options) !== 'off';
+    },
+
+    // 'off', 'chunk' (normalize each chunk before joining) or 'program' (normalize the merged audio)
+    getLoudnessMode(options) {
+        const mode = (options.loudnessMode || 'off').toLowerCase();
+        return mode === 'chunk' || mode === 'program' ? mode : 'off';
+    },
+
+    getTargetLufs(options) {
+        return Number.isFinite(options.targetLufs) ? options.targetLufs : window.loudness.defaultTargetLufs;
+    },
+
+    getTruePeakCeiling(options) {
+        return Number.isFinite(options.truePeakCeilingDb) ? options.truePeakCeilingDb : window.loudness.defaultCeilingDbtp;
+    },
+
+    getChannels(audioBuffer) {
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+        return channels;
+    },
+
+    // Silence measures -Infinity, which JSON cannot carry
+    finiteOrNull(value) {
+        return Number.isFinite(value) ? value : null;
+    },
+
+    /**
+     * Decide where each chunk goes in the merged audio
+     * @returns {Object} { segments: [{ buffer, start, end, offset, fadeIn, fadeOut }], length } in samples;
+     *   start/end select the (trimmed) part of the chunk, offset is its position in the output
+     */
+    layoutChunks(buffers, options, boundaries) {
+        const sampleRate = buffers[0].sampleRate;
+        const toSamples = (ms) => Math.max(0, Math.round((Number(ms) || 0) * sampleRate / 1000));
+        const crossfade = toSamples(options.crossfadeMs);
+        const chunkPause = toSamples(options.chunkSilenceMs);
+        const pauses = {
+            paragraph: toSamples(options.paragraphSilenceMs),
+            chapter: toSamples(options.chapterSilenceMs)
+        };
+        const thresholdDb = Number.isFinite(options.silenceThresholdDb) ? options.silenceThresholdDb : this.defaultSilenceThresholdDb;
+        const threshold = Math.pow(10, thresholdDb / 20);
+
+        const segments = [];
+        let offset = 0;
+
+        buffers.forEach((buffer, index) => {
+            const range = options.trimSilence ? this.findAudibleRange(buffer, threshold) : { start: 0, end: buffer.length };
+            const segment = { buffer, start: range.start, end: range.end, offset: 0, fadeIn: 0, fadeOut: 0 };
+            const length = range.end - range.start;
+
+            if (index > 0) {
+                const previous = segments[index - 1];
+                const boundary = String((boundaries && boundaries[index]) || 'sentence').toLowerCase();
+                const pause = Math.max(chunkPause, pauses[boundary] || 0);
+
+                // Fades never take more than half of either chunk
+                const fade = Math.min(crossfade, Math.floor(length / 2), Math.floor((previous.end - previous.start) / 2));
+                previous.fadeOut = fade;
+                segment.fadeIn = fade;
+
+                // Without a pause the fades overlap into a crossfade; with one, each side fades to silence
+                offset += pause > 0 ? pause : -fade;
+            }
+
+            segment.offset = offset;
+            offset += length;
+            segments.push(segment);
+        });
+
+        return { segments, length: offset };
+    },
+
+    // Mix the laid-out chunks into the output buffer with equal-power (sin/cos) fades
+    renderChunks(mergedBuffer, segments) {
+        for (let channel = 0; channel < mergedBuffer.numberOfChannels; channel++) {
+            const output = mergedBuffer.getChannelData(channel);
+
+            for (const segment of segments) {
+                const input = segment.buffer.getChannelData(Math.min(channel, segment.buffer.numberOfChannels - 1));
+                const length = segment.end - segment.start;
+                const fadeOutStart = length - segment.fadeOut;
+
+                // Only faded edges can overlap another chunk, so the middle is copied as-is
+                output.set(input.subarray(segment.start + segment.fadeIn, segment.start + fadeOutStart),
+                    segment.offset + segment.fadeIn);
+
+                for (let i = 0; i < segment.fadeIn; i++) {
+                    const gain = Math.sin((i + 0.5) / segment.fadeIn * Math.PI / 2);
+                    output[segment.offset + i] += input[segment.start + i] * gain;
+                }
+
+                for (let i = fadeOutStart; i < length; i++) {
+                    const gain = Math.cos((i - fadeOutStart + 0.5) / segment.fadeOut * Math.PI / 2);
+                    output[segment.offset + i] += input[segment.start + i] * gain;
+                }
+            }
+        }
+    },
+
+    // Range between the first and last 10 ms window whose RMS level exceeds the threshold,
+    // widened by a short margin so soft onsets and decays are kept
+    findAudibleRange(buffer, threshold) {
+        const windowSize = Math.max(1, Math.round(buffer.sampleRate * this.silenceWindowMs / 1000));
+        const margin = Math.round(buffer.sampleRate * this.silenceMarginMs / 1000);
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+
+        const isAudible = (start) => {
+            const end = Math.min(buffer.length, start + windowSize);
+            for (const data of channels) {
+                let sum = 0;
+                for (let i = start; i < end; i++) {
+                    sum += data[i] * data[i];
+                }
+                if (Math.sqrt(sum / (end - start)) > threshold) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        let first = -1;
+        for (let start = 0; start < buffer.length; start += windowSize) {
+            if (isAudible(start)) {
+                first = start;
+                break;
+            }
+        }
+
+        if (first < 0) {
+            return { start: 0, end: 0 };
+        }
+
+        let last = first + windowSize;
+        for (let start = Math.floor((buffer.length - 1) / windowSize) * windowSize; start > first; start -= windowSize) {
+            if (isAudible(start)) {
+                last = start + windowSize;
+                break;
+            }
         }
+
+        return {
+            start: Math.max(0, first - margin),
+            end: Math.min(buffer.length, last + margin)
+        };
+    },
+
+    // Convert chapter chunk ranges to sample offsets and times in the merged audio
+    // chunkStarts: output sample offset of each chunk, followed by the total length
+    locateChapters(chapters, chunkStarts, sampleRate) {
+        if (!chapters || chapters.length === 0) {
+            return [];
+        }
+
+        const chunkCount = chunkStarts.length - 1;
+        const clampChunk = (index) => Math.max(0, Math.min(chunkCount, index));
+
+        return chapters.map(chapter => {
+            const startSample = chunkStarts[clampChunk(chapter.startChunk)];
+            const endSample = chunkStarts[clampChunk(chapter.endChunk)];
+            return {
+                ...chapter,
+                startSample: startSample,
+                endSample: endSample,
+                startTime: startSample / sampleRate,
+                endTime: endSample / sampleRate
+            };
+        });
+    },
+
+    addChapterFrames(mp3Bytes, chapterMarks) {
+        if (chapterMarks.length === 0) {
+            return mp3Bytes;
+        }
+
+        return window.id3Tags.applyTag(mp3Bytes, this.createChapterTag(chapterMarks));
+    },
+
+    // ID3v2 tag holding only CHAP/CTOC frames for located chapters
+    createChapterTag(chapterMarks) {
+        const duration = chapterMarks.reduce((max, chapter) => Math.max(max, chapter.endTime), 0);
+        return window.id3Tags.buildTag(window.id3Tags.createChapterFrames(chapterMarks, duration));
+    },
+
+    // Binary from .NET arrives as a Uint8Array (byte[]) or a DotNetStreamReference; Blobs are accepted too
+    async readBytes(data) {
+        if (data instanceof Uint8Array) {
+            return data;
+        }
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        }
+        if (data && typeof data.arrayBuffer === 'function') {
+            return new Uint8Array(await data.arrayBuffer());
+        }
+        throw new Error('Unsupported audio data');
+    },
+
+    // Base64 remains only for small values carried in string maps, such as ID3 cover art
+    base64ToBytes(base64) {
+        const binaryString = atob(base64);
+        const bytes = new Uint8Array(binaryString.length);
+        for (let i = 0; i < binaryString.length; i++) {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    bytesToBase64(bytes) {
+        // Build the binary string in blocks; one character at a time is very slow for long audio
+        const blockSize = 0x8000;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += blockSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + blockSize));
+        }
+        return btoa(binary);
+    },
+
+    // Encode an AudioBuffer to MP3 in a worker (LAME compiled to WebAssembly)
+    async encodeMp3(audioBuffer, options = {}) {
+        // LAME accepts mono or stereo; copy the channel data so it can be transferred
+        const channelCount = Math.min(audioBuffer.numberOfChannels, 2);
+        const channels = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            channels.push(audioBuffer.getChannelData(channel).slice());
+        }
+
+        const request = {
+            channels: channels,
+            sampleRate: audioBuffer.sampleRate,
+            ...this.getMp3Settings(options)
+        };
+
+        const encoded = await this.postToMp3Worker(request, channels.map(channel => channel.buffer));
+
+        // LAME does not write a Xing/Info header to a stream; add one so players report the right duration
+        const withHeader = window.mp3Frames.join([encoded]);
+        return withHeader ? withHeader.data : encoded;
+    },
+
+    // { bitrate } for CBR or { vbrQuality } for VBR
+    getMp3Settings(options) {
+        if (options.useVbr) {
+            const quality = Number(options.vbrQuality);
+            return { vbrQuality: Number.isFinite(quality) ? Math.min(Math.max(quality, 0), 9) : 4 };
+        }
+
+        return {
+            bitrate: this.mp3Bitrates.includes(options.bitrate)
+                ? options.bitrate
+                : this.defaultMp3Bitrate
+        };
+    },
+
+    getMp3Worker() {
+        if (!this.mp3Worker) {
+            this.mp3Worker = new Worker(this.mp3WorkerUrl);
+
+            this.mp3Worker.onmessage = (event) => {
+                const { id, data, error } = event.data;
+                const pending = this.mp3Requests.get(id);
+                if (!pending) return;
+
+                this.mp3Requests.delete(id);
+                if (error) {
+                    pending.reject(new Error(error));
+                } else {
+                    pending.resolve(data);
+                }
+            };
+
+            this.mp3Worker.onerror = (event) => {
+                // A worker-level error fails every pending request; recreate on next use
+                const error = new Error(event.message || 'MP3 encoder worker failed');
+                for (const pending of this.mp3Requests.values()) {
+                    pending.reject(error);
+                }
+                this.mp3Requests.clear();
+                this.mp3Worker.terminate();
+                this.mp3Worker = null;
+            };
+        }
+
+        return this.mp3Worker;
+    },
+
+    postToMp3Worker(request, transfer) {
+        return new Promise((resolve, reject) => {
+            const id = ++this.mp3RequestId;
+            this.mp3Requests.set(id, { resolve, reject });
+            this.getMp3Worker().postMessage({ id, ...request }, transfer);
+        });
     },
 
     // Convert AudioBuffer to WAV blob
     async bufferToWave(audioBuffer) {
         const numberOfChannels = audioBuffer.numberOfChannels;
         const sampleRate = audioBuffer.sampleRate;
-        const format = 1; // PCM
-        const bitDepth = 16;
 
         let result;
         if (numberOfChannels === 2) {
@@ -81,10 +1308,23 @@ window.audioMerger = {
         const buffer = new ArrayBuffer(44 + result.length * 2);
         const view = new DataView(buffer);
 
+        this.writeWaveHeader(view, result.length * 2, sampleRate, numberOfChannels);
+
+        // write the PCM samples
+        this.floatTo16BitPCM(view, 44, result);
+
+        return new Blob([view], { type: 'audio/wav' });
+    },
+
+    // 44-byte header of a 16-bit PCM WAV file with dataLength bytes of samples
+    writeWaveHeader(view, dataLength, sampleRate, numberOfChannels) {
+        const format = 1; // PCM
+        const bitDepth = 16;
+
         // RIFF identifier
         this.writeString(view, 0, 'RIFF');
         // file length
-        view.setUint32(4, 36 + result.length * 2, true);
+        view.setUint32(4, 36 + dataLength, true);
         // RIFF type
         this.writeString(view, 8, 'WAVE');
         // format chunk identifier
@@ -106,12 +1346,23 @@ window.audioMerger = {
         // data chunk identifier
         this.writeString(view, 36, 'data');
         // data chunk length
-        view.setUint32(40, result.length * 2, true);
+        view.setUint32(40, dataLength, true);
+    },
 
-        // write the PCM samples
-        this.floatTo16BitPCM(view, 44, result);
+    // Interleave any number of channels (a single channel is returned as-is)
+    interleaveChannels(channels) {
+        if (channels.length === 1) {
+            return channels[0];
+        }
 
-        return new Blob([view], { type: 'audio/wav' });
+        const frameCount = channels[0].length;
+        const result = new Float32Array(frameCount * channels.length);
+        for (let i = 0; i < frameCount; i++) {
+            for (let channel = 0; channel < channels.length; channel++) {
+                result[i * channels.length + channel] = channels[channel][i];
+            }
+        }
+        return result;
     },
 
     interleave(leftChannel, rightChannel) {
@@ -141,25 +1392,43 @@ window.audioMerger = {
     },
 
     // Download file helper
-    downloadAudio(base64Data, filename, mimeType) {
-        const binaryString = atob(base64Data);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
-        }
+    // data: Uint8Array (a .NET byte[]) or a DotNetStreamReference
+    async downloadAudio(data, filename, mimeType) {
+        this.saveBlob(new Blob([await this.readBytes(data)], { type: mimeType }), filename);
+    },
+
+    // Download audio behind a Blob URL (from finalize) without reading it into memory.
+    // MP3 downloads get an ID3v2.4 tag in place of the merger's chapter-only tag.
+    async downloadAudioUrl(url, filename, mimeType, tags = null, chapters = null) {
+        try {
+            let blob = await (await fetch(url)).blob();
+
+            if (tags) {
+                const head = new Uint8Array(await blob.slice(0, 10).arrayBuffer());
+                const duration = (chapters || []).reduce((max, chapter) => Math.max(max, chapter.endTime || 0), 0);
+                const tag = window.id3Tags.createTag(tags, chapters, duration);
+                blob = new Blob([tag, blob.slice(window.mp3Frames.getId3v2Size(head, 0))]);
+            }
 
-        const blob = new Blob([bytes], { type: mimeType });
-        const url = URL.createObjectURL(blob);
+            this.saveBlob(new Blob([blob], { type: mimeType }), filename);
+        } catch (error) {
+            console.error('Audio download error:', error);
+            throw error;
+        }
+    },
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
+    // Convert audio behind a Blob URL (from finalize) without passing it through .NET: to a format of
+    // audioConverter, or to 'm4b' with options as the m4bMuxer.createAudiobook options.
+    // Returns a Blob URL of the converted audio; call releaseMerge(url) once it is no longer needed.
+    async convertAudioUrl(url, toFormat, options) {
+        const blob = await (await fetch(url)).blob();
+        const result = toFormat === 'm4b'
+            ? await window.m4bMuxer.createAudiobook(blob, options)
+            : await window.audioConverter.convert(blob, toFormat, options);
+        return URL.createObjectURL(new Blob([result.audioData], { type: result.mimeType }));
+    },
 
-        setTimeout(() => {
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-        }, 0);
+    saveBlob(blob, filename) {
+        window.fileDownload.saveBlob(blob, filename);
     }
 };
@@ -14,27 +14,23 @@ window.audioShare = {
 
     /**
      * Share audio file
-     * @param {string} base64Audio - Base64 encoded audio data
+     * @param {Uint8Array|string} audio - Audio bytes (a .NET byte[]) or a Blob URL of merged audio
      * @param {string} mimeType - MIME type (e.g., 'audio/mpeg', 'audio/wav')
      * @param {string} filename - Suggested filename (e.g., 'speech.mp3')
      * @param {string} text - Optional text to share with the audio
      * @returns {Promise<boolean>} Success status
      */
-    async shareAudio(base64Audio, mimeType, filename, text) {
+    async shareAudio(audio, mimeType, filename, text) {
         try {
             if (!this.isShareSupported()) {
                 console.warn('Web Share API not supported on this device');
                 return false;
             }
 
-            // Convert base64 to Blob
-            const byteCharacters = atob(base64Audio);
-            const byteNumbers = new Array(byteCharacters.length);
-            for (let i = 0; i < byteCharacters.length; i++) {
-                byteNumbers[i] = byteCharacters.charCodeAt(i);
-            }
-            const byteArray = new Uint8Array(byteNumbers);
-            const blob = new Blob([byteArray], { type: mimeType });
+            // Blob URLs are shared straight from storage, without a copy through .NET
+            const blob = typeof audio === 'string'
+                ? await (await fetch(audio)).blob()
+                : new Blob([audio], { type: mimeType });
 
             // Create File object from Blob
             const file = new File([blob], filename, { type: mimeType });
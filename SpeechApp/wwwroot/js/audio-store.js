@@ -0,0 +1,240 @@
+/**
+ * Audio Store
+ *
+ * Disk-backed scratch storage for audio that is too large to hold in memory,
+ * such as a whole book being merged chunk by chunk. Files are written
+ * incrementally and read back as Blobs (which browsers keep on disk), so
+ * nothing needs the complete audio in one ArrayBuffer.
+ *
+ * Uses the Origin Private File System where writable file streams are
+ * available and falls back to Blob parts in IndexedDB elsewhere.
+ */
+
+window.audioStore = {
+    directoryName: 'audio-store',
+    dbName: 'StitchAudioStoreDB',
+    dbVersion: 1,
+    db: null,
+
+    // Directory handle once resolved; null when OPFS cannot be written from the page
+    directory: undefined,
+
+    // Small writes are collected into blocks of this size before hitting storage
+    writeBlockSize: 1024 * 1024 * 4,
+
+    /**
+     * Create a file and return a writer for it
+     * @param {string} name - File name, unique among open files
+     * @returns {Promise<Object>} Writer with write(Uint8Array), close() → Blob, and abort()
+     */
+    async createFile(name) {
+        const directory = await this.getDirectory();
+        const writer = directory
+            ? await this.createOpfsWriter(directory, name)
+            : await this.createIndexedDbWriter(name);
+
+        return this.withWriteBuffer(writer);
+    },
+
+    /**
+     * Delete a file and its data
+     */
+    async remove(name) {
+        try {
+            const directory = await this.getDirectory();
+            if (directory) {
+                await directory.removeEntry(name);
+            } else {
+                await this.removeParts(name);
+            }
+        } catch (error) {
+            if (error.name !== 'NotFoundError') {
+                console.error('Audio store removal error:', error);
+            }
+        }
+    },
+
+    /**
+     * Delete every stored file except the ones named, e.g. leftovers from a closed tab
+     * @param {string[]} keep - Names of files still in use
+     */
+    async clear(keep = []) {
+        try {
+            const directory = await this.getDirectory();
+            const names = [];
+
+            if (directory) {
+                for await (const name of directory.keys()) {
+                    names.push(name);
+                }
+            } else {
+                const db = await this.openDatabase();
+                const records = await this.promisifyRequest(db.transaction(['parts'], 'readonly').objectStore('parts').getAllKeys());
+                for (const [name] of records) {
+                    if (!names.includes(name)) names.push(name);
+                }
+            }
+
+            for (const name of names.filter(name => !keep.includes(name))) {
+                await this.remove(name);
+            }
+        } catch (error) {
+            console.error('Audio store cleanup error:', error);
+        }
+    },
+
+    // ========================================
+    // Origin Private File System
+    // ========================================
+
+    async getDirectory() {
+        if (this.directory !== undefined) {
+            return this.directory;
+        }
+
+        this.directory = null;
+        try {
+            // createWritable is needed to write from the page (Safari only offers sync access handles in workers)
+            if (navigator.storage && navigator.storage.getDirectory &&
+                typeof FileSystemFileHandle !== 'undefined' && 'createWritable' in FileSystemFileHandle.prototype) {
+                const root = await navigator.storage.getDirectory();
+                this.directory = await root.getDirectoryHandle(this.directoryName, { create: true });
+            }
+        } catch (error) {
+            console.warn('Origin private file system unavailable, using IndexedDB:', error.message);
+        }
+
+        return this.directory;
+    },
+
+    async createOpfsWriter(directory, name) {
+        const handle = await directory.getFileHandle(name, { create: true });
+        const writable = await handle.createWritable();
+
+        return {
+            write: (bytes) => writable.write(bytes),
+            close: async () => {
+                await writable.close();
+                return handle.getFile();
+            },
+            abort: async () => {
+                await writable.abort();
+                await this.remove(name);
+            }
+        };
+    },
+
+    // ========================================
+    // IndexedDB fallback
+    // ========================================
+
+    async openDatabase() {
+        if (this.db) {
+            return this.db;
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                // Each file is a run of Blob parts keyed by [name, index]
+                if (!db.objectStoreNames.contains('parts')) {
+                    db.createObjectStore('parts', { keyPath: ['name', 'index'] });
+                }
+            };
+        });
+
+        return this.db;
+    },
+
+    async createIndexedDbWriter(name) {
+        const db = await this.openDatabase();
+        await this.removeParts(name);
+        let index = 0;
+
+        return {
+            write: async (bytes) => {
+                const store = db.transaction(['parts'], 'readwrite').objectStore('parts');
+                await this.promisifyRequest(store.put({ name, index: index++, blob: new Blob([bytes]) }));
+            },
+            close: async () => {
+                const store = db.transaction(['parts'], 'readonly').objectStore('parts');
+                const parts = await this.promisifyRequest(store.getAll(this.getPartRange(name)));
+                return new Blob(parts.map(part => part.blob));
+            },
+            abort: () => this.remove(name)
+        };
+    },
+
+    async removeParts(name) {
+        const db = await this.openDatabase();
+        const store = db.transaction(['parts'], 'readwrite').objectStore('parts');
+        await this.promisifyRequest(store.delete(this.getPartRange(name)));
+    },
+
+    getPartRange(name) {
+        return IDBKeyRange.bound([name, 0], [name, Infinity]);
+    },
+
+    // ========================================
+    // Helpers
+    // ========================================
+
+    // Collect writes into larger blocks; many tiny writes are slow on both backends
+    withWriteBuffer(writer) {
+        let block = new Uint8Array(this.writeBlockSize);
+        let used = 0;
+        let size = 0;
+
+        const flush = async () => {
+            if (used > 0) {
+                await writer.write(block.slice(0, used));
+                used = 0;
+            }
+        };
+
+        return {
+            get size() {
+                return size;
+            },
+
+            write: async (bytes) => {
+                size += bytes.length;
+                if (bytes.length >= block.length) {
+                    await flush();
+                    await writer.write(bytes);
+                    return;
+                }
+
+                if (used + bytes.length > block.length) {
+                    await flush();
+                }
+                block.set(bytes, used);
+                used += bytes.length;
+            },
+
+            close: async () => {
+                await flush();
+                block = null;
+                return writer.close();
+            },
+
+            abort: async () => {
+                block = null;
+                await writer.abort();
+            }
+        };
+    },
+
+    promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+};
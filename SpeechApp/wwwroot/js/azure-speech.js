@@ -0,0 +1,195 @@
+/**
+ * Azure Speech WebSocket synthesis
+ *
+ * The Azure REST endpoint returns audio only. Word boundary events, needed
+ * for read-along highlighting, are only sent over the Speech service's
+ * WebSocket protocol (the one the Speech SDK uses), which this speaks
+ * directly for a single SSML request.
+ *
+ * Text messages carry "Name:value" headers, a blank line, then the body.
+ * Binary messages start with a 2-byte big-endian header length, then the
+ * headers, then audio data.
+ */
+
+window.azureSpeech = {
+    // A synthesis fails when the service sends nothing for this long (milliseconds)
+    responseTimeout: 30000,
+
+    // Job id → AbortController of synthesize calls that can be cancelled
+    synthesisJobs: new Map(),
+
+    /**
+     * Synthesize SSML and collect word boundaries
+     * @param {string} region - Azure region, e.g. 'eastus'
+     * @param {string} apiKey - Speech resource key
+     * @param {string} ssml - SSML document
+     * @param {string} outputFormat - Azure output format name, e.g. 'audio-16khz-128kbitrate-mono-mp3'
+     * @param {string} jobId - Optional id for cancel
+     * @returns {Promise<Object>} { audioData: Uint8Array, wordBoundaries: [{ text, time }] } with time in seconds
+     */
+    synthesize(region, apiKey, ssml, outputFormat, jobId = null) {
+        return new Promise((resolve, reject) => {
+            const requestId = this.createId();
+            const url = `wss://${region}.tts.speech.microsoft.com/cognitiveservices/websocket/v1` +
+                `?Ocp-Apim-Subscription-Key=${encodeURIComponent(apiKey)}&X-ConnectionId=${this.createId()}`;
+
+            const audioParts = [];
+            const wordBoundaries = [];
+            let done = false;
+            let timeout = null;
+
+            const controller = new AbortController();
+            if (jobId) {
+                this.synthesisJobs.set(jobId, controller);
+            }
+
+            const socket = new WebSocket(url);
+            socket.binaryType = 'arraybuffer';
+
+            const finish = (error) => {
+                if (done) return;
+                done = true;
+                clearTimeout(timeout);
+                if (jobId) {
+                    this.synthesisJobs.delete(jobId);
+                }
+                socket.close();
+
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                const length = audioParts.reduce((sum, part) => sum + part.length, 0);
+                const audioData = new Uint8Array(length);
+                let offset = 0;
+                for (const part of audioParts) {
+                    audioData.set(part, offset);
+                    offset += part.length;
+                }
+
+                resolve({ audioData, wordBoundaries });
+            };
+
+            // Restarted by every message, so a long synthesis is not cut short while audio is still arriving
+            const restartTimeout = () => {
+                clearTimeout(timeout);
+                timeout = setTimeout(() => {
+                    finish(new Error(`Azure speech did not respond within ${this.responseTimeout / 1000} seconds`));
+                }, this.responseTimeout);
+            };
+
+            restartTimeout();
+            controller.signal.addEventListener('abort', () => finish(controller.signal.reason));
+
+            socket.onopen = () => {
+                socket.send(this.createMessage('speech.config', requestId, 'application/json', {
+                    context: {
+                        system: { name: 'SpeechSDK', version: '1.0.0', build: 'JavaScript', lang: 'JavaScript' }
+                    }
+                }));
+                socket.send(this.createMessage('synthesis.context', requestId, 'application/json', {
+                    synthesis: {
+                        audio: {
+                            metadataOptions: {
+                                bookmarkEnabled: false,
+                                punctuationBoundaryEnabled: false,
+                                sentenceBoundaryEnabled: false,
+                                sessionEndEnabled: true,
+                                visemeEnabled: false,
+                                wordBoundaryEnabled: true
+                            },
+                            outputFormat
+                        },
+                        language: { autoDetection: false }
+                    }
+                }));
+                socket.send(this.createMessage('ssml', requestId, 'application/ssml+xml', ssml));
+            };
+
+            socket.onmessage = (event) => {
+                restartTimeout();
+                try {
+                    if (typeof event.data === 'string') {
+                        const { headers, body } = this.parseTextMessage(event.data);
+
+                        if (headers.path === 'audio.metadata') {
+                            for (const item of JSON.parse(body).Metadata || []) {
+                                if (item.Type === 'WordBoundary' && item.Data && item.Data.text) {
+                                    // Offsets are in 100-nanosecond ticks
+                                    wordBoundaries.push({ text: item.Data.text.Text, time: item.Data.Offset / 10000000 });
+                                }
+                            }
+                        } else if (headers.path === 'turn.end') {
+                            finish();
+                        }
+                        return;
+                    }
+
+                    const bytes = new Uint8Array(event.data);
+                    const headerLength = (bytes[0] << 8) | bytes[1];
+                    const headers = this.parseHeaders(new TextDecoder().decode(bytes.subarray(2, 2 + headerLength)));
+                    if (headers.path === 'audio' && bytes.length > 2 + headerLength) {
+                        audioParts.push(bytes.slice(2 + headerLength));
+                    }
+                } catch (error) {
+                    finish(error);
+                }
+            };
+
+            socket.onerror = () => {
+                finish(new Error('Azure speech connection failed'));
+            };
+
+            socket.onclose = (event) => {
+                finish(new Error(`Azure speech connection closed (${event.code}${event.reason ? `: ${event.reason}` : ''})`));
+            };
+        });
+    },
+
+    /**
+     * Stop a synthesis started with a job id; its promise rejects with an AbortError and the socket is closed
+     * @param {string} jobId - Job id passed to synthesize
+     */
+    cancel(jobId) {
+        const controller = this.synthesisJobs.get(jobId);
+        if (controller) {
+            controller.abort(new DOMException('Synthesis cancelled', 'AbortError'));
+        }
+    },
+
+    createMessage(path, requestId, contentType, body) {
+        const headers = [
+            `X-Timestamp:${new Date().toISOString()}`,
+            `Path:${path}`,
+            `X-RequestId:${requestId}`,
+            `Content-Type:${contentType}`
+        ];
+        return `${headers.join('\r\n')}\r\n\r\n${typeof body === 'string' ? body : JSON.stringify(body)}`;
+    },
+
+    parseTextMessage(data) {
+        const separator = data.indexOf('\r\n\r\n');
+        return {
+            headers: this.parseHeaders(separator < 0 ? data : data.slice(0, separator)),
+            body: separator < 0 ? '' : data.slice(separator + 4)
+        };
+    },
+
+    // Header names are lower-cased, values trimmed
+    parseHeaders(text) {
+        const headers = {};
+        for (const line of text.split('\r\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+        }
+        return headers;
+    },
+
+    // Request and connection ids are 32 hex digits without dashes
+    createId() {
+        return crypto.randomUUID().replace(/-/g, '');
+    }
+};
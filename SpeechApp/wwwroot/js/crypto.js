@@ -1,4 +1,5 @@
 // Web Crypto API wrapper for encryption/decryption
+// Binary values cross to .NET as Uint8Array (byte[]); the caller decides how to store them
 
 window.cryptoHelper = {
     // Derive encryption key from password using PBKDF2
@@ -26,7 +27,7 @@ window.cryptoHelper = {
         );
     },
 
-    // Encrypt plaintext using AES-GCM
+    // Encrypt plaintext using AES-GCM, returning IV + ciphertext
     async encrypt(plaintext, password, salt) {
         try {
             const enc = new TextEncoder();
@@ -50,23 +51,19 @@ window.cryptoHelper = {
             combined.set(iv, 0);
             combined.set(new Uint8Array(encrypted), iv.length);
 
-            // Return as base64
-            return btoa(String.fromCharCode(...combined));
+            return combined;
         } catch (error) {
             console.error('Encryption error:', error);
             throw error;
         }
     },
 
-    // Decrypt ciphertext using AES-GCM
-    async decrypt(ciphertext, password, salt) {
+    // Decrypt IV + ciphertext (as returned by encrypt) using AES-GCM
+    async decrypt(combined, password, salt) {
         try {
             const dec = new TextDecoder();
             const key = await this.deriveKey(password, salt);
 
-            // Decode from base64
-            const combined = Uint8Array.from(atob(ciphertext), c => c.charCodeAt(0));
-
             // Extract IV and encrypted data
             const iv = combined.slice(0, 12);
             const encrypted = combined.slice(12);
@@ -90,8 +87,7 @@ window.cryptoHelper = {
 
     // Generate random salt
     generateSalt() {
-        const salt = window.crypto.getRandomValues(new Uint8Array(16));
-        return btoa(String.fromCharCode(...salt));
+        return window.crypto.getRandomValues(new Uint8Array(16));
     },
 
     // Hash password for validation (SHA-256)
@@ -99,7 +95,6 @@ window.cryptoHelper = {
         const enc = new TextEncoder();
         const data = enc.encode(password + salt);
         const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return btoa(String.fromCharCode(...hashArray));
+        return new Uint8Array(hashBuffer);
     }
 };
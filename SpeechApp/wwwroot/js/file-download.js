@@ -0,0 +1,36 @@
+/**
+ * File Download
+ * Saves text and Blobs as downloads through a temporary link
+ */
+
+window.fileDownload = {
+    /**
+     * Download text as a UTF-8 file
+     * @param {string} text - File content
+     * @param {string} filename - Suggested filename (e.g., 'speech.srt')
+     * @param {string} mimeType - MIME type (e.g., 'text/vtt')
+     */
+    downloadText(text, filename, mimeType = 'text/plain') {
+        this.saveBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), filename);
+    },
+
+    /**
+     * Download a Blob
+     * @param {Blob} blob - File content
+     * @param {string} filename - Suggested filename
+     */
+    saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 0);
+    }
+};
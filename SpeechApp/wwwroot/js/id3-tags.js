@@ -0,0 +1,463 @@
+/**
+ * ID3 Tags
+ *
+ * Writes ID3v2.4 tags (UTF-8 text frames, comment, cover art and CHAP/CTOC
+ * chapter frames) in front of MP3 audio, replacing any existing ID3v2 tag, and
+ * reads ID3v2.3/2.4 tags and chapters back.
+ *
+ * Tags are exchanged as a flat object of strings:
+ * { title, artist, album, track, year, comment, coverArt (base64), coverArtMimeType }
+ * Chapters are passed separately as [{ title, startTime, endTime }] in seconds.
+ */
+
+window.id3Tags = {
+    // Tag field -> text frame ID
+    textFrames: {
+        title: 'TIT2',
+        artist: 'TPE1',
+        album: 'TALB',
+        track: 'TRCK',
+        year: 'TDRC'
+    },
+
+    encodings: {
+        latin1: 0x00,
+        utf16: 0x01,
+        utf16be: 0x02,
+        utf8: 0x03
+    },
+
+    frontCoverPictureType: 0x03,
+
+    // CTOC flags: top-level table of contents, entries in playback order
+    tocTopLevelFlag: 0x02,
+    tocOrderedFlag: 0x01,
+
+    // CHAP byte offsets are optional; this value means "use the times"
+    unusedChapterOffset: 0xFFFFFFFF,
+
+    /**
+     * Write tags to MP3 audio
+     * @param {Uint8Array} mp3Bytes - MP3 audio
+     * @param {Object} tags - Tag fields (empty values are skipped)
+     * @param {Array} chapters - Optional chapters [{ title, startTime, endTime }] written as CHAP/CTOC frames;
+     *   a missing end time means the end of the audio
+     * @returns {Uint8Array} MP3 with an ID3v2.4 tag
+     */
+    writeTags(mp3Bytes, tags, chapters = null) {
+        try {
+            let duration = 0;
+
+            if (chapters && chapters.length > 0) {
+                const parsed = window.mp3Frames.parseFrames(mp3Bytes);
+                duration = parsed ? parsed.sampleCount / parsed.header.sampleRate : 0;
+            }
+
+            return this.applyTag(mp3Bytes, this.createTag(tags, chapters, duration));
+        } catch (error) {
+            console.error('Failed to write ID3 tags:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Read tags from MP3 audio
+     * @param {Uint8Array} mp3Bytes - MP3 audio
+     * @returns {Object} Tag fields found in the file (empty object if untagged)
+     */
+    readTags(mp3Bytes) {
+        try {
+            const parsed = this.parseTag(mp3Bytes);
+            return parsed ? this.framesToTags(parsed.frames) : {};
+        } catch (error) {
+            console.error('Failed to read ID3 tags:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Read CHAP chapters from MP3 audio
+     * @param {Uint8Array} mp3Bytes - MP3 audio
+     * @returns {Array} [{ id, title, startTime, endTime }] in seconds, in the order of the top-level CTOC
+     *   if there is one, otherwise by start time (empty array if there are none)
+     */
+    readChapters(mp3Bytes) {
+        try {
+            const parsed = this.parseTag(mp3Bytes);
+            return parsed ? this.framesToChapters(parsed.frames, parsed.version) : [];
+        } catch (error) {
+            console.error('Failed to read ID3 chapters:', error);
+            return [];
+        }
+    },
+
+    // ========================================
+    // Writing
+    // ========================================
+
+    createFrames(tags) {
+        const frames = [];
+
+        for (const [field, frameId] of Object.entries(this.textFrames)) {
+            if (tags[field]) {
+                frames.push(this.createTextFrame(frameId, String(tags[field])));
+            }
+        }
+
+        if (tags.comment) {
+            frames.push(this.createCommentFrame(String(tags.comment)));
+        }
+
+        if (tags.coverArt) {
+            frames.push(this.createPictureFrame(
+                window.audioMerger.base64ToBytes(tags.coverArt),
+                tags.coverArtMimeType || 'image/jpeg'));
+        }
+
+        return frames;
+    },
+
+    createFrame(id, body) {
+        const frame = new Uint8Array(10 + body.length);
+        frame.set(this.latin1ToBytes(id), 0);
+        frame.set(this.toSyncsafe(body.length), 4);
+        // Status and format flags stay zero
+        frame.set(body, 10);
+        return frame;
+    },
+
+    createTextFrame(id, text) {
+        return this.createFrame(id, this.concat([
+            [this.encodings.utf8],
+            this.utf8ToBytes(text)
+        ]));
+    },
+
+    createCommentFrame(text, language = 'eng') {
+        return this.createFrame('COMM', this.concat([
+            [this.encodings.utf8],
+            this.latin1ToBytes(language),
+            [0x00], // empty content description
+            this.utf8ToBytes(text)
+        ]));
+    },
+
+    createPictureFrame(imageBytes, mimeType) {
+        return this.createFrame('APIC', this.concat([
+            [this.encodings.utf8],
+            this.latin1ToBytes(mimeType),
+            [0x00],
+            [this.frontCoverPictureType],
+            [0x00], // empty description
+            imageBytes
+        ]));
+    },
+
+    /**
+     * Create CHAP frames for each chapter plus a top-level CTOC listing them in order
+     * @param {Array} chapters - [{ title, startTime, endTime }] in seconds
+     * @param {number} duration - Audio duration in seconds, used for missing end times
+     * @param {string} tocTitle - Optional title for the table of contents
+     * @returns {Uint8Array[]} Frames
+     */
+    createChapterFrames(chapters, duration, tocTitle) {
+        // CTOC stores its entry count in a single byte
+        const sorted = chapters
+            .filter(chapter => chapter && Number.isFinite(chapter.startTime))
+            .sort((a, b) => a.startTime - b.startTime)
+            .slice(0, 255);
+
+        const frames = [];
+        const elementIds = [];
+
+        sorted.forEach((chapter, index) => {
+            const elementId = `chp${index}`;
+            const next = sorted[index + 1];
+            const end = Number.isFinite(chapter.endTime) ? chapter.endTime : (next ? next.startTime : duration);
+            const startMs = Math.max(0, Math.round(chapter.startTime * 1000));
+            const endMs = Math.max(startMs, Math.round(end * 1000));
+
+            elementIds.push(elementId);
+            frames.push(this.createChapterFrame(elementId, startMs, endMs, chapter.title || `Chapter ${index + 1}`));
+        });
+
+        if (elementIds.length > 0) {
+            frames.unshift(this.createTocFrame('toc', elementIds, tocTitle));
+        }
+
+        return frames;
+    },
+
+    createChapterFrame(elementId, startMs, endMs, title) {
+        return this.createFrame('CHAP', this.concat([
+            this.latin1ToBytes(elementId),
+            [0x00],
+            this.toUint32(startMs),
+            this.toUint32(endMs),
+            this.toUint32(this.unusedChapterOffset),
+            this.toUint32(this.unusedChapterOffset),
+            this.createTextFrame('TIT2', String(title))
+        ]));
+    },
+
+    createTocFrame(elementId, childIds, title) {
+        const parts = [
+            this.latin1ToBytes(elementId),
+            [0x00],
+            [this.tocTopLevelFlag | this.tocOrderedFlag],
+            [childIds.length]
+        ];
+
+        for (const childId of childIds) {
+            parts.push(this.latin1ToBytes(childId), [0x00]);
+        }
+
+        if (title) {
+            parts.push(this.createTextFrame('TIT2', String(title)));
+        }
+
+        return this.createFrame('CTOC', this.concat(parts));
+    },
+
+    /**
+     * Build a complete ID3v2.4 tag
+     * @param {Object} tags - Tag fields (empty values are skipped)
+     * @param {Array} chapters - Optional chapters written as CHAP/CTOC frames
+     * @param {number} duration - Audio duration in seconds, the end of chapters without an end time
+     * @returns {Uint8Array} Tag bytes to place in front of the MP3 frames
+     */
+    createTag(tags, chapters, duration) {
+        const frames = this.createFrames(tags || {});
+        if (chapters && chapters.length > 0) {
+            frames.push(...this.createChapterFrames(chapters, duration, tags && tags.title));
+        }
+        return this.buildTag(frames);
+    },
+
+    buildTag(frames) {
+        const body = this.concat(frames);
+        const header = new Uint8Array(10);
+        header.set(this.latin1ToBytes('ID3'), 0);
+        header[3] = 0x04; // version 2.4.0
+        header[4] = 0x00;
+        header[5] = 0x00; // no unsynchronisation, extended header or footer
+        header.set(this.toSyncsafe(body.length), 6);
+        return this.concat([header, body]);
+    },
+
+    // Replace any leading ID3v2 tags with the given tag
+    applyTag(bytes, tag) {
+        let offset = 0;
+        let tagSize;
+        while ((tagSize = window.mp3Frames.getId3v2Size(bytes, offset)) > 0) {
+            offset += tagSize;
+        }
+        return this.concat([tag, bytes.subarray(offset)]);
+    },
+
+    // ========================================
+    // Reading
+    // ========================================
+
+    /**
+     * Parse the leading ID3v2.3/2.4 tag
+     * @returns {Object|null} { version, frames: [{ id, data }] }, or null if there is no tag
+     */
+    parseTag(bytes) {
+        const tagSize = window.mp3Frames.getId3v2Size(bytes, 0);
+        if (tagSize === 0) return null;
+
+        const version = bytes[3];
+        if (version !== 3 && version !== 4) return null;
+
+        const flags = bytes[5];
+        let body = bytes.subarray(10, Math.min(bytes.length, 10 + this.fromSyncsafe(bytes, 6)));
+
+        // Tag-wide unsynchronisation (v2.3 applies it to the whole tag)
+        if ((flags & 0x80) && version === 3) {
+            body = this.removeUnsynchronisation(body);
+        }
+
+        let offset = 0;
+        if (flags & 0x40) {
+            // Skip the extended header; v2.3 excludes its own size field, v2.4 includes it
+            offset = version === 4 ? this.fromSyncsafe(body, 0) : this.readUint32(body, 0) + 4;
+        }
+
+        return { version, frames: this.readFrames(body, offset, version, (flags & 0x80) !== 0) };
+    },
+
+    // Read the frames from offset to the end of body (a tag body, or the sub-frames of CHAP/CTOC)
+    readFrames(body, offset, version, unsynchronised) {
+        const frames = [];
+        while (offset + 10 <= body.length) {
+            const id = this.bytesToLatin1(body.subarray(offset, offset + 4));
+            if (!/^[A-Z0-9]{4}$/.test(id)) break; // padding
+
+            const size = version === 4 ? this.fromSyncsafe(body, offset + 4) : this.readUint32(body, offset + 4);
+            const formatFlags = body[offset + 9];
+            let data = body.subarray(offset + 10, offset + 10 + size);
+            offset += 10 + size;
+
+            if (version === 4) {
+                if (formatFlags & 0x01) data = data.subarray(4); // data length indicator
+                if ((formatFlags & 0x02) || unsynchronised) data = this.removeUnsynchronisation(data);
+            }
+
+            frames.push({ id, data });
+        }
+
+        return frames;
+    },
+
+    framesToTags(frames) {
+        const tags = {};
+
+        for (const frame of frames) {
+            const field = Object.keys(this.textFrames).find(key => this.textFrames[key] === frame.id);
+            if (field) {
+                tags[field] = this.decodeText(frame.data.subarray(1), frame.data[0]);
+            } else if (frame.id === 'TYER' && !tags.year) {
+                tags.year = this.decodeText(frame.data.subarray(1), frame.data[0]); // v2.3 year
+            } else if (frame.id === 'COMM' && !tags.comment) {
+                const encoding = frame.data[0];
+                const text = frame.data.subarray(4); // skip encoding and language
+                const descriptionEnd = this.findTerminator(text, 0, encoding);
+                tags.comment = this.decodeText(text.subarray(descriptionEnd.next), encoding);
+            } else if (frame.id === 'APIC' && !tags.coverArt) {
+                const encoding = frame.data[0];
+                const mimeEnd = frame.data.indexOf(0x00, 1);
+                const descriptionEnd = this.findTerminator(frame.data, mimeEnd + 2, encoding);
+                tags.coverArtMimeType = this.bytesToLatin1(frame.data.subarray(1, mimeEnd));
+                tags.coverArt = window.audioMerger.bytesToBase64(frame.data.subarray(descriptionEnd.next));
+            }
+        }
+
+        return tags;
+    },
+
+    framesToChapters(frames, version) {
+        const chapters = new Map();
+        let order = null;
+
+        for (const frame of frames) {
+            const idEnd = this.findTerminator(frame.data, 0, this.encodings.latin1);
+            const elementId = this.bytesToLatin1(frame.data.subarray(0, idEnd.end));
+
+            if (frame.id === 'CHAP') {
+                const title = this.readFrames(frame.data, idEnd.next + 16, version, false)
+                    .find(subFrame => subFrame.id === 'TIT2');
+                chapters.set(elementId, {
+                    id: elementId,
+                    title: title ? this.decodeText(title.data.subarray(1), title.data[0]) : '',
+                    startTime: this.readUint32(frame.data, idEnd.next) / 1000,
+                    endTime: this.readUint32(frame.data, idEnd.next + 4) / 1000
+                });
+            } else if (frame.id === 'CTOC' && !order && (frame.data[idEnd.next] & this.tocTopLevelFlag)) {
+                order = [];
+                let offset = idEnd.next + 2;
+                for (let i = 0; i < frame.data[idEnd.next + 1]; i++) {
+                    const childEnd = this.findTerminator(frame.data, offset, this.encodings.latin1);
+                    order.push(this.bytesToLatin1(frame.data.subarray(offset, childEnd.end)));
+                    offset = childEnd.next;
+                }
+            }
+        }
+
+        if (order) {
+            return order.filter(elementId => chapters.has(elementId)).map(elementId => chapters.get(elementId));
+        }
+        return Array.from(chapters.values()).sort((a, b) => a.startTime - b.startTime);
+    },
+
+    // Find the end of a null-terminated string in the given text encoding
+    findTerminator(bytes, start, encoding) {
+        const wide = encoding === this.encodings.utf16 || encoding === this.encodings.utf16be;
+        const step = wide ? 2 : 1;
+        for (let i = start; i + step <= bytes.length; i += step) {
+            if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+                return { end: i, next: i + step };
+            }
+        }
+        return { end: bytes.length, next: bytes.length };
+    },
+
+    decodeText(bytes, encoding) {
+        let label;
+        switch (encoding) {
+            case this.encodings.utf16: label = 'utf-16'; break;
+            case this.encodings.utf16be: label = 'utf-16be'; break;
+            case this.encodings.utf8: label = 'utf-8'; break;
+            default: label = 'latin1';
+        }
+
+        // Text may be null-terminated; multiple values are separated by nulls in v2.4
+        return new TextDecoder(label).decode(bytes).replace(/\0+$/, '').replace(/\0/g, '/');
+    },
+
+    removeUnsynchronisation(bytes) {
+        const result = [];
+        for (let i = 0; i < bytes.length; i++) {
+            result.push(bytes[i]);
+            if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) {
+                i++;
+            }
+        }
+        return new Uint8Array(result);
+    },
+
+    // ========================================
+    // Helpers
+    // ========================================
+
+    toSyncsafe(value) {
+        return new Uint8Array([
+            (value >> 21) & 0x7F,
+            (value >> 14) & 0x7F,
+            (value >> 7) & 0x7F,
+            value & 0x7F
+        ]);
+    },
+
+    fromSyncsafe(bytes, offset) {
+        return ((bytes[offset] & 0x7F) << 21) |
+               ((bytes[offset + 1] & 0x7F) << 14) |
+               ((bytes[offset + 2] & 0x7F) << 7) |
+               (bytes[offset + 3] & 0x7F);
+    },
+
+    toUint32(value) {
+        return new Uint8Array([(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]);
+    },
+
+    readUint32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    },
+
+    utf8ToBytes(text) {
+        return new TextEncoder().encode(text);
+    },
+
+    latin1ToBytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    },
+
+    bytesToLatin1(bytes) {
+        return String.fromCharCode(...bytes);
+    },
+
+    concat(parts) {
+        const totalLength = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(totalLength);
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+};
@@ -0,0 +1,505 @@
+/**
+ * Loudness
+ *
+ * Integrated loudness (ITU-R BS.1770-4 / EBU R128: K-weighting, 400 ms blocks
+ * with 75% overlap, -70 LUFS absolute and -10 LU relative gates) and true peak
+ * (4x oversampling) measurement, plus normalization to a target loudness with
+ * a lookahead limiter that holds true peak under a ceiling.
+ *
+ * Functions take channel data as Float32Array[] so they work on AudioBuffer
+ * channels as well as raw PCM; channels are processed in place. Meters and
+ * limiters created with createMeter/createLimiter take audio in pieces, for
+ * streams too long to hold in memory.
+ */
+
+window.loudness = {
+    presets: {
+        podcast: -16,
+        broadcast: -23
+    },
+
+    defaultTargetLufs: -16,
+    defaultCeilingDbtp: -1,
+
+    blockMs: 400,
+    blockStepMs: 100,
+    absoluteGateLufs: -70,
+    relativeGateLu: -10,
+
+    oversampling: 4,
+    interpolationTapsPerPhase: 12,
+    limiterLookaheadMs: 5,
+
+    interpolationFilter: null,
+
+    /**
+     * Measure integrated loudness and true peak
+     * @param {Float32Array[]} channels - Mono or stereo channel data (channels are weighted equally)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { integratedLufs, truePeakDbtp } (-Infinity for silence)
+     */
+    measure(channels, sampleRate) {
+        const meter = this.createMeter(sampleRate);
+        meter.push(channels);
+        return meter.getResult();
+    },
+
+    /**
+     * Normalize to a target loudness, then limit true peak to the ceiling
+     * @param {Float32Array[]} channels - Channel data, modified in place
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} targetLufs - Target integrated loudness, e.g. -16 (podcast) or -23 (broadcast)
+     * @param {number} ceilingDbtp - True peak ceiling, e.g. -1
+     * @returns {Object} { gainDb, before: { integratedLufs, truePeakDbtp }, after: { ... } }
+     */
+    normalize(channels, sampleRate, targetLufs = this.defaultTargetLufs, ceilingDbtp = this.defaultCeilingDbtp) {
+        const before = this.measure(channels, sampleRate);
+        const gainDb = this.applyTargetGain(channels, before.integratedLufs, targetLufs);
+        this.limit(channels, sampleRate, ceilingDbtp);
+
+        return { gainDb, before, after: this.measure(channels, sampleRate) };
+    },
+
+    /**
+     * Apply the gain that brings measured loudness to the target (no limiting)
+     * @returns {number} Applied gain in dB (0 for silence)
+     */
+    applyTargetGain(channels, measuredLufs, targetLufs) {
+        if (!Number.isFinite(measuredLufs)) {
+            return 0;
+        }
+
+        const gainDb = targetLufs - measuredLufs;
+        const gain = Math.pow(10, gainDb / 20);
+        for (const data of channels) {
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= gain;
+            }
+        }
+        return gainDb;
+    },
+
+    // ========================================
+    // Integrated loudness
+    // ========================================
+
+    measureIntegratedLoudness(channels, sampleRate) {
+        return this.measure(channels, sampleRate).integratedLufs;
+    },
+
+    /**
+     * Create a meter that measures a stream pushed in consecutive pieces
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { push(channels), getResult() → { integratedLufs, truePeakDbtp } }
+     */
+    createMeter(sampleRate) {
+        const tools = this;
+        const filters = this.getKWeightingFilters(sampleRate);
+        const step = Math.max(1, Math.round(sampleRate * this.blockStepMs / 1000));
+        // Filter state per channel and filter, carried from one piece to the next
+        const states = [];
+        // Mean square of the K-weighted signal summed across channels, per complete 100 ms step
+        const stepEnergy = [];
+        let partialEnergy = 0;
+        let partialLength = 0;
+        let length = 0;
+        let peak = 0;
+        // The interpolated peak after a sample needs half the filter taps on each side of it, so the last
+        // samples of each channel wait for the next piece: tail holds them plus the context before them
+        const half = this.interpolationTapsPerPhase / 2;
+        const tails = [];
+        const pending = [];
+
+        // Fold the true peaks of tail samples from start to end into the peak so far
+        const addTruePeaks = (data, start, end, floor) => {
+            const peaks = tools.getTruePeaks(data, floor);
+            let result = peak;
+            for (let i = start; i < end; i++) {
+                if (peaks[i] > result) result = peaks[i];
+            }
+            return result;
+        };
+
+        return {
+            push(channels) {
+                const count = channels.length > 0 ? channels[0].length : 0;
+                const weighted = channels.map((data, channel) => {
+                    states[channel] = states[channel] || filters.map(() => ({ z1: 0, z2: 0 }));
+                    return tools.kWeight(data, filters, states[channel]);
+                });
+
+                for (let i = 0; i < count; i++) {
+                    for (const data of weighted) {
+                        partialEnergy += data[i] * data[i];
+                    }
+                    if (++partialLength === step) {
+                        stepEnergy.push(partialEnergy);
+                        partialEnergy = 0;
+                        partialLength = 0;
+                    }
+                }
+                length += count;
+
+                // Only samples near the loudest so far can produce the true peak
+                channels.forEach((data, channel) => {
+                    const buffered = tails[channel] ? tools.concat(tails[channel], data) : data;
+                    const start = buffered.length - data.length - (pending[channel] || 0);
+                    const end = Math.max(start, buffered.length - half);
+                    peak = addTruePeaks(buffered, start, end, Math.max(peak, tools.getSamplePeak(buffered)) / 2);
+
+                    tails[channel] = buffered.slice(Math.max(0, end - half + 1));
+                    pending[channel] = buffered.length - end;
+                });
+            },
+
+            getResult() {
+                // The end of the stream is the end of the samples still waiting
+                let truePeak = peak;
+                tails.forEach((tail, channel) => {
+                    const floor = Math.max(truePeak, tools.getSamplePeak(tail)) / 2;
+                    truePeak = Math.max(truePeak, addTruePeaks(tail, tail.length - pending[channel], tail.length, floor));
+                });
+
+                return {
+                    integratedLufs: tools.gateLoudness(stepEnergy, partialEnergy, length, step),
+                    truePeakDbtp: tools.linearToDb(truePeak)
+                };
+            }
+        };
+    },
+
+    // Gating blocks of 400 ms overlapping by 75%; shorter audio is measured as a single block
+    gateLoudness(stepEnergy, partialEnergy, length, step) {
+        if (length === 0) {
+            return -Infinity;
+        }
+
+        const stepsPerBlock = Math.round(this.blockMs / this.blockStepMs);
+        const blocks = [];
+        if (length < step * stepsPerBlock) {
+            blocks.push((stepEnergy.reduce((sum, energy) => sum + energy, 0) + partialEnergy) / length);
+        } else {
+            for (let first = 0; first + stepsPerBlock <= stepEnergy.length; first++) {
+                let energy = 0;
+                for (let j = first; j < first + stepsPerBlock; j++) {
+                    energy += stepEnergy[j];
+                }
+                blocks.push(energy / (step * stepsPerBlock));
+            }
+        }
+
+        const aboveAbsolute = blocks.filter(power => this.powerToLufs(power) > this.absoluteGateLufs);
+        if (aboveAbsolute.length === 0) {
+            return -Infinity;
+        }
+
+        const relativeGate = this.powerToLufs(this.mean(aboveAbsolute)) + this.relativeGateLu;
+        const gated = aboveAbsolute.filter(power => this.powerToLufs(power) > relativeGate);
+        return this.powerToLufs(this.mean(gated.length > 0 ? gated : aboveAbsolute));
+    },
+
+    // K-weighting: high-shelf pre-filter followed by the RLB high-pass (see getKWeightingFilters)
+    kWeight(data, filters, states) {
+        const output = new Float32Array(data.length);
+        output.set(data);
+        filters.forEach((filter, index) => this.applyBiquad(output, filter, states[index]));
+        return output;
+    },
+
+    // Coefficients designed for any sample rate (BS.1770 only tabulates them for 48 kHz)
+    getKWeightingFilters(sampleRate) {
+        // Pre-filter (high shelf)
+        let f0 = 1681.974450955533;
+        const gainDb = 3.999843853973347;
+        let q = 0.7071752369554196;
+        let k = Math.tan(Math.PI * f0 / sampleRate);
+        const vh = Math.pow(10, gainDb / 20);
+        const vb = Math.pow(vh, 0.4996667741545416);
+        let a0 = 1 + k / q + k * k;
+
+        const shelf = {
+            b0: (vh + vb * k / q + k * k) / a0,
+            b1: 2 * (k * k - vh) / a0,
+            b2: (vh - vb * k / q + k * k) / a0,
+            a1: 2 * (k * k - 1) / a0,
+            a2: (1 - k / q + k * k) / a0
+        };
+
+        // RLB weighting (high pass)
+        f0 = 38.13547087602444;
+        q = 0.5003270373238773;
+        k = Math.tan(Math.PI * f0 / sampleRate);
+        a0 = 1 + k / q + k * k;
+
+        const highPass = {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (k * k - 1) / a0,
+            a2: (1 - k / q + k * k) / a0
+        };
+
+        return [shelf, highPass];
+    },
+
+    // Direct form II transposed, in place; state { z1, z2 } carries over between calls
+    applyBiquad(data, { b0, b1, b2, a1, a2 }, state) {
+        let z1 = state.z1;
+        let z2 = state.z2;
+        for (let i = 0; i < data.length; i++) {
+            const input = data[i];
+            const output = b0 * input + z1;
+            z1 = b1 * input - a1 * output + z2;
+            z2 = b2 * input - a2 * output;
+            data[i] = output;
+        }
+        state.z1 = z1;
+        state.z2 = z2;
+    },
+
+    // ========================================
+    // True peak
+    // ========================================
+
+    getSamplePeak(data) {
+        let peak = 0;
+        for (let i = 0; i < data.length; i++) {
+            const value = Math.abs(data[i]);
+            if (value > peak) peak = value;
+        }
+        return peak;
+    },
+
+    /**
+     * Peak magnitude of the 4x oversampled signal between each sample and the next
+     * @param {Float32Array} data - Channel data
+     * @param {number} floor - Sample magnitude below which interpolation is skipped (inter-sample
+     *   peaks rarely exceed the neighbouring samples by 6 dB, so half the level of interest is safe)
+     * @returns {Float32Array} Peak per sample
+     */
+    getTruePeaks(data, floor) {
+        const peaks = new Float32Array(data.length);
+        const filter = this.getInterpolationFilter();
+        const half = this.interpolationTapsPerPhase / 2;
+
+        for (let i = 0; i < data.length; i++) {
+            const current = Math.abs(data[i]);
+            const next = i + 1 < data.length ? Math.abs(data[i + 1]) : 0;
+            let peak = Math.max(current, next);
+
+            if (peak >= floor) {
+                // Interpolated points between sample i and i + 1
+                for (let phase = 1; phase < this.oversampling; phase++) {
+                    const taps = filter[phase];
+                    let value = 0;
+                    for (let t = 0; t < taps.length; t++) {
+                        const index = i - half + 1 + t;
+                        if (index >= 0 && index < data.length) {
+                            value += data[index] * taps[t];
+                        }
+                    }
+                    peak = Math.max(peak, Math.abs(value));
+                }
+            }
+
+            peaks[i] = peak;
+        }
+
+        return peaks;
+    },
+
+    // Polyphase windowed-sinc interpolation filter: taps for the fractional positions phase / oversampling
+    getInterpolationFilter() {
+        if (this.interpolationFilter) {
+            return this.interpolationFilter;
+        }
+
+        const tapsPerPhase = this.interpolationTapsPerPhase;
+        const half = tapsPerPhase / 2;
+        const filter = [];
+
+        for (let phase = 0; phase < this.oversampling; phase++) {
+            const fraction = phase / this.oversampling;
+            const taps = new Float64Array(tapsPerPhase);
+            for (let t = 0; t < tapsPerPhase; t++) {
+                // Distance from the interpolated point to input sample (i - half + 1 + t)
+                const x = t - half + 1 - fraction;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                const window = 0.5 + 0.5 * Math.cos(Math.PI * x / (half + 1));
+                taps[t] = sinc * window;
+            }
+            filter.push(taps);
+        }
+
+        this.interpolationFilter = filter;
+        return filter;
+    },
+
+    // ========================================
+    // Limiter
+    // ========================================
+
+    /**
+     * Lookahead limiter holding true peak at or under the ceiling. The gain needed at each peak is
+     * held over the lookahead on both sides and then smoothed, so gain ramps down before the peak
+     * and recovers after it without ever exceeding what any nearby peak allows.
+     * @returns {number} Deepest gain reduction in dB (0 if nothing was limited)
+     */
+    limit(channels, sampleRate, ceilingDbtp = this.defaultCeilingDbtp) {
+        const gain = this.getLimiterGain(channels, sampleRate, ceilingDbtp);
+        if (!gain) {
+            return 0;
+        }
+
+        for (const data of channels) {
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= gain[i];
+            }
+        }
+
+        let deepest = 1;
+        for (let i = 0; i < gain.length; i++) {
+            if (gain[i] < deepest) deepest = gain[i];
+        }
+        return this.linearToDb(deepest);
+    },
+
+    /**
+     * Create a limiter for a stream pushed in consecutive pieces. Output lags the input by the
+     * context the gain calculation needs, and flush() returns the rest.
+     * @returns {Object} { process(channels) → channels, flush() → channels }
+     */
+    createLimiter(sampleRate, ceilingDbtp = this.defaultCeilingDbtp) {
+        const tools = this;
+        const lookahead = Math.max(1, Math.round(sampleRate * this.limiterLookaheadMs / 1000));
+        // Gain at a sample depends on peaks up to two lookaheads away, and each peak on the interpolation taps around it
+        const context = 2 * lookahead + this.interpolationTapsPerPhase;
+        // Samples already output (kept as context) followed by samples still to output
+        let buffered = null;
+        let history = 0;
+
+        const run = (isLast) => {
+            const length = buffered[0].length;
+            const end = isLast ? length : Math.max(history, length - context);
+            const gain = tools.getLimiterGain(buffered, sampleRate, ceilingDbtp);
+
+            const output = buffered.map(data => {
+                const result = data.slice(history, end);
+                if (gain) {
+                    for (let i = 0; i < result.length; i++) {
+                        result[i] *= gain[history + i];
+                    }
+                }
+                return result;
+            });
+
+            const keepFrom = Math.max(0, end - context);
+            buffered = buffered.map(data => data.slice(keepFrom));
+            history = end - keepFrom;
+            return output;
+        };
+
+        return {
+            process(channels) {
+                buffered = buffered
+                    ? buffered.map((data, channel) => tools.concat(data, channels[channel]))
+                    : channels.map(data => data.slice());
+                return run(false);
+            },
+
+            flush() {
+                if (!buffered) return [];
+                const output = run(true);
+                buffered = null;
+                return output;
+            }
+        };
+    },
+
+    // Gain per sample that keeps true peak under the ceiling, or null when no limiting is needed
+    getLimiterGain(channels, sampleRate, ceilingDbtp) {
+        const length = channels.length > 0 ? channels[0].length : 0;
+        const ceiling = Math.pow(10, ceilingDbtp / 20);
+        const lookahead = Math.max(1, Math.round(sampleRate * this.limiterLookaheadMs / 1000));
+
+        // Gain each sample needs on its own
+        const required = new Float32Array(length).fill(1);
+        let limited = false;
+        for (const data of channels) {
+            const peaks = this.getTruePeaks(data, ceiling / 2);
+            for (let i = 0; i < length; i++) {
+                if (peaks[i] > ceiling) {
+                    required[i] = Math.min(required[i], ceiling / peaks[i]);
+                    limited = true;
+                }
+            }
+        }
+
+        if (!limited) {
+            return null;
+        }
+
+        const held = this.movingMinimum(required, lookahead);
+        return this.movingAverage(held, lookahead);
+    },
+
+    // Minimum over [i - radius, i + radius] using a monotonic deque
+    movingMinimum(values, radius) {
+        const result = new Float32Array(values.length);
+        const deque = new Int32Array(values.length);
+        let head = 0;
+        let tail = 0;
+        let next = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            const windowEnd = Math.min(values.length - 1, i + radius);
+            for (; next <= windowEnd; next++) {
+                while (tail > head && values[deque[tail - 1]] >= values[next]) tail--;
+                deque[tail++] = next;
+            }
+            while (deque[head] < i - radius) head++;
+            result[i] = values[deque[head]];
+        }
+
+        return result;
+    },
+
+    // Mean over [i - radius, i + radius] (clamped at the edges) using prefix sums
+    movingAverage(values, radius) {
+        const prefix = new Float64Array(values.length + 1);
+        for (let i = 0; i < values.length; i++) {
+            prefix[i + 1] = prefix[i] + values[i];
+        }
+
+        const result = new Float32Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            const start = Math.max(0, i - radius);
+            const end = Math.min(values.length, i + radius + 1);
+            result[i] = (prefix[end] - prefix[start]) / (end - start);
+        }
+        return result;
+    },
+
+    // ========================================
+    // Helpers
+    // ========================================
+
+    powerToLufs(power) {
+        return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+    },
+
+    linearToDb(value) {
+        return value > 0 ? 20 * Math.log10(value) : -Infinity;
+    },
+
+    concat(first, second) {
+        const result = new Float32Array(first.length + second.length);
+        result.set(first, 0);
+        result.set(second, first.length);
+        return result;
+    },
+
+    mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+};
@@ -0,0 +1,700 @@
+/**
+ * M4B Muxer
+ *
+ * Writes chapter-marked MP4 audiobooks (.m4b). Audio is encoded to AAC-LC
+ * with the WebCodecs AudioEncoder; browsers without an AAC encoder get the
+ * MP3 stream stored in the MP4 container instead (MP3 input is copied
+ * frame-by-frame, anything else is encoded with LAME first).
+ *
+ * Chapters are written twice for player compatibility: as a QuickTime text
+ * track referenced from the audio track (`tref/chap`, used by Apple players)
+ * and as a Nero chapter list (`udta/chpl`, used by most others). Metadata
+ * and cover art go into an iTunes-style `udta/meta/ilst` box.
+ */
+
+window.m4bMuxer = {
+    defaultAacBitrate: 64,
+
+    // Timescale of the movie header and the chapter track
+    movieTimescale: 1000,
+
+    // Audio samples grouped into each chunk of the sample table; chapter samples get a chunk each
+    audioSamplesPerChunk: 32,
+
+    // iTunes media kind for audiobooks
+    audiobookMediaKind: 2,
+
+    // Priming samples AAC-LC encoders put before the audio; an edit list skips them on playback
+    aacEncoderDelay: 1024,
+
+    // AAC sampling frequency index table (ISO 14496-3)
+    aacSampleRates: [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350],
+
+    /**
+     * Create an M4B audiobook
+     * @param {Uint8Array} audioData - Source audio (any format the browser can decode)
+     * @param {Object} options - { chapters: [{ title, startTime, endTime }] (seconds), tags: { title, artist,
+     *   album, track, year, comment, coverArt (base64), coverArtMimeType }, aacBitrate (kbps), bitrate (MP3 fallback) }
+     * @returns {Promise<Object>} { audioData: Uint8Array, mimeType, duration, codec }
+     */
+    async createAudiobook(audioData, options = {}) {
+        try {
+            const sourceBytes = await window.audioMerger.readBytes(audioData);
+            const stream = await this.encodeStream(sourceBytes, options || {});
+            const duration = stream.presentedSamples / stream.sampleRate;
+            const chapters = this.normalizeChapters(options.chapters || [], duration);
+            const bytes = this.writeFile(stream, chapters, options.tags || {});
+
+            return {
+                audioData: bytes,
+                mimeType: 'audio/mp4',
+                duration: duration,
+                codec: stream.codec
+            };
+        } catch (error) {
+            console.error('M4B creation error:', error);
+            throw error;
+        }
+    },
+
+    // ========================================
+    // Encoding
+    // ========================================
+
+    /**
+     * Produce the audio samples for the MP4 track
+     * @returns {Promise<Object>} { codec, objectType, sampleRate, channels, samples: Uint8Array[],
+     *   sampleDuration, totalSamples, primingSamples, presentedSamples, decoderConfig: Uint8Array|null, bitrate }
+     *   totalSamples counts every encoded sample; presentedSamples those played after the primingSamples
+     */
+    async encodeStream(sourceBytes, options) {
+        const audioBuffer = await window.audioConverter.decode(sourceBytes.slice());
+        const bitrate = (Number(options.aacBitrate) || this.defaultAacBitrate) * 1000;
+
+        const aacConfig = await this.getAacConfig(audioBuffer, bitrate);
+        if (aacConfig) {
+            try {
+                return await this.encodeAac(audioBuffer, aacConfig);
+            } catch (error) {
+                console.warn('WebCodecs AAC encoding failed, storing MP3 in the container:', error.message);
+            }
+        }
+
+        // Reuse MP3 input as-is; otherwise encode it
+        let mp3Bytes = sourceBytes;
+        let parsed = window.mp3Frames.parseFrames(mp3Bytes);
+        if (!parsed || parsed.header.layer !== 3) {
+            mp3Bytes = await window.audioMerger.encodeMp3(audioBuffer, options);
+            parsed = window.mp3Frames.parseFrames(mp3Bytes);
+        }
+
+        return this.mp3ToStream(mp3Bytes, parsed);
+    },
+
+    // Find an AAC-LC configuration the browser can encode, preferring the source sample rate
+    async getAacConfig(audioBuffer, bitrate) {
+        if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') {
+            return null;
+        }
+
+        const channels = Math.min(audioBuffer.numberOfChannels, 2);
+        const sampleRates = [audioBuffer.sampleRate, 48000, 44100]
+            .filter((rate, index, rates) => this.aacSampleRates.includes(rate) && rates.indexOf(rate) === index);
+
+        for (const sampleRate of sampleRates) {
+            const config = {
+                codec: 'mp4a.40.2',
+                sampleRate: sampleRate,
+                numberOfChannels: channels,
+                bitrate: bitrate,
+                aac: { format: 'aac' }
+            };
+
+            try {
+                const support = await AudioEncoder.isConfigSupported(config);
+                if (support.supported) {
+                    return config;
+                }
+            } catch {
+                // Try the next sample rate
+            }
+        }
+
+        return null;
+    },
+
+    async encodeAac(audioBuffer, config) {
+        const pcm = await window.audioConverter.resample(audioBuffer, config.sampleRate, config.numberOfChannels);
+        const encoded = await window.audioConverter.encodeWebCodecs(pcm, config);
+
+        return {
+            codec: 'aac',
+            objectType: 0x40, // MPEG-4 audio
+            sampleRate: config.sampleRate,
+            channels: config.numberOfChannels,
+            samples: encoded.packets,
+            sampleDuration: 1024,
+            totalSamples: encoded.packets.length * 1024,
+            primingSamples: this.aacEncoderDelay,
+            presentedSamples: Math.min(pcm.length, encoded.packets.length * 1024 - this.aacEncoderDelay),
+            decoderConfig: encoded.description ||
+                this.createAudioSpecificConfig(config.sampleRate, config.numberOfChannels),
+            bitrate: config.bitrate
+        };
+    },
+
+    mp3ToStream(mp3Bytes, parsed) {
+        if (!parsed) {
+            throw new Error('No MP3 audio to store in the container');
+        }
+
+        const header = parsed.header;
+        const samples = parsed.frames.map(frame => mp3Bytes.subarray(frame.offset, frame.offset + frame.length));
+        const totalBytes = samples.reduce((sum, sample) => sum + sample.length, 0);
+        const duration = parsed.sampleCount / header.sampleRate;
+
+        return {
+            codec: 'mp3',
+            objectType: header.version === 1 ? 0x6B : 0x69, // MPEG-1 / MPEG-2 audio
+            sampleRate: header.sampleRate,
+            channels: header.channels,
+            samples: samples,
+            sampleDuration: header.samplesPerFrame,
+            totalSamples: parsed.sampleCount,
+            primingSamples: 0,
+            presentedSamples: parsed.sampleCount,
+            decoderConfig: null,
+            bitrate: duration > 0 ? Math.round(totalBytes * 8 / duration) : 0
+        };
+    },
+
+    // Two-byte AudioSpecificConfig for AAC-LC
+    createAudioSpecificConfig(sampleRate, channels) {
+        const frequencyIndex = this.aacSampleRates.indexOf(sampleRate);
+        const objectType = 2; // AAC LC
+        return new Uint8Array([
+            (objectType << 3) | (frequencyIndex >> 1),
+            ((frequencyIndex & 0x01) << 7) | (channels << 3)
+        ]);
+    },
+
+    // ========================================
+    // Chapters
+    // ========================================
+
+    // Sort, clamp to the audio and make chapters contiguous from zero
+    normalizeChapters(chapters, duration) {
+        const sorted = chapters
+            .filter(chapter => chapter && Number.isFinite(chapter.startTime) && chapter.startTime < duration)
+            .map(chapter => ({ title: String(chapter.title || '').trim(), startTime: Math.max(0, chapter.startTime) }))
+            .sort((a, b) => a.startTime - b.startTime);
+
+        if (sorted.length === 0) return [];
+
+        sorted[0].startTime = 0;
+        return sorted.map((chapter, index) => ({
+            title: chapter.title || `Chapter ${index + 1}`,
+            startTime: chapter.startTime,
+            endTime: index + 1 < sorted.length ? sorted[index + 1].startTime : duration
+        })).filter(chapter => chapter.endTime > chapter.startTime);
+    },
+
+    // QuickTime text samples: 16-bit length, UTF-8 text, then an encoding box marking it as UTF-8
+    createChapterSamples(chapters) {
+        const encd = this.box('encd', this.uint32(0x00000100));
+        return chapters.map(chapter => {
+            const text = this.utf8ToBytes(chapter.title).subarray(0, 0xFFFF);
+            return this.concat([this.uint16(text.length), text, encd]);
+        });
+    },
+
+    // ========================================
+    // File layout
+    // ========================================
+
+    writeFile(stream, chapters, tags) {
+        const chapterSamples = this.createChapterSamples(chapters);
+        const pieces = this.interleave(stream, chapters, chapterSamples);
+        const mediaSize = pieces.reduce((sum, piece) => sum + piece.size, 0);
+
+        // mdat over 4 GB has a size of 1 and a 64-bit size after its type
+        const mdatHeaderSize = 8 + mediaSize > 0xFFFFFFFF ? 16 : 8;
+        const mdatSize = mdatHeaderSize + mediaSize;
+
+        const ftyp = this.box('ftyp',
+            this.latin1ToBytes('M4B '),
+            this.uint32(0),
+            this.latin1ToBytes('M4B M4A mp42isom'));
+
+        // Chunk offsets depend on the size of moov, which only changes if 64-bit offsets are needed
+        let moov = this.createMoov(stream, chapters, chapterSamples, tags, this.layoutChunks(pieces, 0, false));
+        const useCo64 = ftyp.length + moov.length + mdatSize > 0xFFFFFFFF;
+        if (useCo64) {
+            moov = this.createMoov(stream, chapters, chapterSamples, tags, this.layoutChunks(pieces, 0, true));
+        }
+        moov = this.createMoov(stream, chapters, chapterSamples, tags,
+            this.layoutChunks(pieces, ftyp.length + moov.length + mdatHeaderSize, useCo64));
+
+        const result = new Uint8Array(ftyp.length + moov.length + mdatSize);
+        result.set(ftyp, 0);
+        result.set(moov, ftyp.length);
+
+        let offset = ftyp.length + moov.length;
+        if (mdatHeaderSize === 16) {
+            result.set(this.concat([this.uint32(1), this.latin1ToBytes('mdat'), this.uint64(mdatSize)]), offset);
+        } else {
+            result.set(this.concat([this.uint32(mdatSize), this.latin1ToBytes('mdat')]), offset);
+        }
+        offset += mdatHeaderSize;
+        for (const piece of pieces) {
+            for (const sample of piece.samples) {
+                result.set(sample, offset);
+                offset += sample.length;
+            }
+        }
+
+        return result;
+    },
+
+    // Order the media data chunks. Like iTunes and ffmpeg, each chapter title is stored just before
+    // the first audio chunk at or after its start time; some readers derive chapter times from that.
+    interleave(stream, chapters, chapterSamples) {
+        const pieces = [];
+        const addPiece = (isChapter, samples) => {
+            pieces.push({ isChapter, samples, size: samples.reduce((sum, sample) => sum + sample.length, 0) });
+        };
+
+        let nextChapter = 0;
+        for (let first = 0; first < stream.samples.length; first += this.audioSamplesPerChunk) {
+            const chunkStart = Math.max(0, first * stream.sampleDuration - stream.primingSamples) / stream.sampleRate;
+            while (nextChapter < chapters.length && chapters[nextChapter].startTime <= chunkStart) {
+                addPiece(true, [chapterSamples[nextChapter++]]);
+            }
+            addPiece(false, stream.samples.slice(first, first + this.audioSamplesPerChunk));
+        }
+
+        while (nextChapter < chapters.length) {
+            addPiece(true, [chapterSamples[nextChapter++]]);
+        }
+
+        return pieces;
+    },
+
+    layoutChunks(pieces, mdatDataOffset, useCo64) {
+        const layout = { audioOffsets: [], chapterOffsets: [], useCo64: useCo64 };
+        let offset = mdatDataOffset;
+        for (const piece of pieces) {
+            (piece.isChapter ? layout.chapterOffsets : layout.audioOffsets).push(offset);
+            offset += piece.size;
+        }
+        return layout;
+    },
+
+    createMoov(stream, chapters, chapterSamples, tags, layout) {
+        const duration = stream.presentedSamples / stream.sampleRate;
+        const movieDuration = Math.round(duration * this.movieTimescale);
+        const hasChapters = chapters.length > 0;
+
+        const tracks = [this.createAudioTrack(stream, movieDuration, layout, hasChapters ? 2 : 0)];
+        if (hasChapters) {
+            tracks.push(this.createChapterTrack(chapters, chapterSamples, movieDuration, layout));
+        }
+
+        return this.box('moov',
+            this.createMvhd(movieDuration, tracks.length + 1),
+            ...tracks,
+            this.createUdta(chapters, tags));
+    },
+
+    createMvhd(duration, nextTrackId) {
+        return this.fullBox('mvhd', 0, 0,
+            this.uint32(0), // creation time
+            this.uint32(0), // modification time
+            this.uint32(this.movieTimescale),
+            this.uint32(duration),
+            this.uint32(0x00010000), // rate 1.0
+            this.uint16(0x0100), // volume 1.0
+            new Uint8Array(10),
+            this.identityMatrix(),
+            new Uint8Array(24),
+            this.uint32(nextTrackId));
+    },
+
+    createTkhd(trackId, duration, flags, volume) {
+        return this.fullBox('tkhd', 0, flags,
+            this.uint32(0),
+            this.uint32(0),
+            this.uint32(trackId),
+            this.uint32(0),
+            this.uint32(duration),
+            new Uint8Array(8),
+            this.uint16(0), // layer
+            this.uint16(0), // alternate group
+            this.uint16(volume),
+            this.uint16(0),
+            this.identityMatrix(),
+            this.uint32(0), // width
+            this.uint32(0)); // height
+    },
+
+    createMdhd(timescale, duration) {
+        return this.fullBox('mdhd', 0, 0,
+            this.uint32(0),
+            this.uint32(0),
+            this.uint32(timescale),
+            this.uint32(duration),
+            this.uint16(0x55C4), // 'und'
+            this.uint16(0));
+    },
+
+    createHdlr(handlerType, name) {
+        return this.fullBox('hdlr', 0, 0,
+            this.uint32(0),
+            this.latin1ToBytes(handlerType),
+            new Uint8Array(12),
+            this.utf8ToBytes(name),
+            new Uint8Array(1));
+    },
+
+    createDinf() {
+        return this.box('dinf',
+            this.fullBox('dref', 0, 0,
+                this.uint32(1),
+                this.fullBox('url ', 0, 1))); // media is in this file
+    },
+
+    createAudioTrack(stream, movieDuration, layout, chapterTrackId) {
+        const sampleEntry = this.box('mp4a',
+            new Uint8Array(6),
+            this.uint16(1), // data reference index
+            new Uint8Array(8),
+            this.uint16(stream.channels),
+            this.uint16(16),
+            this.uint16(0),
+            this.uint16(0),
+            this.uint32(stream.sampleRate * 65536),
+            this.createEsds(stream));
+
+        const sampleSizes = stream.samples.map(sample => sample.length);
+        const stbl = this.createStbl(
+            sampleEntry,
+            [[stream.samples.length, stream.sampleDuration]],
+            sampleSizes,
+            this.audioSamplesPerChunk,
+            layout.audioOffsets,
+            layout.useCo64);
+
+        const parts = [this.createTkhd(1, movieDuration, 0x000003, 0x0100)];
+        if (stream.primingSamples > 0) {
+            parts.push(this.createEdts(movieDuration, stream.primingSamples));
+        }
+        if (chapterTrackId) {
+            parts.push(this.box('tref', this.box('chap', this.uint32(chapterTrackId))));
+        }
+
+        parts.push(this.box('mdia',
+            this.createMdhd(stream.sampleRate, stream.totalSamples),
+            this.createHdlr('soun', 'SoundHandler'),
+            this.box('minf',
+                this.fullBox('smhd', 0, 0, this.uint16(0), this.uint16(0)),
+                this.createDinf(),
+                stbl)));
+
+        return this.box('trak', ...parts);
+    },
+
+    // Edit list presenting the track from mediaTime (in media timescale units) for duration (in movie units)
+    createEdts(duration, mediaTime) {
+        return this.box('edts',
+            this.fullBox('elst', 0, 0,
+                this.uint32(1),
+                this.uint32(duration),
+                this.uint32(mediaTime),
+                this.uint16(1), // rate 1.0
+                this.uint16(0)));
+    },
+
+    createEsds(stream) {
+        const decoderConfig = this.concat([
+            [stream.objectType, 0x15], // audio stream
+            this.uint24(0), // buffer size
+            this.uint32(stream.bitrate), // max bitrate
+            this.uint32(stream.bitrate), // average bitrate
+            stream.decoderConfig ? this.descriptor(0x05, stream.decoderConfig) : new Uint8Array(0)
+        ]);
+
+        return this.fullBox('esds', 0, 0,
+            this.descriptor(0x03, this.concat([
+                this.uint16(1), // ES_ID
+                [0x00],
+                this.descriptor(0x04, decoderConfig),
+                this.descriptor(0x06, new Uint8Array([0x02])) // SL config: predefined MP4
+            ])));
+    },
+
+    createChapterTrack(chapters, chapterSamples, movieDuration, layout) {
+        // QuickTime text sample description with default style and a one-entry font table
+        const sampleEntry = this.box('text',
+            new Uint8Array(6),
+            this.uint16(1),
+            this.uint32(1), // display flags
+            new Uint8Array(2), // justification
+            new Uint8Array(4), // background colour
+            new Uint8Array(8), // default text box
+            new Uint8Array(4), // start/end char
+            this.uint16(1), // font ID
+            new Uint8Array(2), // style flags, font size
+            new Uint8Array(4), // foreground colour
+            this.box('ftab', this.uint16(1), this.uint16(1), [0x00]));
+
+        // Durations in the movie timescale, with the last chapter ending exactly at the movie end
+        const boundaries = chapters.map(chapter => Math.round(chapter.startTime * this.movieTimescale));
+        boundaries.push(movieDuration);
+        const durations = chapters.map((chapter, index) => Math.max(1, boundaries[index + 1] - boundaries[index]));
+        const trackDuration = durations.reduce((sum, value) => sum + value, 0);
+
+        const stbl = this.createStbl(
+            sampleEntry,
+            durations.map(value => [1, value]),
+            chapterSamples.map(sample => sample.length),
+            1,
+            layout.chapterOffsets,
+            layout.useCo64);
+
+        const gmhd = this.box('gmhd',
+            this.fullBox('gmin', 0, 0,
+                this.uint16(0x0040), // graphics mode: copy
+                new Uint8Array(6), // opcolor
+                this.uint16(0), // balance
+                this.uint16(0)),
+            this.box('text', this.identityMatrix()));
+
+        return this.box('trak',
+            this.createTkhd(2, movieDuration, 0x000002, 0), // in movie, not enabled
+            this.box('mdia',
+                this.createMdhd(this.movieTimescale, trackDuration),
+                this.createHdlr('text', 'ChapterHandler'),
+                this.box('minf',
+                    gmhd,
+                    this.createDinf(),
+                    stbl)));
+    },
+
+    /**
+     * Sample table with fixed-size chunks (except possibly the last one)
+     * @param {Array<number[]>} timeToSample - [[sampleCount, sampleDuration], ...] runs
+     * @param {number[]} chunkOffsets - File offset of each chunk
+     */
+    createStbl(sampleEntry, timeToSample, sampleSizes, samplesPerChunk, chunkOffsets, useCo64) {
+        const runs = [];
+        for (const [count, delta] of timeToSample) {
+            const last = runs[runs.length - 1];
+            if (last && last[1] === delta) {
+                last[0] += count;
+            } else {
+                runs.push([count, delta]);
+            }
+        }
+
+        const stts = this.fullBox('stts', 0, 0,
+            this.uint32(runs.length),
+            ...runs.map(([count, delta]) => this.concat([this.uint32(count), this.uint32(delta)])));
+
+        const chunkCount = chunkOffsets.length;
+        const lastChunkSamples = sampleSizes.length - (chunkCount - 1) * samplesPerChunk;
+        const stscEntries = [[1, Math.min(samplesPerChunk, sampleSizes.length)]];
+        if (chunkCount > 1 && lastChunkSamples !== samplesPerChunk) {
+            stscEntries.push([chunkCount, lastChunkSamples]);
+        }
+
+        const stsc = this.fullBox('stsc', 0, 0,
+            this.uint32(stscEntries.length),
+            ...stscEntries.map(([firstChunk, samples]) =>
+                this.concat([this.uint32(firstChunk), this.uint32(samples), this.uint32(1)])));
+
+        const stszTable = new Uint8Array(sampleSizes.length * 4);
+        const stszView = new DataView(stszTable.buffer);
+        sampleSizes.forEach((size, index) => stszView.setUint32(index * 4, size));
+
+        const offsetTable = new Uint8Array(chunkCount * (useCo64 ? 8 : 4));
+        const offsetView = new DataView(offsetTable.buffer);
+        chunkOffsets.forEach((offset, index) => {
+            if (useCo64) {
+                offsetView.setBigUint64(index * 8, BigInt(offset));
+            } else {
+                offsetView.setUint32(index * 4, offset);
+            }
+        });
+
+        return this.box('stbl',
+            this.fullBox('stsd', 0, 0, this.uint32(1), sampleEntry),
+            stts,
+            stsc,
+            this.fullBox('stsz', 0, 0, this.uint32(0), this.uint32(sampleSizes.length), stszTable),
+            this.fullBox(useCo64 ? 'co64' : 'stco', 0, 0, this.uint32(chunkCount), offsetTable));
+    },
+
+    // ========================================
+    // Metadata
+    // ========================================
+
+    createUdta(chapters, tags) {
+        const parts = [];
+        if (chapters.length > 0) {
+            parts.push(this.createChpl(chapters));
+        }
+
+        parts.push(this.fullBox('meta', 0, 0,
+            this.fullBox('hdlr', 0, 0,
+                this.uint32(0),
+                this.latin1ToBytes('mdir'),
+                this.latin1ToBytes('appl'),
+                new Uint8Array(8),
+                new Uint8Array(1)),
+            this.createIlst(tags)));
+
+        return this.box('udta', ...parts);
+    },
+
+    // Nero chapter list: start times in 100 ns units with Pascal-string titles
+    createChpl(chapters) {
+        const entries = chapters.slice(0, 255).map(chapter => {
+            const title = this.truncateUtf8(chapter.title, 255);
+            const start = new Uint8Array(8);
+            new DataView(start.buffer).setBigUint64(0, BigInt(Math.round(chapter.startTime * 10000000)));
+            return this.concat([start, [title.length], title]);
+        });
+
+        return this.fullBox('chpl', 1, 0,
+            this.uint32(0),
+            [entries.length],
+            ...entries);
+    },
+
+    createIlst(tags) {
+        const dataTypes = { implicit: 0, utf8: 1, jpeg: 13, png: 14, integer: 21 };
+        const items = [];
+
+        const addText = (name, value) => {
+            if (value) {
+                items.push(this.createIlstItem(name, dataTypes.utf8, this.utf8ToBytes(String(value))));
+            }
+        };
+
+        addText('©nam', tags.title);
+        addText('©ART', tags.artist);
+        addText('aART', tags.artist);
+        addText('©alb', tags.album);
+        addText('©day', tags.year);
+        addText('©cmt', tags.comment);
+        addText('©gen', 'Audiobook');
+        addText('©too', 'Stitch');
+
+        const track = parseInt(tags.track, 10);
+        if (track > 0) {
+            items.push(this.createIlstItem('trkn', dataTypes.implicit,
+                this.concat([this.uint16(0), this.uint16(track), this.uint16(0), this.uint16(0)])));
+        }
+
+        items.push(this.createIlstItem('stik', dataTypes.integer, new Uint8Array([this.audiobookMediaKind])));
+
+        if (tags.coverArt) {
+            const isPng = (tags.coverArtMimeType || '').toLowerCase() === 'image/png';
+            items.push(this.createIlstItem('covr', isPng ? dataTypes.png : dataTypes.jpeg,
+                window.audioMerger.base64ToBytes(tags.coverArt)));
+        }
+
+        return this.box('ilst', ...items);
+    },
+
+    createIlstItem(name, dataType, value) {
+        return this.box(name,
+            this.box('data', this.uint32(dataType), this.uint32(0), value));
+    },
+
+    // ========================================
+    // Box helpers
+    // ========================================
+
+    box(type, ...parts) {
+        const body = this.concat(parts);
+        const result = new Uint8Array(8 + body.length);
+        result.set(this.uint32(result.length), 0);
+        result.set(this.latin1ToBytes(type), 4);
+        result.set(body, 8);
+        return result;
+    },
+
+    fullBox(type, version, flags, ...parts) {
+        return this.box(type, [version, (flags >> 16) & 0xFF, (flags >> 8) & 0xFF, flags & 0xFF], ...parts);
+    },
+
+    // MPEG-4 descriptor with a 4-byte expandable size
+    descriptor(tag, body) {
+        const size = body.length;
+        return this.concat([
+            [tag, 0x80 | ((size >> 21) & 0x7F), 0x80 | ((size >> 14) & 0x7F), 0x80 | ((size >> 7) & 0x7F), size & 0x7F],
+            body
+        ]);
+    },
+
+    identityMatrix() {
+        const matrix = new Uint8Array(36);
+        const view = new DataView(matrix.buffer);
+        view.setUint32(0, 0x00010000);
+        view.setUint32(16, 0x00010000);
+        view.setUint32(32, 0x40000000);
+        return matrix;
+    },
+
+    uint16(value) {
+        return new Uint8Array([(value >> 8) & 0xFF, value & 0xFF]);
+    },
+
+    uint24(value) {
+        return new Uint8Array([(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF]);
+    },
+
+    uint32(value) {
+        return new Uint8Array([(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]);
+    },
+
+    uint64(value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setBigUint64(0, BigInt(value));
+        return bytes;
+    },
+
+    utf8ToBytes(text) {
+        return new TextEncoder().encode(text);
+    },
+
+    // UTF-8 bytes cut at a character boundary
+    truncateUtf8(text, maxBytes) {
+        let bytes = this.utf8ToBytes(text);
+        while (bytes.length > maxBytes) {
+            text = text.slice(0, -1);
+            bytes = this.utf8ToBytes(text);
+        }
+        return bytes;
+    },
+
+    latin1ToBytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    },
+
+    concat(parts) {
+        const totalLength = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(totalLength);
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+};
@@ -0,0 +1,528 @@
+/**
+ * MP3 Frame Tools
+ *
+ * Parses MPEG audio frame headers so MP3 chunks that share a format can be
+ * joined frame-by-frame, without decoding to PCM and re-encoding.
+ * Per-chunk ID3v2/ID3v1 tags and Xing/Info/LAME/VBRI header frames are
+ * stripped, and a single Xing (VBR) or Info (CBR) frame describing the
+ * combined stream is written in front of the joined audio. Frames that hold
+ * only LAME end padding are dropped, and the joined LAME tag carries the
+ * first chunk's encoder delay and the last chunk's padding for gapless players.
+ */
+
+window.mp3Frames = {
+    // Bitrates in kbit/s, indexed by [version][layer][bitrateIndex]
+    bitrateTable: {
+        1: {
+            1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+            2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+            3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+        },
+        2: {
+            1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+            2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+            3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+        }
+    },
+
+    // Sample rates in Hz, indexed by [version][sampleRateIndex]
+    sampleRateTable: {
+        1: [44100, 48000, 32000],
+        2: [22050, 24000, 16000],
+        2.5: [11025, 12000, 8000]
+    },
+
+    xingTocSize: 100,
+
+    // LAME extension after the Xing data: encoder version through tag CRC
+    lameTagSize: 36,
+
+    // Encoder version prefixes whose tag carries the encoder delay and padding (FFmpeg writes 'Lavf'/'Lavc')
+    lameEncoders: ['LAME', 'Lavf', 'Lavc'],
+
+    // Bytes allowed between the ID3v2 tags (or the start) and the first frame, for encoders that pad
+    syncSlack: 4,
+
+    // Leading bytes of the other containers chunks come in (WAV, Ogg, FLAC, MP4, WebM), which never hold MP3 frames here
+    containerSignatures: [
+        { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] },
+        { offset: 0, bytes: [0x4F, 0x67, 0x67, 0x53] },
+        { offset: 0, bytes: [0x66, 0x4C, 0x61, 0x43] },
+        { offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+        { offset: 0, bytes: [0x1A, 0x45, 0xDF, 0xA3] }
+    ],
+
+    /**
+     * Parse the 4-byte MPEG audio frame header at an offset
+     * @param {Uint8Array} bytes - MP3 data
+     * @param {number} offset - Offset of the candidate header
+     * @returns {Object|null} Header fields, or null if there is no valid header here
+     */
+    parseFrameHeader(bytes, offset) {
+        if (offset + 4 > bytes.length) return null;
+
+        const b1 = bytes[offset + 1];
+        const b2 = bytes[offset + 2];
+        const b3 = bytes[offset + 3];
+
+        // 11-bit frame sync
+        if (bytes[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0) return null;
+
+        const versionBits = (b1 >> 3) & 0x03;
+        const layerBits = (b1 >> 1) & 0x03;
+        const bitrateIndex = (b2 >> 4) & 0x0F;
+        const sampleRateIndex = (b2 >> 2) & 0x03;
+
+        // Reserved values and free-format bitrate are not supported
+        if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 ||
+            bitrateIndex === 15 || sampleRateIndex === 3) {
+            return null;
+        }
+
+        const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+        const layer = 4 - layerBits;
+        const bitrate = this.bitrateTable[version === 1 ? 1 : 2][layer][bitrateIndex];
+        const sampleRate = this.sampleRateTable[version][sampleRateIndex];
+        const padding = (b2 >> 1) & 0x01;
+        const channelMode = (b3 >> 6) & 0x03;
+
+        let samplesPerFrame;
+        let frameLength;
+        if (layer === 1) {
+            samplesPerFrame = 384;
+            frameLength = (Math.floor(12 * bitrate * 1000 / sampleRate) + padding) * 4;
+        } else {
+            samplesPerFrame = layer === 3 && version !== 1 ? 576 : 1152;
+            frameLength = Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate) + padding;
+        }
+
+        return {
+            version,
+            layer,
+            bitrate,
+            bitrateIndex,
+            sampleRate,
+            sampleRateIndex,
+            padding,
+            channelMode,
+            channels: channelMode === 3 ? 1 : 2,
+            samplesPerFrame,
+            frameLength
+        };
+    },
+
+    /**
+     * Get the total size of a leading ID3v2 tag (0 if there is none)
+     */
+    getId3v2Size(bytes, offset = 0) {
+        if (offset + 10 > bytes.length ||
+            bytes[offset] !== 0x49 || bytes[offset + 1] !== 0x44 || bytes[offset + 2] !== 0x33) {
+            return 0;
+        }
+
+        // Tag size is a 28-bit syncsafe integer, excluding the 10-byte header and optional footer
+        const size = ((bytes[offset + 6] & 0x7F) << 21) |
+                     ((bytes[offset + 7] & 0x7F) << 14) |
+                     ((bytes[offset + 8] & 0x7F) << 7) |
+                     (bytes[offset + 9] & 0x7F);
+        const hasFooter = (bytes[offset + 5] & 0x10) !== 0;
+
+        return 10 + size + (hasFooter ? 10 : 0);
+    },
+
+    /**
+     * Size of the Layer III side information that precedes the Xing header
+     */
+    getSideInfoSize(header) {
+        if (header.version === 1) {
+            return header.channels === 1 ? 17 : 32;
+        }
+        return header.channels === 1 ? 9 : 17;
+    },
+
+    /**
+     * Check whether a frame is a Xing/Info/VBRI header frame rather than audio
+     */
+    isInfoFrame(bytes, offset, header) {
+        const xingOffset = offset + 4 + this.getSideInfoSize(header);
+        const tag = String.fromCharCode(...bytes.subarray(xingOffset, xingOffset + 4));
+        if (tag === 'Xing' || tag === 'Info') return true;
+
+        // VBRI (Fraunhofer) header sits at a fixed 32 bytes after the frame header
+        const vbri = String.fromCharCode(...bytes.subarray(offset + 36, offset + 40));
+        return vbri === 'VBRI';
+    },
+
+    /**
+     * Read the LAME extension of a Xing/Info frame
+     * @returns {Object|null} { tag, delay, padding } (delay and padding in samples), or null if there is none
+     */
+    readLameTag(bytes, offset, header) {
+        const xingOffset = offset + 4 + this.getSideInfoSize(header);
+        const tag = String.fromCharCode(...bytes.subarray(xingOffset, xingOffset + 4));
+        if (tag !== 'Xing' && tag !== 'Info') return null;
+
+        // The LAME tag follows whichever of frames, bytes, TOC and quality the flags say are present
+        const flags = bytes[xingOffset + 7];
+        let lameOffset = xingOffset + 8;
+        if (flags & 0x01) lameOffset += 4;
+        if (flags & 0x02) lameOffset += 4;
+        if (flags & 0x04) lameOffset += this.xingTocSize;
+        if (flags & 0x08) lameOffset += 4;
+
+        if (lameOffset + this.lameTagSize > offset + header.frameLength) return null;
+
+        const encoder = String.fromCharCode(...bytes.subarray(lameOffset, lameOffset + 4));
+        if (!this.lameEncoders.includes(encoder)) return null;
+
+        // 12 bits of encoder delay, then 12 bits of end padding
+        const gap = (bytes[lameOffset + 21] << 16) | (bytes[lameOffset + 22] << 8) | bytes[lameOffset + 23];
+        return {
+            tag: bytes.slice(lameOffset, lameOffset + this.lameTagSize),
+            delay: gap >> 12,
+            padding: gap & 0xFFF
+        };
+    },
+
+    /**
+     * Check whether data starts like a container other than MP3
+     */
+    isOtherContainer(bytes) {
+        return this.containerSignatures.some(signature =>
+            signature.offset + signature.bytes.length <= bytes.length &&
+            signature.bytes.every((byte, i) => bytes[signature.offset + i] === byte));
+    },
+
+    /**
+     * Locate every audio frame in an MP3 buffer, skipping tags, header frames and frames of LAME end padding
+     * @param {Uint8Array} bytes - MP3 data
+     * @returns {Object|null} { header, frames: [{ offset, length }], sampleCount, lame }, or null if not MP3.
+     *   lame is { tag, delay, padding } from the LAME tag, with padding reduced by the dropped frames, or null.
+     */
+    parseFrames(bytes) {
+        if (this.isOtherContainer(bytes)) return null;
+
+        let offset = 0;
+
+        // Skip one or more ID3v2 tags
+        let tagSize;
+        while ((tagSize = this.getId3v2Size(bytes, offset)) > 0) {
+            offset += tagSize;
+        }
+
+        // The first frame must follow the tags within syncSlack bytes, and be followed by another valid
+        // header (avoids false syncs). Searching further would find frame-like bytes in other audio data.
+        let first = null;
+        const searchEnd = offset + this.syncSlack;
+        for (; offset <= searchEnd && offset + 4 <= bytes.length; offset++) {
+            const candidate = this.parseFrameHeader(bytes, offset);
+            if (!candidate) continue;
+
+            const nextOffset = offset + candidate.frameLength;
+            if (nextOffset === bytes.length || this.parseFrameHeader(bytes, nextOffset)) {
+                first = candidate;
+                break;
+            }
+        }
+
+        if (!first) return null;
+
+        const frames = [];
+        let sampleCount = 0;
+        let isFirstFrame = true;
+        let lame = null;
+
+        while (offset + 4 <= bytes.length) {
+            const header = this.parseFrameHeader(bytes, offset);
+
+            // Stop at trailing ID3v1/APE tags, garbage, or a format change
+            if (!header || header.version !== first.version || header.layer !== first.layer ||
+                header.sampleRate !== first.sampleRate || header.channels !== first.channels) {
+                break;
+            }
+
+            // Drop a truncated final frame
+            if (offset + header.frameLength > bytes.length) break;
+
+            if (isFirstFrame && header.layer === 3 && this.isInfoFrame(bytes, offset, header)) {
+                lame = this.readLameTag(bytes, offset, header);
+            } else {
+                frames.push({ offset, length: header.frameLength, bitrate: header.bitrate });
+                sampleCount += header.samplesPerFrame;
+            }
+
+            isFirstFrame = false;
+            offset += header.frameLength;
+        }
+
+        if (frames.length === 0) return null;
+
+        // Frames that decode to nothing but end padding would be a silent gap before the next chunk.
+        // A frame decodes from itself and the frames before it, so dropping them leaves the rest unchanged.
+        if (lame) {
+            const spareFrames = Math.min(Math.floor(lame.padding / first.samplesPerFrame), frames.length - 1);
+            frames.length -= spareFrames;
+            sampleCount -= spareFrames * first.samplesPerFrame;
+            lame.padding -= spareFrames * first.samplesPerFrame;
+        }
+
+        return { header: first, frames, sampleCount, lame };
+    },
+
+    /**
+     * Join MP3 chunks frame-by-frame when they share version, layer, sample rate and channel count
+     * @param {Uint8Array[]} chunks - Encoded MP3 chunks in playback order
+     * @returns {Object|null} { data, duration, chunkDurations, chunkSamples, sampleRate, numberOfChannels },
+     *   or null if formats differ
+     */
+    join(chunks) {
+        const parsed = [];
+        for (const chunk of chunks) {
+            const result = this.parseFrames(chunk);
+            if (!result || result.header.layer !== 3) return null;
+            parsed.push(result);
+        }
+
+        const format = parsed[0].header;
+        const sameFormat = parsed.every(p =>
+            p.header.version === format.version &&
+            p.header.sampleRate === format.sampleRate &&
+            p.header.channels === format.channels);
+
+        if (!sameFormat) return null;
+
+        const frameBitrates = new Set();
+        let audioLength = 0;
+        let frameCount = 0;
+        for (const p of parsed) {
+            for (const frame of p.frames) {
+                frameBitrates.add(frame.bitrate);
+                audioLength += frame.length;
+            }
+            frameCount += p.frames.length;
+        }
+
+        const isVbr = frameBitrates.size > 1;
+        const lame = this.joinLameGaps(parsed[0].lame, parsed[parsed.length - 1].lame);
+        const infoFrame = this.createInfoFrame(format, isVbr, lame !== null);
+        const totalLength = infoFrame.length + audioLength;
+
+        const data = new Uint8Array(totalLength);
+        data.set(infoFrame, 0);
+
+        // Copy audio frames and remember where each one starts for the seek table
+        const frameOffsets = new Array(frameCount);
+        let writeOffset = infoFrame.length;
+        let frameIndex = 0;
+        for (let i = 0; i < parsed.length; i++) {
+            for (const frame of parsed[i].frames) {
+                data.set(chunks[i].subarray(frame.offset, frame.offset + frame.length), writeOffset);
+                frameOffsets[frameIndex++] = writeOffset;
+                writeOffset += frame.length;
+            }
+        }
+
+        this.writeXingData(data, format, frameCount, totalLength, index => frameOffsets[index], lame);
+
+        const chunkDurations = parsed.map(p => p.sampleCount / format.sampleRate);
+
+        return {
+            data,
+            duration: chunkDurations.reduce((sum, d) => sum + d, 0),
+            chunkDurations,
+            chunkSamples: parsed.map(p => p.sampleCount),
+            sampleRate: format.sampleRate,
+            numberOfChannels: format.channels
+        };
+    },
+
+    /**
+     * Gapless info for a joined stream: the encoder delay of its first chunk and the end padding of its last.
+     * The delay at each inner boundary stays, since it is less than a frame and frames cannot be split.
+     * @returns {Object|null} { tag, delay, padding }, or null if the first chunk had no LAME tag
+     */
+    joinLameGaps(first, last) {
+        if (!first) return null;
+        return { tag: first.tag, delay: first.delay, padding: last ? last.padding : 0 };
+    },
+
+    /**
+     * Create an empty (silent) Layer III frame large enough to carry a Xing header, and a LAME tag if asked
+     */
+    createInfoFrame(format, isVbr, withLameTag = false) {
+        const xingOffset = 4 + this.getSideInfoSize(format);
+        // 'Xing' + flags + frames + bytes + TOC + quality
+        const requiredLength = xingOffset + 4 + 4 + 4 + 4 + this.xingTocSize + 4 +
+            (withLameTag ? this.lameTagSize : 0);
+
+        const bitrates = this.bitrateTable[format.version === 1 ? 1 : 2][3];
+        let header = null;
+        for (let index = 1; index < 15; index++) {
+            const b2 = (index << 4) | (format.sampleRateIndex << 2);
+            const candidate = this.buildHeaderBytes(format, b2);
+            const parsed = this.parseFrameHeader(candidate, 0);
+            if (parsed && parsed.frameLength >= requiredLength && bitrates[index] > 0) {
+                header = { bytes: candidate, length: parsed.frameLength };
+                break;
+            }
+        }
+
+        const frame = new Uint8Array(header.length);
+        frame.set(header.bytes, 0);
+
+        const tag = isVbr ? 'Xing' : 'Info';
+        for (let i = 0; i < 4; i++) {
+            frame[xingOffset + i] = tag.charCodeAt(i);
+        }
+
+        return frame;
+    },
+
+    buildHeaderBytes(format, b2) {
+        const versionBits = format.version === 1 ? 3 : format.version === 2 ? 2 : 0;
+        const b1 = 0xE0 | (versionBits << 3) | (1 << 1) | 0x01; // Layer III, no CRC
+        const b3 = format.channelMode << 6;
+        return new Uint8Array([0xFF, b1, b2, b3]);
+    },
+
+    /**
+     * Index the frames of an MP3 stream that is written out in pieces (split anywhere, even mid-frame),
+     * so a Xing/Info header can be built for it once the stream is complete
+     * @returns {Object} { push(bytes), sampleCount, sampleRate, numberOfChannels, createHeader() }
+     */
+    createStreamIndex() {
+        const tools = this;
+        // Offsets are kept for every 16th frame; the seek table only has 100 entries
+        const stride = 16;
+        const sampledOffsets = [];
+        const bitrates = new Set();
+        let carry = new Uint8Array(0);
+        let carryOffset = 0;
+        let format = null;
+        let frameCount = 0;
+        let length = 0;
+
+        return {
+            sampleCount: 0,
+
+            get sampleRate() {
+                return format ? format.sampleRate : 0;
+            },
+
+            get numberOfChannels() {
+                return format ? format.channels : 0;
+            },
+
+            push(bytes) {
+                length += bytes.length;
+
+                const data = new Uint8Array(carry.length + bytes.length);
+                data.set(carry, 0);
+                data.set(bytes, carry.length);
+
+                let offset = 0;
+                while (offset + 4 <= data.length) {
+                    const header = tools.parseFrameHeader(data, offset);
+                    if (!header) {
+                        offset++;
+                        continue;
+                    }
+                    if (offset + header.frameLength > data.length) break;
+
+                    format = format || header;
+                    if (frameCount % stride === 0) {
+                        sampledOffsets.push(carryOffset + offset);
+                    }
+                    frameCount++;
+                    bitrates.add(header.bitrate);
+                    this.sampleCount += header.samplesPerFrame;
+                    offset += header.frameLength;
+                }
+
+                carry = data.slice(offset);
+                carryOffset += offset;
+            },
+
+            /**
+             * @param {Object|null} lame - { tag, delay, padding } for the stream's LAME tag, from joinLameGaps
+             * @returns {Uint8Array|null} Xing/Info frame to write in front of the stream, or null if it had no frames
+             */
+            createHeader(lame = null) {
+                if (!format) return null;
+
+                const infoFrame = tools.createInfoFrame(format, bitrates.size > 1, lame !== null);
+                const totalLength = infoFrame.length + length;
+                tools.writeXingData(infoFrame, format, frameCount, totalLength,
+                    index => infoFrame.length + sampledOffsets[Math.floor(index / stride)], lame);
+                return infoFrame;
+            }
+        };
+    },
+
+    /**
+     * Fill in frame count, byte count and seek table of the Xing/Info header at the start of data
+     * @param {Function} getFrameOffset - Byte offset in data of a frame, by frame index
+     * @param {Object|null} lame - { tag, delay, padding } to write as the LAME tag, which the frame must have room for
+     */
+    writeXingData(data, format, frameCount, totalLength, getFrameOffset, lame = null) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        let offset = 4 + this.getSideInfoSize(format) + 4;
+
+        // Flags: frames, bytes, TOC, quality
+        view.setUint32(offset, 0x0F);
+        view.setUint32(offset + 4, frameCount);
+        view.setUint32(offset + 8, totalLength);
+        offset += 12;
+
+        // TOC entry i is the byte position (scaled to 0-255) at i% of the playback time
+        for (let i = 0; i < this.xingTocSize; i++) {
+            const frameIndex = Math.min(Math.floor(i / this.xingTocSize * frameCount), frameCount - 1);
+            data[offset + i] = Math.min(255, Math.floor(getFrameOffset(frameIndex) / totalLength * 256));
+        }
+        offset += this.xingTocSize;
+
+        // Quality indicator (0 = best); not meaningful for joined streams
+        view.setUint32(offset, 0);
+        offset += 4;
+
+        if (lame) {
+            this.writeLameTag(data, offset, lame, totalLength);
+        }
+    },
+
+    /**
+     * Write a LAME tag based on a chunk's, with the joined stream's delay, padding and length
+     */
+    writeLameTag(data, offset, lame, totalLength) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        data.set(lame.tag, offset);
+
+        // Peak and ReplayGain values were measured on one chunk only
+        data.fill(0, offset + 11, offset + 19);
+
+        data[offset + 21] = lame.delay >> 4;
+        data[offset + 22] = ((lame.delay & 0x0F) << 4) | (lame.padding >> 8);
+        data[offset + 23] = lame.padding & 0xFF;
+
+        // Music length counts from the start of this frame; the music CRC is not recomputed
+        view.setUint32(offset + 28, totalLength);
+        view.setUint16(offset + 32, 0);
+
+        // Tag CRC covers the frame up to the CRC itself
+        view.setUint16(offset + 34, this.crc16(data, offset + 34));
+    },
+
+    /**
+     * CRC-16 (polynomial 0x8005, reflected, as LAME computes it) of the first length bytes
+     */
+    crc16(bytes, length) {
+        let crc = 0;
+        for (let i = 0; i < length; i++) {
+            crc ^= bytes[i];
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 1 ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+            }
+        }
+        return crc;
+    }
+};
@@ -0,0 +1,161 @@
+/**
+ * OCR Helper
+ *
+ * Recognizes the text of scanned PDF pages. Each page is rendered through
+ * PDF.js to a canvas here and recognized by Tesseract in a worker
+ * (workers/ocr-worker.js), with the engine and language data served from
+ * js/lib/tesseract, so nothing leaves the browser. The recognized lines come
+ * back as paragraphs in the shape pdfHelper.layoutPage gives native text, so
+ * header stripping, page joining and chapter detection treat both alike.
+ */
+
+window.ocrHelper = {
+    workerUrl: 'js/workers/ocr-worker.js',
+    worker: null,
+    workerRequests: new Map(),
+    workerRequestId: 0,
+
+    // Language data in js/lib/tesseract/lang to recognize with, e.g. 'eng', or 'eng+deu' for several
+    language: 'eng',
+
+    // Pages are rendered at this resolution, with their longer side at most maxImageSize pixels
+    renderDpi: 300,
+    maxImageSize: 4000,
+
+    // Height of a recognized line per point of font size; lines with ascenders and descenders span about 1.2 em
+    lineHeightPerPoint: 1.2,
+
+    isSupported() {
+        return typeof Worker !== 'undefined' && typeof WebAssembly === 'object' && typeof document !== 'undefined';
+    },
+
+    /**
+     * Recognize the text of a PDF page
+     * @param {PDFPageProxy} page - The page, from PDF.js
+     * @param {Function} onProgress - Called with the percentage of the page recognized
+     * @returns {Promise<Array>} Paragraphs, top to bottom: [{ text, fontSize, lines: [{ text, x, y, width, fontSize }] }]
+     */
+    async recognizePage(page, onProgress) {
+        const { image, scale } = await this.renderPage(page);
+        const { lines } = await this.postToWorker(image, onProgress);
+        return this.buildParagraphs(lines, page.view, scale);
+    },
+
+    /**
+     * Stop the worker, freeing the engine's memory; it is started again on the next page
+     */
+    release() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const pending of this.workerRequests.values()) {
+            pending.reject(new Error('OCR stopped'));
+        }
+        this.workerRequests.clear();
+    },
+
+    // PNG of the page on white, and its pixels per PDF unit
+    async renderPage(page) {
+        const size = page.getViewport({ scale: 1 });
+        const scale = Math.min(this.renderDpi / 72, this.maxImageSize / Math.max(size.width, size.height));
+        const viewport = page.getViewport({ scale });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: context, viewport }).promise;
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        // Let the canvas memory go before recognition
+        canvas.width = 0;
+        canvas.height = 0;
+
+        if (!blob) {
+            throw new Error('The page could not be rendered');
+        }
+        return { image: await blob.arrayBuffer(), scale };
+    },
+
+    // Paragraphs from Tesseract's lines, which come in reading order by block (a column or other region of
+    // text). Each block is joined into paragraphs by pdfHelper's rules for native text on its own, so a new
+    // block always starts a paragraph. Positions are converted to PDF units with y as the baseline from the
+    // bottom. A line's height (ascenders to descenders) over lineHeightPerPoint, in whole points, stands in
+    // for its font size; lines within a third of their block's usual height count as that size, as those
+    // without descenders are shorter.
+    buildParagraphs(lines, view, scale) {
+        const [left, , , top] = view;
+        const paragraphs = [];
+
+        for (const block of new Set(lines.map(line => line.block))) {
+            const blockLines = lines.filter(line => line.block === block);
+            const heights = blockLines.map(line => line.height).sort((a, b) => a - b);
+            const usual = heights[Math.floor(heights.length / 2)];
+
+            paragraphs.push(...window.pdfHelper.buildParagraphs(blockLines.map(line => {
+                const height = Math.abs(line.height - usual) <= usual / 3 ? usual : line.height;
+                return {
+                    text: line.text,
+                    x: left + line.left / scale,
+                    y: top - (line.top + line.height) / scale,
+                    width: line.width / scale,
+                    fontSize: Math.max(1, Math.round(height / scale / this.lineHeightPerPoint)),
+                    column: 0
+                };
+            })));
+        }
+
+        return paragraphs;
+    },
+
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl);
+
+            this.worker.onmessage = (event) => {
+                const { id } = event.data;
+                const pending = this.workerRequests.get(id);
+                if (!pending) return;
+
+                if (event.data.progress) {
+                    if (pending.onProgress) {
+                        pending.onProgress(...event.data.progress);
+                    }
+                    return;
+                }
+
+                this.workerRequests.delete(id);
+                if (event.data.error) {
+                    pending.reject(new Error(event.data.error));
+                } else {
+                    pending.resolve(event.data.result);
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                // A worker-level error (e.g. the engine failing to load) fails every pending request
+                const error = new Error(event.message || 'OCR worker failed');
+                for (const pending of this.workerRequests.values()) {
+                    pending.reject(error);
+                }
+                this.workerRequests.clear();
+                this.worker.terminate();
+                this.worker = null;
+            };
+        }
+
+        return this.worker;
+    },
+
+    postToWorker(image, onProgress) {
+        return new Promise((resolve, reject) => {
+            const id = ++this.workerRequestId;
+            this.workerRequests.set(id, { resolve, reject, onProgress });
+            this.getWorker().postMessage({ id, action: 'recognize', image, language: this.language }, [image]);
+        });
+    }
+};
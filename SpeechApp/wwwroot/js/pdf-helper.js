@@ -1,5 +1,12 @@
 // PDF.js helper for text extraction
 window.pdfHelper = {
+    // Documents opened for page thumbnails: id → PDFDocumentProxy
+    documents: new Map(),
+    nextDocumentId: 0,
+
+    // Job id → AbortController of extractText calls that can be cancelled
+    extractJobs: new Map(),
+
     // Initialize PDF.js
     async initialize() {
         if (window.pdfjsLib) {
@@ -21,7 +28,20 @@ window.pdfHelper = {
     },
 
     // Extract text from PDF
-    async extractText(base64Data, progressCallback) {
+    // source: Uint8Array (a .NET byte[]) or a DotNetStreamReference to the uploaded file
+    // options.ocr: recognize the text of scanned pages (images without a text layer) with ocrHelper
+    // options.pages: pages to extract, as [{ start, end }] ranges already checked by PdfProcessingService (end null
+    //   runs to the last page); all pages when empty
+    // options.scanImages: false skips looking for images on each page (the slowest part of reading a page);
+    //   scanned pages are then told by their text alone
+    // jobId: optional id for cancelExtraction
+    async extractText(source, progressCallback, options = {}, jobId = null) {
+        const controller = new AbortController();
+        const signal = controller.signal;
+        if (jobId) {
+            this.extractJobs.set(jobId, controller);
+        }
+
         try {
             // Initialize PDF.js
             await this.initialize();
@@ -30,72 +50,138 @@ window.pdfHelper = {
                 throw new Error('PDF.js library not loaded');
             }
 
-            // Convert base64 to array buffer
-            const binaryString = atob(base64Data);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
+            const bytes = await this.readBytes(source);
 
             // Load PDF document
             const loadingTask = window.pdfjsLib.getDocument({ data: bytes });
             const pdf = await loadingTask.promise;
 
+            options = options || {};
             const totalPages = pdf.numPages;
-            let fullText = '';
-            let textContent = [];
+            const pageNumbers = this.selectPages(options.pages, totalPages);
+            const scanImages = options.scanImages !== false;
+            const pages = [];
             let imageCount = 0;
             let totalItems = 0;
 
+            // With OCR, reading the pages is the first fifth of the work
+            const useOcr = !!options.ocr && !!window.ocrHelper && window.ocrHelper.isSupported();
+            const reportProgress = (progress) => {
+                if (progressCallback) {
+                    progressCallback.invokeMethodAsync('Invoke', Math.round(progress));
+                }
+            };
+
             // Extract text from each page
-            for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+            for (let i = 0; i < pageNumbers.length; i++) {
+                signal.throwIfAborted();
+                const pageNum = pageNumbers[i];
                 const page = await pdf.getPage(pageNum);
                 const content = await page.getTextContent();
 
                 // Count items for scanned detection
                 totalItems += content.items.length;
 
-                // Get text from page
-                const pageText = content.items
-                    .map(item => item.str)
-                    .join(' ');
-
-                fullText += pageText + '\n\n';
-                textContent.push({
-                    page: pageNum,
-                    text: pageText
-                });
+                // Get text from page, in reading order with its paragraphs
+                const [, bottom, , top] = page.view;
+                const pageInfo = {
+                    number: pageNum,
+                    top,
+                    bottom,
+                    paragraphs: this.layoutPage(content.items),
+                    imageCount: scanImages ? 0 : null
+                };
+                pages.push(pageInfo);
 
                 // Check for images (scanned PDF detection)
-                const ops = await page.getOperatorList();
-                for (const fn of ops.fnArray) {
-                    if (fn === window.pdfjsLib.OPS.paintImageXObject ||
-                        fn === window.pdfjsLib.OPS.paintInlineImageXObject) {
-                        imageCount++;
+                if (scanImages) {
+                    const ops = await page.getOperatorList();
+                    for (const fn of ops.fnArray) {
+                        if (fn === window.pdfjsLib.OPS.paintImageXObject ||
+                            fn === window.pdfjsLib.OPS.paintInlineImageXObject) {
+                            pageInfo.imageCount++;
+                        }
                     }
+                    imageCount += pageInfo.imageCount;
                 }
 
                 // Report progress
-                if (progressCallback) {
-                    const progress = Math.round((pageNum / totalPages) * 100);
-                    progressCallback.invokeMethodAsync('Invoke', progress);
+                reportProgress(((i + 1) / pageNumbers.length) * (useOcr ? 20 : 100));
+            }
+
+            // Scanned pages get the text recognized in their images, before headers and chapters are looked for
+            let ocrPageCount = 0;
+            let ocrError = null;
+            if (useOcr) {
+                const scannedPages = pages.filter(page => this.isScannedPage(page));
+
+                // Stopping the worker is the only way to end a page being recognized
+                const stopOcr = () => window.ocrHelper.release();
+                signal.addEventListener('abort', stopOcr);
+                try {
+                    for (let i = 0; i < scannedPages.length; i++) {
+                        signal.throwIfAborted();
+                        const scannedPage = scannedPages[i];
+                        const page = await pdf.getPage(scannedPage.number);
+                        scannedPage.paragraphs = await window.ocrHelper.recognizePage(page, percent =>
+                            reportProgress(20 + ((i + percent / 100) / scannedPages.length) * 80));
+                        ocrPageCount++;
+                    }
+                } catch (error) {
+                    signal.throwIfAborted();
+                    console.warn('OCR failed:', error);
+                    ocrError = error.message || String(error);
+                } finally {
+                    // The engine holds a lot of memory; it is loaded again for the next document
+                    signal.removeEventListener('abort', stopOcr);
+                    window.ocrHelper.release();
                 }
+                reportProgress(100);
             }
 
+            // Running headers, footers and page numbers are left out, and listed so they can be restored
+            const removedLines = this.stripRepeatedLines(pages);
+            const { text: fullText, pageRanges } = this.joinPages(pages);
+            for (const line of removedLines) {
+                const range = pageRanges.get(line.page);
+                line.offset = line.position === 'header' ? range.start : range.end;
+            }
+
+            const textContent = pages.map(page => ({
+                page: page.number,
+                text: page.paragraphs.map(paragraph => paragraph.text).join('\n\n')
+            }));
+
             // Detect if scanned (heuristic: more images than text items, or very little text)
             const isScanned = imageCount > totalItems ||
-                             (fullText.trim().length < 100 && totalPages > 1);
+                             (fullText.trim().length < 100 && pageNumbers.length > 1);
+
+            // Chapters from the document outline, else from headings set in larger type, else from common
+            // chapter patterns
+            const outlineChapters = await this.readOutlineChapters(pdf, pages, pageRanges, fullText).catch(error => {
+                console.warn('Could not read the PDF outline:', error);
+                return null;
+            });
+            const chapters = outlineChapters ||
+                this.detectHeadingChapters(pages, fullText) ||
+                this.detectChapters(fullText, textContent);
 
-            // Detect chapters (look for common chapter patterns)
-            const chapters = this.detectChapters(fullText, textContent);
+            // Document info is read here too; a stream reference can only be read once
+            const info = await this.readInfo(pdf).catch(() => ({}));
 
             return {
                 success: true,
                 text: fullText.trim(),
                 pageCount: totalPages,
+                // The pages extracted, when not all of them
+                selectedPages: pageNumbers.length < totalPages ? pageNumbers : null,
                 isScanned: isScanned,
                 chapters: chapters,
+                removedLines: removedLines,
+                ocrPageCount: ocrPageCount,
+                ocrError: ocrError,
                 metadata: {
+                    ...info,
                     pageCount: totalPages,
                     imageCount: imageCount,
                     textItemCount: totalItems
@@ -103,15 +189,667 @@ window.pdfHelper = {
             };
 
         } catch (error) {
-            console.error('PDF extraction error:', error);
+            if (!signal.aborted) {
+                console.error('PDF extraction error:', error);
+            }
             return {
                 success: false,
                 errorMessage: error.message || 'Failed to extract text from PDF'
             };
+        } finally {
+            if (jobId) {
+                this.extractJobs.delete(jobId);
+            }
+        }
+    },
+
+    // Stop an extraction started with a job id, including the page being recognized by OCR
+    cancelExtraction(jobId) {
+        const controller = this.extractJobs.get(jobId);
+        if (controller) {
+            controller.abort(new DOMException('Extraction cancelled', 'AbortError'));
+        }
+    },
+
+    // A page that is an image without a text layer (at most a few characters, like a page number). When images
+    // were not looked for, every page with so little text is taken for one.
+    isScannedPage(page) {
+        const textLength = page.paragraphs.reduce((length, paragraph) => length + paragraph.text.length, 0);
+        return page.imageCount !== 0 && textLength < 50;
+    },
+
+    // Page numbers, in order and each once, of [{ start, end }] ranges (end null runs to the last page); all pages
+    // when there are none. Pages past the end are left out.
+    selectPages(ranges, totalPages) {
+        const all = Array.from({ length: totalPages }, (_, i) => i + 1);
+        if (!ranges || ranges.length === 0) {
+            return all;
+        }
+
+        const selected = new Set();
+        for (const { start, end } of ranges) {
+            for (let page = start; page <= Math.min(end ?? totalPages, totalPages); page++) {
+                selected.add(page);
+            }
+        }
+
+        if (selected.size === 0) {
+            throw new Error(`The document has only ${totalPages} page${totalPages === 1 ? '' : 's'}`);
+        }
+        return all.filter(page => selected.has(page));
+    },
+
+    // Reading-order paragraphs of a page, rebuilt from the positions of its text items: lines are grouped
+    // by baseline, split into columns at vertical gutters, read column by column (text spanning the
+    // columns, like titles, in between), then joined into paragraphs with hyphenated words rejoined.
+    // Returns [{ text, fontSize, lines: [{ text, x, y, width, fontSize }] }], top to bottom.
+    layoutPage(items) {
+        const horizontal = [];
+        const rotated = [];
+        for (const item of items) {
+            if (!item.transform) continue;
+            const [a, b] = item.transform;
+            (Math.abs(b) > Math.abs(a) ? rotated : horizontal).push(item);
+        }
+
+        const segments = this.buildLines(horizontal).flatMap(line => this.splitSegments(line));
+        const lines = this.orderSegments(segments);
+        const paragraphs = this.buildParagraphs(lines);
+
+        // Sideways text (margin notes, rotated tables) follows in content order
+        const sideways = rotated.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim();
+        if (sideways) {
+            paragraphs.push({ text: sideways, fontSize: 0, lines: [] });
+        }
+
+        return paragraphs;
+    },
+
+    // Items in content order grouped into lines: a line ends at an item marked hasEOL,
+    // or where the next item is off its baseline or goes back to the left
+    buildLines(items) {
+        const lines = [];
+        let line = null;
+        let lineEnded = true;
+
+        for (const item of items) {
+            const fragment = {
+                str: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width || 0,
+                fontSize: Math.hypot(item.transform[2], item.transform[3]) || item.height || 1,
+                rtl: item.dir === 'rtl'
+            };
+
+            if (fragment.str.trim().length > 0) {
+                const last = line && line.fragments[line.fragments.length - 1];
+                const tolerance = line ? Math.max(line.fontSize, fragment.fontSize) * 0.5 : 0;
+                if (lineEnded || Math.abs(fragment.y - line.y) > tolerance ||
+                    (!fragment.rtl && fragment.x < last.x - fragment.fontSize)) {
+                    line = { fragments: [], y: fragment.y, fontSize: fragment.fontSize };
+                    lines.push(line);
+                }
+
+                line.fragments.push(fragment);
+                // The baseline and size of a line are its largest text's, not its superscripts'
+                if (fragment.fontSize > line.fontSize) {
+                    line.fontSize = fragment.fontSize;
+                    line.y = fragment.y;
+                }
+                lineEnded = false;
+            }
+
+            if (item.hasEOL) {
+                lineEnded = true;
+            }
+        }
+
+        return lines;
+    },
+
+    // Parts of a line separated by gaps wider than a word space could be: neighbouring columns, table cells
+    splitSegments(line) {
+        const fragments = line.fragments.some(fragment => fragment.rtl)
+            ? line.fragments
+            : line.fragments.slice().sort((a, b) => a.x - b.x);
+
+        const segments = [];
+        let current = [];
+        for (const fragment of fragments) {
+            const previous = current[current.length - 1];
+            if (previous && fragment.x - (previous.x + previous.width) > line.fontSize * 1.5) {
+                segments.push(this.createSegment(current, line));
+                current = [];
+            }
+            current.push(fragment);
+        }
+        if (current.length > 0) {
+            segments.push(this.createSegment(current, line));
+        }
+
+        return segments;
+    },
+
+    createSegment(fragments, line) {
+        let text = '';
+        for (let i = 0; i < fragments.length; i++) {
+            const fragment = fragments[i];
+            const previous = fragments[i - 1];
+            // Items often stop at word boundaries without a space character between them
+            if (previous && !/\s$/.test(text) && !/^\s/.test(fragment.str) &&
+                Math.abs(fragment.x - (previous.x + previous.width)) > line.fontSize * 0.15) {
+                text += ' ';
+            }
+            text += fragment.str;
+        }
+
+        const x = Math.min(...fragments.map(fragment => fragment.x));
+        const right = Math.max(...fragments.map(fragment => fragment.x + fragment.width));
+        return {
+            text: text.replace(/\s+/g, ' ').trim(),
+            x,
+            y: line.y,
+            width: right - x,
+            fontSize: line.fontSize
+        };
+    },
+
+    // Segments in reading order, as lines tagged with their column ({ ..., column }).
+    // Columns are separated by gutters: bands of the page no segment crosses (save a few spanning ones)
+    // with text on both sides. Segments crossing a gutter split the page into bands read top to bottom.
+    orderSegments(segments) {
+        if (segments.length === 0) return [];
+
+        const boundaries = this.findColumnBoundaries(segments);
+        const spans = [];
+        const columnSegments = [];
+
+        for (const segment of segments) {
+            const right = segment.x + segment.width;
+            const tolerance = segment.fontSize * 0.5;
+            if (boundaries.some(boundary => segment.x < boundary - tolerance && right > boundary + tolerance)) {
+                spans.push(segment);
+            } else {
+                const center = segment.x + segment.width / 2;
+                segment.column = boundaries.filter(boundary => center > boundary).length;
+                columnSegments.push(segment);
+            }
+        }
+
+        const byTop = (a, b) => b.y - a.y || a.x - b.x;
+        spans.sort(byTop);
+
+        const ordered = [];
+        for (let band = 0; band <= spans.length; band++) {
+            // Column text between the spanning segment above and the one below
+            const above = band > 0 ? spans[band - 1].y : Infinity;
+            const below = band < spans.length ? spans[band].y : -Infinity;
+            for (let column = 0; column <= boundaries.length; column++) {
+                const inBand = columnSegments.filter(segment =>
+                    segment.column === column && segment.y < above && segment.y >= below);
+                ordered.push(...this.mergeLines(inBand.sort(byTop), column));
+            }
+
+            if (band < spans.length) {
+                ordered.push({ ...spans[band], column: -1 });
+            }
+        }
+
+        return ordered;
+    },
+
+    // x positions of gutters between columns, left to right; none for single-column pages
+    findColumnBoundaries(segments) {
+        const left = Math.floor(Math.min(...segments.map(segment => segment.x)));
+        const right = Math.ceil(Math.max(...segments.map(segment => segment.x + segment.width)));
+        const fontSizes = segments.map(segment => segment.fontSize).sort((a, b) => a - b);
+        const minGutter = fontSizes[Math.floor(fontSizes.length / 2)];
+
+        // How many segments cover each point across the page
+        const coverage = new Array(right - left + 1).fill(0);
+        for (const segment of segments) {
+            const end = Math.min(right, Math.floor(segment.x + segment.width));
+            for (let x = Math.ceil(segment.x); x <= end; x++) {
+                coverage[x - left]++;
+            }
+        }
+
+        // Titles and other spanning text may cross a gutter
+        const allowance = Math.max(1, Math.floor(segments.length * 0.1));
+        const boundaries = [];
+        let start = -1;
+        for (let i = 0; i <= coverage.length; i++) {
+            if (i < coverage.length && coverage[i] <= allowance) {
+                if (start < 0) start = i;
+                continue;
+            }
+            if (start > 0 && i < coverage.length && i - start >= minGutter) {
+                const boundary = left + (start + i) / 2;
+                const before = segments.filter(segment => segment.x + segment.width <= boundary).length;
+                const after = segments.filter(segment => segment.x >= boundary).length;
+                if (before >= segments.length * 0.15 && after >= segments.length * 0.15) {
+                    boundaries.push(boundary);
+                }
+            }
+            start = -1;
+        }
+
+        return boundaries;
+    },
+
+    // Segments of one column on the same baseline (e.g. table cells) as one line, left to right
+    mergeLines(segments, column) {
+        const lines = [];
+        for (const segment of segments) {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(line.y - segment.y) <= Math.max(line.fontSize, segment.fontSize) * 0.5) {
+                const parts = [...line.parts, segment].sort((a, b) => a.x - b.x);
+                const right = Math.max(line.x + line.width, segment.x + segment.width);
+                line.parts = parts;
+                line.text = parts.map(part => part.text).join(' ');
+                line.x = Math.min(line.x, segment.x);
+                line.width = right - line.x;
+                line.fontSize = Math.max(line.fontSize, segment.fontSize);
+            } else {
+                lines.push({ ...segment, parts: [segment], column });
+            }
+        }
+
+        return lines.map(({ parts, ...line }) => line);
+    },
+
+    // Lines in reading order joined into paragraphs. A paragraph ends at a larger gap than the usual line
+    // spacing, a change of font size, an indented or list-item line, or a short line ending a sentence.
+    // It continues into the next column unless its last line ends one.
+    buildParagraphs(lines) {
+        const paragraphs = [];
+        const columnStats = this.getColumnStats(lines);
+        let paragraph = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const previous = lines[i - 1];
+
+            if (!paragraph || this.startsParagraph(previous, line, columnStats)) {
+                paragraph = { text: line.text, fontSize: line.fontSize, lines: [] };
+                paragraphs.push(paragraph);
+            } else {
+                paragraph.text = this.joinLines(paragraph.text, line.text);
+            }
+
+            paragraph.lines.push({ text: line.text, x: line.x, y: line.y, width: line.width, fontSize: line.fontSize });
+        }
+
+        return paragraphs;
+    },
+
+    // Left edge, right edge and usual line spacing of each column (key -1: spanning lines)
+    getColumnStats(lines) {
+        const stats = new Map();
+        for (const line of lines) {
+            const column = stats.get(line.column) || { left: Infinity, right: -Infinity, gaps: [] };
+            column.left = Math.min(column.left, line.x);
+            column.right = Math.max(column.right, line.x + line.width);
+            stats.set(line.column, column);
+        }
+
+        for (let i = 1; i < lines.length; i++) {
+            const gap = lines[i - 1].y - lines[i].y;
+            if (lines[i].column === lines[i - 1].column && gap > 0 &&
+                Math.abs(lines[i].fontSize - lines[i - 1].fontSize) < 0.5) {
+                stats.get(lines[i].column).gaps.push(gap);
+            }
+        }
+
+        for (const column of stats.values()) {
+            column.gaps.sort((a, b) => a - b);
+            column.lineGap = column.gaps.length > 0 ? column.gaps[Math.floor(column.gaps.length / 2)] : null;
+        }
+        return stats;
+    },
+
+    startsParagraph(previous, line, columnStats) {
+        const column = columnStats.get(line.column);
+        const endsSentence = /[.!?:;]["'”’)\]]*$/.test(previous.text);
+        const previousColumn = columnStats.get(previous.column);
+        const isShort = previous.x + previous.width < previousColumn.right - (previousColumn.right - previousColumn.left) * 0.15;
+
+        if (/^([•●▪◦‣∙·\-–—*]|\(?\d{1,3}[.)]|\(?[a-z][.)])\s/.test(line.text)) {
+            return true;
+        }
+        if (Math.abs(line.fontSize - previous.fontSize) > Math.max(line.fontSize, previous.fontSize) * 0.15) {
+            return true;
         }
+
+        const indented = line.x - column.left > line.fontSize * 0.8;
+        if ((line.column === -1) !== (previous.column === -1)) {
+            // Into or out of text spanning the columns: only a sentence broken off mid-way carries on
+            return !(/^\p{Ll}/u.test(line.text) || /\p{L}[-\u2010\u00AD]$/u.test(previous.text));
+        }
+        if (line.column !== previous.column || line.y >= previous.y) {
+            // Top of the next column: the paragraph carries on unless it had come to an end
+            return endsSentence || indented;
+        }
+
+        const gap = previous.y - line.y;
+        const lineGap = column.lineGap || line.fontSize * 1.2;
+        if (gap > lineGap * 1.4) {
+            return true;
+        }
+
+        const previousIndented = previous.x - column.left > previous.fontSize * 0.8;
+        return (indented && !previousIndented) || (isShort && endsSentence);
+    },
+
+    // Append a line to a paragraph, rejoining a word hyphenated across the line break
+    joinLines(text, next) {
+        if (/\u00AD$/.test(text)) {
+            return text.slice(0, -1) + next;
+        }
+        if (/\p{L}[-\u2010]$/u.test(text)) {
+            // "synthe- sis" becomes "synthesis"; "Anglo- Saxon" keeps its hyphen
+            return /^\p{Ll}/u.test(next) ? text.slice(0, -1) + next : text + next;
+        }
+        return `${text} ${next}`;
+    },
+
+    // Text of the pages, paragraphs separated by a blank line and each on one line, as TextChunkingService
+    // expects; a sentence running over a page break is kept in one paragraph. Also returns where each
+    // page's text starts and ends: Map of page number → { start, end }, and sets the offset of each of
+    // the pages' paragraphs (for one continuing a paragraph, where its text was joined on).
+    joinPages(pages) {
+        const paragraphs = [];
+        const pageRanges = new Map();
+        let length = 0;
+
+        for (const page of pages) {
+            const last = paragraphs[paragraphs.length - 1];
+            let [first, ...rest] = page.paragraphs;
+            let start = length + (paragraphs.length > 0 ? 2 : 0);
+
+            if (last && first && /[\p{L},\-\u2010\u00AD]$/u.test(last.text) &&
+                (/^\p{Ll}/u.test(first.text) || /\p{L}[-\u2010\u00AD]$/u.test(last.text))) {
+                const joined = this.joinLines(last.text, first.text);
+                start = length - last.text.length + joined.length - first.text.length;
+                length += joined.length - last.text.length;
+                // A rejoined hyphen is gone from the end of the previous page
+                const previous = pageRanges.get(pages[pages.indexOf(page) - 1].number);
+                previous.end = Math.min(previous.end, start);
+                last.text = joined;
+                first.offset = start;
+                first = null;
+            }
+
+            for (const paragraph of first ? [first, ...rest] : rest) {
+                paragraph.offset = length + (paragraphs.length > 0 ? 2 : 0);
+                length = paragraph.offset + paragraph.text.length;
+                paragraphs.push({ text: paragraph.text });
+            }
+
+            pageRanges.set(page.number, { start: Math.min(start, length), end: length });
+        }
+
+        return { text: paragraphs.map(paragraph => paragraph.text).join('\n\n'), pageRanges };
+    },
+
+    // Running headers, footers and page numbers: the two outermost lines at the top and bottom of each page
+    // that recur on several pages, compared with numbers normalized (so "The Voyage — 47" matches
+    // "The Voyage — 48") and a little tolerance for other differences. They are removed from the pages'
+    // paragraphs. Returns the removed lines in document order: [{ page, text, position: 'header'|'footer' }]
+    stripRepeatedLines(pages) {
+        if (pages.length < 2) return [];
+
+        const clusters = [];
+        for (const page of pages) {
+            const band = (page.top - page.bottom) * 0.15;
+            const lines = page.paragraphs
+                .flatMap(paragraph => paragraph.lines)
+                .sort((a, b) => b.y - a.y);
+
+            const headers = lines.slice(0, 2).filter(line => line.y >= page.top - band);
+            const footers = lines.slice(-2).filter(line => line.y <= page.bottom + band && !headers.includes(line));
+
+            for (const [position, candidates] of [['header', headers], ['footer', footers]]) {
+                for (const line of candidates) {
+                    const key = this.normalizeRepeatedLine(line.text);
+                    if (!key) continue;
+
+                    let cluster = clusters.find(c => c.position === position && this.textSimilarity(c.key, key) >= 0.8);
+                    if (!cluster) {
+                        cluster = { position, key, pages: new Set(), lines: [] };
+                        clusters.push(cluster);
+                    }
+                    cluster.pages.add(page.number);
+                    cluster.lines.push(line);
+                }
+            }
+        }
+
+        const removed = new Set();
+        for (const cluster of clusters) {
+            // A bare page number ("12", "Page 12 of 40", "- xii -") needs only to recur once
+            const isPageNumber = /^(page )?#( of #)?$/.test(cluster.key);
+            if (cluster.pages.size >= (isPageNumber ? 2 : 3)) {
+                cluster.lines.forEach(line => removed.add(line));
+            }
+        }
+
+        const removedLines = [];
+        for (const page of pages) {
+            const pageRemoved = page.paragraphs.flatMap(paragraph => paragraph.lines).filter(line => removed.has(line));
+            if (pageRemoved.length === 0) continue;
+
+            for (const line of pageRemoved.sort((a, b) => b.y - a.y)) {
+                const position = line.y >= (page.top + page.bottom) / 2 ? 'header' : 'footer';
+                removedLines.push({ page: page.number, text: line.text, position });
+            }
+
+            page.paragraphs = page.paragraphs
+                .map(paragraph => {
+                    if (!paragraph.lines.some(line => removed.has(line))) {
+                        return paragraph;
+                    }
+                    const lines = paragraph.lines.filter(line => !removed.has(line));
+                    return {
+                        ...paragraph,
+                        lines,
+                        text: lines.length > 0 ? lines.map(line => line.text).reduce((text, next) => this.joinLines(text, next)) : ''
+                    };
+                })
+                .filter(paragraph => paragraph.text.length > 0);
+        }
+
+        return removedLines;
+    },
+
+    // Header/footer text compared across pages: lower case, numbers (arabic, or roman for a whole line) as #,
+    // punctuation and spacing collapsed
+    normalizeRepeatedLine(text) {
+        const lower = text.toLowerCase().trim();
+        const numbered = /^[-–—\s]*[ivxlcdm]+[-–—\s]*$/.test(lower) ? '#' : lower.replace(/\d+/g, '#');
+        return numbered.replace(/[^\p{L}#]+/gu, ' ').trim();
+    },
+
+    // Dice coefficient of the character pairs of two strings, from 0 (nothing shared) to 1 (same)
+    textSimilarity(a, b) {
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const pairs = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const pair = a.slice(i, i + 2);
+            pairs.set(pair, (pairs.get(pair) || 0) + 1);
+        }
+
+        let shared = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const pair = b.slice(i, i + 2);
+            const count = pairs.get(pair) || 0;
+            if (count > 0) {
+                pairs.set(pair, count - 1);
+                shared++;
+            }
+        }
+
+        return (2 * shared) / (a.length + b.length - 2);
+    },
+
+    // Chapters from the document outline (bookmarks), nested by their level in it (1 for top-level entries),
+    // or null when there is none. Each starts where its title is found on the page it points to, else at the
+    // paragraph at the destination's position, else at the top of the page; it runs to the next entry at the
+    // same or a higher level, so a part includes its chapters.
+    async readOutlineChapters(pdf, pages, pageRanges, fullText) {
+        const outline = await pdf.getOutline();
+        if (!outline || outline.length === 0) return null;
+
+        const entries = [];
+        const visit = async (items, level) => {
+            for (const item of items) {
+                const target = await this.resolveDestination(pdf, item.dest);
+                if (target && item.title && item.title.trim()) {
+                    entries.push({ title: item.title.replace(/\s+/g, ' ').trim(), level, ...target });
+                }
+                if (item.items && item.items.length > 0) {
+                    await visit(item.items, level + 1);
+                }
+            }
+        };
+        await visit(outline, 1);
+
+        const chapters = [];
+        for (const entry of entries) {
+            const page = pages.find(p => p.number === entry.pageNumber);
+            if (!page) continue;
+
+            chapters.push({
+                title: entry.title,
+                level: entry.level,
+                startPosition: this.findOutlineOffset(page, pageRanges.get(page.number), entry, fullText)
+            });
+        }
+
+        return this.finishChapters(chapters, fullText);
+    },
+
+    // Page number (1-based) and top of the view, when given, of an outline entry's destination
+    async resolveDestination(pdf, dest) {
+        const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+        if (!Array.isArray(explicit) || explicit.length === 0) return null;
+
+        const pageIndex = typeof explicit[0] === 'number' ? explicit[0] : await pdf.getPageIndex(explicit[0]);
+        // [page, { name: 'XYZ' }, left, top, zoom] and [page, { name: 'FitH' | 'FitBH' }, top]
+        const kind = explicit[1] && explicit[1].name;
+        const top = kind === 'XYZ' ? explicit[3] : kind === 'FitH' || kind === 'FitBH' ? explicit[2] : null;
+
+        return { pageNumber: pageIndex + 1, top: typeof top === 'number' ? top : null };
+    },
+
+    // Offset of an outline entry in the text: its title, searched from the paragraph at the destination's
+    // position (or the top of the page) to the end of the page, else that paragraph
+    findOutlineOffset(page, range, entry, fullText) {
+        const paragraphs = page.paragraphs.filter(paragraph => typeof paragraph.offset === 'number');
+        if (paragraphs.length === 0) {
+            return range.start;
+        }
+
+        const target = entry.top === null ? null : paragraphs.find(paragraph =>
+            paragraph.lines.length > 0 && paragraph.lines[0].y <= entry.top + paragraph.fontSize);
+        const start = target ? target.offset : paragraphs[0].offset;
+
+        // The title's words as they are set on the page, ignoring case, spacing and punctuation
+        const words = (entry.title.match(/[\p{L}\p{N}]+/gu) || []).slice(0, 8);
+        const match = words.length > 0
+            ? new RegExp(words.join('[^\\p{L}\\p{N}]*'), 'iu').exec(fullText.slice(start, range.end))
+            : null;
+
+        return match ? start + match.index : start;
+    },
+
+    // Chapters from headings, for documents without an outline: short paragraphs set larger than the body text
+    // (the size most text is in). Each larger size used for two or more headings is a level, the largest
+    // being 1, up to three levels. Headings in a row, like "Chapter 3" over "The Voyage", are one chapter.
+    detectHeadingChapters(pages, fullText) {
+        const paragraphs = pages.flatMap(page => page.paragraphs)
+            .filter(paragraph => paragraph.fontSize > 0 && typeof paragraph.offset === 'number');
+        if (paragraphs.length === 0) return null;
+
+        const roundSize = size => Math.round(size * 2) / 2;
+        const characters = new Map();
+        for (const paragraph of paragraphs) {
+            const size = roundSize(paragraph.fontSize);
+            characters.set(size, (characters.get(size) || 0) + paragraph.text.length);
+        }
+        const bodySize = [...characters.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+        const isHeading = paragraph => paragraph.fontSize >= bodySize * 1.15 &&
+            paragraph.text.length <= 120 && paragraph.lines.length <= 3 &&
+            /\p{L}/u.test(paragraph.text) && !/[.,;!?]$/.test(paragraph.text);
+
+        const sizeCounts = new Map();
+        for (const paragraph of paragraphs.filter(isHeading)) {
+            const size = roundSize(paragraph.fontSize);
+            sizeCounts.set(size, (sizeCounts.get(size) || 0) + 1);
+        }
+        const levels = [...sizeCounts.entries()]
+            .filter(([, count]) => count >= 2)
+            .map(([size]) => size)
+            .sort((a, b) => b - a)
+            .slice(0, 3);
+        if (levels.length === 0) return null;
+
+        const chapters = [];
+        let previous = null;
+        for (let i = 0; i < paragraphs.length; i++) {
+            const paragraph = paragraphs[i];
+            const level = levels.indexOf(roundSize(paragraph.fontSize)) + 1;
+            if (!isHeading(paragraph) || level === 0) {
+                previous = null;
+                continue;
+            }
+
+            if (previous) {
+                previous.title += ` - ${paragraph.text}`;
+                previous.level = Math.min(previous.level, level);
+            } else {
+                previous = { title: paragraph.text, level, startPosition: paragraph.offset };
+                chapters.push(previous);
+            }
+        }
+
+        return this.finishChapters(chapters, fullText);
+    },
+
+    // Number chapters in text order, end each at the next one at its level or above, and add previews
+    finishChapters(chapters, fullText) {
+        if (chapters.length === 0) return null;
+
+        const ordered = chapters
+            .map((chapter, index) => ({ ...chapter, index }))
+            .sort((a, b) => a.startPosition - b.startPosition || a.index - b.index);
+
+        return ordered.map((chapter, i) => {
+            const next = ordered.slice(i + 1).find(other => other.level <= chapter.level);
+            const endPosition = next ? next.startPosition : fullText.length;
+
+            // The text after the heading's paragraph
+            const headingEnd = fullText.indexOf('\n\n', chapter.startPosition);
+            const preview = headingEnd >= 0 && headingEnd < endPosition
+                ? fullText.slice(headingEnd + 2, endPosition).replace(/\s+/g, ' ').trim().substring(0, 100)
+                : '';
+
+            return {
+                number: i + 1,
+                title: chapter.title,
+                level: chapter.level,
+                startPosition: chapter.startPosition,
+                endPosition,
+                preview: preview + (preview.length === 100 ? '...' : '')
+            };
+        });
     },
 
-    // Detect chapters in extracted text
+    // Detect chapters in extracted text from common chapter patterns, for documents without an outline or headings
     detectChapters(fullText, textContent) {
         const chapters = [];
         let chapterNumber = 0;
@@ -119,7 +857,8 @@ window.pdfHelper = {
         // Common chapter patterns
         const chapterPatterns = [
             /^Chapter\s+(\d+|[IVX]+)[\s:.-]+(.+)$/im,
-            /^(\d+)\.\s+(.+)$/m,
+            // Numbered headings, not numbered sentences
+            /^(\d+)\.\s+(.+[^.!?,;:])$/m,
             /^CHAPTER\s+(\d+|[IVX]+)[\s:.-]+(.+)$/im,
             /^Part\s+(\d+|[IVX]+)[\s:.-]+(.+)$/im
         ];
@@ -153,6 +892,7 @@ window.pdfHelper = {
                     chapters.push({
                         number: chapterNumber,
                         title: title,
+                        level: 1,
                         startPosition: currentPosition,
                         endPosition: fullText.length,
                         preview: preview + (preview.length === 100 ? '...' : '')
@@ -167,32 +907,89 @@ window.pdfHelper = {
         return chapters.length > 0 ? chapters : null;
     },
 
+    // Open a PDF to render page thumbnails from, until closeDocument; returns { documentId, pageCount }
+    // source: Uint8Array (a .NET byte[]) or a DotNetStreamReference
+    async openDocument(source) {
+        await this.initialize();
+
+        const bytes = await this.readBytes(source);
+        const pdf = await window.pdfjsLib.getDocument({ data: bytes }).promise;
+
+        const documentId = ++this.nextDocumentId;
+        this.documents.set(documentId, pdf);
+        return { documentId, pageCount: pdf.numPages };
+    },
+
+    // JPEG data URL of a page of an open document, width pixels wide
+    async renderThumbnail(documentId, pageNumber, width) {
+        const pdf = this.documents.get(documentId);
+        if (!pdf) {
+            throw new Error('The document is not open');
+        }
+
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: context, viewport }).promise;
+        page.cleanup();
+
+        return canvas.toDataURL('image/jpeg', 0.8);
+    },
+
+    async closeDocument(documentId) {
+        const pdf = this.documents.get(documentId);
+        if (pdf) {
+            this.documents.delete(documentId);
+            await pdf.destroy();
+        }
+    },
+
     // Get PDF metadata
-    async getMetadata(base64Data) {
+    // source: Uint8Array (a .NET byte[]) or a DotNetStreamReference
+    async getMetadata(source) {
         try {
             await this.initialize();
 
-            const binaryString = atob(base64Data);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
-
+            const bytes = await this.readBytes(source);
             const loadingTask = window.pdfjsLib.getDocument({ data: bytes });
             const pdf = await loadingTask.promise;
-            const metadata = await pdf.getMetadata();
 
-            return {
-                title: metadata.info?.Title || null,
-                author: metadata.info?.Author || null,
-                subject: metadata.info?.Subject || null,
-                creator: metadata.info?.Creator || null,
-                producer: metadata.info?.Producer || null,
-                creationDate: metadata.info?.CreationDate || null
-            };
+            return await this.readInfo(pdf);
         } catch (error) {
             console.error('Failed to get PDF metadata:', error);
             return null;
         }
+    },
+
+    // Document info dictionary of a loaded PDF
+    async readInfo(pdf) {
+        const metadata = await pdf.getMetadata();
+
+        return {
+            title: metadata.info?.Title || null,
+            author: metadata.info?.Author || null,
+            subject: metadata.info?.Subject || null,
+            creator: metadata.info?.Creator || null,
+            producer: metadata.info?.Producer || null,
+            creationDate: metadata.info?.CreationDate || null
+        };
+    },
+
+    // PDF bytes from .NET arrive as a Uint8Array or a DotNetStreamReference (read with arrayBuffer())
+    async readBytes(source) {
+        if (source instanceof Uint8Array) {
+            return source;
+        }
+        if (source && typeof source.arrayBuffer === 'function') {
+            return new Uint8Array(await source.arrayBuffer());
+        }
+        throw new Error('No PDF data');
     }
 };
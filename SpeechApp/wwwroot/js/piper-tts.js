@@ -4,21 +4,81 @@
  * This module provides browser-side integration with Piper TTS WebAssembly.
  * Piper is a fast, local neural text-to-speech system.
  *
- * Library: @mintplex-labs/piper-tts-web
- * Documentation: https://github.com/Mintplex-Labs/piper-tts-web
+ * The runtime (ONNX Runtime Web and the espeak-ng based phonemizer) is bundled
+ * in js/lib/piper and checked against the hashes in runtimeFiles before use.
+ * Voice models come from a Piper voice repository (rhasspy/piper-voices layout)
+ * and are stored in the 'piper' directory of the origin private file system,
+ * the layout @mintplex-labs/piper-tts-web used, so earlier downloads still work.
  */
 
-// Import Piper TTS library (loaded via CDN in index.html)
-let piperLib = null;
-
 window.piperTTS = {
     isInitialized: false,
     dbName: 'PiperTTSDB',
     dbVersion: 1,
     db: null,
 
+    // Bundled runtime, relative to the page (the worker resolves it from its own location)
+    runtimePath: 'js/lib/piper/',
+
+    // Subresource integrity of each runtime file; a file that does not match is not used
+    runtimeFiles: {
+        'ort.wasm.min.js': 'sha384-SgeB7YRZLYVIvNteTHalidIdVwoxCxFIEnAbq/xbds9+tUeuA7rCxn0j5AwZFUSW',
+        'ort-wasm-simd.wasm': 'sha384-fRaLGPIzvF2phGW4iOtonTas/h/+gi5pnuRbYIFDHMAY6wl8PjBiOd42lVUpDaNd',
+        'piper_phonemize.js': 'sha384-PMufGRTCTqKC0tPjOTp2UFXycN+yWWjDareOeoy106zJZAHPijaeHDAX/4Pi0I5S',
+        'piper_phonemize.wasm': 'sha384-p7p53pHMdJ/Czq5r8i0cXWVgLA+CeXEeki1NGyNN0BKfNFLIdxeg0R0+5SzNSop3',
+        'piper_phonemize.data': 'sha384-6Xh3BfiH+X7e4My11k66vDp7WUWQmn5Ifmsx4ZB1wg8vA9+lmOUucunqJpNsNUuf'
+    },
+
+    // Inference defaults of models whose .onnx.json has none (Piper's own defaults)
+    defaultNoiseScale: 0.667,
+    defaultNoiseW: 0.8,
+
+    // Voice list shipped with the app, used when the repository has no voices.json or cannot be reached
+    bundledVoicesUrl: 'js/lib/piper/voices.json',
+
+    // Base URL of the voice repository: voices.json and the model files under it. May be relative to
+    // the app, e.g. 'voices/' for a copy in wwwroot/voices, which the service worker caches on first use.
+    defaultVoiceRepository: 'https://huggingface.co/diffusionstudio/piper-voices/resolve/main/',
+    voiceRepository: 'https://huggingface.co/diffusionstudio/piper-voices/resolve/main/',
+
+    // Voice list of the repository, loaded once: { repository, voices }
+    voiceCatalog: null,
+
+    modelDirectory: 'piper',
+    runtimeReady: null,
+
+    // Phonemizer binaries, fetched once and shared by every phonemizer instance: { wasm, data }
+    phonemizerFiles: null,
+
+    // The last voice used, kept loaded between calls: { id, modified (of the model file), config, session }
+    loadedVoice: null,
+
+    // Synthesis runs in a worker so inference does not freeze the page
+    worker: null,
+    workerUrl: 'js/workers/piper-worker.js',
+    workerRequests: new Map(),
+    workerRequestId: 0,
+
+    // Job id → AbortController of synthesize calls that can be cancelled
+    synthesisJobs: new Map(),
+
+    // Codes of the errors synthesize fails with; each message starts with its code, e.g. 'MODEL_MISSING: ...'
+    errorCodes: {
+        UNSUPPORTED_BROWSER: 'UNSUPPORTED_BROWSER',
+        LIBRARY_NOT_LOADED: 'LIBRARY_NOT_LOADED',
+        MODEL_MISSING: 'MODEL_MISSING',
+        INFERENCE_FAILED: 'INFERENCE_FAILED',
+        OUT_OF_MEMORY: 'OUT_OF_MEMORY'
+    },
+
+    // Last synthesis failure on the page, for getDiagnostics: { code, message, time }
+    lastError: null,
+
     /**
      * Initialize Piper TTS
+     *
+     * Opens the model metadata store. The runtime is loaded (and verified) by loadRuntime
+     * when the first text is synthesized, in the synthesis worker.
      */
     async init() {
         if (this.isInitialized) return true;
@@ -27,26 +87,6 @@ window.piperTTS = {
             // Open IndexedDB for model storage
             this.db = await this.openDatabase();
 
-            // Wait for Piper library to be available (with retry)
-            let retries = 0;
-            while (!window.piperTTSLib && retries < 20) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                retries++;
-            }
-
-            if (typeof window.piperTTSLib !== 'undefined') {
-                piperLib = window.piperTTSLib;
-
-                // Verify required methods exist
-                if (typeof piperLib.download !== 'function' || typeof piperLib.predict !== 'function') {
-                    console.error('Piper TTS library missing required methods');
-                    return false;
-                }
-            } else {
-                console.error('Piper TTS library not loaded');
-                return false;
-            }
-
             this.isInitialized = true;
             return true;
         } catch (error) {
@@ -80,45 +120,638 @@ window.piperTTS = {
 
     /**
      * Synthesize speech from text
+     *
+     * Inference runs in a worker (workers/piper-worker.js), one sentence at a time,
+     * so long texts neither freeze the page nor run past a cancellation.
      * @param {string} text - Text to synthesize
-     * @param {string} modelId - Model ID to use
-     * @returns {Promise<string>} Base64 encoded WAV audio
+     * @param {string|Object} voice - Model ID, or { modelId, speed, lengthScale, noiseScale, noiseW, speakerId,
+     *                                sentenceSilence }; see synthesizeSentences for the settings
+     * @param {DotNet.DotNetObjectReference} progressCallback - Optional, Invoke(current, total) after each sentence
+     * @param {string} jobId - Optional id for cancelSynthesis
+     * @returns {Promise<Uint8Array>} WAV audio (received in .NET as byte[])
+     * @throws {Error} With a code from errorCodes, or an AbortError when cancelled
      */
-    async synthesize(text, modelId) {
+    async synthesize(text, voice, progressCallback = null, jobId = null) {
+        const { modelId, ...settings } = typeof voice === 'string' ? { modelId: voice } : voice;
+
         if (!this.isInitialized) {
             await this.init();
         }
 
-        try {
-            // Check if Piper library is available
-            if (!piperLib) {
-                console.warn('Piper library not available, using fallback');
-                return this.generateTestBeep(1.0);
-            }
+        const controller = new AbortController();
+        if (jobId) {
+            this.synthesisJobs.set(jobId, controller);
+        }
 
+        try {
             // Check if model is downloaded
             const downloadedModels = await this.getDownloadedModels();
 
             if (!downloadedModels.includes(modelId)) {
-                throw new Error(`Model "${modelId}" not downloaded. Please download it first from the Offline Mode page.`);
+                throw this.createError(this.errorCodes.MODEL_MISSING,
+                    `Model "${modelId}" not downloaded. Please download it first from the Offline Mode page.`);
+            }
+
+            const sentences = this.splitSentences(text);
+            const job = {
+                signal: controller.signal,
+                onProgress: progressCallback
+                    ? (current, total) => progressCallback.invokeMethodAsync('Invoke', current, total)
+                    : null
+            };
+
+            return this.usesWorker()
+                ? await this.postToWorker(sentences, modelId, settings, job)
+                : await this.synthesizeSentences(sentences, modelId, settings, job);
+
+        } catch (error) {
+            if (error && error.name === 'AbortError') {
+                throw error;
+            }
+
+            const failure = this.toPiperError(error, this.errorCodes.INFERENCE_FAILED);
+            this.lastError = { code: failure.code, message: failure.message, time: new Date().toISOString() };
+            console.error('Piper synthesis error:', failure);
+            throw failure;
+        } finally {
+            if (jobId) {
+                this.synthesisJobs.delete(jobId);
+            }
+        }
+    },
+
+    /**
+     * Stop a synthesis started with a job id; it fails with a cancellation error
+     * @param {string} jobId - Job id passed to synthesize
+     */
+    cancelSynthesis(jobId) {
+        const controller = this.synthesisJobs.get(jobId);
+        if (controller) {
+            controller.abort(new DOMException('Synthesis cancelled', 'AbortError'));
+        }
+    },
+
+    /**
+     * State of the offline engine, for the diagnostics view of the Offline Mode page
+     * @returns {Promise<Object>} { runtimeAvailable, voiceRepository, workerSupported, webAssemblySupported,
+     *                              simdSupported, fileSystemSupported, cpuCores, deviceMemoryGb, storageUsage,
+     *                              storageQuota, downloadedModels, lastError }
+     */
+    async getDiagnostics() {
+        let storage = null;
+        try {
+            storage = navigator.storage && navigator.storage.estimate ? await navigator.storage.estimate() : null;
+        } catch (error) {
+            // Storage estimates are unavailable in some private modes
+        }
+
+        // Only the presence and size of the files is checked (on the server, or in the offline cache when
+        // it cannot be reached); their integrity is checked when they are loaded
+        let runtimeAvailable = true;
+        for (const name of Object.keys(this.runtimeFiles)) {
+            let response = null;
+            try {
+                response = await fetch(this.runtimePath + name, { method: 'HEAD', cache: 'no-cache' });
+            } catch (error) {
+                response = typeof caches !== 'undefined' ? await caches.match(this.runtimePath + name) : null;
+            }
+
+            if (!response || !response.ok || response.headers.get('Content-Length') === '0') {
+                runtimeAvailable = false;
             }
+        }
+
+        return {
+            runtimeAvailable,
+            voiceRepository: this.voiceRepository,
+            workerSupported: typeof Worker !== 'undefined',
+            webAssemblySupported: typeof WebAssembly === 'object',
+            simdSupported: this.isSimdSupported(),
+            fileSystemSupported: !!(navigator.storage && navigator.storage.getDirectory),
+            cpuCores: navigator.hardwareConcurrency || 0,
+            deviceMemoryGb: navigator.deviceMemory || 0,
+            storageUsage: storage ? storage.usage || 0 : 0,
+            storageQuota: storage ? storage.quota || 0 : 0,
+            downloadedModels: await this.getDownloadedModels(),
+            lastError: this.lastError
+        };
+    },
+
+    // Error whose message starts with its code, so the code survives the worker and .NET interop
+    createError(code, message) {
+        const error = new Error(`${code}: ${message}`);
+        error.code = code;
+        return error;
+    },
+
+    // Give an error a code: its own, OUT_OF_MEMORY for allocation failures, or the fallback
+    toPiperError(error, fallbackCode) {
+        if (error && error.code && this.errorCodes[error.code]) {
+            return error;
+        }
+
+        const message = error && error.message ? error.message : String(error);
+        const codeInMessage = /^([A-Z_]+): /.exec(message);
+        if (codeInMessage && this.errorCodes[codeInMessage[1]]) {
+            const coded = new Error(message);
+            coded.code = codeInMessage[1];
+            return coded;
+        }
+
+        const outOfMemory = error instanceof RangeError ||
+            /out of memory|\bOOM\b|failed to allocate|allocation failed|cannot enlarge memory|memory access out of bounds/i.test(message);
+        return this.createError(outOfMemory ? this.errorCodes.OUT_OF_MEMORY : fallbackCode, message);
+    },
+
+    /**
+     * Synthesize sentences in order and join them into one WAV.
+     * Runs in the worker, or here when workers are unavailable.
+     * @param {string[]} sentences - Text of each sentence
+     * @param {string} voiceId - Model ID to use
+     * @param {Object} settings - Optional overrides of the model's inference settings:
+     *   speed: divides the model's length scale (ignored with lengthScale); lengthScale: phoneme duration;
+     *   noiseScale, noiseW: variation of the voice and of phoneme durations; speakerId: speaker of a
+     *   multi-speaker model (see getSpeakers); sentenceSilence: seconds of silence between sentences
+     * @param {Object} job - { signal, onProgress(current, total) }
+     * @returns {Promise<Uint8Array>} WAV audio
+     */
+    async synthesizeSentences(sentences, voiceId, settings, { signal, onProgress }) {
+        if (sentences.length === 0) {
+            throw new Error('No text to synthesize');
+        }
+
+        try {
+            await this.loadRuntime();
+        } catch (error) {
+            throw this.toPiperError(error, this.errorCodes.LIBRARY_NOT_LOADED);
+        }
 
-            // Use Piper TTS library to synthesize
-            const wavBlob = await piperLib.predict({
-                text: text,
-                voiceId: modelId
+        const voice = await this.loadVoice(voiceId);
+        signal.throwIfAborted();
+
+        const inference = voice.config.inference || {};
+        const speed = settings.speed > 0 ? settings.speed : 1;
+        const lengthScale = settings.lengthScale ?? (inference.length_scale ?? 1) / speed;
+        const noiseScale = settings.noiseScale ?? inference.noise_scale ?? this.defaultNoiseScale;
+        const noiseW = settings.noiseW ?? inference.noise_w ?? this.defaultNoiseW;
+        const sampleRate = voice.config.audio.sample_rate;
+        const silenceSamples = Math.round(Math.max(0, settings.sentenceSilence ?? 0.2) * sampleRate);
+
+        const speakerCount = voice.config.num_speakers || Object.keys(voice.config.speaker_id_map || {}).length;
+        const speakerId = Math.min(Math.max(0, Math.floor(settings.speakerId ?? 0)), Math.max(0, speakerCount - 1));
+
+        let sentencePhonemeIds;
+        try {
+            sentencePhonemeIds = await this.phonemize(sentences, voice.config);
+        } catch (error) {
+            throw this.toPiperError(error, this.errorCodes.INFERENCE_FAILED);
+        }
+
+        const parts = [];
+        for (let i = 0; i < sentences.length; i++) {
+            signal.throwIfAborted();
+
+            let output;
+            try {
+                const phonemeIds = sentencePhonemeIds[i];
+
+                // Nothing to say, e.g. a sentence of symbols only
+                if (phonemeIds.length === 0) {
+                    if (onProgress) {
+                        onProgress(i + 1, sentences.length);
+                    }
+                    continue;
+                }
+
+                const feeds = {
+                    input: new ort.Tensor('int64', BigInt64Array.from(phonemeIds, BigInt), [1, phonemeIds.length]),
+                    input_lengths: new ort.Tensor('int64', BigInt64Array.of(BigInt(phonemeIds.length)), [1]),
+                    scales: new ort.Tensor('float32', Float32Array.of(noiseScale, lengthScale, noiseW), [3])
+                };
+                if (speakerCount > 1) {
+                    feeds.sid = new ort.Tensor('int64', BigInt64Array.of(BigInt(speakerId)), [1]);
+                }
+
+                ({ output } = await voice.session.run(feeds));
+            } catch (error) {
+                throw this.toPiperError(error, this.errorCodes.INFERENCE_FAILED);
+            }
+
+            parts.push(output.data);
+            if (i < sentences.length - 1 && silenceSamples > 0) {
+                parts.push(new Float32Array(silenceSamples));
+            }
+
+            if (onProgress) {
+                onProgress(i + 1, sentences.length);
+            }
+        }
+
+        return this.encodeWave(parts, sampleRate);
+    },
+
+    /**
+     * Speakers of a multi-speaker model, from the speaker_id_map of its .onnx.json
+     * @param {string} modelId - Downloaded model ID
+     * @returns {Promise<Array>} [{ name, id }] by id; empty for single-speaker models
+     */
+    async getSpeakers(modelId) {
+        try {
+            const config = JSON.parse(await (await this.readModelFile(`${modelId}.onnx.json`)).text());
+            return Object.entries(config.speaker_id_map || {})
+                .map(([name, id]) => ({ name, id }))
+                .sort((a, b) => a.id - b.id);
+        } catch (error) {
+            console.error('Error reading Piper speakers:', error.message);
+            return [];
+        }
+    },
+
+    /**
+     * Inference defaults of a model, from the inference section of its .onnx.json
+     * @param {string} modelId - Downloaded model ID
+     * @returns {Promise<Object|null>} { noiseScale, noiseW }, or null if the model cannot be read
+     */
+    async getInferenceDefaults(modelId) {
+        try {
+            const config = JSON.parse(await (await this.readModelFile(`${modelId}.onnx.json`)).text());
+            const inference = config.inference || {};
+            return {
+                noiseScale: inference.noise_scale ?? this.defaultNoiseScale,
+                noiseW: inference.noise_w ?? this.defaultNoiseW
+            };
+        } catch (error) {
+            console.error('Error reading Piper inference defaults:', error.message);
+            return null;
+        }
+    },
+
+    // Load the bundled ONNX runtime and phonemizer (they define the globals ort and createPiperPhonemize).
+    // Every file is checked against runtimeFiles; only the SIMD, single-threaded ONNX build is bundled.
+    loadRuntime() {
+        if (!this.runtimeReady) {
+            this.runtimeReady = (async () => {
+                this.throwIfUnsupported();
+
+                await this.loadScript(await this.fetchRuntimeFile('ort.wasm.min.js'));
+                await this.loadScript(await this.fetchRuntimeFile('piper_phonemize.js'));
+
+                ort.env.wasm.numThreads = 1;
+                ort.env.wasm.simd = true;
+                ort.env.wasm.wasmPaths = {
+                    'ort-wasm-simd.wasm': URL.createObjectURL(await this.fetchRuntimeFile('ort-wasm-simd.wasm'))
+                };
+
+                this.phonemizerFiles = {
+                    wasm: await (await this.fetchRuntimeFile('piper_phonemize.wasm')).arrayBuffer(),
+                    data: await (await this.fetchRuntimeFile('piper_phonemize.data')).arrayBuffer()
+                };
+            })();
+            this.runtimeReady.catch(() => {
+                this.runtimeReady = null;
             });
+        }
+        return this.runtimeReady;
+    },
 
-            // Convert Blob to ArrayBuffer then to Base64
-            const arrayBuffer = await wavBlob.arrayBuffer();
-            const base64 = this.arrayBufferToBase64(arrayBuffer);
+    // A runtime file as a Blob, rejected unless it matches its integrity hash
+    async fetchRuntimeFile(name) {
+        let response;
+        try {
+            response = await fetch(this.runtimePath + name, { integrity: this.runtimeFiles[name] });
+        } catch (error) {
+            throw this.createError(this.errorCodes.LIBRARY_NOT_LOADED,
+                `Piper runtime file ${name} could not be loaded or failed its integrity check`);
+        }
 
-            return base64;
+        if (!response.ok) {
+            throw this.createError(this.errorCodes.LIBRARY_NOT_LOADED,
+                `Piper runtime file ${name} could not be loaded (HTTP ${response.status})`);
+        }
+        return response.blob();
+    },
+
+    // Run a verified script: importScripts in the worker, a script element on the page
+    async loadScript(blob) {
+        const url = URL.createObjectURL(blob);
+
+        try {
+            if (typeof document === 'undefined') {
+                self.importScripts(url);
+                return;
+            }
 
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = url;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Failed to run a Piper runtime script'));
+                document.head.appendChild(script);
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    },
+
+    // Why this browser cannot run Piper, or null when it can
+    getUnsupportedReason() {
+        if (typeof WebAssembly !== 'object') {
+            return 'This browser does not support WebAssembly, which Piper voices run on';
+        }
+        if (!this.isSimdSupported()) {
+            return 'This browser does not support WebAssembly SIMD, which the bundled ONNX runtime needs. ' +
+                'Update the browser, or use a recent Chrome, Edge, Firefox or Safari (16.4 or later).';
+        }
+        return null;
+    },
+
+    throwIfUnsupported() {
+        const reason = this.getUnsupportedReason();
+        if (reason) {
+            throw this.createError(this.errorCodes.UNSUPPORTED_BROWSER, reason);
+        }
+    },
+
+    isSimdSupported() {
+        // The smallest module using a SIMD instruction (i8x16.splat); only valid where SIMD is supported
+        return typeof WebAssembly === 'object' && WebAssembly.validate(new Uint8Array([
+            0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+        ]));
+    },
+
+    // Read a model's config and start an inference session, replacing the previously loaded voice
+    async loadVoice(voiceId) {
+        let modelFile;
+        let configFile;
+        try {
+            modelFile = await this.readModelFile(`${voiceId}.onnx`);
+            configFile = await this.readModelFile(`${voiceId}.onnx.json`);
         } catch (error) {
-            console.error('Piper synthesis error:', error);
-            throw new Error(`Synthesis failed: ${error.message}`);
+            throw this.createError(this.errorCodes.MODEL_MISSING,
+                `Model "${voiceId}" not downloaded. Please download it first from the Offline Mode page.`);
+        }
+
+        // The files are replaced when a model with the same id is imported or downloaded again
+        if (this.loadedVoice && this.loadedVoice.id === voiceId && this.loadedVoice.modified === modelFile.lastModified) {
+            return this.loadedVoice;
         }
+
+        const config = JSON.parse(await configFile.text());
+
+        if (this.loadedVoice) {
+            await this.loadedVoice.session.release();
+            this.loadedVoice = null;
+        }
+
+        let session;
+        try {
+            session = await ort.InferenceSession.create(new Uint8Array(await modelFile.arrayBuffer()));
+        } catch (error) {
+            throw this.toPiperError(error, this.errorCodes.INFERENCE_FAILED);
+        }
+        this.loadedVoice = { id: voiceId, modified: modelFile.lastModified, config, session };
+        return this.loadedVoice;
+    },
+
+    async readModelFile(name) {
+        const root = await navigator.storage.getDirectory();
+        const directory = await root.getDirectoryHandle(this.modelDirectory);
+        const handle = await directory.getFileHandle(name);
+        return handle.getFile();
+    },
+
+    // Phoneme ids of each sentence, in one run of the phonemizer (a command-line program that prints a line
+    // per input). A sentence without phonemes, e.g. of symbols only, gets an empty list. Warnings on stderr
+    // are only reported when the run fails.
+    async phonemize(sentences, config) {
+        const lines = [];
+        const errors = [];
+        const phonemizer = await createPiperPhonemize({
+            print: (line) => lines.push(line),
+            printErr: (message) => errors.push(message),
+            wasmBinary: this.phonemizerFiles.wasm,
+            getPreloadedPackage: () => this.phonemizerFiles.data
+        });
+
+        let status = null;
+        try {
+            status = phonemizer.callMain([
+                '-l', config.espeak.voice,
+                '--input', JSON.stringify(sentences.map(text => ({ text }))),
+                '--espeak_data', '/espeak-ng-data'
+            ]);
+        } catch (error) {
+            // The program's own exceptions arrive as a pointer, with the message (if any) on stderr
+            if (error instanceof Error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (status !== 0 || lines.length !== sentences.length) {
+            const details = errors.length > 0 ? `: ${errors.join('\n')}` : '';
+            throw new Error(`Could not phonemize the text with espeak voice "${config.espeak.voice}"${details}`);
+        }
+
+        return lines.map((line) => {
+            const result = JSON.parse(line);
+            return result.phonemes && result.phonemes.length > 0 ? result.phoneme_ids || [] : [];
+        });
+    },
+
+    /**
+     * Split text into the sentences synthesized one by one; blank text gives no sentences
+     * @param {string} text - Text to split
+     * @returns {string[]} Trimmed sentences
+     */
+    splitSentences(text) {
+        const sentences = [];
+
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            for (const segment of new Intl.Segmenter(undefined, { granularity: 'sentence' }).segment(text)) {
+                const sentence = segment.segment.trim();
+                if (sentence.length > 0) {
+                    sentences.push(sentence);
+                }
+            }
+            return sentences;
+        }
+
+        const pattern = /\S[^.!?\n]*(?:[.!?]+|\n|$)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const sentence = match[0].trim();
+            if (sentence.length > 0) {
+                sentences.push(sentence);
+            }
+        }
+        return sentences;
+    },
+
+    /**
+     * Encode mono samples as a 16-bit PCM WAV file
+     * @param {Float32Array[]} parts - Samples in -1..1, joined in order
+     * @param {number} sampleRate - Sample rate of the voice
+     * @returns {Uint8Array} WAV file
+     */
+    encodeWave(parts, sampleRate) {
+        const sampleCount = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(44 + sampleCount * 2);
+        const view = new DataView(result.buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + sampleCount * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, 1, true); // mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true);
+        view.setUint16(32, 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, sampleCount * 2, true);
+
+        let offset = 44;
+        for (const part of parts) {
+            for (let i = 0; i < part.length; i++, offset += 2) {
+                const sample = Math.max(-1, Math.min(1, part[i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            }
+        }
+
+        return result;
+    },
+
+    // True on the page when synthesis can run in the worker; false inside the worker itself
+    usesWorker() {
+        return typeof document !== 'undefined' && typeof Worker !== 'undefined';
+    },
+
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl);
+
+            this.worker.onmessage = (event) => {
+                const { id } = event.data;
+                const pending = this.workerRequests.get(id);
+                if (!pending) return;
+
+                if (event.data.progress) {
+                    if (pending.onProgress) {
+                        pending.onProgress(...event.data.progress);
+                    }
+                    return;
+                }
+
+                this.workerRequests.delete(id);
+                pending.settled();
+                if (event.data.error) {
+                    pending.reject(event.data.aborted
+                        ? new DOMException(event.data.error, 'AbortError')
+                        : this.toPiperError(new Error(event.data.error), event.data.code || this.errorCodes.INFERENCE_FAILED));
+                } else {
+                    pending.resolve(event.data.result);
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                // A worker-level error fails every pending request; recreate on next use
+                const error = this.toPiperError(new Error(event.message || 'Piper worker failed'), this.errorCodes.INFERENCE_FAILED);
+                for (const pending of this.workerRequests.values()) {
+                    pending.settled();
+                    pending.reject(error);
+                }
+                this.workerRequests.clear();
+                this.worker.terminate();
+                this.worker = null;
+            };
+        }
+
+        return this.worker;
+    },
+
+    postToWorker(sentences, voiceId, settings, { signal, onProgress }) {
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const id = ++this.workerRequestId;
+            const worker = this.getWorker();
+
+            const cancel = () => worker.postMessage({ id, action: 'cancel' });
+            signal.addEventListener('abort', cancel);
+
+            this.workerRequests.set(id, {
+                resolve,
+                reject,
+                onProgress,
+                settled: () => signal.removeEventListener('abort', cancel)
+            });
+            worker.postMessage({ id, action: 'synthesize', sentences, voiceId, settings });
+        });
+    },
+
+    /**
+     * Set the voice repository voices and models are downloaded from
+     * @param {string} url - Base URL (absolute, or relative to the app such as 'voices/'); empty for the default
+     */
+    setVoiceRepository(url) {
+        const repository = (url || '').trim() || this.defaultVoiceRepository;
+        this.voiceRepository = repository.endsWith('/') ? repository : `${repository}/`;
+    },
+
+    /**
+     * Voice list of the repository (voices.json, keyed by voice id), or the bundled list
+     * when the repository has none or cannot be reached
+     * @returns {Promise<Object>} Voice id → { key, name, language, quality, files, ... }
+     */
+    async getVoiceCatalog() {
+        if (this.voiceCatalog && this.voiceCatalog.repository === this.voiceRepository) {
+            return this.voiceCatalog.voices;
+        }
+
+        const repository = this.voiceRepository;
+        let voices;
+        try {
+            const response = await fetch(`${repository}voices.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            voices = await response.json();
+        } catch (error) {
+            console.warn(`Piper voice list of ${repository} unavailable (${error.message}), using the bundled list`);
+            const response = await fetch(this.bundledVoicesUrl, { cache: 'force-cache' });
+            voices = await response.json();
+        }
+
+        this.voiceCatalog = { repository, voices };
+        return voices;
+    },
+
+    // Path of a voice's model in the repository: from its voices.json entry, or the piper-voices layout
+    // (family/lang_REGION/name/quality/id.onnx) for voices the list does not have
+    async getModelPath(modelId) {
+        const voices = await this.getVoiceCatalog();
+        const voice = voices[modelId];
+        const listed = voice && voice.files ? Object.keys(voice.files).find(key => key.endsWith('.onnx')) : null;
+        if (listed) {
+            return listed;
+        }
+
+        const match = /^(([a-z]+)_[A-Z]+)-(.+)-([a-z_]+)$/.exec(modelId);
+        if (!match) {
+            throw new Error(`Unknown Piper voice "${modelId}"`);
+        }
+        const [, locale, family, name, quality] = match;
+        return `${family}/${locale}/${name}/${quality}/${modelId}.onnx`;
     },
 
     /**
@@ -128,40 +761,26 @@ window.piperTTS = {
      * @returns {Promise<boolean>} Success status
      */
     async downloadModel(modelId, progressCallback) {
+        // A voice this browser cannot run is not worth the download
+        this.throwIfUnsupported();
+
         try {
             // Ensure initialized
             if (!this.isInitialized) {
                 await this.init();
             }
 
-            if (!piperLib || typeof piperLib.download !== 'function') {
-                throw new Error('Piper TTS library not available');
-            }
+            const modelUrl = new URL(await this.getModelPath(modelId), new URL(this.voiceRepository, location.href)).href;
 
-            // Get available voices to find the correct model ID
-            let actualModelId = modelId;
-            try {
-                const availableVoices = typeof piperLib.voices === 'function'
-                    ? await piperLib.voices()
-                    : piperLib.voices;
-
-                if (availableVoices && availableVoices.length > 0) {
-                    const voiceMatch = availableVoices.find(v =>
-                        v.key === modelId || v.name === modelId || v.id === modelId
-                    );
-                    if (voiceMatch) {
-                        actualModelId = voiceMatch.key || voiceMatch.id || modelId;
-                    }
-                }
-            } catch (voicesError) {
-                // Continue with provided modelId if voice lookup fails
+            const configResponse = await fetch(`${modelUrl}.json`);
+            if (!configResponse.ok) {
+                throw new Error(`Voice config download failed (HTTP ${configResponse.status})`);
             }
+            const config = await configResponse.blob();
 
             // Download with progress tracking
-            await piperLib.download(actualModelId, (progress) => {
-                const percentage = progress.total > 0
-                    ? Math.round((progress.loaded * 100) / progress.total)
-                    : 0;
+            const model = await this.fetchWithProgress(modelUrl, (loaded, total) => {
+                const percentage = total > 0 ? Math.round((loaded * 100) / total) : 0;
 
                 if (progressCallback) {
                     try {
@@ -172,8 +791,12 @@ window.piperTTS = {
                 }
             });
 
+            // The config is written last: a model counts as downloaded once both files are there
+            await this.writeModelFile(`${modelId}.onnx`, model);
+            await this.writeModelFile(`${modelId}.onnx.json`, config);
+
             // Store metadata in our IndexedDB
-            await this.storeModel(actualModelId, new ArrayBuffer(0));
+            await this.storeModel(modelId, new ArrayBuffer(0));
 
             return true;
         } catch (error) {
@@ -182,6 +805,213 @@ window.piperTTS = {
         }
     },
 
+    // Response body as a Blob, reporting (loaded, total) bytes as it arrives
+    async fetchWithProgress(url, onProgress) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Voice model download failed (HTTP ${response.status})`);
+        }
+
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        if (!response.body) {
+            const blob = await response.blob();
+            onProgress(blob.size, blob.size);
+            return blob;
+        }
+
+        const reader = response.body.getReader();
+        const parts = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(value);
+            loaded += value.length;
+            onProgress(loaded, total);
+        }
+
+        return new Blob(parts);
+    },
+
+    async writeModelFile(name, blob) {
+        const writable = await this.createModelWritable(name);
+        await writable.write(blob);
+        await writable.close();
+    },
+
+    // A writable for a model file; what is written replaces the file only on close, abort keeps the old one
+    async createModelWritable(name) {
+        const root = await navigator.storage.getDirectory();
+        const directory = await root.getDirectoryHandle(this.modelDirectory, { create: true });
+        const handle = await directory.getFileHandle(name, { create: true });
+        return handle.createWritable();
+    },
+
+    /**
+     * Import a Piper voice model from local files, e.g. a custom-trained or fine-tuned voice
+     * that is not in the voice repository. It is listed and used like a downloaded voice.
+     * @param {Blob|Uint8Array|Object} onnxFile - The .onnx model (a File, bytes or a DotNetStreamReference)
+     * @param {Blob|Uint8Array|Object} configFile - Its .onnx.json config
+     * @param {string} fileName - Optional name of the model file, giving the voice id (defaults to onnxFile.name)
+     * @returns {Promise<Object>} The imported voice, as listed by getAvailableVoices
+     * @throws {Error} When the files are not a usable Piper model, listing every problem found
+     */
+    async importModel(onnxFile, configFile, fileName = null) {
+        if (!this.isInitialized) {
+            await this.init();
+        }
+
+        const configText = await (await this.readModelSource(configFile)).text();
+
+        let config;
+        try {
+            config = JSON.parse(configText);
+        } catch (error) {
+            throw new Error(`The model config is not valid JSON: ${error.message}`);
+        }
+
+        const problems = this.validateModelConfig(config);
+
+        // The model (up to hundreds of MB) is streamed into storage rather than read into memory first.
+        // An ONNX model is a protobuf ModelProto, starting with its ir_version field (tag 0x08).
+        const reader = (await this.openModelStream(onnxFile)).getReader();
+        const first = await reader.read();
+        if (first.done || first.value.length === 0 || first.value[0] !== 0x08) {
+            problems.push('the model file is not an ONNX model');
+        }
+
+        if (problems.length > 0) {
+            await reader.cancel();
+            throw new Error(`Not a usable Piper voice: ${problems.join('; ')}`);
+        }
+
+        const modelId = this.getImportedModelId(fileName || onnxFile.name, config);
+        const writable = await this.createModelWritable(`${modelId}.onnx`);
+        let modelSize = 0;
+        try {
+            for (let chunk = first; !chunk.done; chunk = await reader.read()) {
+                await writable.write(chunk.value);
+                modelSize += chunk.value.length;
+            }
+            await writable.close();
+        } catch (error) {
+            await writable.abort();
+            throw error;
+        }
+
+        const voice = {
+            id: modelId,
+            name: config.dataset || modelId,
+            language: config.language && typeof config.language === 'object'
+                ? config.language
+                : { code: config.espeak.voice, name_english: config.espeak.voice },
+            quality: config.audio.quality || null,
+            sampleRate: config.audio.sample_rate,
+            numSpeakers: config.num_speakers || 1,
+            sizeBytes: modelSize
+        };
+
+        await this.writeModelFile(`${modelId}.onnx.json`, new Blob([configText], { type: 'application/json' }));
+
+        // Metadata for getAvailableVoices, since imported voices are not in the voice list
+        await this.storeModel(modelId, new ArrayBuffer(0), { imported: true, voice });
+
+        if (this.loadedVoice && this.loadedVoice.id === modelId) {
+            this.loadedVoice = null;
+        }
+
+        return this.toVoiceInfo({ key: modelId, ...voice, imported: true });
+    },
+
+    // Problems that keep a config from working with this runtime: eSpeak phonemes, the audio format,
+    // the phoneme id map and, for multi-speaker models, a speaker map covering every speaker
+    validateModelConfig(config) {
+        const problems = [];
+
+        if (!config || typeof config !== 'object') {
+            return ['the config is not a JSON object'];
+        }
+
+        const phonemeType = config.phoneme_type || 'espeak';
+        if (phonemeType !== 'espeak') {
+            problems.push(`phoneme type "${phonemeType}" is not supported (only eSpeak phonemes are)`);
+        }
+
+        if (!config.espeak || typeof config.espeak.voice !== 'string' || !/^[a-z]{2,3}([-_][a-z0-9-]+)?$/i.test(config.espeak.voice)) {
+            problems.push('espeak.voice is missing or is not an eSpeak voice name');
+        }
+
+        const sampleRate = config.audio && config.audio.sample_rate;
+        if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 48000) {
+            problems.push('audio.sample_rate is missing or out of range (8000-48000)');
+        }
+
+        if (!config.phoneme_id_map || typeof config.phoneme_id_map !== 'object' ||
+            !Object.values(config.phoneme_id_map).every(ids => Array.isArray(ids) && ids.every(Number.isInteger))) {
+            problems.push('phoneme_id_map is missing or invalid');
+        }
+
+        const numSpeakers = config.num_speakers ?? 1;
+        if (!Number.isInteger(numSpeakers) || numSpeakers < 1) {
+            problems.push('num_speakers must be a positive integer');
+        } else if (numSpeakers > 1) {
+            const ids = Object.values(config.speaker_id_map || {});
+            if (ids.length !== numSpeakers) {
+                problems.push(`speaker_id_map has ${ids.length} speakers, num_speakers is ${numSpeakers}`);
+            } else if (!ids.every(id => Number.isInteger(id) && id >= 0 && id < numSpeakers) || new Set(ids).size !== ids.length) {
+                problems.push(`speaker_id_map ids must be distinct and between 0 and ${numSpeakers - 1}`);
+            }
+        }
+
+        return problems;
+    },
+
+    // Voice id of an imported model: its file name without .onnx, else language-dataset-quality as in the
+    // voice repository; limited to characters safe in file names
+    getImportedModelId(fileName, config) {
+        const baseName = typeof fileName === 'string' ? fileName.replace(/^.*[\\/]/, '').replace(/\.onnx$/i, '') : '';
+        const language = config.language && config.language.code ? config.language.code : config.espeak.voice;
+        const modelId = baseName || `${language}-${config.dataset || 'custom'}-${config.audio.quality || 'medium'}`;
+        return modelId.replace(/[^\w.-]+/g, '_');
+    },
+
+    // A model file's contents as a ReadableStream of Uint8Arrays, from the same sources as readModelSource
+    async openModelStream(source) {
+        if (source instanceof Uint8Array || source instanceof ArrayBuffer) {
+            return new Blob([source]).stream();
+        }
+        if (source && typeof source.stream === 'function') {
+            return source.stream();
+        }
+        throw new Error('No model file data');
+    },
+
+    // File contents from .NET arrive as a Uint8Array or a DotNetStreamReference; Blobs (Files) are accepted too
+    async readModelSource(source) {
+        if (source instanceof Blob) {
+            return source;
+        }
+        if (source instanceof Uint8Array || source instanceof ArrayBuffer) {
+            return new Blob([source]);
+        }
+        if (source && typeof source.arrayBuffer === 'function') {
+            return new Blob([await source.arrayBuffer()]);
+        }
+        throw new Error('No model file data');
+    },
+
+    // Metadata of imported models: [{ id, imported, voice, downloadedDate }]
+    async getImportedModels() {
+        if (!this.db) {
+            await this.init();
+        }
+
+        const transaction = this.db.transaction(['models'], 'readonly');
+        const store = transaction.objectStore('models');
+        const entries = await this.promisifyRequest(store.getAll());
+        return (entries || []).filter(entry => entry.imported && entry.voice);
+    },
+
     /**
      * Remove a downloaded model
      * @param {string} modelId - Model ID to remove
@@ -189,9 +1019,19 @@ window.piperTTS = {
      */
     async removeModel(modelId) {
         try {
-            if (piperLib) {
-                // Remove from Piper's storage
-                await piperLib.remove(modelId);
+            // Remove the model files
+            const root = await navigator.storage.getDirectory();
+            const directory = await root.getDirectoryHandle(this.modelDirectory, { create: true });
+            for (const name of [`${modelId}.onnx`, `${modelId}.onnx.json`]) {
+                try {
+                    await directory.removeEntry(name);
+                } catch (error) {
+                    if (error.name !== 'NotFoundError') throw error;
+                }
+            }
+
+            if (this.loadedVoice && this.loadedVoice.id === modelId) {
+                this.loadedVoice = null;
             }
 
             // Also remove metadata from IndexedDB
@@ -214,34 +1054,18 @@ window.piperTTS = {
      */
     async getDownloadedModels() {
         try {
-            if (!piperLib) {
-                // Fallback to IndexedDB if library not loaded
-                if (!this.db) {
-                    await this.init();
-                }
-
-                const transaction = this.db.transaction(['models'], 'readonly');
-                const store = transaction.objectStore('models');
-                const request = store.getAllKeys();
-
-                const keys = await this.promisifyRequest(request);
-                return keys || [];
-            }
-
-            // Use Piper library's stored() method
-            const storedModels = await piperLib.stored();
+            const root = await navigator.storage.getDirectory();
+            const directory = await root.getDirectoryHandle(this.modelDirectory, { create: true });
 
-            // Ensure we always return an array of strings
-            if (!storedModels || !Array.isArray(storedModels)) {
-                return [];
+            // A model is usable once it has both its .onnx and .onnx.json files
+            const names = new Set();
+            for await (const name of directory.keys()) {
+                names.add(name);
             }
 
-            // If array contains objects, extract the IDs
-            if (storedModels.length > 0 && typeof storedModels[0] === 'object') {
-                return storedModels.map(m => m.key || m.id || m.name || String(m));
-            }
-
-            return storedModels;
+            return [...names]
+                .filter(name => name.endsWith('.onnx') && names.has(`${name}.json`))
+                .map(name => name.slice(0, -'.onnx'.length));
         } catch (error) {
             console.error('Error getting downloaded models:', error.message);
             return [];
@@ -255,12 +1079,14 @@ window.piperTTS = {
      * They persist indefinitely until:
      * 1. Manually deleted by user via removeModel()
      * 2. Browser storage quota exceeded (browser handles this)
+     * @param {Object} details - Optional extra fields, e.g. { imported, voice } for imported models
      */
-    async storeModel(modelId, modelData) {
+    async storeModel(modelId, modelData, details = {}) {
         const transaction = this.db.transaction(['models'], 'readwrite');
         const store = transaction.objectStore('models');
 
         const modelEntry = {
+            ...details,
             id: modelId,
             data: modelData,
             downloadedDate: new Date().toISOString()
@@ -271,70 +1097,7 @@ window.piperTTS = {
     },
 
     /**
-     * Convert ArrayBuffer to Base64
-     */
-    arrayBufferToBase64(buffer) {
-        let binary = '';
-        const bytes = new Uint8Array(buffer);
-        for (let i = 0; i < bytes.byteLength; i++) {
-            binary += String.fromCharCode(bytes[i]);
-        }
-        return btoa(binary);
-    },
-
-    /**
-     * Generate test beep audio (for placeholder - makes it obvious this is not real TTS)
-     */
-    generateTestBeep(durationSeconds) {
-        const sampleRate = 22050;
-        const numSamples = Math.floor(sampleRate * durationSeconds);
-        const frequency = 440; // A4 note
-
-        // WAV header
-        const header = new ArrayBuffer(44);
-        const view = new DataView(header);
-
-        // "RIFF" chunk descriptor
-        view.setUint32(0, 0x46464952, true); // "RIFF"
-        view.setUint32(4, 36 + numSamples * 2, true); // File size - 8
-        view.setUint32(8, 0x45564157, true); // "WAVE"
-
-        // "fmt " sub-chunk
-        view.setUint32(12, 0x20746d66, true); // "fmt "
-        view.setUint32(16, 16, true); // Subchunk size
-        view.setUint16(20, 1, true); // Audio format (PCM)
-        view.setUint16(22, 1, true); // Num channels (mono)
-        view.setUint32(24, sampleRate, true); // Sample rate
-        view.setUint32(28, sampleRate * 2, true); // Byte rate
-        view.setUint16(32, 2, true); // Block align
-        view.setUint16(34, 16, true); // Bits per sample
-
-        // "data" sub-chunk
-        view.setUint32(36, 0x61746164, true); // "data"
-        view.setUint32(40, numSamples * 2, true); // Subchunk size
-
-        // Generate beep tone
-        const audioBuffer = new ArrayBuffer(44 + numSamples * 2);
-        const audioView = new DataView(audioBuffer);
-
-        // Copy header
-        for (let i = 0; i < 44; i++) {
-            audioView.setUint8(i, view.getUint8(i));
-        }
-
-        // Generate sine wave beep
-        const amplitude = 5000; // Lower amplitude for gentler beep
-        for (let i = 0; i < numSamples; i++) {
-            const t = i / sampleRate;
-            const sample = Math.sin(2 * Math.PI * frequency * t) * amplitude;
-            audioView.setInt16(44 + i * 2, sample, true);
-        }
-
-        return this.arrayBufferToBase64(audioBuffer);
-    },
-
-    /**
-     * Get all available voices from the Piper library
+     * Get all available voices: the voice repository's and imported ones
      * @returns {Promise<Array>} Array of voice metadata objects
      */
     async getAvailableVoices() {
@@ -343,56 +1106,60 @@ window.piperTTS = {
                 await this.init();
             }
 
-            if (!piperLib || typeof piperLib.voices !== 'function') {
-                console.warn('⚠️ Piper library or voices method not available');
-                return [];
-            }
+            const voices = Object.values(await this.getVoiceCatalog());
+            const catalogIds = new Set(voices.map(v => v.key));
 
-            const voices = await piperLib.voices();
-
-            // Transform to our format
-            return voices.map(v => {
-                // Extract language info
-                let languageName = 'Unknown';
-                let languageCode = 'unknown';
-
-                if (v.language) {
-                    if (typeof v.language === 'string') {
-                        languageName = v.language;
-                        languageCode = v.language;
-                    } else if (typeof v.language === 'object') {
-                        languageName = v.language.name_english || v.language.name_native || v.language.family || 'Unknown';
-                        languageCode = v.language.code || v.language.family || 'unknown';
-                    }
-                }
+            // Imported voices are listed after the repository's; a file named like a repository voice uses its entry
+            const imported = (await this.getImportedModels())
+                .filter(entry => !catalogIds.has(entry.id))
+                .map(entry => ({ key: entry.id, ...entry.voice, imported: true }));
 
-                // Extract file size from files object
-                // The main .onnx model file contains the actual size
-                let sizeBytes = 0;
-                if (v.files && typeof v.files === 'object') {
-                    // Find the .onnx file (main model file)
-                    const onnxFile = Object.keys(v.files).find(key => key.endsWith('.onnx'));
-                    if (onnxFile && v.files[onnxFile] && v.files[onnxFile].size_bytes) {
-                        sizeBytes = v.files[onnxFile].size_bytes;
-                    }
-                }
-
-                return {
-                    id: v.key,
-                    name: v.name || v.key,
-                    language: languageName,
-                    languageCode: languageCode,
-                    gender: 'NEUTRAL',
-                    quality: this.extractQuality(v.key),
-                    sizeBytes: sizeBytes
-                };
-            });
+            return [...voices, ...imported].map(v => this.toVoiceInfo(v));
         } catch (error) {
             console.error('Error loading Piper voices:', error.message);
             return [];
         }
     },
 
+    // A voices.json entry (or imported voice) in our format
+    toVoiceInfo(v) {
+        // Extract language info
+        let languageName = 'Unknown';
+        let languageCode = 'unknown';
+
+        if (v.language) {
+            if (typeof v.language === 'string') {
+                languageName = v.language;
+                languageCode = v.language;
+            } else if (typeof v.language === 'object') {
+                languageName = v.language.name_english || v.language.name_native || v.language.family || 'Unknown';
+                languageCode = v.language.code || v.language.family || 'unknown';
+            }
+        }
+
+        // Extract file size from files object
+        // The main .onnx model file contains the actual size
+        let sizeBytes = v.sizeBytes || 0;
+        if (v.files && typeof v.files === 'object') {
+            // Find the .onnx file (main model file)
+            const onnxFile = Object.keys(v.files).find(key => key.endsWith('.onnx'));
+            if (onnxFile && v.files[onnxFile] && v.files[onnxFile].size_bytes) {
+                sizeBytes = v.files[onnxFile].size_bytes;
+            }
+        }
+
+        return {
+            id: v.key,
+            name: v.name || v.key,
+            language: languageName,
+            languageCode: languageCode,
+            gender: 'NEUTRAL',
+            quality: this.extractQuality(v.quality ? `-${v.quality}` : v.key),
+            sizeBytes: sizeBytes,
+            imported: !!v.imported
+        };
+    },
+
     /**
      * Extract quality level from voice key
      */
@@ -415,7 +1182,9 @@ window.piperTTS = {
     }
 };
 
-// Auto-initialize
-document.addEventListener('DOMContentLoaded', () => {
-    window.piperTTS.init();
-});
+// Auto-initialize (on the page; the worker only runs synthesis)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.piperTTS.init();
+    });
+}
@@ -0,0 +1,252 @@
+/**
+ * Read-Along
+ *
+ * Highlights the text in a textarea as an audio element plays it. Textareas
+ * cannot style parts of their text, so a backdrop with the same text, font
+ * and wrapping is laid under the (transparent) textarea and the highlight is
+ * drawn there: the sentence being read, and within it the current word when
+ * the provider reported word timings.
+ */
+
+window.readAlong = {
+    sessions: new Map(),
+    nextSessionId: 0,
+
+    // Text styles copied to the backdrop so its lines wrap exactly like the textarea's
+    mirroredStyles: [
+        'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing',
+        'wordSpacing', 'textIndent', 'textTransform', 'tabSize', 'paddingTop', 'paddingRight', 'paddingBottom',
+        'paddingLeft', 'direction'
+    ],
+
+    /**
+     * Start highlighting
+     * @param {HTMLAudioElement} audio - Element playing the synthesized audio
+     * @param {HTMLElement} container - Element containing the textarea
+     * @param {string} text - The synthesized text; nothing is highlighted while the textarea holds anything else
+     * @param {Array} timeline - [{ start, length, time }] spans of the text and when they are spoken, in seconds
+     * @returns {number|null} Session id for detach(), or null when there is no textarea
+     */
+    attach(audio, container, text, timeline) {
+        const textarea = container && container.querySelector('textarea');
+        if (!audio || !textarea) return null;
+
+        const session = {
+            id: ++this.nextSessionId,
+            audio,
+            textarea,
+            text,
+            timeline: timeline.slice().sort((a, b) => a.time - b.time),
+            sentences: this.findSentences(text),
+            backdrop: document.createElement('div'),
+            current: -1,
+            frame: null,
+            listeners: [],
+            restoreStyles: { textarea: textarea.getAttribute('style'), parentPosition: null }
+        };
+
+        const parent = textarea.parentElement;
+        if (getComputedStyle(parent).position === 'static') {
+            session.restoreStyles.parentPosition = parent.style.position;
+            parent.style.position = 'relative';
+        }
+
+        session.backdrop.className = 'read-along-backdrop';
+        session.backdrop.setAttribute('aria-hidden', 'true');
+        parent.insertBefore(session.backdrop, textarea);
+        textarea.style.position = 'relative';
+        textarea.style.zIndex = '1';
+        textarea.style.background = 'transparent';
+
+        this.layout(session);
+
+        const listen = (target, type, handler) => {
+            target.addEventListener(type, handler);
+            session.listeners.push(() => target.removeEventListener(type, handler));
+        };
+
+        listen(audio, 'play', () => this.startLoop(session));
+        listen(audio, 'pause', () => this.stopLoop(session));
+        listen(audio, 'ended', () => {
+            this.stopLoop(session);
+            this.highlight(session, -1);
+        });
+        listen(audio, 'seeked', () => this.update(session));
+        listen(textarea, 'scroll', () => {
+            session.backdrop.scrollTop = textarea.scrollTop;
+        });
+        listen(textarea, 'input', () => this.update(session));
+
+        session.resizeObserver = new ResizeObserver(() => this.layout(session));
+        session.resizeObserver.observe(textarea);
+
+        this.sessions.set(session.id, session);
+        if (!audio.paused) {
+            this.startLoop(session);
+        }
+        return session.id;
+    },
+
+    /**
+     * Stop highlighting and restore the textarea
+     */
+    detach(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        this.sessions.delete(sessionId);
+        this.stopLoop(session);
+        session.listeners.forEach(remove => remove());
+        session.resizeObserver.disconnect();
+        session.backdrop.remove();
+
+        const { textarea, restoreStyles } = session;
+        if (restoreStyles.textarea === null) {
+            textarea.removeAttribute('style');
+        } else {
+            textarea.setAttribute('style', restoreStyles.textarea);
+        }
+        if (restoreStyles.parentPosition !== null) {
+            textarea.parentElement.style.position = restoreStyles.parentPosition;
+        }
+    },
+
+    /**
+     * Duration of an audio element's media in seconds, or 0 before its metadata has loaded
+     */
+    getDuration(audio) {
+        return audio && Number.isFinite(audio.duration) ? audio.duration : 0;
+    },
+
+    // Size and place the backdrop exactly over the textarea's content box
+    layout(session) {
+        const { textarea, backdrop } = session;
+        const computed = getComputedStyle(textarea);
+
+        for (const name of this.mirroredStyles) {
+            backdrop.style[name] = computed[name];
+        }
+
+        backdrop.style.left = `${textarea.offsetLeft + textarea.clientLeft}px`;
+        backdrop.style.top = `${textarea.offsetTop + textarea.clientTop}px`;
+        backdrop.style.width = `${textarea.clientWidth}px`;
+        backdrop.style.height = `${textarea.clientHeight}px`;
+        backdrop.scrollTop = textarea.scrollTop;
+    },
+
+    startLoop(session) {
+        if (session.frame !== null) return;
+
+        const tick = () => {
+            this.update(session);
+            session.frame = requestAnimationFrame(tick);
+        };
+        session.frame = requestAnimationFrame(tick);
+    },
+
+    stopLoop(session) {
+        if (session.frame !== null) {
+            cancelAnimationFrame(session.frame);
+            session.frame = null;
+        }
+    },
+
+    update(session) {
+        // Edited text no longer matches the timings
+        if (session.textarea.value !== session.text) {
+            this.highlight(session, -1);
+            return;
+        }
+
+        this.highlight(session, this.findEntry(session.timeline, session.audio.currentTime));
+    },
+
+    // Index of the last timeline entry starting at or before the time, or -1
+    findEntry(timeline, time) {
+        let low = 0;
+        let high = timeline.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (timeline[middle].time <= time) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found;
+    },
+
+    highlight(session, index) {
+        if (index === session.current) return;
+        session.current = index;
+
+        const { backdrop, text } = session;
+        if (index < 0) {
+            backdrop.replaceChildren();
+            return;
+        }
+
+        const entry = session.timeline[index];
+        const entryEnd = entry.start + entry.length;
+
+        // The sentence around a word; entries longer than a sentence (whole chunks) are highlighted on their own
+        const sentence = session.sentences.find(s => s.start <= entry.start && entry.start < s.end);
+        const outer = sentence && entryEnd <= sentence.end ? sentence : { start: entry.start, end: entryEnd };
+        const isWord = outer.start !== entry.start || outer.end !== entryEnd;
+
+        const outerMark = document.createElement('mark');
+        outerMark.className = 'read-along-sentence';
+
+        if (isWord) {
+            const wordMark = document.createElement('mark');
+            wordMark.className = 'read-along-word';
+            wordMark.textContent = text.slice(entry.start, entryEnd);
+            outerMark.append(text.slice(outer.start, entry.start), wordMark, text.slice(entryEnd, outer.end));
+        } else {
+            outerMark.textContent = text.slice(outer.start, outer.end);
+        }
+
+        // A trailing newline needs a character after it to take up a line, as it does in the textarea
+        backdrop.replaceChildren(text.slice(0, outer.start), outerMark, text.slice(outer.end) + '\u200b');
+
+        this.scrollIntoView(session, isWord ? outerMark.querySelector('mark') : outerMark);
+    },
+
+    // Keep the highlight visible without moving the textarea when it already is
+    scrollIntoView(session, mark) {
+        const { textarea, backdrop } = session;
+        const top = mark.offsetTop;
+        const bottom = top + mark.offsetHeight;
+
+        if (top < textarea.scrollTop || bottom > textarea.scrollTop + textarea.clientHeight) {
+            textarea.scrollTop = Math.max(0, top - textarea.clientHeight / 3);
+            backdrop.scrollTop = textarea.scrollTop;
+        }
+    },
+
+    // Sentence ranges of the text, [{ start, end }]
+    findSentences(text) {
+        const sentences = [];
+
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            for (const segment of new Intl.Segmenter(undefined, { granularity: 'sentence' }).segment(text)) {
+                const trimmed = segment.segment.trimEnd();
+                if (trimmed.trim().length > 0) {
+                    sentences.push({ start: segment.index, end: segment.index + trimmed.length });
+                }
+            }
+            return sentences;
+        }
+
+        const pattern = /\S[^.!?\n]*(?:[.!?]+|\n|$)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            sentences.push({ start: match.index, end: match.index + match[0].trimEnd().length });
+        }
+        return sentences;
+    }
+};
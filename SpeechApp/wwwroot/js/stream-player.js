@@ -0,0 +1,181 @@
+/**
+ * Stream Player
+ *
+ * Plays synthesized chunks while the rest of a document is still being
+ * synthesized. Each chunk is decoded and scheduled on one AudioContext right
+ * after the previous one, so playback starts with the first chunk and runs
+ * without gaps as long as synthesis keeps ahead of it.
+ *
+ * Only a little audio is decoded ahead of the playhead; queued chunks stay
+ * encoded, so a long book that synthesizes faster than it plays does not fill
+ * memory with PCM.
+ */
+
+window.streamPlayer = {
+    players: new Map(),
+    nextPlayerId: 0,
+
+    // Seconds of decoded audio to keep scheduled ahead of the playhead
+    lookahead: 20,
+
+    // Delay before the first chunk (or one arriving after playback ran dry) starts, so it is not clipped
+    startDelay: 0.1,
+
+    /**
+     * Create a player
+     * @param {Object} callback - .NET object reference; its Invoke method is called when the last chunk has played
+     * @returns {number} Player id
+     */
+    create(callback = null) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const player = {
+            id: ++this.nextPlayerId,
+            audioContext: new AudioContextClass(),
+            callback,
+            queue: [],
+            sources: new Set(),
+            nextStartTime: 0,
+            chunksPlayed: 0,
+            chunksQueued: 0,
+            finished: false,
+            pumping: null,
+            timer: null
+        };
+
+        // Top the schedule up as the playhead moves, even when no new chunk arrives
+        player.timer = setInterval(() => this.pump(player), 1000);
+        this.players.set(player.id, player);
+        return player.id;
+    },
+
+    /**
+     * Queue a chunk of encoded audio (MP3 or WAV) to play after the ones before it
+     * @param {number} playerId - Player id from create()
+     * @param {Uint8Array} audioData - Encoded chunk (a .NET byte[])
+     */
+    async enqueue(playerId, audioData) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        player.queue.push(audioData);
+        player.chunksQueued++;
+        await this.pump(player);
+    },
+
+    /**
+     * Mark the end of the stream; the callback fires once everything queued has played
+     */
+    finish(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        player.finished = true;
+        this.checkEnded(player);
+    },
+
+    async pause(playerId) {
+        const player = this.players.get(playerId);
+        if (player && player.audioContext.state === 'running') {
+            await player.audioContext.suspend();
+        }
+    },
+
+    async resume(playerId) {
+        const player = this.players.get(playerId);
+        if (player && player.audioContext.state === 'suspended') {
+            await player.audioContext.resume();
+        }
+    },
+
+    /**
+     * Stop playback and release the player
+     */
+    async stop(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        this.players.delete(playerId);
+        clearInterval(player.timer);
+        player.queue = [];
+
+        for (const source of player.sources) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch {
+                // Not started yet
+            }
+        }
+        player.sources.clear();
+
+        try {
+            await player.audioContext.close();
+        } catch (error) {
+            console.error('Stream player close error:', error);
+        }
+    },
+
+    // Decode and schedule queued chunks until the lookahead is filled; one pump runs at a time so chunks stay in order
+    pump(player) {
+        if (!player.pumping) {
+            player.pumping = this.scheduleQueued(player).finally(() => {
+                player.pumping = null;
+            });
+        }
+        return player.pumping;
+    },
+
+    async scheduleQueued(player) {
+        while (player.queue.length > 0 && this.players.has(player.id)) {
+            const context = player.audioContext;
+            if (player.nextStartTime - context.currentTime > this.lookahead) {
+                return;
+            }
+
+            const audioData = player.queue.shift();
+            let buffer;
+            try {
+                // decodeAudioData detaches its argument; decode a copy so the caller's bytes stay intact
+                buffer = await context.decodeAudioData(audioData.slice().buffer);
+            } catch (error) {
+                console.error('Stream player decode error:', error);
+                player.chunksPlayed++;
+                this.checkEnded(player);
+                continue;
+            }
+
+            if (!this.players.has(player.id)) return;
+            this.schedule(player, buffer);
+        }
+    },
+
+    schedule(player, buffer) {
+        const context = player.audioContext;
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+
+        // Back to back with the previous chunk, or shortly from now if playback ran dry waiting for synthesis
+        const startTime = Math.max(player.nextStartTime, context.currentTime + this.startDelay);
+        source.start(startTime);
+        player.nextStartTime = startTime + buffer.duration;
+
+        player.sources.add(source);
+        source.onended = () => {
+            player.sources.delete(source);
+            player.chunksPlayed++;
+            this.pump(player);
+            this.checkEnded(player);
+        };
+    },
+
+    checkEnded(player) {
+        if (!player.finished || player.chunksPlayed < player.chunksQueued || !player.callback) return;
+
+        const callback = player.callback;
+        player.callback = null;
+        callback.invokeMethodAsync('Invoke').catch(error => {
+            console.error('Stream player callback error:', error);
+        });
+    }
+};
@@ -0,0 +1,114 @@
+/**
+ * Audio Merge Worker
+ *
+ * Runs audioMerger's merge methods (joining, fades, loudness, PCM conversion and
+ * encoding) off the main thread. The page-side audioMerger forwards calls here
+ * and keeps only decoding and resampling, which need Web Audio; this worker asks
+ * the page for those.
+ *
+ * Request:  { id, action: 'call', method, args } → { id, result } or { id, error, aborted }
+ *           Progress while running: { id, progress: [current, total] }
+ * Cancel:   { id, action: 'cancel' } stops the call with that id at its next check
+ * Setup:    { defaultSampleRate } from the page
+ *
+ * Page calls: { call, method: 'decodeAudio' | 'renderResampled', args } → { call, result: { sampleRate, channels } }
+ */
+
+// The helpers register themselves on window
+self.window = self;
+
+self.importScripts('../mp3-frames.js', '../loudness.js', '../id3-tags.js', '../audio-store.js', '../audio-merger.js');
+
+const merger = self.audioMerger;
+
+// Nested workers resolve URLs against this script
+merger.mp3WorkerUrl = 'mp3-encoder-worker.js';
+
+// Methods the page may call
+const METHODS = ['mergeChunks', 'openMerge', 'addChunk', 'completeMerge', 'discardMerge', 'removeStoredFiles'];
+
+// Request id → AbortController
+const jobs = new Map();
+
+let pageCallId = 0;
+const pageCalls = new Map();
+
+function callPage(method, args, transfer = []) {
+    return new Promise((resolve, reject) => {
+        const call = ++pageCallId;
+        pageCalls.set(call, { resolve, reject });
+        self.postMessage({ call, method, args }, transfer);
+    });
+}
+
+merger.decodeAudio = async (bytes, sampleRate) => {
+    const { channels, sampleRate: rate } = await callPage('decodeAudio', [bytes, sampleRate]);
+    return merger.createPcmBuffer(channels, rate);
+};
+
+// The source is replaced by the result everywhere this is used, so its samples can be moved
+merger.renderResampled = async (buffer, sampleRate, numberOfChannels) => {
+    const channels = merger.getChannels(buffer);
+    const result = await callPage('renderResampled', [{ sampleRate: buffer.sampleRate, channels }, sampleRate, numberOfChannels],
+        merger.getTransferables(channels));
+    return merger.createPcmBuffer(result.channels, result.sampleRate);
+};
+
+async function handleCall(id, method, args) {
+    const controller = new AbortController();
+    jobs.set(id, controller);
+
+    try {
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown merge method: ${method}`);
+        }
+
+        const result = await merger[method](...args, {
+            signal: controller.signal,
+            onProgress: (current, total) => self.postMessage({ id, progress: [current, total] })
+        });
+
+        const transfer = result && result.audioData instanceof Uint8Array ? merger.getTransferables([result.audioData]) : [];
+        self.postMessage({ id, result }, transfer);
+    } catch (error) {
+        self.postMessage({
+            id,
+            error: error && error.message ? error.message : String(error),
+            aborted: !!error && error.name === 'AbortError'
+        });
+    } finally {
+        jobs.delete(id);
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.call) {
+        const pending = pageCalls.get(message.call);
+        if (!pending) return;
+
+        pageCalls.delete(message.call);
+        if (message.error) {
+            pending.reject(new Error(message.error));
+        } else {
+            pending.resolve(message.result);
+        }
+        return;
+    }
+
+    if (message.defaultSampleRate) {
+        merger.defaultSampleRate = message.defaultSampleRate;
+        return;
+    }
+
+    if (message.action === 'cancel') {
+        const controller = jobs.get(message.id);
+        if (controller) {
+            controller.abort(new DOMException('Merge cancelled', 'AbortError'));
+        }
+        return;
+    }
+
+    handleCall(message.id, message.method, message.args);
+};
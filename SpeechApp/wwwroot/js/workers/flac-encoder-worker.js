@@ -0,0 +1,342 @@
+/**
+ * FLAC Encoder Worker
+ *
+ * Encodes planar PCM into a native FLAC stream off the main thread.
+ * Each block is coded with the cheapest of the FLAC fixed predictors
+ * (orders 0-4) and partitioned Rice coding, falling back to constant or
+ * verbatim subframes where those are smaller. Output is 16-bit.
+ *
+ * Request:  { id, channels: Float32Array[], sampleRate }
+ * Response: { id, data: Uint8Array } or { id, error: string }
+ */
+
+const BLOCK_SIZE = 4096;
+const BITS_PER_SAMPLE = 16;
+const MAX_PARTITION_ORDER = 6;
+const MAX_RICE_PARAMETER = 14;
+
+// Frame header codes for common sample rates; others are written explicitly after the header
+const SAMPLE_RATE_CODES = {
+    88200: 0x1, 176400: 0x2, 192000: 0x3, 8000: 0x4, 16000: 0x5, 22050: 0x6,
+    24000: 0x7, 32000: 0x8, 44100: 0x9, 48000: 0xA, 96000: 0xB
+};
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+
+for (let i = 0; i < 256; i++) {
+    let crc8 = i;
+    let crc16 = i << 8;
+    for (let bit = 0; bit < 8; bit++) {
+        crc8 = (crc8 & 0x80) ? ((crc8 << 1) ^ 0x07) & 0xFF : (crc8 << 1) & 0xFF;
+        crc16 = (crc16 & 0x8000) ? ((crc16 << 1) ^ 0x8005) & 0xFFFF : (crc16 << 1) & 0xFFFF;
+    }
+    CRC8_TABLE[i] = crc8;
+    CRC16_TABLE[i] = crc16;
+}
+
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+        this.accumulator = 0;
+        this.accumulatorBits = 0;
+    }
+
+    pushByte(value) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = value;
+    }
+
+    // Write up to 24 bits, most significant first
+    writeBits(value, bits) {
+        if (bits === 0) return;
+        this.accumulator = (this.accumulator << bits) | (value & ((1 << bits) - 1));
+        this.accumulatorBits += bits;
+        while (this.accumulatorBits >= 8) {
+            this.accumulatorBits -= 8;
+            this.pushByte((this.accumulator >>> this.accumulatorBits) & 0xFF);
+        }
+        this.accumulator &= (1 << this.accumulatorBits) - 1;
+    }
+
+    writeUnary(zeros) {
+        while (zeros >= 24) {
+            this.writeBits(0, 24);
+            zeros -= 24;
+        }
+        this.writeBits(1, zeros + 1);
+    }
+
+    alignToByte() {
+        if (this.accumulatorBits > 0) {
+            this.writeBits(0, 8 - this.accumulatorBits);
+        }
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc = CRC8_TABLE[crc ^ bytes[i]];
+    }
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+    }
+    return crc;
+}
+
+function toInt16(channel) {
+    const samples = new Int32Array(channel.length);
+    for (let i = 0; i < channel.length; i++) {
+        const s = Math.max(-1, Math.min(1, channel[i]));
+        samples[i] = Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF);
+    }
+    return samples;
+}
+
+function computeResidual(samples, order, residual) {
+    const n = samples.length;
+    for (let i = order; i < n; i++) {
+        switch (order) {
+            case 0: residual[i] = samples[i]; break;
+            case 1: residual[i] = samples[i] - samples[i - 1]; break;
+            case 2: residual[i] = samples[i] - 2 * samples[i - 1] + samples[i - 2]; break;
+            case 3: residual[i] = samples[i] - 3 * samples[i - 1] + 3 * samples[i - 2] - samples[i - 3]; break;
+            default: residual[i] = samples[i] - 4 * samples[i - 1] + 6 * samples[i - 2] - 4 * samples[i - 3] + samples[i - 4];
+        }
+    }
+}
+
+function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+// Rice parameter with the smallest estimated cost for a partition of count values summing to sum
+function bestRiceParameter(sum, count) {
+    const mean = count > 0 ? sum / count : 0;
+    const estimate = mean > 1 ? Math.min(MAX_RICE_PARAMETER, Math.floor(Math.log2(mean))) : 0;
+
+    let best = { parameter: 0, bits: Infinity };
+    for (let k = Math.max(0, estimate - 1); k <= Math.min(MAX_RICE_PARAMETER, estimate + 1); k++) {
+        // sum >> k is an upper bound on the total of the unary quotients
+        const bits = count * (k + 1) + Math.floor(sum / (1 << k));
+        if (bits < best.bits) {
+            best = { parameter: k, bits };
+        }
+    }
+    return best;
+}
+
+// Choose the Rice partition order that minimises the coded residual size
+function planResidual(folded, blockSize, predictorOrder) {
+    let maxOrder = 0;
+    while (maxOrder < MAX_PARTITION_ORDER &&
+           blockSize % (1 << (maxOrder + 1)) === 0 &&
+           (blockSize >> (maxOrder + 1)) > predictorOrder) {
+        maxOrder++;
+    }
+
+    // Partition sums at the finest order; coarser orders are built by pairing them up
+    let sums = new Float64Array(1 << maxOrder);
+    const finestSize = blockSize >> maxOrder;
+    for (let i = predictorOrder; i < blockSize; i++) {
+        sums[Math.floor(i / finestSize)] += folded[i];
+    }
+
+    let best = null;
+    for (let partitionOrder = maxOrder; partitionOrder >= 0; partitionOrder--) {
+        const partitions = 1 << partitionOrder;
+        const partitionSize = blockSize >> partitionOrder;
+        const parameters = [];
+        let bits = 2 + 4;
+
+        for (let p = 0; p < partitions; p++) {
+            const count = p === 0 ? partitionSize - predictorOrder : partitionSize;
+            const rice = bestRiceParameter(sums[p], count);
+            parameters.push(rice.parameter);
+            bits += 4 + rice.bits;
+        }
+
+        if (!best || bits < best.bits) {
+            best = { partitionOrder, parameters, bits };
+        }
+
+        if (partitionOrder > 0) {
+            const coarser = new Float64Array(partitions >> 1);
+            for (let p = 0; p < coarser.length; p++) {
+                coarser[p] = sums[2 * p] + sums[2 * p + 1];
+            }
+            sums = coarser;
+        }
+    }
+
+    return best;
+}
+
+function writeSubframe(writer, samples) {
+    const n = samples.length;
+
+    let isConstant = true;
+    for (let i = 1; i < n && isConstant; i++) {
+        isConstant = samples[i] === samples[0];
+    }
+
+    if (isConstant) {
+        writer.writeBits(0, 8); // padding bit, CONSTANT type, no wasted bits
+        writer.writeBits(samples[0], BITS_PER_SAMPLE);
+        return;
+    }
+
+    // Pick the fixed predictor order with the smallest absolute residual
+    const residual = new Int32Array(n);
+    let bestOrder = 0;
+    let bestSum = Infinity;
+    for (let order = 0; order <= 4 && order < n; order++) {
+        computeResidual(samples, order, residual);
+        let sum = 0;
+        for (let i = order; i < n; i++) {
+            sum += Math.abs(residual[i]);
+        }
+        if (sum < bestSum) {
+            bestSum = sum;
+            bestOrder = order;
+        }
+    }
+
+    computeResidual(samples, bestOrder, residual);
+    const folded = new Uint32Array(n);
+    for (let i = bestOrder; i < n; i++) {
+        folded[i] = zigzag(residual[i]);
+    }
+
+    const plan = planResidual(folded, n, bestOrder);
+    const fixedBits = bestOrder * BITS_PER_SAMPLE + plan.bits;
+
+    if (fixedBits >= n * BITS_PER_SAMPLE) {
+        writer.writeBits(0x02, 8); // VERBATIM
+        for (let i = 0; i < n; i++) {
+            writer.writeBits(samples[i], BITS_PER_SAMPLE);
+        }
+        return;
+    }
+
+    writer.writeBits((0x08 | bestOrder) << 1, 8); // FIXED subframe of the chosen order
+    for (let i = 0; i < bestOrder; i++) {
+        writer.writeBits(samples[i], BITS_PER_SAMPLE);
+    }
+
+    writer.writeBits(0, 2); // Rice coding with 4-bit parameters
+    writer.writeBits(plan.partitionOrder, 4);
+
+    const partitionSize = n >> plan.partitionOrder;
+    for (let p = 0; p < plan.parameters.length; p++) {
+        const k = plan.parameters[p];
+        const start = p === 0 ? bestOrder : p * partitionSize;
+        const end = (p + 1) * partitionSize;
+
+        writer.writeBits(k, 4);
+        for (let i = start; i < end; i++) {
+            writer.writeUnary(folded[i] >>> k);
+            writer.writeBits(folded[i] & ((1 << k) - 1), k);
+        }
+    }
+}
+
+function writeFrameNumber(writer, value) {
+    if (value < 0x80) {
+        writer.writeBits(value, 8);
+        return;
+    }
+
+    // UTF-8 style variable-length coding
+    let continuationBytes = value < 0x800 ? 1 : value < 0x10000 ? 2 : value < 0x200000 ? 3 : value < 0x4000000 ? 4 : 5;
+    const prefix = (0xFF << (7 - continuationBytes)) & 0xFF;
+    writer.writeBits(prefix | (value >>> (6 * continuationBytes)), 8);
+    while (continuationBytes-- > 0) {
+        writer.writeBits(0x80 | ((value >>> (6 * continuationBytes)) & 0x3F), 8);
+    }
+}
+
+function writeFrame(writer, channels, sampleRate, start, blockSize, frameNumber) {
+    const frameStart = writer.length;
+    const sampleRateCode = SAMPLE_RATE_CODES[sampleRate] || (sampleRate < 0x10000 ? 0xD : 0x0);
+
+    writer.writeBits(0xFFF8, 16); // sync code, fixed block size
+    writer.writeBits(blockSize === BLOCK_SIZE ? 0x0C : 0x07, 4);
+    writer.writeBits(sampleRateCode, 4);
+    writer.writeBits(channels.length - 1, 4); // independent channels
+    writer.writeBits(0x04, 3); // 16 bits per sample
+    writer.writeBits(0, 1);
+    writeFrameNumber(writer, frameNumber);
+    if (blockSize !== BLOCK_SIZE) {
+        writer.writeBits(blockSize - 1, 16);
+    }
+    if (sampleRateCode === 0xD) {
+        writer.writeBits(sampleRate, 16);
+    }
+    writer.writeBits(crc8(writer.bytes, frameStart, writer.length), 8);
+
+    for (const channel of channels) {
+        writeSubframe(writer, channel.subarray(start, start + blockSize));
+    }
+
+    writer.alignToByte();
+    writer.writeBits(crc16(writer.bytes, frameStart, writer.length), 16);
+}
+
+function writeStreamInfo(writer, sampleRate, channelCount, totalSamples) {
+    writer.writeBits(0x664C, 16); // "fLaC"
+    writer.writeBits(0x6143, 16);
+
+    writer.writeBits(0x80, 8); // last metadata block, STREAMINFO
+    writer.writeBits(34, 24);
+    writer.writeBits(BLOCK_SIZE, 16);
+    writer.writeBits(BLOCK_SIZE, 16);
+    writer.writeBits(0, 24); // minimum frame size unknown
+    writer.writeBits(0, 24); // maximum frame size unknown
+    writer.writeBits(sampleRate >>> 4, 16);
+    writer.writeBits(((sampleRate & 0x0F) << 4) | ((channelCount - 1) << 1) | ((BITS_PER_SAMPLE - 1) >> 4), 8);
+    writer.writeBits((((BITS_PER_SAMPLE - 1) & 0x0F) << 4) | Math.floor(totalSamples / 0x100000000), 8);
+    writer.writeBits(totalSamples >>> 16, 16);
+    writer.writeBits(totalSamples & 0xFFFF, 16);
+    for (let i = 0; i < 16; i++) {
+        writer.writeBits(0, 8); // MD5 signature not computed
+    }
+}
+
+self.onmessage = (event) => {
+    const { id, channels, sampleRate } = event.data;
+
+    try {
+        const samples = channels.slice(0, 8).map(toInt16);
+        const totalSamples = samples[0].length;
+
+        // 16-bit FLAC typically compresses speech to well under half of PCM size
+        const writer = new BitWriter(Math.max(1024, totalSamples * samples.length));
+        writeStreamInfo(writer, sampleRate, samples.length, totalSamples);
+
+        let frameNumber = 0;
+        for (let start = 0; start < totalSamples; start += BLOCK_SIZE) {
+            writeFrame(writer, samples, sampleRate, start, Math.min(BLOCK_SIZE, totalSamples - start), frameNumber++);
+        }
+
+        const data = writer.toUint8Array();
+        self.postMessage({ id, data }, [data.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
@@ -0,0 +1,123 @@
+/**
+ * MP3 Encoder Worker
+ *
+ * Encodes planar PCM into MP3 off the main thread using the LAME encoder
+ * compiled to WebAssembly (wasm-media-encoders, vendored in js/lib).
+ *
+ * Request:  { id, channels: Float32Array[], sampleRate, bitrate?, vbrQuality? }
+ * Response: { id, data: Uint8Array } or { id, error: string }
+ *
+ * Streams encode audio that arrives in pieces with one encoder per stream:
+ *   { id, stream, action: 'begin', channelCount, sampleRate, bitrate?, vbrQuality? } → { id }
+ *   { id, stream, action: 'encode', channels: Float32Array[] } → { id, data }
+ *   { id, stream, action: 'end' } → { id, data } (the encoder's final frames)
+ */
+
+self.importScripts('../lib/wasm-media-encoders/WasmMediaEncoder.min.js');
+
+const MP3_WASM_URL = new URL('../lib/wasm-media-encoders/mp3.wasm', self.location.href).href;
+
+// Feed the encoder in blocks so its internal PCM buffer stays small
+const BLOCK_SIZE = 1152 * 64;
+
+let encoderPromise = null;
+
+// Stream id → encoder
+const streams = new Map();
+
+function getEncoder() {
+    if (!encoderPromise) {
+        encoderPromise = self.WasmMediaEncoder.createEncoder('audio/mpeg', MP3_WASM_URL);
+    }
+    return encoderPromise;
+}
+
+// bitrate (CBR) and vbrQuality (VBR) are mutually exclusive
+function configure(encoder, channelCount, sampleRate, bitrate, vbrQuality) {
+    const params = { channels: channelCount, sampleRate: sampleRate };
+    if (typeof vbrQuality === 'number') {
+        params.vbrQuality = vbrQuality;
+    } else {
+        params.bitrate = bitrate;
+    }
+    encoder.configure(params);
+}
+
+// Output buffers are owned by the encoder and must be copied
+function encodeBlocks(encoder, channels, parts) {
+    const length = channels[0].length;
+
+    for (let start = 0; start < length; start += BLOCK_SIZE) {
+        const end = Math.min(start + BLOCK_SIZE, length);
+        const encoded = encoder.encode(channels.map(channel => channel.subarray(start, end)));
+        if (encoded.length > 0) {
+            parts.push(encoded.slice());
+        }
+    }
+}
+
+function concat(parts) {
+    const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        data.set(part, offset);
+        offset += part.length;
+    }
+    return data;
+}
+
+async function handleStream({ id, stream, action, channels, channelCount, sampleRate, bitrate, vbrQuality }) {
+    if (action === 'begin') {
+        const encoder = await self.WasmMediaEncoder.createEncoder('audio/mpeg', MP3_WASM_URL);
+        configure(encoder, channelCount, sampleRate, bitrate, vbrQuality);
+        streams.set(stream, encoder);
+        self.postMessage({ id });
+        return;
+    }
+
+    const encoder = streams.get(stream);
+    if (!encoder) {
+        throw new Error(`Unknown MP3 stream: ${stream}`);
+    }
+
+    const parts = [];
+    if (action === 'encode') {
+        encodeBlocks(encoder, channels, parts);
+    } else {
+        streams.delete(stream);
+        const tail = encoder.finalize();
+        if (tail.length > 0) {
+            parts.push(tail.slice());
+        }
+    }
+
+    const data = concat(parts);
+    self.postMessage({ id, data }, [data.buffer]);
+}
+
+self.onmessage = async (event) => {
+    const { id, stream, channels, sampleRate, bitrate, vbrQuality } = event.data;
+
+    try {
+        if (stream !== undefined) {
+            await handleStream(event.data);
+            return;
+        }
+
+        const encoder = await getEncoder();
+        configure(encoder, channels.length, sampleRate, bitrate, vbrQuality);
+
+        const parts = [];
+        encodeBlocks(encoder, channels, parts);
+
+        const tail = encoder.finalize();
+        if (tail.length > 0) {
+            parts.push(tail.slice());
+        }
+
+        const data = concat(parts);
+        self.postMessage({ id, data }, [data.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
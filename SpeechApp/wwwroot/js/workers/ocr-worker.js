@@ -0,0 +1,157 @@
+/**
+ * OCR Worker
+ *
+ * Recognizes the text of rendered page images with Tesseract (tesseract.js-core,
+ * LSTM engine), bundled in js/lib/tesseract with its language data in
+ * js/lib/tesseract/lang. The engine is loaded on first use and kept with the
+ * last language initialized. The page-side ocrHelper renders the pages and
+ * builds paragraphs from the lines returned here.
+ *
+ * Request:  { id, action: 'recognize', image: ArrayBuffer (PNG), language } → { id, result: { lines, confidence } } or { id, error }
+ *           lines: [{ text, block, left, top, width, height }] in image pixels, in reading order
+ *           Progress while recognizing: { id, progress: [percent, 100] }
+ */
+
+const runtimePath = '../lib/tesseract/';
+const languagePath = '../lib/tesseract/lang/';
+
+// Tesseract's OEM_LSTM_ONLY; the bundled builds only contain the LSTM engine
+const LSTM_ONLY = 1;
+
+let corePromise = null;
+let api = null;
+let apiLanguage = null;
+
+// Language codes whose data has been written to the engine's file system
+const writtenLanguages = new Set();
+
+// Progress of the request being recognized (recognition runs one image at a time)
+let reportProgress = null;
+
+function isSimdSupported() {
+    // The smallest module using a SIMD instruction (i8x16.splat); only valid where SIMD is supported
+    return WebAssembly.validate(new Uint8Array([
+        0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+    ]));
+}
+
+function loadCore() {
+    if (!corePromise) {
+        const name = isSimdSupported() ? 'tesseract-core-simd-lstm' : 'tesseract-core-lstm';
+        self.importScripts(`${runtimePath}${name}.js`);
+
+        corePromise = self.TesseractCore({
+            locateFile: file => runtimePath + file,
+            TesseractProgress: percent => {
+                if (reportProgress) reportProgress(percent);
+            }
+        });
+    }
+    return corePromise;
+}
+
+// Language data is written to the engine's file system and the engine initialized with it;
+// 'eng+deu' loads several
+async function loadLanguage(core, language) {
+    if (apiLanguage === language) return;
+
+    for (const code of language.split('+')) {
+        if (writtenLanguages.has(code)) continue;
+
+        const response = await fetch(`${languagePath}${code}.traineddata`);
+        if (!response.ok) {
+            throw new Error(`No OCR language data for '${code}' (${response.status})`);
+        }
+        core.FS.writeFile(`${code}.traineddata`, new Uint8Array(await response.arrayBuffer()));
+        writtenLanguages.add(code);
+    }
+
+    if (api) {
+        api.End();
+    } else {
+        api = new core.TessBaseAPI();
+    }
+
+    apiLanguage = null;
+    if (api.Init(null, language, LSTM_ONLY) !== 0) {
+        throw new Error(`Could not initialize OCR for '${language}'`);
+    }
+    apiLanguage = language;
+}
+
+// Lines of Tesseract's TSV output (level 4 rows are lines, level 5 their words)
+function parseLines(tsv) {
+    const lines = [];
+    let line = null;
+
+    for (const row of tsv.split('\n')) {
+        const [level, , block, , , , left, top, width, height, , ...text] = row.split('\t');
+
+        if (level === '4') {
+            line = {
+                text: '',
+                block: Number(block),
+                left: Number(left),
+                top: Number(top),
+                width: Number(width),
+                height: Number(height)
+            };
+            lines.push(line);
+        } else if (level === '5' && line) {
+            const word = text.join('\t').trim();
+            if (word) {
+                line.text = line.text ? `${line.text} ${word}` : word;
+            }
+        }
+    }
+
+    return lines.filter(l => l.text);
+}
+
+async function handleRecognize(id, image, language) {
+    let core = null;
+    try {
+        core = await loadCore();
+        await loadLanguage(core, language);
+
+        reportProgress = percent => self.postMessage({ id, progress: [percent, 100] });
+
+        core.FS.writeFile('/input', new Uint8Array(image));
+        if (api.SetImageFile(1, 0) === 1) {
+            throw new Error('The page image could not be read');
+        }
+
+        api.Recognize(null);
+        const lines = parseLines(api.GetTSVText(0));
+        const confidence = api.MeanTextConf();
+
+        self.postMessage({ id, result: { lines, confidence } });
+    } catch (error) {
+        self.postMessage({ id, error: error && error.message ? error.message : String(error) });
+    } finally {
+        reportProgress = null;
+
+        // A failed page must not leave its image behind for the next one
+        if (api) {
+            api.Clear();
+        }
+        if (core) {
+            try {
+                core.FS.unlink('/input');
+            } catch {
+                // Not written when loading failed
+            }
+        }
+    }
+}
+
+// Requests are handled in order; the engine is not reentrant
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.action === 'recognize') {
+        queue = queue.then(() => handleRecognize(message.id, message.image, message.language || 'eng'));
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * Piper Synthesis Worker
+ *
+ * Runs Piper inference (phonemization and the ONNX voice model) off the main
+ * thread, one sentence at a time. The page-side piperTTS forwards synthesis
+ * here; this worker runs the same piperTTS object, which loads the bundled
+ * runtime (js/lib/piper) on first use and reads models from the same browser
+ * storage as the page.
+ *
+ * Request:  { id, action: 'synthesize', sentences, voiceId, settings } → { id, result: Uint8Array (WAV) } or { id, error, code, aborted }
+ *           Progress after each sentence: { id, progress: [current, total] }
+ * Cancel:   { id, action: 'cancel' } stops the request with that id before its next sentence
+ */
+
+// piper-tts.js registers itself on window
+self.window = self;
+
+self.importScripts('../piper-tts.js');
+
+const piper = self.piperTTS;
+
+// Paths in piper-tts.js are relative to the page
+piper.runtimePath = '../lib/piper/';
+
+// Request id → AbortController
+const jobs = new Map();
+
+async function handleSynthesize(id, sentences, voiceId, settings) {
+    const controller = new AbortController();
+    jobs.set(id, controller);
+
+    try {
+        const result = await piper.synthesizeSentences(sentences, voiceId, settings, {
+            signal: controller.signal,
+            onProgress: (current, total) => self.postMessage({ id, progress: [current, total] })
+        });
+
+        self.postMessage({ id, result }, [result.buffer]);
+    } catch (error) {
+        self.postMessage({
+            id,
+            error: error && error.message ? error.message : String(error),
+            code: error && error.code ? error.code : null,
+            aborted: !!error && error.name === 'AbortError'
+        });
+    } finally {
+        jobs.delete(id);
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.action === 'cancel') {
+        const controller = jobs.get(message.id);
+        if (controller) {
+            controller.abort(new DOMException('Synthesis cancelled', 'AbortError'));
+        }
+        return;
+    }
+
+    if (message.action === 'synthesize') {
+        handleSynthesize(message.id, message.sentences, message.voiceId, message.settings || {});
+    }
+};
@@ -11,10 +11,16 @@ const cacheName = `${cacheNamePrefix}${self.assetsManifest.version}`;
 const offlineAssetsInclude = [ /\.dll$/, /\.pdb$/, /\.wasm/, /\.html/, /\.js$/, /\.json$/, /\.css$/, /\.woff$/, /\.png$/, /\.jpe?g$/, /\.gif$/, /\.ico$/, /\.blat$/, /\.dat$/, /\.webmanifest$/ ];
 const offlineAssetsExclude = [ /^service-worker\.js$/ ];
 
+// Large optional runtimes and voice models are cached the first time they are fetched instead of on install
+const onDemandAssetsInclude = [ /^js\/lib\/piper\/.+\.(js|wasm|data)$/, /\.onnx$/, /^js\/lib\/tesseract\// ];
+
 // Replace with your base path if you are hosting on a subfolder. Ensure there is a trailing '/'.
 const base = "/stitch-multi-cloud-TTS/";
 const baseUrl = new URL(base, self.origin);
 const manifestUrlList = self.assetsManifest.assets.map(asset => new URL(asset.url, baseUrl).href);
+const onDemandAssets = new Map(self.assetsManifest.assets
+    .filter(asset => onDemandAssetsInclude.some(pattern => pattern.test(asset.url)))
+    .map(asset => [new URL(asset.url, baseUrl).href, asset]));
 
 async function onInstall(event) {
     console.info('Service worker: Install');
@@ -23,6 +29,7 @@ async function onInstall(event) {
     const assetsRequests = self.assetsManifest.assets
         .filter(asset => offlineAssetsInclude.some(pattern => pattern.test(asset.url)))
         .filter(asset => !offlineAssetsExclude.some(pattern => pattern.test(asset.url)))
+        .filter(asset => !onDemandAssetsInclude.some(pattern => pattern.test(asset.url)))
         .map(asset => new Request(asset.url, { integrity: asset.hash, cache: 'no-cache' }));
     await caches.open(cacheName).then(cache => cache.addAll(assetsRequests));
 }
@@ -73,11 +80,25 @@ async function onFetch(event) {
         const request = shouldServeIndexHtml ? 'index.html' : event.request;
         const cache = await caches.open(cacheName);
         cachedResponse = await cache.match(request);
+
+        if (!cachedResponse && onDemandAssets.has(url.href)) {
+            return fetchOnDemandAsset(cache, onDemandAssets.get(url.href));
+        }
     }
 
     return cachedResponse || fetch(event.request);
 }
 
+// Fetch an on-demand asset, checked against its manifest hash, and keep it for offline use
+async function fetchOnDemandAsset(cache, asset) {
+    const request = new Request(asset.url, { integrity: asset.hash, cache: 'no-cache' });
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
 // Handle service worker updates
 self.addEventListener('message', event => {
     if (event.data && event.data.type === 'SKIP_WAITING') {
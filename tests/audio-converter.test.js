@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { audioConverter } = loadScripts('audio-converter.js');
+
+// 20 ms CELT packets (TOC config 31, one frame) of 960 samples at 48 kHz, some long enough to need
+// several lacing values
+function createStream(packetCount) {
+    const packets = Array.from({ length: packetCount }, (_, i) => {
+        const packet = new Uint8Array(1 + (i * 37) % 600);
+        packet[0] = 31 << 3;
+        packet.fill(i & 0xFF, 1);
+        return packet;
+    });
+    return {
+        channels: 2,
+        preSkip: 312,
+        inputSampleRate: 24000,
+        totalSamples: packetCount * 960 - 500,
+        packets
+    };
+}
+
+function readOggPages(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const pages = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+        const segments = bytes[offset + 26];
+        let length = 27 + segments;
+        for (let i = 0; i < segments; i++) length += bytes[offset + 27 + i];
+
+        const page = bytes.slice(offset, offset + length);
+        const crc = view.getUint32(offset + 22, true);
+        page.fill(0, 22, 26);
+        pages.push({
+            headerType: bytes[offset + 5],
+            granule: view.getUint32(offset + 6, true) + view.getUint32(offset + 10, true) * 0x100000000,
+            sequence: view.getUint32(offset + 18, true),
+            crcValid: crc === audioConverter.crc32(page)
+        });
+        offset += length;
+    }
+    return pages;
+}
+
+test('Ogg Opus packets round-trip through readOggOpus', () => {
+    const stream = createStream(400);
+    const read = audioConverter.readOggOpus(audioConverter.writeOggOpus(stream));
+
+    assert.equal(read.channels, 2);
+    assert.equal(read.preSkip, 312);
+    assert.equal(read.inputSampleRate, 24000);
+    assert.deepEqual(read.packets, stream.packets);
+});
+
+test('Ogg pages have valid CRCs, sequence numbers and stream flags', () => {
+    const stream = createStream(400);
+    const pages = readOggPages(audioConverter.writeOggOpus(stream));
+
+    assert.ok(pages.length > 3);
+    assert.ok(pages.every(page => page.crcValid));
+    assert.deepEqual(pages.map(page => page.sequence), pages.map((_, i) => i));
+    assert.equal(pages[0].headerType, 0x02);
+    assert.equal(pages[pages.length - 1].headerType, 0x04);
+
+    // Granule positions never decrease, and the last one trims the padding
+    for (let i = 1; i < pages.length; i++) {
+        assert.ok(pages[i].granule >= pages[i - 1].granule);
+    }
+    assert.equal(pages[pages.length - 1].granule, stream.preSkip + stream.totalSamples);
+});
+
+function readVint(bytes, offset, keepMarker) {
+    let length = 1;
+    while (length <= 8 && !(bytes[offset] & (0x80 >> (length - 1)))) length++;
+    let value = keepMarker ? bytes[offset] : bytes[offset] & (0xFF >> length);
+    for (let i = 1; i < length; i++) value = value * 256 + bytes[offset + i];
+    return { value, length };
+}
+
+function readElements(bytes, start = 0, end = bytes.length) {
+    const elements = [];
+    let offset = start;
+    while (offset < end) {
+        const id = readVint(bytes, offset, true);
+        const size = readVint(bytes, offset + id.length);
+        const dataStart = offset + id.length + size.length;
+        elements.push({ id: id.value, offset, dataStart, data: bytes.subarray(dataStart, dataStart + size.value) });
+        offset = dataStart + size.value;
+    }
+    return elements;
+}
+
+function readUint(data) {
+    return data.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+test('WebM blocks hold every packet at its timestamp, with seek and cue positions that resolve', () => {
+    const ids = audioConverter.ebmlIds;
+    const stream = createStream(600); // 12 s, so more than one cluster
+    const bytes = audioConverter.writeWebmOpus(stream);
+
+    const [header, segment] = readElements(bytes);
+    assert.equal(header.id, ids.ebml);
+    assert.equal(segment.id, ids.segment);
+
+    const children = readElements(bytes, segment.dataStart, segment.dataStart + segment.data.length);
+    const atPosition = position => children.find(child => child.offset - segment.dataStart === position);
+
+    // SeekHead entries: SeekID then SeekPosition
+    const seeks = readElements(children[0].data).map(seek => readElements(seek.data));
+    for (const [seekId, seekPosition] of seeks) {
+        assert.equal(atPosition(readUint(seekPosition.data)).id, readUint(seekId.data));
+    }
+
+    const clusters = children.filter(child => child.id === ids.cluster);
+    assert.ok(clusters.length > 1);
+
+    const cues = children.find(child => child.id === ids.cues);
+    const cuePositions = readElements(cues.data).map(point => {
+        const positions = readElements(readElements(point.data)[1].data);
+        return readUint(positions[1].data);
+    });
+    assert.deepEqual(cuePositions.map(position => atPosition(position).id), clusters.map(() => ids.cluster));
+
+    const packets = [];
+    const times = [];
+    for (const cluster of clusters) {
+        const [timestamp, ...blocks] = readElements(cluster.data);
+        for (const block of blocks) {
+            times.push(readUint(timestamp.data) + ((block.data[1] << 8) | block.data[2]));
+            packets.push(block.data.subarray(4));
+        }
+    }
+
+    assert.deepEqual(packets, stream.packets);
+    assert.deepEqual(times, stream.packets.map((_, i) => i * 20));
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runWorker } = require('./load-scripts');
+
+class BitReader {
+    constructor(bytes, offset) {
+        this.bytes = bytes;
+        this.position = offset * 8;
+    }
+
+    read(bits) {
+        let value = 0;
+        for (let i = 0; i < bits; i++) {
+            const byte = this.bytes[this.position >> 3];
+            value = value * 2 + ((byte >> (7 - (this.position & 7))) & 1);
+            this.position++;
+        }
+        return value;
+    }
+
+    readSigned(bits) {
+        const value = this.read(bits);
+        return value >= 2 ** (bits - 1) ? value - 2 ** bits : value;
+    }
+
+    readUnary() {
+        let zeros = 0;
+        while (this.read(1) === 0) zeros++;
+        return zeros;
+    }
+
+    alignToByte() {
+        this.position = Math.ceil(this.position / 8) * 8;
+    }
+
+    get offset() {
+        return this.position >> 3;
+    }
+}
+
+function crc(bytes, start, end, width, polynomial) {
+    const top = 1 << (width - 1);
+    const mask = (1 << width) - 1;
+    let value = 0;
+    for (let i = start; i < end; i++) {
+        value ^= bytes[i] << (width - 8);
+        for (let bit = 0; bit < 8; bit++) {
+            value = value & top ? ((value << 1) ^ polynomial) & mask : (value << 1) & mask;
+        }
+    }
+    return value;
+}
+
+const fixedCoefficients = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+function readSubframe(reader, blockSize) {
+    reader.read(1);
+    const type = reader.read(6);
+    reader.read(1);
+
+    if (type === 0x00) {
+        return new Array(blockSize).fill(reader.readSigned(16));
+    }
+    if (type === 0x01) {
+        return Array.from({ length: blockSize }, () => reader.readSigned(16));
+    }
+
+    assert.ok(type >= 0x08 && type <= 0x0C, `unexpected subframe type ${type}`);
+    const order = type & 0x07;
+    const samples = Array.from({ length: order }, () => reader.readSigned(16));
+
+    assert.equal(reader.read(2), 0);
+    const partitionOrder = reader.read(4);
+    const partitionSize = blockSize >> partitionOrder;
+    for (let p = 0; p < 1 << partitionOrder; p++) {
+        const k = reader.read(4);
+        const count = p === 0 ? partitionSize - order : partitionSize;
+        for (let i = 0; i < count; i++) {
+            const folded = reader.readUnary() * 2 ** k + reader.read(k);
+            const residual = folded % 2 === 0 ? folded / 2 : -(folded + 1) / 2;
+            const n = samples.length;
+            const prediction = fixedCoefficients[order].reduce((sum, c, j) => sum + c * samples[n - 1 - j], 0);
+            samples.push(prediction + residual);
+        }
+    }
+    return samples;
+}
+
+// Decode the FLAC subset the worker writes, checking both frame CRCs
+function decodeFlac(bytes) {
+    assert.equal(Buffer.from(bytes.subarray(0, 4)).toString('latin1'), 'fLaC');
+    const info = new BitReader(bytes, 8);
+    const streamInfo = {
+        minBlockSize: info.read(16),
+        maxBlockSize: info.read(16),
+        minFrameSize: info.read(24),
+        maxFrameSize: info.read(24),
+        sampleRate: info.read(20),
+        channels: info.read(3) + 1,
+        bitsPerSample: info.read(5) + 1,
+        totalSamples: info.read(36)
+    };
+
+    const channels = Array.from({ length: streamInfo.channels }, () => []);
+    let offset = 8 + 34;
+    let frameNumber = 0;
+    while (offset < bytes.length) {
+        const reader = new BitReader(bytes, offset);
+        assert.equal(reader.read(16), 0xFFF8);
+        const blockSizeCode = reader.read(4);
+        const sampleRateCode = reader.read(4);
+        assert.equal(reader.read(4) + 1, streamInfo.channels);
+        reader.read(4);
+
+        // Frame number in UTF-8 style coding
+        let number = reader.read(8);
+        if (number >= 0x80) {
+            let continuation = 0;
+            while (number & (0x40 >> continuation)) continuation++;
+            number &= 0x3F >> continuation;
+            for (let i = 0; i < continuation; i++) number = number * 64 + (reader.read(8) & 0x3F);
+        }
+        assert.equal(number, frameNumber++);
+
+        const blockSize = blockSizeCode === 0x0C ? 4096 : reader.read(16) + 1;
+        if (sampleRateCode === 0x0D) {
+            assert.equal(reader.read(16), streamInfo.sampleRate);
+        }
+        assert.equal(reader.read(8), crc(bytes, offset, reader.offset - 1, 8, 0x07));
+
+        for (const channel of channels) {
+            channel.push(...readSubframe(reader, blockSize));
+        }
+
+        reader.alignToByte();
+        assert.equal(reader.read(16), crc(bytes, offset, reader.offset - 2, 16, 0x8005));
+        offset = reader.offset;
+    }
+
+    return { streamInfo, channels };
+}
+
+function toInt16(data) {
+    return Array.from(data, s => {
+        const clamped = Math.max(-1, Math.min(1, s));
+        return Math.round(clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF);
+    });
+}
+
+function encode(channels, sampleRate) {
+    const response = runWorker('workers/flac-encoder-worker.js', { id: 1, channels, sampleRate });
+    assert.equal(response.error, undefined);
+    assert.equal(response.id, 1);
+    return response.data;
+}
+
+test('speech-like stereo audio decodes back to the same 16-bit samples', () => {
+    const length = 10000; // not a multiple of the block size
+    let seed = 1;
+    const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5) * 0.02;
+    const left = new Float32Array(length).map((_, i) => 0.5 * Math.sin(i / 7) * Math.sin(i / 900) + noise());
+    const right = new Float32Array(length).map((_, i) => (i < 4096 ? 0 : 0.3 * Math.sin(i / 3)));
+
+    const { streamInfo, channels } = decodeFlac(encode([left, right], 24000));
+
+    assert.equal(streamInfo.sampleRate, 24000);
+    assert.equal(streamInfo.channels, 2);
+    assert.equal(streamInfo.bitsPerSample, 16);
+    assert.equal(streamInfo.totalSamples, length);
+    assert.deepEqual(channels, [toInt16(left), toInt16(right)]);
+});
+
+test('white noise falls back to verbatim subframes and still decodes', () => {
+    let seed = 7;
+    const noise = new Float32Array(5000).map(() => (seed = (seed * 48271) % 2147483647) / 2147483647 * 2 - 1);
+
+    const { channels } = decodeFlac(encode([noise], 44100));
+
+    assert.deepEqual(channels, [toInt16(noise)]);
+});
+
+test('a sample rate without a header code is written after the frame header', () => {
+    const tone = new Float32Array(300).map((_, i) => Math.sin(i / 5) * 1.5); // clipped peaks
+
+    const { streamInfo, channels } = decodeFlac(encode([tone], 22000));
+
+    assert.equal(streamInfo.sampleRate, 22000);
+    assert.deepEqual(channels, [toInt16(tone)]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+const { samplesPerFrame, sampleRate, createMp3 } = require('./mp3-fixtures');
+
+const { mp3Frames, id3Tags } = loadScripts('mp3-frames.js', 'audio-merger.js', 'id3-tags.js');
+
+test('text, comment and cover art tags round-trip', () => {
+    const tags = {
+        title: 'Über den Fluss',
+        artist: 'en-US-JennyNeural',
+        album: 'Ein Buch',
+        track: '3',
+        year: '2025',
+        comment: 'Azure: en-US-JennyNeural',
+        coverArt: Buffer.from([0xFF, 0xD8, 0xFF, 0x00, 0x01, 0x02]).toString('base64'),
+        coverArtMimeType: 'image/jpeg'
+    };
+
+    const tagged = id3Tags.writeTags(createMp3(mp3Frames, 4), tags);
+
+    assert.deepEqual(id3Tags.readTags(tagged), tags);
+});
+
+test('writeTags replaces an existing tag and keeps the audio', () => {
+    const mp3 = createMp3(mp3Frames, 4);
+    const once = id3Tags.writeTags(mp3, { title: 'First' });
+    const twice = id3Tags.writeTags(once, { title: 'Second' });
+
+    assert.deepEqual(id3Tags.readTags(twice), { title: 'Second' });
+    assert.deepEqual(twice.subarray(mp3Frames.getId3v2Size(twice, 0)), mp3);
+});
+
+test('CHAP and CTOC frames round-trip in table-of-contents order', () => {
+    const mp3 = createMp3(mp3Frames, 100);
+    const duration = 100 * samplesPerFrame / sampleRate;
+    const chapters = [
+        { title: 'Kapitel 2 – Mitte', startTime: 1.25 },
+        { title: 'Chapter 1', startTime: 0, endTime: 1.25 },
+        { title: '', startTime: 2 }
+    ];
+
+    const read = id3Tags.readChapters(id3Tags.writeTags(mp3, { title: 'Book' }, chapters));
+
+    assert.deepEqual(read, [
+        { id: 'chp0', title: 'Chapter 1', startTime: 0, endTime: 1.25 },
+        { id: 'chp1', title: 'Kapitel 2 – Mitte', startTime: 1.25, endTime: 2 },
+        { id: 'chp2', title: 'Chapter 3', startTime: 2, endTime: Math.round(duration * 1000) / 1000 }
+    ]);
+});
+
+test('the table of contents lists every chapter and carries the title', () => {
+    const tag = id3Tags.createTag({ title: 'Book' }, [{ title: 'A', startTime: 0 }, { title: 'B', startTime: 5 }], 10);
+    const frames = id3Tags.parseTag(tag).frames;
+    const toc = frames.find(frame => frame.id === 'CTOC');
+
+    assert.deepEqual(frames.map(frame => frame.id), ['TIT2', 'CTOC', 'CHAP', 'CHAP']);
+    assert.equal(toc.data[4], id3Tags.tocTopLevelFlag | id3Tags.tocOrderedFlag);
+    assert.equal(toc.data[5], 2);
+
+    const tocTitle = id3Tags.readFrames(toc.data, 16, 4, false);
+    assert.equal(tocTitle[0].id, 'TIT2');
+    assert.equal(id3Tags.decodeText(tocTitle[0].data.subarray(1), tocTitle[0].data[0]), 'Book');
+});
+
+test('untagged audio has no tags or chapters', () => {
+    const mp3 = createMp3(mp3Frames, 2);
+    assert.deepEqual(id3Tags.readTags(mp3), {});
+    assert.deepEqual(id3Tags.readChapters(mp3), []);
+});
@@ -0,0 +1,43 @@
+// Loads the browser scripts under SpeechApp/wwwroot/js into a plain object standing in for window,
+// so the byte-level writers can be tested in Node without a browser
+const fs = require('fs');
+const path = require('path');
+
+const scriptRoot = path.join(__dirname, '..', 'SpeechApp', 'wwwroot', 'js');
+
+function readScript(name) {
+    return fs.readFileSync(path.join(scriptRoot, name), 'utf8');
+}
+
+/**
+ * Run scripts in order against one window object, the way index.html loads them
+ * @param {...string} names - Script paths relative to wwwroot/js
+ * @returns {Object} The window object with each script's module on it
+ */
+function loadScripts(...names) {
+    const window = {};
+    for (const name of names) {
+        new Function('window', readScript(name))(window);
+    }
+    return window;
+}
+
+/**
+ * Run a worker script and send it one message
+ * @param {string} name - Worker path relative to wwwroot/js
+ * @param {Object} data - Message data
+ * @returns {Object} The first message the worker posts back
+ */
+function runWorker(name, data) {
+    let response = null;
+    const self = {
+        postMessage(message) {
+            response = response || message;
+        }
+    };
+    new Function('self', readScript(name))(self);
+    self.onmessage({ data });
+    return response;
+}
+
+module.exports = { loadScripts, runWorker };
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { loudness } = loadScripts('loudness.js');
+
+const sampleRate = 48000;
+
+function sine(amplitude, seconds, frequency = 997) {
+    return new Float32Array(Math.round(seconds * sampleRate))
+        .map((_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+function dbToLinear(db) {
+    return Math.pow(10, db / 20);
+}
+
+// BS.1770 is calibrated so a full-scale 997 Hz sine in one channel reads -3.01 LUFS
+test('a 997 Hz sine measures at the calibrated loudness and true peak', () => {
+    const mono = loudness.measure([sine(dbToLinear(-20), 3)], sampleRate);
+    assert.ok(Math.abs(mono.integratedLufs - -23.01) < 0.1, `mono ${mono.integratedLufs}`);
+    assert.ok(Math.abs(mono.truePeakDbtp - -20) < 0.1, `true peak ${mono.truePeakDbtp}`);
+
+    const stereo = loudness.measure([sine(dbToLinear(-20), 3), sine(dbToLinear(-20), 3)], sampleRate);
+    assert.ok(Math.abs(stereo.integratedLufs - -20) < 0.1, `stereo ${stereo.integratedLufs}`);
+});
+
+test('silence measures as -Infinity and is left alone by normalize', () => {
+    const silence = [new Float32Array(sampleRate)];
+    const result = loudness.normalize(silence, sampleRate);
+
+    assert.equal(result.before.integratedLufs, -Infinity);
+    assert.equal(result.gainDb, 0);
+    assert.ok(silence[0].every(sample => sample === 0));
+});
+
+test('quiet passages below the relative gate do not pull the loudness down', () => {
+    const loud = sine(dbToLinear(-20), 3);
+    const quiet = sine(dbToLinear(-50), 3);
+    const combined = new Float32Array(loud.length + quiet.length);
+    combined.set(loud, 0);
+    combined.set(quiet, loud.length);
+
+    // Ungated, the average would be about -26 LUFS; only the blocks straddling the change stay in
+    const result = loudness.measure([combined], sampleRate);
+    assert.ok(Math.abs(result.integratedLufs - -23.01) < 0.5, `gated ${result.integratedLufs}`);
+});
+
+test('normalize reaches the target and the limiter holds true peak under the ceiling', () => {
+    const quiet = [sine(dbToLinear(-30), 3)];
+    const normalized = loudness.normalize(quiet, sampleRate, -16, -1);
+    assert.ok(Math.abs(normalized.after.integratedLufs - -16) < 0.1, `normalized ${normalized.after.integratedLufs}`);
+
+    const hot = [sine(dbToLinear(-12), 3)];
+    const limited = loudness.normalize(hot, sampleRate, -3, -1);
+    assert.ok(limited.after.truePeakDbtp <= -1 + 0.05, `limited peak ${limited.after.truePeakDbtp}`);
+});
+
+test('a meter fed in pieces matches one measurement of the whole', () => {
+    const left = sine(0.2, 5, 440);
+    const right = sine(0.1, 5, 3000);
+    const whole = loudness.measure([left, right], sampleRate);
+
+    const meter = loudness.createMeter(sampleRate);
+    for (let start = 0; start < left.length; start += 12345) {
+        meter.push([left.subarray(start, start + 12345), right.subarray(start, start + 12345)]);
+    }
+    const pieces = meter.getResult();
+
+    assert.ok(Math.abs(pieces.integratedLufs - whole.integratedLufs) < 1e-6);
+    assert.ok(Math.abs(pieces.truePeakDbtp - whole.truePeakDbtp) < 1e-6);
+});
+
+test('a limiter fed in pieces matches limiting the whole', () => {
+    const whole = [sine(1.5, 2, 220)];
+    const input = whole[0].slice();
+    loudness.limit(whole, sampleRate, -1);
+
+    const limiter = loudness.createLimiter(sampleRate, -1);
+    const output = [];
+    for (let start = 0; start < input.length; start += 10000) {
+        output.push(...limiter.process([input.subarray(start, start + 10000)])[0]);
+    }
+    output.push(...limiter.flush()[0]);
+
+    assert.equal(output.length, whole[0].length);
+    assert.ok(output.every((sample, i) => Math.abs(sample - whole[0][i]) < 1e-6));
+});
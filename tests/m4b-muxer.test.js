@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+const { frameLength, samplesPerFrame, sampleRate, createMp3 } = require('./mp3-fixtures');
+
+const { mp3Frames, m4bMuxer } = loadScripts('mp3-frames.js', 'audio-merger.js', 'm4b-muxer.js');
+
+// Boxes that only hold other boxes; meta is a full box, so its children start 4 bytes in
+const containerBoxes = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'tref', 'ilst', 'meta'];
+
+function parseBoxes(bytes, start = 0, end = bytes.length) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        const size = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const box = { type, offset, size, body: bytes.subarray(offset + 8, offset + size) };
+        if (containerBoxes.includes(type)) {
+            const childStart = offset + 8 + (type === 'meta' ? 4 : 0);
+            box.children = parseBoxes(bytes, childStart, offset + size);
+        }
+        boxes.push(box);
+        offset += size;
+    }
+    return boxes;
+}
+
+function find(boxes, path) {
+    const [type, ...rest] = path.split('/');
+    const matches = boxes.filter(box => box.type === type);
+    return rest.length === 0 ? matches : matches.flatMap(box => find(box.children || [], rest.join('/')));
+}
+
+function uint32s(body, offset, count) {
+    const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+    return Array.from({ length: count }, (_, i) => view.getUint32(offset + i * 4));
+}
+
+function createBook(chapters, tags = {}) {
+    const mp3 = createMp3(mp3Frames, 100);
+    const stream = m4bMuxer.mp3ToStream(mp3, mp3Frames.parseFrames(mp3));
+    const duration = stream.presentedSamples / stream.sampleRate;
+    const normalized = m4bMuxer.normalizeChapters(chapters, duration);
+    const bytes = m4bMuxer.writeFile(stream, normalized, tags);
+    return { bytes, boxes: parseBoxes(bytes), duration };
+}
+
+const chapters = [
+    { title: 'Opening', startTime: 0 },
+    { title: 'Kapitel Zwei – Ü', startTime: 1.1 },
+    { title: 'Past the end', startTime: 10 },
+    { title: 'Last', startTime: 2.2 }
+];
+
+test('normalizeChapters sorts, drops chapters past the end and makes them contiguous', () => {
+    const normalized = m4bMuxer.normalizeChapters([{ title: '', startTime: 0.5 }, ...chapters.slice(1)], 3);
+    assert.deepEqual(normalized, [
+        { title: 'Chapter 1', startTime: 0, endTime: 1.1 },
+        { title: 'Kapitel Zwei – Ü', startTime: 1.1, endTime: 2.2 },
+        { title: 'Last', startTime: 2.2, endTime: 3 }
+    ]);
+});
+
+test('the Nero chapter list holds every chapter start and title', () => {
+    const { boxes } = createBook(chapters);
+    const chpl = find(boxes, 'moov/udta/chpl')[0].body;
+    const view = new DataView(chpl.buffer, chpl.byteOffset, chpl.byteLength);
+
+    const read = [];
+    let offset = 9;
+    for (let i = 0; i < chpl[8]; i++) {
+        const start = Number(view.getBigUint64(offset)) / 10000000;
+        const length = chpl[offset + 8];
+        read.push({ start, title: Buffer.from(chpl.subarray(offset + 9, offset + 9 + length)).toString('utf8') });
+        offset += 9 + length;
+    }
+
+    assert.deepEqual(read, [
+        { start: 0, title: 'Opening' },
+        { start: 1.1, title: 'Kapitel Zwei – Ü' },
+        { start: 2.2, title: 'Last' }
+    ]);
+});
+
+test('the chapter text track is referenced from the audio track and times each title', () => {
+    const { bytes, boxes, duration } = createBook(chapters);
+    const [audioTrak, chapterTrak] = find(boxes, 'moov/trak');
+
+    assert.deepEqual(uint32s(find([audioTrak], 'trak/tref/chap')[0].body, 0, 1), [2]);
+
+    const stbl = find([chapterTrak], 'trak/mdia/minf/stbl')[0];
+    const stts = find([stbl], 'stbl/stts')[0].body;
+    const runs = uint32s(stts, 8, stts.length / 4 - 2);
+    const durations = [];
+    for (let i = 0; i < runs.length; i += 2) {
+        for (let n = 0; n < runs[i]; n++) durations.push(runs[i + 1]);
+    }
+    assert.deepEqual(durations, [1100, 1100, Math.round(duration * 1000) - 2200]);
+
+    const stco = find([stbl], 'stbl/stco')[0].body;
+    const titles = uint32s(stco, 8, uint32s(stco, 4, 1)[0]).map(offset => {
+        const length = (bytes[offset] << 8) | bytes[offset + 1];
+        return Buffer.from(bytes.subarray(offset + 2, offset + 2 + length)).toString('utf8');
+    });
+    assert.deepEqual(titles, ['Opening', 'Kapitel Zwei – Ü', 'Last']);
+});
+
+test('audio chunk offsets point at the MP3 frames in mdat', () => {
+    const { bytes, boxes } = createBook(chapters);
+    const stbl = find(boxes, 'moov/trak/mdia/minf/stbl')[0];
+
+    const stsz = find([stbl], 'stbl/stsz')[0].body;
+    assert.deepEqual(uint32s(stsz, 4, 2), [0, 100]);
+    assert.ok(uint32s(stsz, 12, 100).every(size => size === frameLength));
+
+    const stco = find([stbl], 'stbl/stco')[0].body;
+    const offsets = uint32s(stco, 8, uint32s(stco, 4, 1)[0]);
+    assert.equal(offsets.length, Math.ceil(100 / m4bMuxer.audioSamplesPerChunk));
+    offsets.forEach((offset, chunk) => {
+        assert.deepEqual(Array.from(bytes.subarray(offset, offset + 2)), [0xFF, 0xFB]);
+        assert.equal(bytes[offset + 40], chunk * m4bMuxer.audioSamplesPerChunk);
+    });
+
+    const mdhd = find(boxes, 'moov/trak/mdia/mdhd')[0].body;
+    assert.deepEqual(uint32s(mdhd, 12, 2), [sampleRate, 100 * samplesPerFrame]);
+});
+
+test('tags are written to the iTunes metadata list', () => {
+    const { boxes } = createBook(chapters, { title: 'Book', artist: 'Narrator', track: '4' });
+    const items = find(boxes, 'moov/udta/meta/ilst')[0].children;
+    // Item body: a data box with an 8-byte header, then type and locale
+    const value = type => items.find(item => item.type === type).body.subarray(16);
+
+    assert.equal(Buffer.from(value('©nam')).toString('utf8'), 'Book');
+    assert.equal(Buffer.from(value('©ART')).toString('utf8'), 'Narrator');
+    assert.deepEqual(Array.from(value('trkn')), [0, 0, 0, 4, 0, 0, 0, 0]);
+    assert.deepEqual(Array.from(value('stik')), [m4bMuxer.audiobookMediaKind]);
+});
+
+test('a book without chapters has a single track and no chapter list', () => {
+    const { boxes } = createBook([]);
+    assert.equal(find(boxes, 'moov/trak').length, 1);
+    assert.equal(find(boxes, 'moov/udta/chpl').length, 0);
+});
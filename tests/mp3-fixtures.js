@@ -0,0 +1,53 @@
+// Synthetic MP3 data: frames with real headers and silent (zeroed) bodies, which is all the
+// frame-level tools look at
+
+// MPEG-1 Layer III, 128 kbit/s, 44.1 kHz, stereo: 417-byte frames of 1152 samples
+const frameHeader = [0xFF, 0xFB, 0x90, 0x00];
+const frameLength = 417;
+const samplesPerFrame = 1152;
+const sampleRate = 44100;
+
+function createFrame(marker = 0) {
+    const frame = new Uint8Array(frameLength);
+    frame.set(frameHeader, 0);
+    // A byte after the side information so copied frames can be told apart
+    frame[40] = marker & 0xFF;
+    return frame;
+}
+
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+/**
+ * Create MP3 audio frames, optionally behind a LAME Info frame carrying encoder delay and padding
+ * @param {Object} mp3Frames - window.mp3Frames
+ * @param {number} frameCount - Audio frames
+ * @param {Object} options - { lame: { delay, padding }, firstMarker }
+ */
+function createMp3(mp3Frames, frameCount, options = {}) {
+    const firstMarker = options.firstMarker || 0;
+    const frames = Array.from({ length: frameCount }, (_, i) => createFrame(firstMarker + i));
+    if (!options.lame) {
+        return concat(frames);
+    }
+
+    const format = mp3Frames.parseFrameHeader(frames[0], 0);
+    const infoFrame = mp3Frames.createInfoFrame(format, false, true);
+    const data = concat([infoFrame, ...frames]);
+
+    const tag = new Uint8Array(mp3Frames.lameTagSize);
+    tag.set(new TextEncoder().encode('LAME3.100'), 0);
+    mp3Frames.writeXingData(data, format, frameCount, data.length,
+        index => infoFrame.length + index * frameLength,
+        { tag, delay: options.lame.delay, padding: options.lame.padding });
+    return data;
+}
+
+module.exports = { frameLength, samplesPerFrame, sampleRate, createFrame, createMp3, concat };
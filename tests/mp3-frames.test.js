@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+const { frameLength, samplesPerFrame, createFrame, createMp3, concat } = require('./mp3-fixtures');
+
+const { mp3Frames } = loadScripts('mp3-frames.js');
+
+// Marker byte of each audio frame in joined data, after the Info frame
+function frameMarkers(data, infoLength) {
+    const markers = [];
+    for (let offset = infoLength; offset < data.length; offset += frameLength) {
+        markers.push(data[offset + 40]);
+    }
+    return markers;
+}
+
+test('join copies the audio frames of every chunk behind one Info frame', () => {
+    const id3 = new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 6, 1, 2, 3, 4, 5, 6]);
+    const first = concat([id3, createMp3(mp3Frames, 3)]);
+    const second = createMp3(mp3Frames, 2, { firstMarker: 10 });
+
+    const joined = mp3Frames.join([first, second]);
+    const parsed = mp3Frames.parseFrames(joined.data);
+
+    assert.equal(parsed.frames.length, 5);
+    assert.deepEqual(frameMarkers(joined.data, parsed.frames[0].offset), [0, 1, 2, 10, 11]);
+    assert.deepEqual(joined.chunkSamples, [3 * samplesPerFrame, 2 * samplesPerFrame]);
+    assert.equal(joined.sampleRate, 44100);
+    assert.equal(joined.numberOfChannels, 2);
+
+    const view = new DataView(joined.data.buffer);
+    const xingOffset = 4 + 32;
+    assert.equal(String.fromCharCode(...joined.data.subarray(xingOffset, xingOffset + 4)), 'Info');
+    assert.equal(view.getUint32(xingOffset + 8), 5);
+    assert.equal(view.getUint32(xingOffset + 12), joined.data.length);
+    assert.equal(mp3Frames.readLameTag(joined.data, 0, mp3Frames.parseFrameHeader(joined.data, 0)), null);
+});
+
+test('join refuses chunks in different formats', () => {
+    const other = createFrame();
+    other[2] = 0x94; // 48 kHz
+    assert.equal(mp3Frames.join([createMp3(mp3Frames, 2), concat([other, other])]), null);
+});
+
+test('parseFrames drops frames of LAME end padding', () => {
+    const parsed = mp3Frames.parseFrames(createMp3(mp3Frames, 5, { lame: { delay: 576, padding: 1500 } }));
+
+    assert.equal(parsed.frames.length, 4);
+    assert.equal(parsed.sampleCount, 4 * samplesPerFrame);
+    assert.equal(parsed.lame.delay, 576);
+    assert.equal(parsed.lame.padding, 1500 - samplesPerFrame);
+});
+
+test('join writes the first delay and last padding into a LAME tag with a valid CRC', () => {
+    const first = createMp3(mp3Frames, 5, { lame: { delay: 576, padding: 1500 } });
+    const second = createMp3(mp3Frames, 4, { lame: { delay: 1105, padding: 1200 }, firstMarker: 10 });
+
+    const joined = mp3Frames.join([first, second]);
+    const parsed = mp3Frames.parseFrames(joined.data);
+
+    assert.deepEqual(frameMarkers(joined.data, parsed.frames[0].offset), [0, 1, 2, 3, 10, 11, 12]);
+    assert.equal(parsed.lame.delay, 576);
+    assert.equal(parsed.lame.padding, 1200 - samplesPerFrame);
+
+    const lameOffset = 4 + 32 + 120;
+    const view = new DataView(joined.data.buffer);
+    assert.equal(view.getUint32(lameOffset + 28), joined.data.length);
+    assert.equal(view.getUint16(lameOffset + 34), mp3Frames.crc16(joined.data, lameOffset + 34));
+});
+
+test('a stream index writes the same header fields as join', () => {
+    const chunks = [
+        createMp3(mp3Frames, 5, { lame: { delay: 576, padding: 1500 } }),
+        createMp3(mp3Frames, 4, { lame: { delay: 1105, padding: 1200 } })
+    ];
+    const joined = mp3Frames.join(chunks);
+
+    const index = mp3Frames.createStreamIndex();
+    const parsedChunks = chunks.map(chunk => mp3Frames.parseFrames(chunk));
+    parsedChunks.forEach((parsed, i) => {
+        // Split mid-frame, as the merge output is written
+        const audio = concat(parsed.frames.map(frame => chunks[i].subarray(frame.offset, frame.offset + frame.length)));
+        index.push(audio.subarray(0, 100));
+        index.push(audio.subarray(100));
+    });
+
+    const header = index.createHeader(mp3Frames.joinLameGaps(parsedChunks[0].lame, parsedChunks[1].lame));
+    assert.equal(index.sampleCount, 7 * samplesPerFrame);
+
+    // The seek tables differ, as the index only keeps every 16th frame offset
+    const xingOffset = 4 + 32;
+    const fields = data => {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const lame = mp3Frames.readLameTag(data, 0, mp3Frames.parseFrameHeader(data, 0));
+        return { frames: view.getUint32(xingOffset + 8), bytes: view.getUint32(xingOffset + 12), delay: lame.delay, padding: lame.padding };
+    };
+    assert.equal(header.length, mp3Frames.parseFrames(joined.data).frames[0].offset);
+    assert.deepEqual(fields(header), fields(joined.data));
+});
+
+test('parseFrames rejects other containers and unsynchronised data', () => {
+    const mp3 = createMp3(mp3Frames, 3);
+    assert.equal(mp3Frames.parseFrames(concat([new TextEncoder().encode('RIFF....WAVE'), mp3])), null);
+    assert.equal(mp3Frames.parseFrames(concat([new Uint8Array(100), mp3])), null);
+    assert.equal(mp3Frames.parseFrames(concat([new Uint8Array(3), mp3])).frames.length, 3);
+});